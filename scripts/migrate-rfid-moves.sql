@@ -0,0 +1,12 @@
+-- Add the 'moved' RFID action and the previous position of a moved tag
+-- Run this script to update an existing iot_rfid_events table
+
+USE iot_middleware;
+
+ALTER TABLE iot_rfid_events
+  MODIFY COLUMN `action` ENUM('attached', 'detached', 'moved') NOT NULL COMMENT 'Tag action',
+  ADD COLUMN `from_mod_addr` TINYINT UNSIGNED NULL COMMENT 'Previous module address of a moved tag' AFTER `action`,
+  ADD COLUMN `from_sensor_addr` TINYINT UNSIGNED NULL COMMENT 'Previous position of a moved tag' AFTER `from_mod_addr`;
+
+-- Show the updated column definitions
+SHOW COLUMNS FROM iot_rfid_events WHERE Field IN ('action', 'from_mod_addr', 'from_sensor_addr');
@@ -43,7 +43,9 @@ CREATE TABLE IF NOT EXISTS `iot_rfid_events` (
   `mod_addr` TINYINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Module address',
   `sensor_addr` TINYINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Sensor/Tag position',
   `tag_id` VARCHAR(16) NOT NULL COMMENT 'RFID tag identifier in hex',
-  `action` ENUM('attached', 'detached') NOT NULL COMMENT 'Tag action',
+  `action` ENUM('attached', 'detached', 'moved') NOT NULL COMMENT 'Tag action',
+  `from_mod_addr` TINYINT UNSIGNED NULL COMMENT 'Previous module address of a moved tag',
+  `from_sensor_addr` TINYINT UNSIGNED NULL COMMENT 'Previous position of a moved tag',
   `timestamp` VARCHAR(30) NOT NULL COMMENT 'Event timestamp in ISO 8601 format (YYYY-MM-DDTHH:MM:SS.sssZ)',
   `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Record creation time',
   PRIMARY KEY (`id`),
@@ -66,7 +68,7 @@ CREATE TABLE IF NOT EXISTS `iot_device_state` (
   `device_type` VARCHAR(20) NOT NULL COMMENT 'Device type (V5008/V6800)',
   `mod_addr` TINYINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Module address',
   `sensor_addr` TINYINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Sensor address',
-  `state_type` VARCHAR(50) NOT NULL COMMENT 'Type of state (SYS_RFID_SNAPSHOT, SYS_STATE_CHANGE, SYS_DEVICE_INFO)',
+  `state_type` VARCHAR(50) NOT NULL COMMENT 'Type of state (SYS_RFID_SNAPSHOT, SYS_STATE_CHANGE, SYS_DEVICE_INFO, SYS_LIFECYCLE, SYS_DEVICE_STATUS)',
   `json_value` JSON NOT NULL COMMENT 'State data in JSON format',
   `timestamp` VARCHAR(30) NOT NULL COMMENT 'Event timestamp in ISO 8601 format (YYYY-MM-DDTHH:MM:SS.sssZ)',
   `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Record creation time',
@@ -78,6 +80,212 @@ CREATE TABLE IF NOT EXISTS `iot_device_state` (
   INDEX `idx_updated_at` (`updated_at`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Current device shadow state from IoT devices (ISO 8601 timestamps)';
 
+-- ========================================
+-- 4. iot_state_cache Table (Shadow cache)
+-- ========================================
+-- Persists the normalizer's RFID shadow per module (modules.normalizer.cache.type = mysql)
+-- Upserted on every shadow change, loaded at startup
+
+CREATE TABLE IF NOT EXISTS `iot_state_cache` (
+  `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `device_id` VARCHAR(50) NOT NULL COMMENT 'Device identifier',
+  `mod_addr` TINYINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Module address',
+  `json_value` JSON NOT NULL COMMENT 'Cached tags [{uPos, tagId, alarmStatus}]',
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Record creation time',
+  `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'Last update time',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_state_cache` (`device_id`, `mod_addr`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Persistent normalizer shadow cache';
+
+-- ========================================
+-- 5. iot_dead_letters Table (Lost messages)
+-- ========================================
+-- Raw messages the pipeline could not turn into normalized data (modules.deadLetters.type = mysql)
+-- Listed, retried and purged through the /dead-letters API
+
+CREATE TABLE IF NOT EXISTS `iot_dead_letters` (
+  `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `topic` VARCHAR(255) NOT NULL COMMENT 'MQTT topic',
+  `device_id` VARCHAR(50) NULL COMMENT 'Device identifier from the topic',
+  `device_type` VARCHAR(20) NULL COMMENT 'Device family of the matching parser',
+  `stage` VARCHAR(20) NOT NULL COMMENT 'Failure stage: routing, parsing, validation, normalization',
+  `error` TEXT NULL COMMENT 'Failure reason',
+  `payload` MEDIUMBLOB NOT NULL COMMENT 'Raw message payload',
+  `status` VARCHAR(20) NOT NULL DEFAULT 'pending' COMMENT 'pending or resolved',
+  `attempts` INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Number of retries',
+  `received_at` VARCHAR(30) NOT NULL COMMENT 'Receive time in ISO 8601 format',
+  `last_attempt_at` VARCHAR(30) NULL COMMENT 'Last retry time in ISO 8601 format',
+  `resolved_at` VARCHAR(30) NULL COMMENT 'Successful retry time in ISO 8601 format',
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Record creation time',
+  `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'Last update time',
+  PRIMARY KEY (`id`),
+  INDEX `idx_stage_status` (`stage`, `status`),
+  INDEX `idx_device` (`device_id`),
+  INDEX `idx_received_at` (`received_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Messages lost by the processing pipeline';
+
+-- ========================================
+-- 6. iot_alarm_history Table (U-level alarms)
+-- ========================================
+-- One row per tamper alarm of a U position, opened by alarm_raised
+-- Closed by alarm_cleared (device report, clear alarm command or tag removal)
+
+CREATE TABLE IF NOT EXISTS `iot_alarm_history` (
+  `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `device_id` VARCHAR(50) NOT NULL COMMENT 'Device identifier',
+  `device_type` VARCHAR(20) NOT NULL COMMENT 'Device type (V5008/V6800)',
+  `mod_addr` TINYINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Module address',
+  `sensor_addr` TINYINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'U position',
+  `tag_id` VARCHAR(16) NULL COMMENT 'RFID tag at the position in hex',
+  `alarm_status` TINYINT UNSIGNED NOT NULL COMMENT 'Latest alarm status reported by the device',
+  `raised_at` VARCHAR(30) NOT NULL COMMENT 'Raise time in ISO 8601 format',
+  `cleared_at` VARCHAR(30) NULL COMMENT 'Clear time in ISO 8601 format, NULL while open',
+  `cleared_by` VARCHAR(20) NULL COMMENT 'device, command or detached',
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Record creation time',
+  PRIMARY KEY (`id`),
+  INDEX `idx_position_open` (`device_id`, `mod_addr`, `sensor_addr`, `cleared_at`),
+  INDEX `idx_raised_at` (`raised_at`),
+  INDEX `idx_tag` (`tag_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='U-level tamper alarm history';
+
+-- ========================================
+-- 7. iot_alert_rules Table (Telemetry rules)
+-- ========================================
+-- Threshold rules evaluated by the RuleEngine (modules.rules.type = mysql)
+-- Managed through the /rules API
+
+CREATE TABLE IF NOT EXISTS `iot_alert_rules` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `name` VARCHAR(100) NOT NULL COMMENT 'Rule name',
+  `enabled` BOOLEAN NOT NULL DEFAULT TRUE COMMENT 'Rule is evaluated',
+  `device_id` VARCHAR(50) NULL COMMENT 'Device scope, NULL for all devices',
+  `mod_addr` TINYINT UNSIGNED NULL COMMENT 'Module scope, NULL for all modules',
+  `sensor_addr` TINYINT UNSIGNED NULL COMMENT 'Sensor scope, NULL for all sensors',
+  `telemetry_key` VARCHAR(50) NOT NULL COMMENT 'Telemetry key (temperature, humidity...)',
+  `rule_type` VARCHAR(10) NOT NULL COMMENT 'min, max or rate (change per minute)',
+  `threshold` DOUBLE NOT NULL COMMENT 'Threshold',
+  `hysteresis` DOUBLE NOT NULL DEFAULT 0 COMMENT 'Distance from the threshold before clearing',
+  `duration_ms` INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Time the violation must last before raising',
+  `severity` VARCHAR(10) NOT NULL DEFAULT 'warning' COMMENT 'info, warning or critical',
+  `created_at` VARCHAR(30) NOT NULL COMMENT 'Creation time in ISO 8601 format',
+  `updated_at` VARCHAR(30) NOT NULL COMMENT 'Last change time in ISO 8601 format',
+  PRIMARY KEY (`id`),
+  INDEX `idx_telemetry_key` (`telemetry_key`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Telemetry alert rules';
+
+-- ========================================
+-- 8. iot_alerts Table (Telemetry and door-open alerts)
+-- ========================================
+-- One row per alert, opened by alert_raised and closed by alert_cleared
+
+CREATE TABLE IF NOT EXISTS `iot_alerts` (
+  `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `rule_id` INT UNSIGNED NULL COMMENT 'Rule that raised the alert, NULL for door-open alerts',
+  `rule_name` VARCHAR(100) NOT NULL COMMENT 'Rule name when raised',
+  `severity` VARCHAR(10) NOT NULL COMMENT 'Rule severity when raised',
+  `device_id` VARCHAR(50) NOT NULL COMMENT 'Device identifier',
+  `device_type` VARCHAR(20) NOT NULL COMMENT 'Device type (V5008/V6800)',
+  `mod_addr` TINYINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Module address',
+  `sensor_addr` TINYINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Sensor address',
+  `telemetry_key` VARCHAR(50) NOT NULL COMMENT 'Telemetry key (door_state for door-open alerts)',
+  `raised_value` DOUBLE NOT NULL COMMENT 'Value (change per minute, door open ms) that raised the alert',
+  `raised_at` VARCHAR(30) NOT NULL COMMENT 'Raise time in ISO 8601 format',
+  `cleared_value` DOUBLE NULL COMMENT 'Value that cleared the alert, NULL for rule changes',
+  `cleared_at` VARCHAR(30) NULL COMMENT 'Clear time in ISO 8601 format, NULL while open',
+  `cleared_reason` VARCHAR(20) NULL COMMENT 'recovered, rule_changed, rule_deleted or door_closed',
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Record creation time',
+  PRIMARY KEY (`id`),
+  INDEX `idx_series_open` (`rule_id`, `device_id`, `mod_addr`, `sensor_addr`, `cleared_at`),
+  INDEX `idx_device_raised` (`device_id`, `raised_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Telemetry rule and door-open alerts';
+
+-- ========================================
+-- 9. iot_assets Table (Asset registry)
+-- ========================================
+-- Maps RFID tag IDs to assets (modules.assets.type = mysql)
+-- Managed through the /assets API and CSV import
+
+CREATE TABLE IF NOT EXISTS `iot_assets` (
+  `tag_id` VARCHAR(16) NOT NULL COMMENT 'RFID tag identifier in hex (upper case)',
+  `name` VARCHAR(100) NOT NULL COMMENT 'Asset name',
+  `owner` VARCHAR(100) NULL COMMENT 'Asset owner',
+  `model` VARCHAR(100) NULL COMMENT 'Asset model',
+  `serial_number` VARCHAR(100) NULL COMMENT 'Asset serial number',
+  `height_u` TINYINT UNSIGNED NULL COMMENT 'Asset height in U',
+  `created_at` VARCHAR(30) NOT NULL COMMENT 'Registration time in ISO 8601 format',
+  `updated_at` VARCHAR(30) NOT NULL COMMENT 'Last change time in ISO 8601 format',
+  PRIMARY KEY (`tag_id`),
+  INDEX `idx_owner` (`owner`),
+  INDEX `idx_serial_number` (`serial_number`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='RFID tag to asset registry';
+
+-- ========================================
+-- 10. iot_door_sessions Table (Door open/close sessions)
+-- ========================================
+-- One row per door opening, closed_at is NULL while the door is open
+-- (modules.doors.type = mysql)
+
+CREATE TABLE IF NOT EXISTS `iot_door_sessions` (
+  `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `device_id` VARCHAR(50) NOT NULL COMMENT 'Device identifier',
+  `device_type` VARCHAR(20) NOT NULL COMMENT 'Device type (V5008/V6800)',
+  `mod_addr` TINYINT UNSIGNED NOT NULL COMMENT 'Module address',
+  `mod_id` VARCHAR(20) NULL COMMENT 'Module identifier',
+  `opened_at` VARCHAR(30) NOT NULL COMMENT 'Open time in ISO 8601 format',
+  `closed_at` VARCHAR(30) NULL COMMENT 'Close time in ISO 8601 format, NULL while open',
+  `duration_ms` BIGINT UNSIGNED NULL COMMENT 'Time the door was open, NULL while open',
+  `alerted_at` VARCHAR(30) NULL COMMENT 'Time the open-too-long alert was raised',
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Record creation time',
+  PRIMARY KEY (`id`),
+  INDEX `idx_module_opened` (`device_id`, `mod_addr`, `opened_at`),
+  INDEX `idx_opened` (`opened_at`),
+  INDEX `idx_open` (`closed_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Door open/close sessions';
+
+-- ========================================
+-- 11. iot_incidents Table (Door/RFID correlation incidents)
+-- ========================================
+-- Incidents detected by the CorrelationEngine (modules.correlation.type = mysql)
+
+CREATE TABLE IF NOT EXISTS `iot_incidents` (
+  `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `incident_type` VARCHAR(40) NOT NULL COMMENT 'detached_while_door_closed, door_opened_without_change or detached_outside_working_hours',
+  `severity` VARCHAR(10) NOT NULL COMMENT 'info, warning or critical',
+  `device_id` VARCHAR(50) NOT NULL COMMENT 'Device identifier',
+  `device_type` VARCHAR(20) NOT NULL COMMENT 'Device type (V5008/V6800)',
+  `mod_addr` TINYINT UNSIGNED NOT NULL COMMENT 'Module address',
+  `u_pos` TINYINT UNSIGNED NULL COMMENT 'U position of the detached tag',
+  `tag_id` VARCHAR(16) NULL COMMENT 'Detached tag',
+  `detected_at` VARCHAR(30) NOT NULL COMMENT 'Detach or detection time in ISO 8601 format',
+  `details` JSON NOT NULL COMMENT 'Incident details (door times, working hours)',
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Record creation time',
+  PRIMARY KEY (`id`),
+  INDEX `idx_type_detected` (`incident_type`, `detected_at`),
+  INDEX `idx_module_detected` (`device_id`, `mod_addr`, `detected_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Door/RFID correlation incidents';
+
+-- ========================================
+-- 12. iot_topology_changes Table (Module topology history)
+-- ========================================
+-- One row per module added, removed, replaced or resized, detected from heartbeats
+-- Kept apart from iot_device_state so the module_info row of a module is not replaced
+
+CREATE TABLE IF NOT EXISTS `iot_topology_changes` (
+  `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `device_id` VARCHAR(50) NOT NULL COMMENT 'Device identifier',
+  `device_type` VARCHAR(20) NOT NULL COMMENT 'Device type (V5008/V6800)',
+  `mod_addr` TINYINT UNSIGNED NOT NULL COMMENT 'Module address',
+  `change_type` VARCHAR(20) NOT NULL COMMENT 'module_added, module_removed, module_replaced or uTotal_changed',
+  `mod_id` VARCHAR(20) NULL COMMENT 'Module ID after the change, NULL when removed',
+  `u_total` TINYINT UNSIGNED NULL COMMENT 'U positions after the change, NULL when removed',
+  `previous_mod_id` VARCHAR(20) NULL COMMENT 'Module ID before the change, NULL when added',
+  `previous_u_total` TINYINT UNSIGNED NULL COMMENT 'U positions before the change, NULL when added',
+  `changed_at` VARCHAR(30) NOT NULL COMMENT 'Heartbeat time in ISO 8601 format',
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Record creation time',
+  PRIMARY KEY (`id`),
+  INDEX `idx_module_changed` (`device_id`, `mod_addr`, `changed_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Module topology change history';
+
 -- ========================================
 -- Migration Script (if updating existing tables)
 -- ========================================
@@ -12,10 +12,27 @@ const Logger = require('./core/Logger');
 const EventBus = require('./core/EventBus');
 const Database = require('./core/Database');
 const MqttService = require('./modules/mqtt-ingress/MqttService');
+const IngressQueue = require('./modules/mqtt-ingress/IngressQueue');
 const UnifyNormalizer = require('./modules/normalizer/UnifyNormalizer');
 const StorageService = require('./modules/storage/StorageService');
 const ParserRegistry = require('./modules/normalizer/ParserRegistry');
 const ApiServer = require('./modules/api/ApiServer');
+const CommandService = require('./modules/commands/CommandService');
+const CommandTracker = require('./modules/commands/CommandTracker');
+const SyncCoordinator = require('./modules/commands/SyncCoordinator');
+const ContractValidator = require('./modules/normalizer/ContractValidator');
+const MessagePipeline = require('./modules/normalizer/MessagePipeline');
+const MessageDeduplicator = require('./modules/normalizer/MessageDeduplicator');
+const RfidMoveCorrelator = require('./modules/normalizer/RfidMoveCorrelator');
+const RawArchiver = require('./modules/archive/RawArchiver');
+const DeadLetterService = require('./modules/deadletter/DeadLetterService');
+const PresenceTracker = require('./modules/presence/PresenceTracker');
+const DeviceInventory = require('./modules/inventory/DeviceInventory');
+const RuleEngine = require('./modules/rules/RuleEngine');
+const AssetRegistry = require('./modules/assets/AssetRegistry');
+const RackService = require('./modules/racks/RackService');
+const DoorSessionTracker = require('./modules/doors/DoorSessionTracker');
+const CorrelationEngine = require('./modules/correlation/CorrelationEngine');
 
 // Load configuration
 const config = require('../config/default.json');
@@ -68,10 +85,27 @@ class IoTMiddlewareApp {
     this.eventBus = EventBus;
     this.database = Database;
     this.mqttService = null;
+    this.ingressQueue = null;
     this.normalizer = null;
     this.storageService = null;
     this.parserRegistry = new ParserRegistry();
     this.apiServer = null;
+    this.commandService = null;
+    this.commandTracker = null;
+    this.syncCoordinator = null;
+    this.contractValidator = null;
+    this.deduplicator = null;
+    this.moveCorrelator = null;
+    this.pipeline = null;
+    this.rawArchiver = null;
+    this.deadLetterService = null;
+    this.presenceTracker = null;
+    this.deviceInventory = null;
+    this.ruleEngine = null;
+    this.assetRegistry = null;
+    this.rackService = null;
+    this.doorSessionTracker = null;
+    this.correlationEngine = null;
     this.isRunning = false;
     this.config = appConfig;
   }
@@ -99,17 +133,95 @@ class IoTMiddlewareApp {
       // EventBus is already a singleton, no need to instantiate
       
       // Initialize business logic module
-      this.normalizer = new UnifyNormalizer();
+      this.normalizer = new UnifyNormalizer(this.config.modules.normalizer);
+      this._checkMessageTypeCoverage();
+
+      // Initialize parser output validation
+      this.contractValidator = new ContractValidator(this.config.modules.contracts);
+      if (this.contractValidator.mode !== 'off') {
+        this.contractValidator.load();
+      }
+
+      // Suppress broker redeliveries (QoS 1) by messageId
+      this.deduplicator = new MessageDeduplicator(this.config.modules.deduplication);
+
+      // Map RFID tag IDs to assets
+      this.assetRegistry = new AssetRegistry();
+
+      // Pair RFID detach/attach of the same tag into moves
+      this.moveCorrelator = new RfidMoveCorrelator(this.config.modules.rfidMoves);
+
+      // Raw message → normalized data, shared with archive replay
+      this.pipeline = new MessagePipeline({
+        parserRegistry: this.parserRegistry,
+        deduplicator: this.deduplicator,
+        contractValidator: this.contractValidator,
+        normalizer: this.normalizer,
+        assetRegistry: this.assetRegistry,
+        moveCorrelator: this.moveCorrelator
+      });
+
+      // Keep messages the pipeline loses for inspection and retry
+      this.deadLetterService = new DeadLetterService();
+      this.deadLetterService.setPipeline(this.pipeline);
       
       // Initialize persistence module
       this.storageService = new StorageService();
       
       // Initialize ingress module
       this.mqttService = new MqttService();
+      this.ingressQueue = new IngressQueue();
+      this.ingressQueue.setHandler(({ topic, message }) => this.pipeline.process(topic, message));
+      this.mqttService.setFlowControl(() => this.ingressQueue.whenWritable());
+      this.rawArchiver = new RawArchiver();
+
+      // Track when each device was last seen, report offline devices
+      this.presenceTracker = new PresenceTracker();
+      this.presenceTracker.setParserRegistry(this.parserRegistry);
+
+      // Firmware and network inventory from device info
+      this.deviceInventory = new DeviceInventory();
+
+      // Telemetry threshold rules raising alerts
+      this.ruleEngine = new RuleEngine();
+
+      // Rack U-space occupancy from RFID snapshots and heartbeat topology
+      this.rackService = new RackService();
+      this.rackService.setNormalizer(this.normalizer);
+      this.rackService.setAssetRegistry(this.assetRegistry);
+
+      // Door open/close sessions and long-open alerts
+      this.doorSessionTracker = new DoorSessionTracker();
+
+      // Incidents from door openings and RFID changes
+      this.correlationEngine = new CorrelationEngine();
+
+      // Initialize downstream command module
+      this.commandTracker = new CommandTracker();
+      this.commandService = new CommandService();
+      this.commandService.setMqttService(this.mqttService);
+      this.commandService.setCommandTracker(this.commandTracker);
+
+      // Initialize shadow resync module
+      this.syncCoordinator = new SyncCoordinator();
+      this.syncCoordinator.setCommandService(this.commandService);
+      this.syncCoordinator.setStateCache(this.normalizer.stateCache);
       
       // Initialize API server
       this.apiServer = new ApiServer();
       this.apiServer.setMqttService(this.mqttService);
+      this.apiServer.setCommandService(this.commandService);
+      this.apiServer.setCommandTracker(this.commandTracker);
+      this.apiServer.setContractValidator(this.contractValidator);
+      this.apiServer.setDeadLetterService(this.deadLetterService);
+      this.apiServer.setDeduplicator(this.deduplicator);
+      this.apiServer.setPresenceTracker(this.presenceTracker);
+      this.apiServer.setDeviceInventory(this.deviceInventory);
+      this.apiServer.setRuleEngine(this.ruleEngine);
+      this.apiServer.setAssetRegistry(this.assetRegistry);
+      this.apiServer.setRackService(this.rackService);
+      this.apiServer.setDoorSessionTracker(this.doorSessionTracker);
+      this.apiServer.setCorrelationEngine(this.correlationEngine);
 
       // 3. Start enabled modules
       await this._startEnabledModules();
@@ -129,6 +241,24 @@ class IoTMiddlewareApp {
     }
   }
 
+  /**
+   * Report parser message types that have no normalizer handler
+   * Such messages are parsed but dropped by the normalizer
+   * @private
+   */
+  _checkMessageTypeCoverage() {
+    const { complete, gaps } = this.parserRegistry.checkCoverage(this.normalizer);
+
+    if (complete) {
+      this.logger.info('IoT Middleware V5: All parser message types have normalizer handlers');
+      return;
+    }
+
+    for (const gap of gaps) {
+      this.logger.warn('IoT Middleware V5: Parser message type has no normalizer handler', gap);
+    }
+  }
+
   /**
    * Start enabled modules based on configuration
    * @private
@@ -137,12 +267,74 @@ class IoTMiddlewareApp {
   async _startEnabledModules() {
     const modules = this.config.modules;
 
+    // Restore device shadows before any message is normalized
+    this.logger.info('IoT Middleware V5: Starting Normalizer...');
+    await this.normalizer.start();
+
     // Start Storage Service if enabled
     if (modules.storage?.enabled !== false) {
       this.logger.info('IoT Middleware V5: Starting Storage Service...');
       await this.storageService.start();
     }
 
+    // Start Dead Letter Service if enabled (uses the database, after storage)
+    if (modules.deadLetters?.enabled !== false) {
+      this.logger.info('IoT Middleware V5: Starting Dead Letter Service...');
+      await this.deadLetterService.start(modules.deadLetters);
+    }
+
+    // Start Device Inventory if enabled (loads stored device info)
+    if (modules.inventory?.enabled !== false) {
+      this.logger.info('IoT Middleware V5: Starting Device Inventory...');
+      await this.deviceInventory.start();
+    }
+
+    // Start Asset Registry if enabled (loads stored assets before RFID data is enriched)
+    if (modules.assets?.enabled !== false) {
+      this.logger.info('IoT Middleware V5: Starting Asset Registry...');
+      await this.assetRegistry.start(modules.assets);
+    }
+
+    // Start Rule Engine if enabled (loads stored rules)
+    if (modules.rules?.enabled !== false) {
+      this.logger.info('IoT Middleware V5: Starting Rule Engine...');
+      await this.ruleEngine.start(modules.rules);
+    }
+
+    // Start Rack Service if enabled (loads stored RFID snapshots)
+    if (modules.racks?.enabled !== false) {
+      this.logger.info('IoT Middleware V5: Starting Rack Service...');
+      await this.rackService.start(modules.racks);
+    }
+
+    // Start Door Session Tracker if enabled (restores open sessions)
+    if (modules.doors?.enabled !== false) {
+      this.logger.info('IoT Middleware V5: Starting Door Session Tracker...');
+      await this.doorSessionTracker.start(modules.doors);
+    }
+
+    // Start Correlation Engine if enabled
+    if (modules.correlation?.enabled !== false) {
+      this.logger.info('IoT Middleware V5: Starting Correlation Engine...');
+      await this.correlationEngine.start(modules.correlation);
+    }
+
+    // Start Ingress Queue (before MQTT so no message is dropped)
+    this.logger.info('IoT Middleware V5: Starting Ingress Queue...');
+    this.ingressQueue.start(modules.ingress);
+
+    // Start Raw Archiver if enabled (before MQTT so no message is missed)
+    if (modules.archive?.enabled) {
+      this.logger.info('IoT Middleware V5: Starting Raw Archiver...');
+      this.rawArchiver.start(modules.archive);
+    }
+
+    // Start Presence Tracker if enabled (before MQTT so every device is seen)
+    if (modules.presence?.enabled !== false) {
+      this.logger.info('IoT Middleware V5: Starting Presence Tracker...');
+      await this.presenceTracker.start(modules.presence);
+    }
+
     // Start MQTT Service if enabled
     if (modules['mqtt-ingress']?.enabled !== false) {
       this.logger.info('IoT Middleware V5: Starting MQTT Service...');
@@ -156,6 +348,18 @@ class IoTMiddlewareApp {
       }
     }
 
+    // Start Command Tracker if enabled
+    if (modules.commands?.enabled !== false) {
+      this.logger.info('IoT Middleware V5: Starting Command Tracker...');
+      this.commandTracker.start(modules.commands);
+    }
+
+    // Start Sync Coordinator if enabled
+    if (modules.sync?.enabled !== false) {
+      this.logger.info('IoT Middleware V5: Starting Sync Coordinator...');
+      this.syncCoordinator.start(modules.sync);
+    }
+
     // Start API Server if enabled
     if (modules.api?.enabled !== false) {
       this.logger.info('IoT Middleware V5: Starting API Server...');
@@ -177,44 +381,9 @@ class IoTMiddlewareApp {
   _wireEventHandlers() {
     this.logger.info('IoT Middleware V5: Wiring event handlers...');
 
-    // Subscribe to MQTT messages and pass to Normalizer
-    this.eventBus.on('mqtt.message', async (mqttData) => {
-      try {
-        this.logger.debug('IoT Middleware V5: Processing MQTT message', {
-          topic: mqttData.topic
-        });
-
-        // Get appropriate parser from registry
-        const parser = this.parserRegistry.getParser(mqttData.topic);
-        let parsedData;
-        
-        if (parser) {
-          parsedData = parser.parse(mqttData.topic, mqttData.message);
-        } else {
-          this.logger.warn('IoT Middleware V5: No parser found for topic', {
-            topic: mqttData.topic
-          });
-        }
-
-        if (parsedData) {
-          // Pass parsed data to Normalizer
-          const normalizedData = await this.normalizer.normalize(parsedData);
-          
-          this.logger.debug('IoT Middleware V5: Normalized data', {
-            count: normalizedData.length,
-            types: normalizedData.map(item => item.type)
-          });
-
-          // Pass normalized data to Storage Service (via EventBus)
-          this.eventBus.emit('data.normalized', normalizedData);
-        }
-      } catch (error) {
-        this.logger.error('IoT Middleware V5: Error processing MQTT message', {
-          topic: mqttData.topic,
-          error: error.message,
-          stack: error.stack
-        });
-      }
+    // Queue MQTT messages, processed in order per device by the pipeline
+    this.eventBus.on('mqtt.message', (mqttData) => {
+      this.ingressQueue.enqueue(mqttData);
     });
 
     // Handle storage service errors
@@ -245,11 +414,41 @@ class IoTMiddlewareApp {
         connected: this.database.isConnectionActive()
       },
       mqtt: this.mqttService ? this.mqttService.getConnectionStats() : null,
+      ingress: this.ingressQueue ? this.ingressQueue.getStats() : null,
       api: this.apiServer ? this.apiServer.getStatus() : null,
+      deduplication: this.deduplicator ? this.deduplicator.getStats() : null,
+      rfidMoves: this.moveCorrelator ? this.moveCorrelator.getStats() : null,
+      contracts: this.contractValidator ? this.contractValidator.getStats() : null,
+      archive: this.rawArchiver?.isStarted ? this.rawArchiver.getStats() : null,
+      presence: this.presenceTracker?.isStarted ? this.presenceTracker.getStats() : null,
+      inventory: this.deviceInventory?.isStarted ? this.deviceInventory.getStats() : null,
+      rules: this.ruleEngine?.isStarted ? this.ruleEngine.getStats() : null,
+      assets: this.assetRegistry?.isStarted ? this.assetRegistry.getStats() : null,
+      racks: this.rackService?.isStarted ? this.rackService.getStats() : null,
+      doors: this.doorSessionTracker?.isStarted ? this.doorSessionTracker.getStats() : null,
+      correlation: this.correlationEngine?.isStarted ? this.correlationEngine.getStats() : null,
+      deadLetters: this.deadLetterService ? this.deadLetterService.getStats() : null,
+      cache: this.normalizer ? this._summarizeCache(this.normalizer.stateCache.getStats()) : null,
+      commands: this.commandService ? {
+        ...this.commandService.getStats(),
+        tracker: this.commandTracker.getStats(),
+        sync: this.syncCoordinator.getStats()
+      } : null,
       storage: this.storageService ? this.storageService.getStatus() : null
     };
   }
 
+  /**
+   * Drop the per-module listing from cache statistics
+   * @param {Object} cacheStats - StateCache statistics
+   * @returns {Object} Cache counters without the module list
+   * @private
+   */
+  _summarizeCache(cacheStats) {
+    const { modules, ...summary } = cacheStats;
+    return summary;
+  }
+
   /**
    * Gracefully shutdown the application
    * @returns {Promise<void>}
@@ -271,6 +470,90 @@ class IoTMiddlewareApp {
           await this.mqttService.stop();
         }
 
+        // Finish queued messages
+        if (this.ingressQueue) {
+          this.logger.info('IoT Middleware V5: Stopping Ingress Queue...');
+          await this.ingressQueue.stop();
+        }
+
+        // Close the current archive segment
+        if (this.rawArchiver) {
+          this.logger.info('IoT Middleware V5: Stopping Raw Archiver...');
+          await this.rawArchiver.stop();
+        }
+
+        // Stop offline detection
+        if (this.presenceTracker) {
+          this.logger.info('IoT Middleware V5: Stopping Presence Tracker...');
+          this.presenceTracker.stop();
+        }
+
+        // Emit detached tags still waiting for their attach
+        if (this.moveCorrelator) {
+          this.logger.info('IoT Middleware V5: Stopping RFID Move Correlator...');
+          this.moveCorrelator.stop();
+        }
+
+        // Finish pending incident writes
+        if (this.correlationEngine) {
+          this.logger.info('IoT Middleware V5: Stopping Correlation Engine...');
+          await this.correlationEngine.stop();
+        }
+
+        // Finish pending door session writes
+        if (this.doorSessionTracker) {
+          this.logger.info('IoT Middleware V5: Stopping Door Session Tracker...');
+          await this.doorSessionTracker.stop();
+        }
+
+        // Stop Rack Service
+        if (this.rackService) {
+          this.logger.info('IoT Middleware V5: Stopping Rack Service...');
+          this.rackService.stop();
+        }
+
+        // Stop evaluating rules, flush the rule file
+        if (this.ruleEngine) {
+          this.logger.info('IoT Middleware V5: Stopping Rule Engine...');
+          await this.ruleEngine.stop();
+        }
+
+        // Flush the asset file
+        if (this.assetRegistry) {
+          this.logger.info('IoT Middleware V5: Stopping Asset Registry...');
+          await this.assetRegistry.stop();
+        }
+
+        // Stop Device Inventory
+        if (this.deviceInventory) {
+          this.logger.info('IoT Middleware V5: Stopping Device Inventory...');
+          this.deviceInventory.stop();
+        }
+
+        // Stop Sync Coordinator
+        if (this.syncCoordinator) {
+          this.logger.info('IoT Middleware V5: Stopping Sync Coordinator...');
+          this.syncCoordinator.stop();
+        }
+
+        // Stop Command Tracker
+        if (this.commandTracker) {
+          this.logger.info('IoT Middleware V5: Stopping Command Tracker...');
+          this.commandTracker.stop();
+        }
+
+        // Flush dead letters
+        if (this.deadLetterService) {
+          this.logger.info('IoT Middleware V5: Stopping Dead Letter Service...');
+          await this.deadLetterService.stop();
+        }
+
+        // Flush device shadows
+        if (this.normalizer) {
+          this.logger.info('IoT Middleware V5: Stopping Normalizer...');
+          await this.normalizer.stop();
+        }
+
         // Stop Storage Service
         if (this.storageService) {
           this.logger.info('IoT Middleware V5: Stopping Storage Service...');
@@ -1,6 +1,16 @@
 const express = require('express');
 const Logger = require('../../core/Logger');
 const Database = require('../../core/Database');
+const createCommandRoutes = require('./routes/commandRoutes');
+const createContractRoutes = require('./routes/contractRoutes');
+const createDeadLetterRoutes = require('./routes/deadLetterRoutes');
+const createPresenceRoutes = require('./routes/presenceRoutes');
+const createInventoryRoutes = require('./routes/inventoryRoutes');
+const createRuleRoutes = require('./routes/ruleRoutes');
+const createAssetRoutes = require('./routes/assetRoutes');
+const createRackRoutes = require('./routes/rackRoutes');
+const createDoorRoutes = require('./routes/doorRoutes');
+const createIncidentRoutes = require('./routes/incidentRoutes');
 
 /**
  * API Server - Provides REST API endpoints for the IoT Middleware
@@ -12,6 +22,18 @@ class ApiServer {
     this.server = null;
     this.logger = Logger;
     this.mqttService = null;
+    this.commandService = null;
+    this.commandTracker = null;
+    this.contractValidator = null;
+    this.deadLetterService = null;
+    this.deduplicator = null;
+    this.presenceTracker = null;
+    this.deviceInventory = null;
+    this.ruleEngine = null;
+    this.assetRegistry = null;
+    this.rackService = null;
+    this.doorSessionTracker = null;
+    this.correlationEngine = null;
     this.port = process.env.API_PORT || 3000;
     this.host = process.env.API_HOST || '0.0.0.0';
     this.isRunning = false;
@@ -81,11 +103,59 @@ class ApiServer {
         version: '1.0.0',
         status: 'running',
         endpoints: {
-          health: '/health'
+          health: '/health',
+          sendCommand: 'POST /devices/:id/commands',
+          commandStatus: '/commands/:commandId',
+          contracts: '/contracts',
+          contractRejections: '/contracts/rejections',
+          deadLetters: '/dead-letters',
+          deadLetterRetry: 'POST /dead-letters/:id/retry',
+          presence: '/presence',
+          inventory: '/inventory',
+          rules: '/rules',
+          alerts: '/alerts',
+          assets: '/assets',
+          assetImport: 'POST /assets/import',
+          rackOccupancy: '/racks/:deviceId/:modAddr/occupancy',
+          capacitySearch: '/capacity/search?units=N',
+          openDoors: '/doors/open',
+          doorSessions: '/doors/sessions',
+          doorStats: '/doors/stats',
+          incidents: '/incidents'
         }
       });
     });
 
+    // Device command endpoints
+    this.app.use(createCommandRoutes(this));
+
+    // Parser contract validation endpoints
+    this.app.use(createContractRoutes(this));
+
+    // Dead letter endpoints
+    this.app.use(createDeadLetterRoutes(this));
+
+    // Device presence endpoints
+    this.app.use(createPresenceRoutes(this));
+
+    // Device inventory endpoints
+    this.app.use(createInventoryRoutes(this));
+
+    // Telemetry alert rule endpoints
+    this.app.use(createRuleRoutes(this));
+
+    // Asset registry endpoints
+    this.app.use(createAssetRoutes(this));
+
+    // Rack occupancy and capacity endpoints
+    this.app.use(createRackRoutes(this));
+
+    // Door session endpoints
+    this.app.use(createDoorRoutes(this));
+
+    // Door/RFID incident endpoints
+    this.app.use(createIncidentRoutes(this));
+
     // 404 handler
     this.app.use((req, res) => {
       res.status(404).json({
@@ -129,7 +199,8 @@ class ApiServer {
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       uptimeFormatted: this._formatUptime(process.uptime()),
-      checks
+      checks,
+      deduplication: this.deduplicator ? this.deduplicator.getStats() : null
     };
   }
 
@@ -244,6 +315,114 @@ class ApiServer {
     this.logger.info('ApiServer: MQTT service reference set');
   }
 
+  /**
+   * Set command service reference for the command endpoints
+   * @param {CommandService} commandService - Command service instance
+   */
+  setCommandService(commandService) {
+    this.commandService = commandService;
+    this.logger.info('ApiServer: Command service reference set');
+  }
+
+  /**
+   * Set command tracker reference for command status lookups
+   * @param {CommandTracker} commandTracker - Command tracker instance
+   */
+  setCommandTracker(commandTracker) {
+    this.commandTracker = commandTracker;
+    this.logger.info('ApiServer: Command tracker reference set');
+  }
+
+  /**
+   * Set contract validator reference for the contract endpoints
+   * @param {ContractValidator} contractValidator - Contract validator instance
+   */
+  setContractValidator(contractValidator) {
+    this.contractValidator = contractValidator;
+    this.logger.info('ApiServer: Contract validator reference set');
+  }
+
+  /**
+   * Set dead letter service reference for the dead letter endpoints
+   * @param {DeadLetterService} deadLetterService - Dead letter service instance
+   */
+  setDeadLetterService(deadLetterService) {
+    this.deadLetterService = deadLetterService;
+    this.logger.info('ApiServer: Dead letter service reference set');
+  }
+
+  /**
+   * Set message deduplicator reference for the duplicate counts in /health
+   * @param {MessageDeduplicator} deduplicator - Message deduplicator instance
+   */
+  setDeduplicator(deduplicator) {
+    this.deduplicator = deduplicator;
+    this.logger.info('ApiServer: Deduplicator reference set');
+  }
+
+  /**
+   * Set presence tracker reference for the presence endpoints
+   * @param {PresenceTracker} presenceTracker - Presence tracker instance
+   */
+  setPresenceTracker(presenceTracker) {
+    this.presenceTracker = presenceTracker;
+    this.logger.info('ApiServer: Presence tracker reference set');
+  }
+
+  /**
+   * Set device inventory reference for the inventory endpoints
+   * @param {DeviceInventory} deviceInventory - Device inventory instance
+   */
+  setDeviceInventory(deviceInventory) {
+    this.deviceInventory = deviceInventory;
+    this.logger.info('ApiServer: Device inventory reference set');
+  }
+
+  /**
+   * Set rule engine reference for the rule and alert endpoints
+   * @param {RuleEngine} ruleEngine - Rule engine instance
+   */
+  setRuleEngine(ruleEngine) {
+    this.ruleEngine = ruleEngine;
+    this.logger.info('ApiServer: Rule engine reference set');
+  }
+
+  /**
+   * Set asset registry reference for the asset endpoints
+   * @param {AssetRegistry} assetRegistry - Asset registry instance
+   */
+  setAssetRegistry(assetRegistry) {
+    this.assetRegistry = assetRegistry;
+    this.logger.info('ApiServer: Asset registry reference set');
+  }
+
+  /**
+   * Set rack service reference
+   * @param {RackService} rackService - Rack service instance
+   */
+  setRackService(rackService) {
+    this.rackService = rackService;
+    this.logger.info('ApiServer: Rack service reference set');
+  }
+
+  /**
+   * Set door session tracker reference
+   * @param {DoorSessionTracker} doorSessionTracker - Door session tracker instance
+   */
+  setDoorSessionTracker(doorSessionTracker) {
+    this.doorSessionTracker = doorSessionTracker;
+    this.logger.info('ApiServer: Door session tracker reference set');
+  }
+
+  /**
+   * Set correlation engine reference
+   * @param {CorrelationEngine} correlationEngine - Correlation engine instance
+   */
+  setCorrelationEngine(correlationEngine) {
+    this.correlationEngine = correlationEngine;
+    this.logger.info('ApiServer: Correlation engine reference set');
+  }
+
   /**
    * Start the API server
    * @returns {Promise<void>}
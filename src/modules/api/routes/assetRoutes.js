@@ -0,0 +1,151 @@
+const express = require('express');
+const AssetValidationError = require('../../assets/AssetValidationError');
+
+/**
+ * Asset Routes - Manage the tag ID → asset registry
+ *
+ *   GET    /assets                List assets (?owner=&model=&q=)
+ *   GET    /assets/unknown        Tags seen on devices that are not registered
+ *   GET    /assets/:tagId         One asset
+ *   POST   /assets                Register an asset { "tagId", "name", "owner", "model", "serialNumber", "heightU" }
+ *   POST   /assets/import         Register or update assets from CSV (Content-Type: text/csv)
+ *   PUT    /assets/:tagId         Change asset fields
+ *   DELETE /assets/:tagId         Remove an asset
+ *
+ * Store errors are left to the ApiServer error handler (500)
+ * @param {ApiServer} apiServer - Server holding the asset registry reference
+ * @returns {express.Router} Router with the asset endpoints
+ */
+function createAssetRoutes(apiServer) {
+  const router = express.Router();
+
+  /**
+   * Reject requests while the asset registry is not running
+   * @param {express.Response} res - Response
+   * @returns {boolean} True if the registry is available
+   */
+  const requireRegistry = (res) => {
+    if (apiServer.assetRegistry?.isStarted) return true;
+
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Asset registry is not running'
+    });
+    return false;
+  };
+
+  /**
+   * Answer 404 for an unregistered tag
+   * @param {express.Response} res - Response
+   * @param {string} tagId - Tag ID
+   */
+  const notFound = (res, tagId) => res.status(404).json({
+    error: 'Not Found',
+    message: `No asset for tag ${tagId}`
+  });
+
+  /**
+   * Answer 400 for invalid asset data, rethrow anything else
+   * @param {express.Response} res - Response
+   * @param {Error} error - Error raised by the asset registry
+   */
+  const rejectInvalid = (res, error) => {
+    if (!(error instanceof AssetValidationError)) throw error;
+
+    res.status(400).json({
+      error: 'Bad Request',
+      message: error.message,
+      details: error.details
+    });
+  };
+
+  router.get('/assets', (req, res) => {
+    if (!requireRegistry(res)) return;
+
+    const { owner, model, q } = req.query;
+    const assets = apiServer.assetRegistry.list({ owner, model, q });
+    res.json({
+      count: assets.length,
+      assets
+    });
+  });
+
+  router.get('/assets/unknown', (req, res) => {
+    if (!requireRegistry(res)) return;
+
+    const tags = apiServer.assetRegistry.getUnknownTags();
+    res.json({
+      count: tags.length,
+      tags
+    });
+  });
+
+  router.get('/assets/:tagId', (req, res) => {
+    if (!requireRegistry(res)) return;
+
+    const asset = apiServer.assetRegistry.get(req.params.tagId);
+    if (!asset) return notFound(res, req.params.tagId);
+
+    res.json(asset);
+  });
+
+  router.post('/assets/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    if (!requireRegistry(res)) return;
+
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Body must be CSV text (Content-Type: text/csv)'
+      });
+    }
+
+    try {
+      res.json(await apiServer.assetRegistry.importCsv(req.body));
+    } catch (error) {
+      rejectInvalid(res, error);
+    }
+  });
+
+  router.post('/assets', async (req, res) => {
+    if (!requireRegistry(res)) return;
+
+    try {
+      const asset = await apiServer.assetRegistry.create(req.body);
+      if (!asset) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Tag ${req.body.tagId} is already registered`
+        });
+      }
+
+      res.status(201).json(asset);
+    } catch (error) {
+      rejectInvalid(res, error);
+    }
+  });
+
+  router.put('/assets/:tagId', async (req, res) => {
+    if (!requireRegistry(res)) return;
+
+    try {
+      const asset = await apiServer.assetRegistry.update(req.params.tagId, req.body);
+      if (!asset) return notFound(res, req.params.tagId);
+
+      res.json(asset);
+    } catch (error) {
+      rejectInvalid(res, error);
+    }
+  });
+
+  router.delete('/assets/:tagId', async (req, res) => {
+    if (!requireRegistry(res)) return;
+
+    if (!await apiServer.assetRegistry.delete(req.params.tagId)) return notFound(res, req.params.tagId);
+
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = createAssetRoutes;
@@ -0,0 +1,148 @@
+const express = require('express');
+const Database = require('../../../core/Database');
+const CommandValidationError = require('../../commands/CommandValidationError');
+
+// Commands accepted by POST /devices/:id/commands and the body fields each one uses
+const COMMAND_FIELDS = {
+  setColor: ['modAddr', 'colors'],
+  queryColor: ['modAddr'],
+  clearAlarm: ['modAddr', 'uPos'],
+  queryRfid: ['modAddr'],
+  queryTemHum: ['modAddr'],
+  queryDoor: ['modAddr'],
+  queryNoise: ['modAddr'],
+  queryDeviceInfo: [],
+  queryModuleInfo: []
+};
+
+/**
+ * Command Routes - Lets HTTP clients drive devices without talking MQTT
+ *
+ *   POST /devices/:id/commands   { "command": "setColor", "modAddr": 1, "colors": [{ "uPos": 3, "color": "red" }] }
+ *   GET  /commands/:commandId    Lifecycle status of a sent command
+ *
+ * The device family is looked up from iot_device_state.device_type
+ * @param {ApiServer} apiServer - Server holding the command service and tracker references
+ * @returns {express.Router} Router with the command endpoints
+ */
+function createCommandRoutes(apiServer) {
+  const router = express.Router();
+  const logger = apiServer.logger;
+
+  router.post('/devices/:id/commands', async (req, res) => {
+    const deviceId = req.params.id;
+    const body = req.body || {};
+    const { command } = body;
+
+    if (!apiServer.commandService) {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Command service has not been initialized'
+      });
+    }
+
+    if (typeof command !== 'string' || !COMMAND_FIELDS[command]) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `command must be one of: ${Object.keys(COMMAND_FIELDS).join(', ')}`
+      });
+    }
+
+    let deviceType;
+    try {
+      deviceType = await resolveDeviceType(deviceId);
+    } catch (error) {
+      logger.error('ApiServer: Failed to resolve device type', {
+        deviceId,
+        error: error.message
+      });
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Unable to look up device type'
+      });
+    }
+
+    if (!deviceType) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Unknown device: ${deviceId}`
+      });
+    }
+
+    const params = {};
+    for (const field of COMMAND_FIELDS[command]) {
+      if (body[field] !== undefined) params[field] = body[field];
+    }
+
+    try {
+      const sent = await apiServer.commandService.send(deviceType, deviceId, command, params);
+
+      res.status(202).json({
+        commandId: sent.commandId || null,
+        status: sent.status || 'sent',
+        deviceId,
+        deviceType,
+        command,
+        topic: sent.topic,
+        sentAt: sent.sentAt
+      });
+    } catch (error) {
+      if (error instanceof CommandValidationError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error.message,
+          details: error.details
+        });
+      }
+
+      logger.error('ApiServer: Failed to send command', {
+        deviceId,
+        command,
+        error: error.message
+      });
+
+      res.status(503).json({
+        error: 'Service Unavailable',
+        message: error.message
+      });
+    }
+  });
+
+  router.get('/commands/:commandId', (req, res) => {
+    if (!apiServer.commandTracker) {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Command tracker has not been initialized'
+      });
+    }
+
+    const record = apiServer.commandTracker.getCommand(req.params.commandId);
+    if (!record) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Unknown command: ${req.params.commandId}`
+      });
+    }
+
+    res.json(record);
+  });
+
+  return router;
+}
+
+/**
+ * Look up the protocol family of a device from its stored state
+ * @param {string} deviceId - Device identifier
+ * @returns {Promise<string|null>} Device type ("V5008"/"V6800") or null if never seen
+ */
+async function resolveDeviceType(deviceId) {
+  const row = await Database.getKnex()('iot_device_state')
+    .select('device_type')
+    .where('device_id', deviceId)
+    .orderBy('updated_at', 'desc')
+    .first();
+
+  return row ? row.device_type : null;
+}
+
+module.exports = createCommandRoutes;
@@ -0,0 +1,56 @@
+const express = require('express');
+
+/**
+ * Contract Routes - Inspect parser output rejected by the ContractValidator
+ *
+ *   GET /contracts                Validation mode, covered device types and counters
+ *   GET /contracts/rejections     Rejected messages with their validation errors (?limit=N)
+ *
+ * @param {ApiServer} apiServer - Server holding the contract validator reference
+ * @returns {express.Router} Router with the contract endpoints
+ */
+function createContractRoutes(apiServer) {
+  const router = express.Router();
+
+  /**
+   * Reject requests while the validator is missing
+   * @param {express.Response} res - Response
+   * @returns {boolean} True if the validator is available
+   */
+  const requireValidator = (res) => {
+    if (apiServer.contractValidator) return true;
+
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Contract validator has not been initialized'
+    });
+    return false;
+  };
+
+  router.get('/contracts', (req, res) => {
+    if (!requireValidator(res)) return;
+    res.json(apiServer.contractValidator.getStats());
+  });
+
+  router.get('/contracts/rejections', (req, res) => {
+    if (!requireValidator(res)) return;
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'limit must be a positive integer'
+      });
+    }
+
+    const rejections = apiServer.contractValidator.getRejected(limit);
+    res.json({
+      count: rejections.length,
+      rejections
+    });
+  });
+
+  return router;
+}
+
+module.exports = createContractRoutes;
@@ -0,0 +1,139 @@
+const express = require('express');
+
+/**
+ * Dead Letter Routes - Inspect, retry and purge messages the pipeline lost
+ *
+ *   GET    /dead-letters                List entries (?stage=&status=&deviceId=&limit=&offset=)
+ *   GET    /dead-letters/:id            Entry with its raw payload (hex and text)
+ *   POST   /dead-letters/:id/retry      Run the entry through the pipeline again
+ *   DELETE /dead-letters/:id            Remove one entry
+ *   DELETE /dead-letters                Purge entries (?stage=&status=&deviceId=&before=ISO)
+ *
+ * Store errors are left to the ApiServer error handler (500)
+ * @param {ApiServer} apiServer - Server holding the dead letter service reference
+ * @returns {express.Router} Router with the dead letter endpoints
+ */
+function createDeadLetterRoutes(apiServer) {
+  const router = express.Router();
+
+  /**
+   * Reject requests while the dead letter service is missing
+   * @param {express.Response} res - Response
+   * @returns {boolean} True if the service is available
+   */
+  const requireService = (res) => {
+    if (apiServer.deadLetterService?.isStarted) return true;
+
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Dead letter service has not been initialized'
+    });
+    return false;
+  };
+
+  /**
+   * Parse the entry id path parameter
+   * @param {express.Request} req - Request
+   * @param {express.Response} res - Response
+   * @returns {number|null} Entry id, or null after answering 400
+   */
+  const parseId = (req, res) => {
+    const id = Number(req.params.id);
+    if (Number.isInteger(id) && id > 0) return id;
+
+    res.status(400).json({
+      error: 'Bad Request',
+      message: 'id must be a positive integer'
+    });
+    return null;
+  };
+
+  /**
+   * Answer 404 for an unknown entry
+   * @param {express.Response} res - Response
+   * @param {number} id - Entry id
+   */
+  const notFound = (res, id) => res.status(404).json({
+    error: 'Not Found',
+    message: `Unknown dead letter: ${id}`
+  });
+
+  router.get('/dead-letters', async (req, res) => {
+    if (!requireService(res)) return;
+
+    const { stage, status, deviceId } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+    const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+
+    if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'limit must be a positive integer and offset a non-negative integer'
+      });
+    }
+
+    const result = await apiServer.deadLetterService.list({ stage, status, deviceId, limit, offset });
+    res.json({
+      ...result,
+      count: result.entries.length,
+      limit,
+      offset
+    });
+  });
+
+  router.get('/dead-letters/:id', async (req, res) => {
+    if (!requireService(res)) return;
+    const id = parseId(req, res);
+    if (id === null) return;
+
+    const entry = await apiServer.deadLetterService.get(id);
+    if (!entry) return notFound(res, id);
+
+    res.json(entry);
+  });
+
+  router.post('/dead-letters/:id/retry', async (req, res) => {
+    if (!requireService(res)) return;
+    const id = parseId(req, res);
+    if (id === null) return;
+
+    const result = await apiServer.deadLetterService.retry(id);
+    if (!result) return notFound(res, id);
+
+    res.json(result);
+  });
+
+  router.delete('/dead-letters/:id', async (req, res) => {
+    if (!requireService(res)) return;
+    const id = parseId(req, res);
+    if (id === null) return;
+
+    if (!await apiServer.deadLetterService.delete(id)) return notFound(res, id);
+
+    res.status(204).end();
+  });
+
+  router.delete('/dead-letters', async (req, res) => {
+    if (!requireService(res)) return;
+
+    const { stage, status, deviceId, before } = req.query;
+    if (before !== undefined && Number.isNaN(Date.parse(before))) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'before must be an ISO 8601 date-time'
+      });
+    }
+
+    const purged = await apiServer.deadLetterService.purge({
+      stage,
+      status,
+      deviceId,
+      before: before !== undefined ? new Date(before).toISOString() : undefined
+    });
+    res.json({ purged });
+  });
+
+  return router;
+}
+
+module.exports = createDeadLetterRoutes;
@@ -0,0 +1,120 @@
+const express = require('express');
+
+/**
+ * Door Routes - Door open sessions and statistics from the DoorSessionTracker
+ *
+ *   GET /doors/open       Doors open now, longest open first
+ *   GET /doors/sessions   Stored sessions (?deviceId=&modAddr=&from=&to=&limit=)
+ *   GET /doors/stats      Opens and open durations per rack module (?deviceId=&modAddr=&from=&to=&interval=hour|day)
+ *
+ * from and to are ISO 8601 timestamps compared with the session's open time.
+ * @param {ApiServer} apiServer - Server holding the door session tracker reference
+ * @returns {express.Router} Router with the door endpoints
+ */
+function createDoorRoutes(apiServer) {
+  const router = express.Router();
+  const intervals = ['hour', 'day'];
+
+  /**
+   * Reject requests while the tracker is not running
+   * @param {express.Response} res - Response
+   * @returns {boolean} True if the tracker is available
+   */
+  const requireTracker = (res) => {
+    if (apiServer.doorSessionTracker?.isStarted) return true;
+
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Door session tracker is not running'
+    });
+    return false;
+  };
+
+  /**
+   * Parse the session filter of the query string
+   * @param {express.Request} req - Request
+   * @param {express.Response} res - Response
+   * @returns {Object|null} Filter ({ deviceId, modAddr, from, to }), or null after answering 400
+   */
+  const parseFilter = (req, res) => {
+    const { deviceId, modAddr, from, to } = req.query;
+    const badRequest = (message) => {
+      res.status(400).json({ error: 'Bad Request', message });
+      return null;
+    };
+
+    const filter = { deviceId };
+    if (modAddr !== undefined) {
+      filter.modAddr = Number(modAddr);
+      if (!Number.isInteger(filter.modAddr) || filter.modAddr < 0) {
+        return badRequest('modAddr must be a non-negative integer');
+      }
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value === undefined) continue;
+      if (Number.isNaN(Date.parse(value))) return badRequest(`${name} must be an ISO 8601 timestamp`);
+      filter[name] = new Date(value).toISOString();
+    }
+
+    return filter;
+  };
+
+  router.get('/doors/open', (req, res) => {
+    if (!requireTracker(res)) return;
+
+    const doors = apiServer.doorSessionTracker.getOpenDoors();
+    res.json({
+      maxOpenMs: apiServer.doorSessionTracker.maxOpenMs,
+      count: doors.length,
+      doors
+    });
+  });
+
+  router.get('/doors/sessions', async (req, res) => {
+    if (!requireTracker(res)) return;
+
+    const filter = parseFilter(req, res);
+    if (!filter) return;
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'limit must be a positive integer'
+      });
+    }
+
+    const sessions = await apiServer.doorSessionTracker.listSessions({ ...filter, limit });
+    res.json({
+      count: sessions.length,
+      sessions
+    });
+  });
+
+  router.get('/doors/stats', async (req, res) => {
+    if (!requireTracker(res)) return;
+
+    const filter = parseFilter(req, res);
+    if (!filter) return;
+
+    const interval = req.query.interval || 'day';
+    if (!intervals.includes(interval)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `interval must be one of: ${intervals.join(', ')}`
+      });
+    }
+
+    const racks = await apiServer.doorSessionTracker.getStatistics({ ...filter, interval });
+    res.json({
+      interval,
+      count: racks.length,
+      racks
+    });
+  });
+
+  return router;
+}
+
+module.exports = createDoorRoutes;
@@ -0,0 +1,95 @@
+const express = require('express');
+const CorrelationEngine = require('../../correlation/CorrelationEngine');
+
+/**
+ * Incident Routes - Door/RFID incidents detected by the CorrelationEngine
+ *
+ *   GET /incidents       Incidents, most recent first (?type=&deviceId=&modAddr=&from=&to=&limit=&offset=)
+ *   GET /incidents/:id   One incident
+ *
+ * @param {ApiServer} apiServer - Server holding the correlation engine reference
+ * @returns {express.Router} Router with the incident endpoints
+ */
+function createIncidentRoutes(apiServer) {
+  const router = express.Router();
+  const types = Object.values(CorrelationEngine.INCIDENTS);
+
+  /**
+   * Reject requests while the correlation engine is not running
+   * @param {express.Response} res - Response
+   * @returns {boolean} True if the engine is available
+   */
+  const requireEngine = (res) => {
+    if (apiServer.correlationEngine?.isStarted) return true;
+
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Correlation engine is not running'
+    });
+    return false;
+  };
+
+  router.get('/incidents', async (req, res) => {
+    if (!requireEngine(res)) return;
+
+    const { type, deviceId, from, to } = req.query;
+    const badRequest = (message) => res.status(400).json({ error: 'Bad Request', message });
+
+    if (type !== undefined && !types.includes(type)) {
+      return badRequest(`type must be one of: ${types.join(', ')}`);
+    }
+
+    const filter = { type, deviceId };
+    if (req.query.modAddr !== undefined) {
+      filter.modAddr = Number(req.query.modAddr);
+      if (!Number.isInteger(filter.modAddr) || filter.modAddr < 0) {
+        return badRequest('modAddr must be a non-negative integer');
+      }
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value === undefined) continue;
+      if (Number.isNaN(Date.parse(value))) return badRequest(`${name} must be an ISO 8601 timestamp`);
+      filter[name] = new Date(value).toISOString();
+    }
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+    const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+    if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(offset) || offset < 0) {
+      return badRequest('limit must be a positive and offset a non-negative integer');
+    }
+
+    const { total, incidents } = await apiServer.correlationEngine.listIncidents({ ...filter, limit, offset });
+    res.json({
+      total,
+      count: incidents.length,
+      incidents
+    });
+  });
+
+  router.get('/incidents/:id', async (req, res) => {
+    if (!requireEngine(res)) return;
+
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'id must be a positive integer'
+      });
+    }
+
+    const incident = await apiServer.correlationEngine.getIncident(id);
+    if (!incident) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Unknown incident: ${id}`
+      });
+    }
+
+    res.json(incident);
+  });
+
+  return router;
+}
+
+module.exports = createIncidentRoutes;
@@ -0,0 +1,58 @@
+const express = require('express');
+
+/**
+ * Inventory Routes - Firmware and network inventory of both device families
+ *
+ *   GET /inventory              Devices with their modules (?deviceType=&model=&fwVer=)
+ *   GET /inventory/:deviceId    One device with its modules
+ *
+ * @param {ApiServer} apiServer - Server holding the device inventory reference
+ * @returns {express.Router} Router with the inventory endpoints
+ */
+function createInventoryRoutes(apiServer) {
+  const router = express.Router();
+
+  /**
+   * Reject requests while the inventory is not running
+   * @param {express.Response} res - Response
+   * @returns {boolean} True if the inventory is available
+   */
+  const requireInventory = (res) => {
+    if (apiServer.deviceInventory?.isStarted) return true;
+
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Device inventory is not running'
+    });
+    return false;
+  };
+
+  router.get('/inventory', (req, res) => {
+    if (!requireInventory(res)) return;
+
+    const { deviceType, model, fwVer } = req.query;
+    const devices = apiServer.deviceInventory.list({ deviceType, model, fwVer });
+    res.json({
+      count: devices.length,
+      devices
+    });
+  });
+
+  router.get('/inventory/:deviceId', (req, res) => {
+    if (!requireInventory(res)) return;
+
+    const device = apiServer.deviceInventory.get(req.params.deviceId);
+    if (!device) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `No device info for ${req.params.deviceId}`
+      });
+    }
+
+    res.json(device);
+  });
+
+  return router;
+}
+
+module.exports = createInventoryRoutes;
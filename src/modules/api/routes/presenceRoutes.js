@@ -0,0 +1,68 @@
+const express = require('express');
+
+/**
+ * Presence Routes - Online/offline status of devices seen by the PresenceTracker
+ *
+ *   GET /presence              Counters and every device's presence (?status=online|offline)
+ *   GET /presence/:deviceId    Presence of one device
+ *
+ * @param {ApiServer} apiServer - Server holding the presence tracker reference
+ * @returns {express.Router} Router with the presence endpoints
+ */
+function createPresenceRoutes(apiServer) {
+  const router = express.Router();
+  const statuses = ['online', 'offline'];
+
+  /**
+   * Reject requests while the tracker is not running
+   * @param {express.Response} res - Response
+   * @returns {boolean} True if the tracker is available
+   */
+  const requireTracker = (res) => {
+    if (apiServer.presenceTracker?.isStarted) return true;
+
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Presence tracker is not running'
+    });
+    return false;
+  };
+
+  router.get('/presence', (req, res) => {
+    if (!requireTracker(res)) return;
+
+    const { status } = req.query;
+    if (status !== undefined && !statuses.includes(status)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `status must be one of: ${statuses.join(', ')}`
+      });
+    }
+
+    const devices = apiServer.presenceTracker.getDevices()
+      .filter(device => status === undefined || device.status === status);
+    res.json({
+      ...apiServer.presenceTracker.getStats(),
+      count: devices.length,
+      devices
+    });
+  });
+
+  router.get('/presence/:deviceId', (req, res) => {
+    if (!requireTracker(res)) return;
+
+    const device = apiServer.presenceTracker.getDevice(req.params.deviceId);
+    if (!device) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Device ${req.params.deviceId} has not been seen`
+      });
+    }
+
+    res.json(device);
+  });
+
+  return router;
+}
+
+module.exports = createPresenceRoutes;
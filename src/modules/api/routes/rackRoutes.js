@@ -0,0 +1,83 @@
+const express = require('express');
+
+/**
+ * Rack Routes - U-space occupancy and capacity search from the RackService
+ *
+ *   GET /racks/:deviceId/:modAddr/occupancy   Occupied and free U positions of one module
+ *   GET /capacity/search?units=N              Modules with N contiguous free U (&deviceId=&deviceType=)
+ *
+ * @param {ApiServer} apiServer - Server holding the rack service reference
+ * @returns {express.Router} Router with the rack endpoints
+ */
+function createRackRoutes(apiServer) {
+  const router = express.Router();
+
+  /**
+   * Reject requests while the rack service is not running
+   * @param {express.Response} res - Response
+   * @returns {boolean} True if the service is available
+   */
+  const requireService = (res) => {
+    if (apiServer.rackService?.isStarted) return true;
+
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Rack service is not running'
+    });
+    return false;
+  };
+
+  /**
+   * Parse a positive integer parameter
+   * @param {express.Response} res - Response
+   * @param {string} name - Parameter name used in the error message
+   * @param {string} value - Raw parameter value
+   * @returns {number|null} Value, or null after answering 400
+   */
+  const parsePositive = (res, name, value) => {
+    const number = Number(value);
+    if (Number.isInteger(number) && number > 0) return number;
+
+    res.status(400).json({
+      error: 'Bad Request',
+      message: `${name} must be a positive integer`
+    });
+    return null;
+  };
+
+  router.get('/racks/:deviceId/:modAddr/occupancy', (req, res) => {
+    if (!requireService(res)) return;
+
+    const modAddr = parsePositive(res, 'modAddr', req.params.modAddr);
+    if (modAddr === null) return;
+
+    const occupancy = apiServer.rackService.getOccupancy(req.params.deviceId, modAddr);
+    if (!occupancy) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `No RFID snapshot of module ${modAddr} on device ${req.params.deviceId}`
+      });
+    }
+
+    res.json(occupancy);
+  });
+
+  router.get('/capacity/search', (req, res) => {
+    if (!requireService(res)) return;
+
+    const units = parsePositive(res, 'units', req.query.units);
+    if (units === null) return;
+
+    const { deviceId, deviceType } = req.query;
+    const racks = apiServer.rackService.searchCapacity(units, { deviceId, deviceType });
+    res.json({
+      units,
+      count: racks.length,
+      racks
+    });
+  });
+
+  return router;
+}
+
+module.exports = createRackRoutes;
@@ -0,0 +1,149 @@
+const express = require('express');
+const RuleValidationError = require('../../rules/RuleValidationError');
+
+/**
+ * Rule Routes - Manage telemetry alert rules and list raised alerts
+ *
+ *   GET    /rules           All rules
+ *   GET    /rules/:id       One rule
+ *   POST   /rules           Create a rule { "name", "key", "type", "threshold", ... }
+ *   PUT    /rules/:id       Change rule fields (clears the rule's active alerts)
+ *   DELETE /rules/:id       Remove a rule (clears its active alerts)
+ *   GET    /alerts          Active alerts (?deviceId=&ruleId=&severity=)
+ *
+ * Store errors are left to the ApiServer error handler (500)
+ * @param {ApiServer} apiServer - Server holding the rule engine reference
+ * @returns {express.Router} Router with the rule endpoints
+ */
+function createRuleRoutes(apiServer) {
+  const router = express.Router();
+
+  /**
+   * Reject requests while the rule engine is not running
+   * @param {express.Response} res - Response
+   * @returns {boolean} True if the rule engine is available
+   */
+  const requireEngine = (res) => {
+    if (apiServer.ruleEngine?.isStarted) return true;
+
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Rule engine is not running'
+    });
+    return false;
+  };
+
+  /**
+   * Parse the rule id path parameter
+   * @param {express.Request} req - Request
+   * @param {express.Response} res - Response
+   * @returns {number|null} Rule id, or null after answering 400
+   */
+  const parseId = (req, res) => {
+    const id = Number(req.params.id);
+    if (Number.isInteger(id) && id > 0) return id;
+
+    res.status(400).json({
+      error: 'Bad Request',
+      message: 'id must be a positive integer'
+    });
+    return null;
+  };
+
+  /**
+   * Answer 404 for an unknown rule
+   * @param {express.Response} res - Response
+   * @param {number} id - Rule id
+   */
+  const notFound = (res, id) => res.status(404).json({
+    error: 'Not Found',
+    message: `Unknown rule: ${id}`
+  });
+
+  /**
+   * Answer 400 for an invalid rule definition, rethrow anything else
+   * @param {express.Response} res - Response
+   * @param {Error} error - Error raised by the rule engine
+   */
+  const rejectInvalid = (res, error) => {
+    if (!(error instanceof RuleValidationError)) throw error;
+
+    res.status(400).json({
+      error: 'Bad Request',
+      message: error.message,
+      details: error.details
+    });
+  };
+
+  router.get('/rules', (req, res) => {
+    if (!requireEngine(res)) return;
+
+    const rules = apiServer.ruleEngine.listRules();
+    res.json({
+      count: rules.length,
+      rules
+    });
+  });
+
+  router.get('/rules/:id', (req, res) => {
+    if (!requireEngine(res)) return;
+    const id = parseId(req, res);
+    if (id === null) return;
+
+    const rule = apiServer.ruleEngine.getRule(id);
+    if (!rule) return notFound(res, id);
+
+    res.json(rule);
+  });
+
+  router.post('/rules', async (req, res) => {
+    if (!requireEngine(res)) return;
+
+    try {
+      res.status(201).json(await apiServer.ruleEngine.createRule(req.body));
+    } catch (error) {
+      rejectInvalid(res, error);
+    }
+  });
+
+  router.put('/rules/:id', async (req, res) => {
+    if (!requireEngine(res)) return;
+    const id = parseId(req, res);
+    if (id === null) return;
+
+    try {
+      const rule = await apiServer.ruleEngine.updateRule(id, req.body);
+      if (!rule) return notFound(res, id);
+
+      res.json(rule);
+    } catch (error) {
+      rejectInvalid(res, error);
+    }
+  });
+
+  router.delete('/rules/:id', async (req, res) => {
+    if (!requireEngine(res)) return;
+    const id = parseId(req, res);
+    if (id === null) return;
+
+    if (!await apiServer.ruleEngine.deleteRule(id)) return notFound(res, id);
+
+    res.status(204).end();
+  });
+
+  router.get('/alerts', (req, res) => {
+    if (!requireEngine(res)) return;
+
+    const { deviceId, severity } = req.query;
+    const ruleId = req.query.ruleId !== undefined ? Number(req.query.ruleId) : undefined;
+    const alerts = apiServer.ruleEngine.getActiveAlerts({ deviceId, ruleId, severity });
+    res.json({
+      count: alerts.length,
+      alerts
+    });
+  });
+
+  return router;
+}
+
+module.exports = createRuleRoutes;
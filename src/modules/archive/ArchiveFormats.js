@@ -0,0 +1,121 @@
+/**
+ * ArchiveFormats - Record encodings of raw archive segments
+ * A record is { receivedAt (ms), topic, message (Buffer) }.
+ *
+ * ndjson: one JSON line per record, payload as base64
+ *   {"receivedAt":"2025-01-01T10:00:00.000Z","topic":"V5008Upload/...","payload":"u+4..."}
+ * binary: length-prefixed frames
+ *   [topicLen:u16][topic:utf8][receivedAt:f64 ms][payloadLen:u32][payload]
+ */
+
+const ndjson = {
+  extension: '.ndjson',
+
+  /**
+   * Encode a record as one NDJSON line
+   * @param {Object} record - Record ({ receivedAt, topic, message })
+   * @returns {Buffer} Encoded line
+   */
+  encode({ receivedAt, topic, message }) {
+    const line = JSON.stringify({
+      receivedAt: new Date(receivedAt).toISOString(),
+      topic,
+      payload: Buffer.from(message).toString('base64')
+    });
+    return Buffer.from(`${line}\n`, 'utf8');
+  },
+
+  /**
+   * Decode all records of a segment, skipping malformed lines
+   * @param {Buffer} buffer - Segment content
+   * @returns {Array<Object>} Records ({ receivedAt, topic, message })
+   */
+  decode(buffer) {
+    const records = [];
+
+    for (const line of buffer.toString('utf8').split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        const { receivedAt, topic, payload } = JSON.parse(line);
+        records.push({
+          receivedAt: Date.parse(receivedAt),
+          topic,
+          message: Buffer.from(payload, 'base64')
+        });
+      } catch (error) {
+        // Truncated last line of a segment written during a crash
+        continue;
+      }
+    }
+
+    return records;
+  }
+};
+
+const binary = {
+  extension: '.bin',
+
+  /**
+   * Encode a record as one binary frame
+   * @param {Object} record - Record ({ receivedAt, topic, message })
+   * @returns {Buffer} Encoded frame
+   */
+  encode({ receivedAt, topic, message }) {
+    const topicBuffer = Buffer.from(topic, 'utf8');
+    const payload = Buffer.from(message);
+    const header = Buffer.alloc(2 + topicBuffer.length + 8 + 4);
+
+    let offset = header.writeUInt16BE(topicBuffer.length, 0);
+    offset += topicBuffer.copy(header, offset);
+    offset = header.writeDoubleBE(receivedAt, offset);
+    header.writeUInt32BE(payload.length, offset);
+
+    return Buffer.concat([header, payload]);
+  },
+
+  /**
+   * Decode all records of a segment, stopping at a truncated frame
+   * @param {Buffer} buffer - Segment content
+   * @returns {Array<Object>} Records ({ receivedAt, topic, message })
+   */
+  decode(buffer) {
+    const records = [];
+    let offset = 0;
+
+    while (offset + 2 <= buffer.length) {
+      const topicLength = buffer.readUInt16BE(offset);
+      const payloadLengthAt = offset + 2 + topicLength + 8;
+      if (payloadLengthAt + 4 > buffer.length) break;
+
+      const payloadLength = buffer.readUInt32BE(payloadLengthAt);
+      const payloadAt = payloadLengthAt + 4;
+      if (payloadAt + payloadLength > buffer.length) break;
+
+      records.push({
+        topic: buffer.toString('utf8', offset + 2, offset + 2 + topicLength),
+        receivedAt: buffer.readDoubleBE(offset + 2 + topicLength),
+        message: Buffer.from(buffer.subarray(payloadAt, payloadAt + payloadLength))
+      });
+      offset = payloadAt + payloadLength;
+    }
+
+    return records;
+  }
+};
+
+const ArchiveFormats = Object.freeze({ ndjson, binary });
+
+/**
+ * Get the format of a segment file from its extension
+ * @param {string} fileName - Segment file name
+ * @returns {Object|null} Format, or null if the file is not a segment
+ */
+function getFormatForFile(fileName) {
+  return Object.values(ArchiveFormats).find(format => fileName.endsWith(format.extension)) || null;
+}
+
+module.exports = {
+  ArchiveFormats,
+  getFormatForFile
+};
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../../core/Logger');
+const EventBus = require('../../core/EventBus');
+const { ArchiveFormats } = require('./ArchiveFormats');
+
+/**
+ * RawArchiver - Writes every raw MQTT message to rotating segment files
+ * Subscribes to 'mqtt.message' and appends { receivedAt, topic, message } to the
+ * current segment, before any parsing, so archived data can be replayed through
+ * the pipeline after a parser fix (see ArchiveReplayer).
+ *
+ * Segments are named `raw-<UTC start time>-<sequence><extension>` so their names sort in
+ * time order; a new segment is started when the current one exceeds
+ * maxSegmentBytes or is older than segmentMs.
+ */
+class RawArchiver {
+  constructor() {
+    this.logger = Logger;
+    this.eventBus = EventBus;
+    this.directory = path.resolve('./data/archive');
+    this.format = ArchiveFormats.ndjson;
+    this.maxSegmentBytes = 64 * 1024 * 1024;
+    this.segmentMs = 3600000;
+    this.isStarted = false;
+    this.segment = null; // { filePath, stream, openedAt, bytes }
+    this.stats = {
+      archived: 0,
+      bytes: 0,
+      segments: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Start archiving raw messages
+   * @param {Object} config - Archive configuration ({ directory, format, maxSegmentBytes, segmentMs })
+   * @throws {Error} If the format is unknown
+   */
+  start(config = {}) {
+    const formatName = config.format || 'ndjson';
+    if (!ArchiveFormats[formatName]) {
+      throw new Error(`RawArchiver: Unknown archive format: ${formatName}`);
+    }
+
+    this.format = ArchiveFormats[formatName];
+    this.directory = config.directory ? path.resolve(config.directory) : this.directory;
+    this.maxSegmentBytes = config.maxSegmentBytes ?? this.maxSegmentBytes;
+    this.segmentMs = config.segmentMs ?? this.segmentMs;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    this.eventBus.on('mqtt.message', this.handleMessage.bind(this));
+    this.isStarted = true;
+
+    this.logger.info('RawArchiver: Started successfully', {
+      directory: this.directory,
+      format: formatName,
+      maxSegmentBytes: this.maxSegmentBytes,
+      segmentMs: this.segmentMs
+    });
+  }
+
+  /**
+   * Archive one raw MQTT message
+   * @param {Object} mqttData - MQTT message ({ topic, message })
+   */
+  handleMessage(mqttData) {
+    if (!this.isStarted || !mqttData?.topic) return;
+
+    try {
+      const receivedAt = Date.now();
+      const record = this.format.encode({
+        receivedAt,
+        topic: mqttData.topic,
+        message: mqttData.message ?? Buffer.alloc(0)
+      });
+
+      const segment = this._getSegment(receivedAt);
+      segment.stream.write(record);
+      segment.bytes += record.length;
+
+      this.stats.archived++;
+      this.stats.bytes += record.length;
+    } catch (error) {
+      this.stats.errors++;
+      this.logger.error('RawArchiver: Failed to archive message', {
+        topic: mqttData.topic,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get archiver statistics
+   * @returns {Object} Counters plus the current segment
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      directory: this.directory,
+      currentSegment: this.segment ? path.basename(this.segment.filePath) : null
+    };
+  }
+
+  /**
+   * Stop archiving and close the current segment
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.isStarted) return;
+
+    this.isStarted = false;
+    await this._closeSegment();
+    this.logger.info('RawArchiver: Stopped successfully');
+  }
+
+  /**
+   * Get the segment to write to, rotating it when it is full or too old
+   * @param {number} now - Current time (ms)
+   * @returns {Object} Open segment
+   * @private
+   */
+  _getSegment(now) {
+    if (this.segment &&
+        (this.segment.bytes >= this.maxSegmentBytes || now - this.segment.openedAt >= this.segmentMs)) {
+      this._closeSegment();
+    }
+
+    if (!this.segment) {
+      const stamp = new Date(now).toISOString().replace(/[-:.]/g, '');
+      const sequence = String(this.stats.segments).padStart(6, '0');
+      const filePath = path.join(this.directory, `raw-${stamp}-${sequence}${this.format.extension}`);
+      const stream = fs.createWriteStream(filePath, { flags: 'a' });
+
+      stream.on('error', (error) => {
+        this.stats.errors++;
+        this.logger.error('RawArchiver: Segment write failed', { filePath, error: error.message });
+      });
+
+      this.segment = { filePath, stream, openedAt: now, bytes: 0 };
+      this.stats.segments++;
+      this.logger.info('RawArchiver: Opened segment', { filePath });
+    }
+
+    return this.segment;
+  }
+
+  /**
+   * Close the current segment
+   * @returns {Promise<void>} Resolves once buffered records are flushed
+   * @private
+   */
+  _closeSegment() {
+    const segment = this.segment;
+    this.segment = null;
+
+    if (!segment) return Promise.resolve();
+
+    return new Promise(resolve => segment.stream.end(resolve));
+  }
+}
+
+module.exports = RawArchiver;
@@ -0,0 +1,421 @@
+const Logger = require('../../core/Logger');
+const { openStore } = require('../../utils/StoreUtils');
+const AssetValidationError = require('./AssetValidationError');
+const FileAssetStore = require('./stores/FileAssetStore');
+const MySqlAssetStore = require('./stores/MySqlAssetStore');
+
+// CSV header (case, spaces, dashes and underscores ignored) → asset field
+const CSV_COLUMNS = {
+  tagid: 'tagId',
+  name: 'name',
+  owner: 'owner',
+  model: 'model',
+  serialnumber: 'serialNumber',
+  heightu: 'heightU'
+};
+
+/**
+ * AssetRegistry - Maps RFID tag IDs to the assets they are attached to
+ * Each asset has a name, owner, model, serial number and height in U. Assets are
+ * kept in memory and written through to the store.
+ *
+ * enrich() is run by the MessagePipeline after normalization: every
+ * SYS_RFID_EVENT value and SYS_RFID_SNAPSHOT item gets `asset` (the asset
+ * fields, or null) and `unknownTag` (true when the tag is not registered).
+ * Unknown tags are remembered with where they were last seen until registered.
+ */
+class AssetRegistry {
+  static stores = {
+    file: FileAssetStore,
+    mysql: MySqlAssetStore
+  };
+
+  static FIELDS = Object.freeze(['name', 'owner', 'model', 'serialNumber', 'heightU']);
+
+  constructor() {
+    this.logger = Logger;
+    this.store = null;
+    this.type = null;
+    this.assets = new Map(); // Key: tagId, Value: asset
+    this.unknownTags = new Map(); // Key: tagId, Value: { tagId, deviceId, modAddr, uPos, firstSeen, lastSeen }
+    this.isStarted = false;
+    this.stats = {
+      enriched: 0,
+      unknown: 0,
+      imported: 0
+    };
+  }
+
+  /**
+   * Open the asset store and load the assets
+   * @param {Object} config - Asset configuration ({ type, filePath })
+   * @returns {Promise<void>}
+   * @throws {Error} If the store type is unknown or the store cannot be opened
+   */
+  async start(config = {}) {
+    const { type, store } = await openStore('AssetRegistry', AssetRegistry.stores, config);
+    this.store = store;
+    this.type = type;
+
+    for (const asset of await this.store.list()) {
+      this.assets.set(asset.tagId, asset);
+    }
+
+    this.isStarted = true;
+    this.logger.info('AssetRegistry: Started successfully', { type: this.type, assets: this.assets.size });
+  }
+
+  /**
+   * Attach asset metadata to the RFID objects of normalized data
+   * @param {Array} normalizedData - SUOs of one message
+   * @returns {Array} SUOs with enriched RFID payloads (other objects unchanged)
+   */
+  enrich(normalizedData) {
+    if (!this.isStarted) return normalizedData;
+
+    return normalizedData.map(item => {
+      const { identity, payload, ts } = item;
+
+      if (item.type === 'SYS_RFID_EVENT' && payload?.value?.tagId) {
+        return {
+          ...item,
+          payload: {
+            ...payload,
+            value: { ...payload.value, ...this._describe(payload.value.tagId, identity, payload.value.uPos, ts) }
+          }
+        };
+      }
+
+      if (item.type === 'SYS_RFID_SNAPSHOT' && Array.isArray(payload?.value?.items)) {
+        return {
+          ...item,
+          payload: {
+            ...payload,
+            value: {
+              ...payload.value,
+              items: payload.value.items.map(tag => ({ ...tag, ...this._describe(tag.tagId, identity, tag.uPos, ts) }))
+            }
+          }
+        };
+      }
+
+      return item;
+    });
+  }
+
+  /**
+   * List registered assets
+   * @param {Object} filter - Filter ({ owner, model, q }); q searches tag ID, name and serial number
+   * @returns {Array<Object>} Assets sorted by tag ID
+   */
+  list(filter = {}) {
+    const q = filter.q ? filter.q.toLowerCase() : null;
+
+    return Array.from(this.assets.values())
+      .filter(asset => !filter.owner || asset.owner === filter.owner)
+      .filter(asset => !filter.model || asset.model === filter.model)
+      .filter(asset => !q || [asset.tagId, asset.name, asset.serialNumber]
+        .some(value => value && value.toLowerCase().includes(q)))
+      .sort((a, b) => a.tagId.localeCompare(b.tagId))
+      .map(asset => ({ ...asset }));
+  }
+
+  /**
+   * Get the asset of a tag
+   * @param {string} tagId - Tag ID (case-insensitive)
+   * @returns {Object|null} Asset or null if the tag is not registered
+   */
+  get(tagId) {
+    const asset = this.assets.get(String(tagId).toUpperCase());
+    return asset ? { ...asset } : null;
+  }
+
+  /**
+   * Register an asset
+   * @param {Object} definition - Asset fields (tagId and name are required)
+   * @returns {Promise<Object|null>} Created asset or null if the tag is already registered
+   * @throws {AssetValidationError} If a field is invalid
+   */
+  async create(definition) {
+    const fields = this._validate(definition || {});
+    if (this.assets.has(fields.tagId)) return null;
+
+    const asset = await this._save(fields);
+    this.logger.info('AssetRegistry: Asset registered', { tagId: asset.tagId, name: asset.name });
+    return { ...asset };
+  }
+
+  /**
+   * Change the fields of a registered asset
+   * @param {string} tagId - Tag ID (case-insensitive)
+   * @param {Object} changes - Asset fields to change (the tag ID cannot change)
+   * @returns {Promise<Object|null>} Updated asset or null if the tag is not registered
+   * @throws {AssetValidationError} If a field is invalid
+   */
+  async update(tagId, changes) {
+    const current = this.assets.get(String(tagId).toUpperCase());
+    if (!current) return null;
+
+    const asset = await this._save(this._validate({ ...current, ...(changes || {}), tagId: current.tagId }));
+    this.logger.info('AssetRegistry: Asset updated', { tagId: asset.tagId });
+    return { ...asset };
+  }
+
+  /**
+   * Remove an asset
+   * @param {string} tagId - Tag ID (case-insensitive)
+   * @returns {Promise<boolean>} True if the tag was registered
+   */
+  async delete(tagId) {
+    const key = String(tagId).toUpperCase();
+    if (!this.assets.has(key)) return false;
+
+    await this.store.delete(key);
+    this.assets.delete(key);
+    this.logger.info('AssetRegistry: Asset removed', { tagId: key });
+    return true;
+  }
+
+  /**
+   * Register or update assets from CSV
+   * The first line is the header; it must contain tagId and name, and may contain
+   * owner, model, serialNumber and heightU. Invalid lines are reported and skipped.
+   * @param {string} csv - CSV text
+   * @returns {Promise<Object>} Import result ({ created, updated, errors: [{ line, message }] })
+   * @throws {AssetValidationError} If the header is missing required columns
+   */
+  async importCsv(csv) {
+    const [header, ...rows] = parseCsv(csv);
+    const columns = (header || []).map(name => CSV_COLUMNS[name.trim().toLowerCase().replace(/[\s_-]/g, '')] || null);
+
+    if (!columns.includes('tagId') || !columns.includes('name')) {
+      throw new AssetValidationError('AssetRegistry: CSV header must contain tagId and name', {
+        field: 'header',
+        value: header || null
+      });
+    }
+
+    const result = { created: 0, updated: 0, errors: [] };
+
+    for (const [index, row] of rows.entries()) {
+      const line = index + 2;
+      if (row.every(value => value.trim() === '')) continue;
+
+      const definition = {};
+      columns.forEach((field, column) => {
+        if (!field) return;
+        const value = (row[column] ?? '').trim();
+        definition[field] = value === '' ? null : value;
+      });
+      if (definition.heightU !== null && definition.heightU !== undefined) {
+        definition.heightU = Number(definition.heightU);
+      }
+
+      try {
+        const fields = this._validate(definition);
+        const exists = this.assets.has(fields.tagId);
+        await this._save(fields);
+        result[exists ? 'updated' : 'created']++;
+      } catch (error) {
+        if (!(error instanceof AssetValidationError)) throw error;
+        result.errors.push({ line, message: error.message });
+      }
+    }
+
+    this.stats.imported += result.created + result.updated;
+    this.logger.info('AssetRegistry: CSV imported', {
+      created: result.created,
+      updated: result.updated,
+      errors: result.errors.length
+    });
+    return result;
+  }
+
+  /**
+   * List tags seen on devices that are not registered
+   * @returns {Array<Object>} Unknown tags with where they were last seen, most recent first
+   */
+  getUnknownTags() {
+    return Array.from(this.unknownTags.values())
+      .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen))
+      .map(tag => ({ ...tag }));
+  }
+
+  /**
+   * Get asset registry statistics
+   * @returns {Object} Store type, asset and unknown tag counts and counters
+   */
+  getStats() {
+    return {
+      type: this.type,
+      started: this.isStarted,
+      assets: this.assets.size,
+      unknownTags: this.unknownTags.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Stop enriching and close the store
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.isStarted) return;
+
+    this.isStarted = false;
+    await this.store.close();
+    this.logger.info('AssetRegistry: Stopped successfully');
+  }
+
+  /**
+   * Get the asset metadata of a tag and remember it if unknown
+   * @param {string} tagId - Tag ID
+   * @param {Object} identity - Identity of the RFID object
+   * @param {number} uPos - U position of the tag
+   * @param {string} ts - Time the tag was seen
+   * @returns {Object} { asset, unknownTag }
+   * @private
+   */
+  _describe(tagId, identity, uPos, ts) {
+    const key = String(tagId).toUpperCase();
+    const asset = this.assets.get(key);
+
+    if (asset) {
+      this.stats.enriched++;
+      const metadata = {};
+      for (const field of AssetRegistry.FIELDS) {
+        metadata[field] = asset[field];
+      }
+      return { asset: metadata, unknownTag: false };
+    }
+
+    const seenAt = ts || new Date().toISOString();
+    const unknown = this.unknownTags.get(key);
+    if (unknown) {
+      Object.assign(unknown, { deviceId: identity.deviceId, modAddr: identity.modAddr, uPos, lastSeen: seenAt });
+    } else {
+      this.stats.unknown++;
+      this.logger.debug('AssetRegistry: Unknown tag', { tagId: key, deviceId: identity.deviceId, uPos });
+      this.unknownTags.set(key, {
+        tagId: key,
+        deviceId: identity.deviceId,
+        modAddr: identity.modAddr,
+        uPos,
+        firstSeen: seenAt,
+        lastSeen: seenAt
+      });
+    }
+
+    return { asset: null, unknownTag: true };
+  }
+
+  /**
+   * Write validated asset fields through to the store
+   * @param {Object} fields - Validated asset fields
+   * @returns {Promise<Object>} Stored asset
+   * @private
+   */
+  async _save(fields) {
+    const now = new Date().toISOString();
+    const current = this.assets.get(fields.tagId);
+    const asset = { ...fields, createdAt: current ? current.createdAt : now, updatedAt: now };
+
+    await this.store.put(asset);
+    this.assets.set(asset.tagId, asset);
+    this.unknownTags.delete(asset.tagId);
+    return asset;
+  }
+
+  /**
+   * Validate asset fields and apply defaults
+   * @param {Object} definition - Asset fields
+   * @returns {Object} Asset fields without timestamps, tag ID upper case
+   * @throws {AssetValidationError} If a field is invalid
+   * @private
+   */
+  _validate(definition) {
+    const asset = {
+      tagId: typeof definition.tagId === 'string' ? definition.tagId.trim().toUpperCase() : definition.tagId,
+      name: typeof definition.name === 'string' ? definition.name.trim() : definition.name,
+      owner: definition.owner ?? null,
+      model: definition.model ?? null,
+      serialNumber: definition.serialNumber ?? null,
+      heightU: definition.heightU ?? null
+    };
+
+    const fail = (field, expected) => {
+      throw new AssetValidationError(`AssetRegistry: ${field} must be ${expected}`, {
+        field,
+        value: asset[field]
+      });
+    };
+
+    if (typeof asset.tagId !== 'string' || !/^[0-9A-F]{1,16}$/.test(asset.tagId)) {
+      fail('tagId', 'a hex tag ID of up to 16 digits');
+    }
+    if (typeof asset.name !== 'string' || asset.name === '') fail('name', 'a non-empty string');
+    for (const field of ['owner', 'model', 'serialNumber']) {
+      if (asset[field] !== null && typeof asset[field] !== 'string') fail(field, 'a string or null');
+    }
+    if (asset.heightU !== null && (!Number.isInteger(asset.heightU) || asset.heightU < 1 || asset.heightU > 60)) {
+      fail('heightU', 'an integer 1-60 or null');
+    }
+
+    return asset;
+  }
+}
+
+/**
+ * Split CSV text into rows of fields
+ * Supports quoted fields with embedded commas, line breaks and doubled quotes.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Strip a byte order mark left by spreadsheet exports
+  if (rows.length > 0 && rows[0].length > 0) {
+    rows[0][0] = rows[0][0].replace(/^\uFEFF/, '');
+  }
+
+  return rows;
+}
+
+module.exports = AssetRegistry;
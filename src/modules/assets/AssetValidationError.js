@@ -0,0 +1,18 @@
+/**
+ * AssetValidationError - Raised when an asset record is invalid
+ * (malformed tag ID, missing name, non-integer height...)
+ * Lets the asset routes answer 400 instead of 500
+ */
+class AssetValidationError extends Error {
+  /**
+   * @param {string} message - Human readable description of the problem
+   * @param {Object} details - Offending field and value
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'AssetValidationError';
+    this.details = details;
+  }
+}
+
+module.exports = AssetValidationError;
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../../../core/Logger');
+
+/**
+ * FileAssetStore - Keeps assets in a JSON file
+ * All assets are held in memory and the file is rewritten (write to temp file,
+ * then rename) shortly after each change.
+ *
+ * Store interface (shared with MySqlAssetStore):
+ *   init(), list() → assets, put(asset), delete(tagId) → boolean, close()
+ * An asset is { tagId, name, owner, model, serialNumber, heightU, createdAt, updatedAt }
+ */
+class FileAssetStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - Path of the JSON file
+   * @param {number} options.flushDelayMs - Delay before changes are written (ms)
+   */
+  constructor(options = {}) {
+    this.logger = Logger;
+    this.filePath = path.resolve(options.filePath || './data/assets.json');
+    this.flushDelayMs = options.flushDelayMs ?? 500;
+    this.assets = new Map(); // Key: tagId, Value: asset
+    this.flushTimer = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load the asset file (a missing file starts an empty store)
+   * @returns {Promise<void>}
+   */
+  async init() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+
+      for (const asset of data.assets || []) {
+        this.assets.set(asset.tagId, asset);
+      }
+
+      this.logger.info('FileAssetStore: Loaded asset file', {
+        filePath: this.filePath,
+        assets: this.assets.size
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn('FileAssetStore: Unable to read asset file, starting empty', {
+          filePath: this.filePath,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * List all assets
+   * @returns {Promise<Array<Object>>} Assets
+   */
+  async list() {
+    return Array.from(this.assets.values(), asset => ({ ...asset }));
+  }
+
+  /**
+   * Insert or replace an asset
+   * @param {Object} asset - Asset
+   * @returns {Promise<void>}
+   */
+  async put(asset) {
+    this.assets.set(asset.tagId, { ...asset });
+    this._scheduleFlush();
+  }
+
+  /**
+   * Remove an asset
+   * @param {string} tagId - Tag ID
+   * @returns {Promise<boolean>} True if the asset existed
+   */
+  async delete(tagId) {
+    const deleted = this.assets.delete(tagId);
+    if (deleted) this._scheduleFlush();
+    return deleted;
+  }
+
+  /**
+   * Write pending changes and stop the flush timer
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+      await this._flush();
+    }
+    await this.writing;
+  }
+
+  /**
+   * Schedule a write of the asset file
+   * @private
+   */
+  _scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this._flush();
+    }, this.flushDelayMs);
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Write the asset file atomically, one write at a time
+   * @returns {Promise<void>}
+   * @private
+   */
+  _flush() {
+    const content = JSON.stringify({
+      savedAt: new Date().toISOString(),
+      assets: Array.from(this.assets.values())
+    });
+
+    this.writing = this.writing.then(async () => {
+      try {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, content, 'utf8');
+        await fs.promises.rename(tmpPath, this.filePath);
+      } catch (error) {
+        this.logger.error('FileAssetStore: Failed to write asset file', {
+          filePath: this.filePath,
+          error: error.message
+        });
+      }
+    });
+
+    return this.writing;
+  }
+}
+
+module.exports = FileAssetStore;
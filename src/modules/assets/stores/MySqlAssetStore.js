@@ -0,0 +1,110 @@
+const Logger = require('../../../core/Logger');
+const Database = require('../../../core/Database');
+
+/**
+ * MySqlAssetStore - Keeps assets in the iot_assets table
+ * Implements the same store interface as FileAssetStore.
+ */
+class MySqlAssetStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.tableName - Table name (default: iot_assets)
+   */
+  constructor(options = {}) {
+    this.logger = Logger;
+    this.database = Database;
+    this.tableName = options.tableName || 'iot_assets';
+  }
+
+  /**
+   * Verify the database connection
+   * @returns {Promise<void>}
+   * @throws {Error} If the database is not connected
+   */
+  async init() {
+    if (!this.database.isConnectionActive()) {
+      throw new Error('MySqlAssetStore: Database is not connected');
+    }
+  }
+
+  /**
+   * List all assets
+   * @returns {Promise<Array<Object>>} Assets
+   */
+  async list() {
+    const knex = this.database.getKnex();
+    const rows = await knex(this.tableName).select('*');
+    return rows.map(row => this._toAsset(row));
+  }
+
+  /**
+   * Insert or replace an asset
+   * @param {Object} asset - Asset
+   * @returns {Promise<void>}
+   */
+  async put(asset) {
+    const knex = this.database.getKnex();
+    const { tag_id: tagId, created_at: createdAt, ...changes } = this._toRow(asset);
+
+    await knex(this.tableName)
+      .insert({ tag_id: tagId, created_at: createdAt, ...changes })
+      .onConflict('tag_id')
+      .merge(changes);
+  }
+
+  /**
+   * Remove an asset
+   * @param {string} tagId - Tag ID
+   * @returns {Promise<boolean>} True if the asset existed
+   */
+  async delete(tagId) {
+    const knex = this.database.getKnex();
+    return (await knex(this.tableName).where({ tag_id: tagId }).del()) > 0;
+  }
+
+  /**
+   * Nothing to flush, writes are immediate
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Map an asset to a table row
+   * @param {Object} asset - Asset
+   * @returns {Object} Row
+   * @private
+   */
+  _toRow(asset) {
+    return {
+      tag_id: asset.tagId,
+      name: asset.name,
+      owner: asset.owner,
+      model: asset.model,
+      serial_number: asset.serialNumber,
+      height_u: asset.heightU,
+      created_at: asset.createdAt,
+      updated_at: asset.updatedAt
+    };
+  }
+
+  /**
+   * Map a table row to an asset
+   * @param {Object} row - Row
+   * @returns {Object} Asset
+   * @private
+   */
+  _toAsset(row) {
+    return {
+      tagId: row.tag_id,
+      name: row.name,
+      owner: row.owner,
+      model: row.model,
+      serialNumber: row.serial_number,
+      heightU: row.height_u,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = MySqlAssetStore;
@@ -0,0 +1,45 @@
+/**
+ * U-level light color codes shared by V5008 and V6800 modules
+ * 00-07 are steady colors, 08-0E the flashing variants (see V5008_V1.4.md "Color Code")
+ */
+const COLOR_CODES = Object.freeze({
+  off: 0x00,
+  red: 0x01,
+  purple: 0x02,
+  yellow: 0x03,
+  green: 0x04,
+  cyan: 0x05,
+  blue: 0x06,
+  white: 0x07,
+  red_f: 0x08,
+  purple_f: 0x09,
+  yellow_f: 0x0A,
+  green_f: 0x0B,
+  cyan_f: 0x0C,
+  blue_f: 0x0D,
+  white_f: 0x0E
+});
+
+/**
+ * Resolve a color given as a code (0x00-0x0E) or a name ("red", "red_f")
+ * @param {number|string} color - Color code or name
+ * @returns {number|null} Color code, or null if the color is not valid
+ */
+function resolveColorCode(color) {
+  if (typeof color === 'string') {
+    // Own keys only, so 'constructor' or '__proto__' are not colors
+    const name = color.toLowerCase();
+    return Object.hasOwn(COLOR_CODES, name) ? COLOR_CODES[name] : null;
+  }
+
+  if (Number.isInteger(color) && color >= 0x00 && color <= 0x0E) {
+    return color;
+  }
+
+  return null;
+}
+
+module.exports = {
+  COLOR_CODES,
+  resolveColorCode
+};
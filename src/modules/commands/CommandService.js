@@ -0,0 +1,188 @@
+const Logger = require('../../core/Logger');
+const V5008CommandEncoder = require('./V5008CommandEncoder');
+const V6800CommandBuilder = require('./V6800CommandBuilder');
+const CommandValidationError = require('./CommandValidationError');
+
+/**
+ * CommandService - Sends downstream commands to devices
+ * Encodes typed commands with the device family's encoder (binary frames for
+ * V5008, JSON bodies for V6800) and publishes them to the family's download
+ * topic through MqttService
+ *
+ * Usage:
+ *   const commandService = new CommandService();
+ *   commandService.setMqttService(mqttService);
+ *   await commandService.send('V5008', '2437871205', 'setColor', {
+ *     modAddr: 1,
+ *     colors: [{ uPos: 3, color: 'red' }]
+ *   });
+ */
+class CommandService {
+  constructor() {
+    this.logger = Logger;
+    this.mqttService = null;
+    this.commandTracker = null;
+    this.encoders = {
+      V5008: V5008CommandEncoder,
+      V6800: V6800CommandBuilder
+    };
+    this.encoderInstances = new Map();
+    this.stats = {
+      sent: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * Set MQTT service reference used for publishing
+   * @param {MqttService} mqttService - MQTT service instance
+   */
+  setMqttService(mqttService) {
+    this.mqttService = mqttService;
+    this.logger.info('CommandService: MQTT service reference set');
+  }
+
+  /**
+   * Set command tracker reference used to follow sent commands until acknowledged
+   * @param {CommandTracker} commandTracker - Command tracker instance
+   */
+  setCommandTracker(commandTracker) {
+    this.commandTracker = commandTracker;
+    this.logger.info('CommandService: Command tracker reference set');
+  }
+
+  /**
+   * Encode a command without sending it
+   * @param {string} deviceType - Device family ("V5008" or "V6800")
+   * @param {string} deviceId - Target device ID
+   * @param {string} command - Command name (e.g., "setColor")
+   * @param {Object} params - Command parameters
+   * @returns {Object} Encoded command ({ deviceType, deviceId, command, params, topic, payload })
+   * @throws {CommandValidationError} If the device type, command or parameters are invalid
+   */
+  encode(deviceType, deviceId, command, params = {}) {
+    const EncoderClass = this.encoders[deviceType];
+    if (!EncoderClass) {
+      throw new CommandValidationError(`CommandService: Unsupported device type: ${deviceType}`, {
+        field: 'deviceType',
+        value: deviceType
+      });
+    }
+
+    const encoder = this._getEncoder(deviceType, EncoderClass);
+    const topic = EncoderClass.topicFor(deviceId);
+    const payload = encoder.encode(command, { ...params, deviceId });
+
+    return {
+      deviceType,
+      deviceId,
+      command,
+      params,
+      topic,
+      payload
+    };
+  }
+
+  /**
+   * Encode and publish a command to a device
+   * @param {string} deviceType - Device family ("V5008" or "V6800")
+   * @param {string} deviceId - Target device ID
+   * @param {string} command - Command name (e.g., "setColor")
+   * @param {Object} params - Command parameters
+   * @returns {Promise<Object>} Sent command with its encoded payload and send time
+   *   (plus commandId and status when a CommandTracker is set)
+   * @throws {CommandValidationError} If the command cannot be encoded
+   * @throws {Error} If MQTT is unavailable or publishing fails
+   */
+  async send(deviceType, deviceId, command, params = {}) {
+    const encoded = this.encode(deviceType, deviceId, command, params);
+
+    if (!this.mqttService) {
+      throw new Error('CommandService: MQTT service has not been set');
+    }
+
+    const message = Buffer.isBuffer(encoded.payload) ?
+      encoded.payload :
+      JSON.stringify(encoded.payload);
+
+    try {
+      await this.mqttService.publish(encoded.topic, message);
+      this.stats.sent++;
+    } catch (error) {
+      this.stats.failed++;
+      this.logger.error('CommandService: Failed to send command', {
+        deviceType,
+        deviceId,
+        command,
+        topic: encoded.topic,
+        error: error.message
+      });
+      throw error;
+    }
+
+    this.logger.info('CommandService: Command sent', {
+      deviceType,
+      deviceId,
+      command,
+      topic: encoded.topic,
+      payload: this._describePayload(encoded.payload)
+    });
+
+    const sent = {
+      ...encoded,
+      sentAt: new Date().toISOString()
+    };
+
+    if (this.commandTracker) {
+      const tracked = this.commandTracker.track(sent);
+      sent.commandId = tracked.commandId;
+      sent.status = tracked.status;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Get command names supported for a device family
+   * @param {string} deviceType - Device family
+   * @returns {Array<string>} Supported command names (empty if family is unknown)
+   */
+  getSupportedCommands(deviceType) {
+    const EncoderClass = this.encoders[deviceType];
+    return EncoderClass ? Object.keys(EncoderClass.commands) : [];
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Sent and failed command counters
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Get (or lazily create) the encoder instance for a device family
+   * @param {string} deviceType - Device family
+   * @param {Function} EncoderClass - Encoder class
+   * @returns {Object} Encoder instance
+   * @private
+   */
+  _getEncoder(deviceType, EncoderClass) {
+    if (!this.encoderInstances.has(deviceType)) {
+      this.encoderInstances.set(deviceType, new EncoderClass());
+    }
+    return this.encoderInstances.get(deviceType);
+  }
+
+  /**
+   * Render a payload for logging
+   * @param {Buffer|Object} payload - Encoded payload
+   * @returns {string|Object} Hex string for binary frames, object otherwise
+   * @private
+   */
+  _describePayload(payload) {
+    return Buffer.isBuffer(payload) ? payload.toString('hex').toUpperCase() : payload;
+  }
+}
+
+module.exports = CommandService;
@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const Logger = require('../../core/Logger');
+const EventBus = require('../../core/EventBus');
+const V6800CommandBuilder = require('./V6800CommandBuilder');
+
+/**
+ * CommandTracker - Follows every downstream command until the device answers
+ * Listens to 'data.normalized' and matches responses back to outstanding commands:
+ * - V5008: operation_result whose originalReq echoes the sent frame (E1/E2/E4),
+ *          or the query's response (RFID snapshot, telemetry, door, device/module info)
+ * - V6800: operation_result with the expected rawMessageType for the same module,
+ *          or the query's response (u_state_resp snapshot, device info)
+ *
+ * Lifecycle: pending → acked | failed | timed_out
+ * Every transition is emitted on the EventBus as 'command.status'
+ */
+class CommandTracker {
+  static STATUS = Object.freeze({
+    PENDING: 'pending',
+    ACKED: 'acked',
+    FAILED: 'failed',
+    TIMED_OUT: 'timed_out'
+  });
+
+  // SUO payload key answering each query command that has no OPE_ACK
+  static queryResponseKeys = {
+    queryRfid: 'rfid_snapshot',
+    queryTemHum: 'temperature',
+    queryDoor: 'door_state',
+    queryNoise: 'noise',
+    queryDeviceInfo: 'device_info',
+    queryModuleInfo: 'module_info'
+  };
+
+  // V5008 commands echoed back as originalReq in an AA response
+  static v5008EchoedCommands = ['setColor', 'queryColor', 'clearAlarm'];
+
+  constructor() {
+    this.logger = Logger;
+    this.eventBus = EventBus;
+    this.commands = new Map(); // Key: commandId, Value: command record
+    this.timers = new Map(); // Key: commandId, Value: timeout handle
+    this.timeoutMs = 15000;
+    this.retentionMs = 3600000;
+    this.isStarted = false;
+    this.stats = {
+      tracked: 0,
+      acked: 0,
+      failed: 0,
+      timedOut: 0
+    };
+  }
+
+  /**
+   * Start listening for responses
+   * @param {Object} config - Tracker configuration ({ timeoutMs, retentionMs })
+   */
+  start(config = {}) {
+    this.timeoutMs = config.timeoutMs || this.timeoutMs;
+    this.retentionMs = config.retentionMs || this.retentionMs;
+
+    this.eventBus.on('data.normalized', this.handleNormalizedData.bind(this));
+    this.isStarted = true;
+
+    this.logger.info('CommandTracker: Started successfully', {
+      timeoutMs: this.timeoutMs,
+      retentionMs: this.retentionMs
+    });
+  }
+
+  /**
+   * Start tracking a sent command
+   * @param {Object} sentCommand - Result of CommandService.send()
+   * @returns {Object} Tracked command record (with commandId)
+   */
+  track(sentCommand) {
+    this._pruneCompleted();
+
+    const now = new Date().toISOString();
+    const record = {
+      commandId: crypto.randomUUID(),
+      deviceType: sentCommand.deviceType,
+      deviceId: sentCommand.deviceId,
+      command: sentCommand.command,
+      params: sentCommand.params,
+      topic: sentCommand.topic,
+      payload: Buffer.isBuffer(sentCommand.payload) ?
+        sentCommand.payload.toString('hex').toUpperCase() :
+        sentCommand.payload,
+      expect: this._buildExpectation(sentCommand),
+      status: CommandTracker.STATUS.PENDING,
+      result: null,
+      sentAt: sentCommand.sentAt || now,
+      updatedAt: now,
+      history: [{ status: CommandTracker.STATUS.PENDING, at: now }]
+    };
+
+    this.commands.set(record.commandId, record);
+    this.stats.tracked++;
+
+    const timer = setTimeout(() => this._expire(record.commandId), this.timeoutMs);
+    timer.unref?.();
+    this.timers.set(record.commandId, timer);
+
+    this.eventBus.emit('command.status', this._toPublic(record));
+
+    return this._toPublic(record);
+  }
+
+  /**
+   * Match normalized objects against outstanding commands
+   * @param {Array} normalizedDataArray - Array of SUOs
+   */
+  handleNormalizedData(normalizedDataArray) {
+    if (!this.isStarted || !Array.isArray(normalizedDataArray)) return;
+
+    for (const item of normalizedDataArray) {
+      const record = this._findPendingMatch(item);
+      if (!record) continue;
+
+      const isOperationResult = item.payload?.key === 'operation_result';
+      const succeeded = !isOperationResult || item.payload.value === 1;
+
+      this._transition(
+        record,
+        succeeded ? CommandTracker.STATUS.ACKED : CommandTracker.STATUS.FAILED,
+        {
+          type: item.type,
+          key: item.payload?.key,
+          value: item.payload?.value,
+          raw: item.payload?.raw,
+          ts: item.ts
+        }
+      );
+    }
+  }
+
+  /**
+   * Get a tracked command by ID
+   * @param {string} commandId - Command ID
+   * @returns {Object|null} Command record or null if unknown
+   */
+  getCommand(commandId) {
+    const record = this.commands.get(commandId);
+    return record ? this._toPublic(record) : null;
+  }
+
+  /**
+   * Get tracker statistics
+   * @returns {Object} Counters and number of pending commands
+   */
+  getStats() {
+    let pending = 0;
+    for (const record of this.commands.values()) {
+      if (record.status === CommandTracker.STATUS.PENDING) pending++;
+    }
+
+    return {
+      ...this.stats,
+      pending,
+      retained: this.commands.size
+    };
+  }
+
+  /**
+   * Stop tracking and clear timers
+   */
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.isStarted = false;
+    this.logger.info('CommandTracker: Stopped successfully');
+  }
+
+  /**
+   * Build the response expectation for a command
+   * @param {Object} sentCommand - Sent command
+   * @returns {Object} Expectation ({ key, modAddr?, originalReq?, rawMessageType? })
+   * @private
+   */
+  _buildExpectation(sentCommand) {
+    const { deviceType, command, params = {}, payload } = sentCommand;
+    const modAddr = Number.isInteger(params.modAddr) ? params.modAddr : undefined;
+
+    if (deviceType === 'V5008' && CommandTracker.v5008EchoedCommands.includes(command)) {
+      return {
+        key: 'operation_result',
+        originalReq: Buffer.isBuffer(payload) ? payload.toString('hex').toUpperCase() : String(payload)
+      };
+    }
+
+    if (deviceType === 'V6800' && V6800CommandBuilder.responseTypes[command] &&
+        !CommandTracker.queryResponseKeys[command]) {
+      return {
+        key: 'operation_result',
+        rawMessageType: V6800CommandBuilder.responseTypes[command],
+        modAddr
+      };
+    }
+
+    return {
+      key: CommandTracker.queryResponseKeys[command],
+      modAddr
+    };
+  }
+
+  /**
+   * Find the oldest pending command answered by a normalized object
+   * @param {Object} item - SUO
+   * @returns {Object|null} Matching command record
+   * @private
+   */
+  _findPendingMatch(item) {
+    if (!item?.identity || !item.payload) return null;
+
+    for (const record of this.commands.values()) {
+      if (record.status !== CommandTracker.STATUS.PENDING) continue;
+      if (record.deviceId !== item.identity.deviceId) continue;
+      if (this._matches(record.expect, item)) return record;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a normalized object satisfies an expectation
+   * @param {Object} expect - Expectation
+   * @param {Object} item - SUO
+   * @returns {boolean} True on match
+   * @private
+   */
+  _matches(expect, item) {
+    if (item.payload.key !== expect.key) return false;
+
+    const raw = item.payload.raw || {};
+    // Operation results are reported at module 0 and name the acknowledged module in raw
+    const modAddr = item.payload.key === 'operation_result' ? raw.modAddr : item.identity.modAddr;
+
+    if (expect.modAddr !== undefined && modAddr !== expect.modAddr) {
+      return false;
+    }
+
+    if (expect.originalReq !== undefined) {
+      // Color query responses append the color map after the echoed request
+      return typeof raw.originalReq === 'string' && raw.originalReq.startsWith(expect.originalReq);
+    }
+
+    if (expect.rawMessageType !== undefined) {
+      return raw.rawMessageType === expect.rawMessageType;
+    }
+
+    return true;
+  }
+
+  /**
+   * Mark a pending command as timed out
+   * @param {string} commandId - Command ID
+   * @private
+   */
+  _expire(commandId) {
+    const record = this.commands.get(commandId);
+    if (!record || record.status !== CommandTracker.STATUS.PENDING) return;
+
+    this.logger.warn('CommandTracker: Command timed out', {
+      commandId,
+      deviceId: record.deviceId,
+      command: record.command
+    });
+
+    this._transition(record, CommandTracker.STATUS.TIMED_OUT, null);
+  }
+
+  /**
+   * Move a command to a new status and emit the change
+   * @param {Object} record - Command record
+   * @param {string} status - New status
+   * @param {Object|null} result - Response that caused the transition
+   * @private
+   */
+  _transition(record, status, result) {
+    const now = new Date().toISOString();
+
+    record.status = status;
+    record.result = result;
+    record.updatedAt = now;
+    record.history.push({ status, at: now });
+
+    const timer = this.timers.get(record.commandId);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(record.commandId);
+    }
+
+    if (status === CommandTracker.STATUS.ACKED) this.stats.acked++;
+    if (status === CommandTracker.STATUS.FAILED) this.stats.failed++;
+    if (status === CommandTracker.STATUS.TIMED_OUT) this.stats.timedOut++;
+
+    this.logger.debug(`CommandTracker: Command ${record.commandId} → ${status}`, {
+      deviceId: record.deviceId,
+      command: record.command
+    });
+
+    this.eventBus.emit('command.status', this._toPublic(record));
+  }
+
+  /**
+   * Drop completed commands older than the retention period
+   * @private
+   */
+  _pruneCompleted() {
+    const cutoff = Date.now() - this.retentionMs;
+
+    for (const [commandId, record] of this.commands.entries()) {
+      if (record.status !== CommandTracker.STATUS.PENDING &&
+          new Date(record.updatedAt).getTime() < cutoff) {
+        this.commands.delete(commandId);
+      }
+    }
+  }
+
+  /**
+   * Create a detached copy of a record for callers and event listeners
+   * @param {Object} record - Command record
+   * @returns {Object} Copy of the record
+   * @private
+   */
+  _toPublic(record) {
+    return {
+      ...record,
+      expect: { ...record.expect },
+      history: record.history.map(entry => ({ ...entry }))
+    };
+  }
+}
+
+module.exports = CommandTracker;
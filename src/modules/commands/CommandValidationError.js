@@ -0,0 +1,18 @@
+/**
+ * CommandValidationError - Raised when a downstream command cannot be built
+ * from the arguments it was given (bad module address, U position, color code...)
+ * Lets callers tell argument errors apart from transport errors when publishing
+ */
+class CommandValidationError extends Error {
+  /**
+   * @param {string} message - Human readable description of the problem
+   * @param {Object} details - Offending field and value
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CommandValidationError';
+    this.details = details;
+  }
+}
+
+module.exports = CommandValidationError;
@@ -0,0 +1,272 @@
+const Logger = require('../../core/Logger');
+const EventBus = require('../../core/EventBus');
+
+/**
+ * SyncCoordinator - Rebuilds half-built device shadows
+ * UnifyNormalizer emits SYS_REQUIRE_SYNC when a V6800 RFID event arrives for a
+ * module without a cached shadow. The coordinator answers with a queryRfid
+ * command so the device sends a full u_state_resp snapshot, and marks the
+ * module's shadow as authoritative once that snapshot has been normalized.
+ * Shadows of V6800 modules that expire in the StateCache ('cache.evicted' with
+ * reason 'expired') are resynchronized the same way; V5008 shadows do not expire
+ * and LRU evictions are left alone to keep memory bounded.
+ *
+ * Request flood protection:
+ * - debounce: sync requests for the same module within debounceMs are coalesced
+ * - in-flight: no new query while one is awaiting its snapshot (up to requestTimeoutMs)
+ * - cap: at most maxPerDevice queries per device within windowMs
+ */
+class SyncCoordinator {
+  constructor() {
+    this.logger = Logger;
+    this.eventBus = EventBus;
+    this.commandService = null;
+    this.stateCache = null;
+    this.debounceMs = 2000;
+    this.maxPerDevice = 5;
+    this.windowMs = 60000;
+    this.requestTimeoutMs = 15000;
+    this.isStarted = false;
+    this.pending = new Map(); // Key: `${deviceId}:${modAddr}`, Value: debounce timer
+    this.inFlight = new Map(); // Key: `${deviceId}:${modAddr}`, Value: sent timestamp (ms)
+    this.sendHistory = new Map(); // Key: deviceId, Value: Array of sent timestamps (ms)
+    this.deviceTypes = new Map(); // Key: deviceId, Value: deviceType seen in normalized data
+    this.stats = {
+      requested: 0,
+      debounced: 0,
+      capped: 0,
+      completed: 0,
+      failed: 0,
+      timedOut: 0,
+      evictionResyncs: 0
+    };
+  }
+
+  /**
+   * Set command service reference used to send RFID queries
+   * @param {CommandService} commandService - Command service instance
+   */
+  setCommandService(commandService) {
+    this.commandService = commandService;
+    this.logger.info('SyncCoordinator: Command service reference set');
+  }
+
+  /**
+   * Set the normalizer's state cache whose shadows are resynchronized
+   * @param {StateCache} stateCache - State cache instance
+   */
+  setStateCache(stateCache) {
+    this.stateCache = stateCache;
+    this.logger.info('SyncCoordinator: State cache reference set');
+  }
+
+  /**
+   * Start listening for sync requests and snapshots
+   * @param {Object} config - Sync configuration ({ debounceMs, maxPerDevice, windowMs, requestTimeoutMs })
+   */
+  start(config = {}) {
+    this.debounceMs = config.debounceMs ?? this.debounceMs;
+    this.maxPerDevice = config.maxPerDevice ?? this.maxPerDevice;
+    this.windowMs = config.windowMs ?? this.windowMs;
+    this.requestTimeoutMs = config.requestTimeoutMs ?? this.requestTimeoutMs;
+
+    this.eventBus.on('data.normalized', this.handleNormalizedData.bind(this));
+    this.eventBus.on('cache.evicted', this.handleCacheEviction.bind(this));
+    this.isStarted = true;
+
+    this.logger.info('SyncCoordinator: Started successfully', {
+      debounceMs: this.debounceMs,
+      maxPerDevice: this.maxPerDevice,
+      windowMs: this.windowMs,
+      requestTimeoutMs: this.requestTimeoutMs
+    });
+  }
+
+  /**
+   * React to sync requests and full snapshots in normalized data
+   * @param {Array} normalizedDataArray - Array of SUOs
+   * @returns {Promise<void>}
+   */
+  async handleNormalizedData(normalizedDataArray) {
+    if (!this.isStarted || !Array.isArray(normalizedDataArray)) return;
+
+    for (const item of normalizedDataArray) {
+      if (!item?.identity) continue;
+
+      this.deviceTypes.set(item.identity.deviceId, item.identity.deviceType);
+
+      if (item.type === 'SYS_REQUIRE_SYNC') {
+        this._scheduleSync(item.identity);
+      } else if (item.type === 'SYS_RFID_SNAPSHOT' &&
+                 item.payload?.raw?.rawMessageType === 'u_state_resp') {
+        await this._completeSync(item.identity);
+      }
+    }
+  }
+
+  /**
+   * Resync V6800 module shadows that expired in the StateCache
+   * @param {Object} eviction - Eviction event ({ deviceId, modAddr, reason })
+   */
+  handleCacheEviction(eviction) {
+    if (!this.isStarted || eviction?.reason !== 'expired') return;
+
+    const deviceType = this.deviceTypes.get(eviction.deviceId);
+    if (deviceType !== 'V6800') return;
+
+    this.stats.evictionResyncs++;
+    this._scheduleSync({ deviceId: eviction.deviceId, deviceType, modAddr: eviction.modAddr });
+  }
+
+  /**
+   * Get coordinator statistics
+   * @returns {Object} Counters plus number of debounced and in-flight syncs
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.pending.size,
+      inFlight: this.inFlight.size
+    };
+  }
+
+  /**
+   * Stop coordinating and cancel scheduled queries
+   */
+  stop() {
+    for (const timer of this.pending.values()) {
+      clearTimeout(timer);
+    }
+    this.pending.clear();
+    this.inFlight.clear();
+    this.isStarted = false;
+    this.logger.info('SyncCoordinator: Stopped successfully');
+  }
+
+  /**
+   * Schedule a debounced RFID query for a module
+   * @param {Object} identity - SUO identity ({ deviceId, deviceType, modAddr })
+   * @private
+   */
+  _scheduleSync(identity) {
+    const { deviceId, deviceType, modAddr } = identity;
+    const key = this._createKey(deviceId, modAddr);
+
+    if (this.pending.has(key) || this._isInFlight(key)) {
+      this.stats.debounced++;
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.pending.delete(key);
+      this._sendSync(deviceType, deviceId, modAddr).catch(() => {});
+    }, this.debounceMs);
+    timer.unref?.();
+    this.pending.set(key, timer);
+
+    this.logger.debug(`SyncCoordinator: Sync scheduled for ${key}`);
+  }
+
+  /**
+   * Send the RFID query for a module unless the device's cap is reached
+   * @param {string} deviceType - Device family
+   * @param {string} deviceId - Device ID
+   * @param {number} modAddr - Module address
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _sendSync(deviceType, deviceId, modAddr) {
+    const key = this._createKey(deviceId, modAddr);
+
+    if (!this.commandService) {
+      this.logger.warn('SyncCoordinator: Command service has not been set, sync skipped', { key });
+      return;
+    }
+
+    const now = Date.now();
+    const history = (this.sendHistory.get(deviceId) || []).filter(at => now - at < this.windowMs);
+    this.sendHistory.set(deviceId, history);
+
+    if (history.length >= this.maxPerDevice) {
+      this.stats.capped++;
+      this.logger.warn('SyncCoordinator: Sync cap reached for device, query skipped', {
+        deviceId,
+        modAddr,
+        maxPerDevice: this.maxPerDevice,
+        windowMs: this.windowMs
+      });
+      return;
+    }
+
+    history.push(now);
+    this.inFlight.set(key, now);
+
+    try {
+      await this.commandService.send(deviceType, deviceId, 'queryRfid', { modAddr });
+      this.stats.requested++;
+      this.logger.info('SyncCoordinator: RFID sync requested', { deviceId, modAddr });
+    } catch (error) {
+      this.inFlight.delete(key);
+      this.stats.failed++;
+      this.logger.error('SyncCoordinator: Failed to request RFID sync', {
+        deviceId,
+        modAddr,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Mark a module's shadow as authoritative after its full snapshot arrived
+   * @param {Object} identity - SUO identity ({ deviceId, modAddr })
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _completeSync(identity) {
+    const { deviceId, modAddr } = identity;
+    const key = this._createKey(deviceId, modAddr);
+
+    if (this.stateCache) {
+      await this.stateCache.markAuthoritative(deviceId, modAddr);
+    }
+
+    if (this.inFlight.delete(key)) {
+      this.stats.completed++;
+      this.logger.info('SyncCoordinator: Shadow resynchronized', { deviceId, modAddr });
+    }
+  }
+
+  /**
+   * Check whether a query for a module is still awaiting its snapshot
+   * Expired queries are dropped so the module can be queried again
+   * @param {string} key - Module key
+   * @returns {boolean} True if a query is in flight
+   * @private
+   */
+  _isInFlight(key) {
+    const sentAt = this.inFlight.get(key);
+    if (sentAt === undefined) return false;
+
+    if (Date.now() - sentAt >= this.requestTimeoutMs) {
+      this.inFlight.delete(key);
+      this.stats.timedOut++;
+      this.logger.warn(`SyncCoordinator: Sync for ${key} timed out, allowing retry`);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Create module key
+   * @param {string} deviceId - Device ID
+   * @param {number} modAddr - Module address
+   * @returns {string} Module key
+   * @private
+   */
+  _createKey(deviceId, modAddr) {
+    return `${deviceId}:${modAddr}`;
+  }
+}
+
+module.exports = SyncCoordinator;
@@ -0,0 +1,224 @@
+const CommandValidationError = require('./CommandValidationError');
+const { COLOR_CODES, resolveColorCode } = require('./ColorCodes');
+
+/**
+ * V5008 Command Encoder - Builds binary download frames for V5008 gateways
+ * Frames follow the "Download Message Quick References" table in V5008_V1.4.md
+ * and are published to V5008Download/{deviceId}
+ */
+class V5008CommandEncoder {
+  static downloadTopicPrefix = 'V5008Download';
+
+  static colorCodes = COLOR_CODES;
+
+  // Commands supported by this encoder, mapped to their encoder method
+  static commands = {
+    queryRfid: 'queryRfid',
+    queryTemHum: 'queryTemHum',
+    queryDoor: 'queryDoor',
+    queryNoise: 'queryNoise',
+    queryDeviceInfo: 'queryDeviceInfo',
+    queryModuleInfo: 'queryModuleInfo',
+    setColor: 'setColor',
+    queryColor: 'queryColor',
+    clearAlarm: 'clearAlarm'
+  };
+
+  /**
+   * Build the download topic for a device
+   * @param {string} deviceId - Gateway device ID
+   * @returns {string} Download topic (e.g., "V5008Download/2437871205")
+   */
+  static topicFor(deviceId) {
+    if (!deviceId) {
+      throw new CommandValidationError('V5008CommandEncoder: deviceId is required', { field: 'deviceId' });
+    }
+    return `${this.downloadTopicPrefix}/${deviceId}`;
+  }
+
+  /**
+   * Encode a command by name
+   * @param {string} command - Command name (e.g., "setColor", "queryRfid")
+   * @param {Object} params - Command parameters ({ modAddr, uPos, colors })
+   * @returns {Buffer} Encoded download frame
+   * @throws {CommandValidationError} If the command is unknown or parameters are invalid
+   */
+  encode(command, params = {}) {
+    const method = V5008CommandEncoder.commands[command];
+    if (!method) {
+      throw new CommandValidationError(`V5008CommandEncoder: Unsupported command: ${command}`, {
+        field: 'command',
+        value: command
+      });
+    }
+
+    switch (command) {
+      case 'queryDeviceInfo':
+      case 'queryModuleInfo':
+        return this[method]();
+      case 'setColor':
+        return this.setColor(params.modAddr, params.colors);
+      case 'clearAlarm':
+        return this.clearAlarm(params.modAddr, params.uPos);
+      default:
+        return this[method](params.modAddr);
+    }
+  }
+
+  /**
+   * Query RFID tags of a module - [E901] + modAddr
+   * @param {number} modAddr - Module address (1-5)
+   * @returns {Buffer} Encoded frame
+   */
+  queryRfid(modAddr) {
+    return Buffer.from([0xE9, 0x01, this._validateModAddr(modAddr)]);
+  }
+
+  /**
+   * Query temperature & humidity of a module - [E902] + modAddr
+   * @param {number} modAddr - Module address (1-5)
+   * @returns {Buffer} Encoded frame
+   */
+  queryTemHum(modAddr) {
+    return Buffer.from([0xE9, 0x02, this._validateModAddr(modAddr)]);
+  }
+
+  /**
+   * Query door state of a module - [E903] + modAddr
+   * @param {number} modAddr - Module address (1-5)
+   * @returns {Buffer} Encoded frame
+   */
+  queryDoor(modAddr) {
+    return Buffer.from([0xE9, 0x03, this._validateModAddr(modAddr)]);
+  }
+
+  /**
+   * Query noise level of a module - [E904] + modAddr
+   * @param {number} modAddr - Module address (1-5)
+   * @returns {Buffer} Encoded frame
+   */
+  queryNoise(modAddr) {
+    return Buffer.from([0xE9, 0x04, this._validateModAddr(modAddr)]);
+  }
+
+  /**
+   * Query device information - [EF0100]
+   * @returns {Buffer} Encoded frame
+   */
+  queryDeviceInfo() {
+    return Buffer.from([0xEF, 0x01, 0x00]);
+  }
+
+  /**
+   * Query module information - [EF0200]
+   * @returns {Buffer} Encoded frame
+   */
+  queryModuleInfo() {
+    return Buffer.from([0xEF, 0x02, 0x00]);
+  }
+
+  /**
+   * Set U-level light colors - [E1] + modAddr + (uPos + colorCode) x N
+   * @param {number} modAddr - Module address (1-5)
+   * @param {Array<{uPos: number, color: (number|string)}>} colors - Colors to set
+   * @returns {Buffer} Encoded frame
+   */
+  setColor(modAddr, colors) {
+    const address = this._validateModAddr(modAddr);
+
+    if (!Array.isArray(colors) || colors.length === 0) {
+      throw new CommandValidationError('V5008CommandEncoder: colors must be a non-empty array', {
+        field: 'colors',
+        value: colors
+      });
+    }
+
+    const bytes = [0xE1, address];
+    const seen = new Set();
+
+    for (const entry of colors) {
+      const uPos = this._validateUPos(entry?.uPos);
+      if (seen.has(uPos)) {
+        throw new CommandValidationError(`V5008CommandEncoder: Duplicate uPos in colors: ${uPos}`, {
+          field: 'uPos',
+          value: uPos
+        });
+      }
+      seen.add(uPos);
+
+      bytes.push(uPos, this._validateColor(entry.color));
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Query U-level light colors of a module - [E4] + modAddr
+   * @param {number} modAddr - Module address (1-5)
+   * @returns {Buffer} Encoded frame
+   */
+  queryColor(modAddr) {
+    return Buffer.from([0xE4, this._validateModAddr(modAddr)]);
+  }
+
+  /**
+   * Clear a U-level tamper alarm - [E2] + modAddr + uPos
+   * @param {number} modAddr - Module address (1-5)
+   * @param {number} uPos - U position (1-54)
+   * @returns {Buffer} Encoded frame
+   */
+  clearAlarm(modAddr, uPos) {
+    return Buffer.from([0xE2, this._validateModAddr(modAddr), this._validateUPos(uPos)]);
+  }
+
+  /**
+   * Validate a module address
+   * @param {*} modAddr - Value to validate
+   * @returns {number} Valid module address
+   * @private
+   */
+  _validateModAddr(modAddr) {
+    if (!Number.isInteger(modAddr) || modAddr < 1 || modAddr > 5) {
+      throw new CommandValidationError(`V5008CommandEncoder: modAddr must be an integer 1-5, got ${modAddr}`, {
+        field: 'modAddr',
+        value: modAddr
+      });
+    }
+    return modAddr;
+  }
+
+  /**
+   * Validate a U position
+   * @param {*} uPos - Value to validate
+   * @returns {number} Valid U position
+   * @private
+   */
+  _validateUPos(uPos) {
+    if (!Number.isInteger(uPos) || uPos < 1 || uPos > 54) {
+      throw new CommandValidationError(`V5008CommandEncoder: uPos must be an integer 1-54, got ${uPos}`, {
+        field: 'uPos',
+        value: uPos
+      });
+    }
+    return uPos;
+  }
+
+  /**
+   * Validate a color given as a code (0x00-0x0E) or a name ("red", "red_f")
+   * @param {*} color - Value to validate
+   * @returns {number} Valid color code
+   * @private
+   */
+  _validateColor(color) {
+    const code = resolveColorCode(color);
+    if (code === null) {
+      throw new CommandValidationError(`V5008CommandEncoder: color must be a code 0-14 or a color name, got ${color}`, {
+        field: 'color',
+        value: color
+      });
+    }
+    return code;
+  }
+}
+
+module.exports = V5008CommandEncoder;
@@ -0,0 +1,266 @@
+const CommandValidationError = require('./CommandValidationError');
+const { COLOR_CODES, resolveColorCode } = require('./ColorCodes');
+
+/**
+ * V6800 Command Builder - Builds JSON request bodies for V6800 gateways
+ * The bodies mirror the vendor's non-standard key names (gateway_sn vs gateway_id,
+ * host_gateway_port_index vs index) so each request matches the response
+ * V6800Parser already understands. Requests are published to V6800Download/{deviceId}
+ *
+ * | Command         | Request msg_type          | Response msg_type                |
+ * | --------------- | ------------------------- | -------------------------------- |
+ * | setColor        | set_module_property_req   | set_module_property_result_req   |
+ * | queryColor      | get_u_color               | u_color                          |
+ * | clearAlarm      | clear_u_warning           | clear_u_warning                  |
+ * | queryRfid       | u_state_req               | u_state_resp                     |
+ * | queryDeviceInfo | get_devies_init_req       | devies_init_req                  |
+ */
+class V6800CommandBuilder {
+  static downloadTopicPrefix = 'V6800Download';
+
+  static colorCodes = COLOR_CODES;
+
+  // Commands supported by this builder, mapped to their builder method
+  static commands = {
+    setColor: 'setColor',
+    queryColor: 'queryColor',
+    clearAlarm: 'clearAlarm',
+    queryRfid: 'queryRfid',
+    queryDeviceInfo: 'queryDeviceInfo'
+  };
+
+  // Response msg_type expected for each command
+  static responseTypes = {
+    setColor: 'set_module_property_result_req',
+    queryColor: 'u_color',
+    clearAlarm: 'clear_u_warning',
+    queryRfid: 'u_state_resp',
+    queryDeviceInfo: 'devies_init_req'
+  };
+
+  /**
+   * Build the download topic for a device
+   * @param {string} deviceId - Gateway device ID
+   * @returns {string} Download topic (e.g., "V6800Download/2123456789")
+   */
+  static topicFor(deviceId) {
+    if (!deviceId) {
+      throw new CommandValidationError('V6800CommandBuilder: deviceId is required', { field: 'deviceId' });
+    }
+    return `${this.downloadTopicPrefix}/${deviceId}`;
+  }
+
+  /**
+   * Build a command by name
+   * @param {string} command - Command name (e.g., "setColor", "queryRfid")
+   * @param {Object} params - Command parameters ({ deviceId, modAddr, uPos, colors })
+   * @returns {Object} JSON request body
+   * @throws {CommandValidationError} If the command is unknown or parameters are invalid
+   */
+  encode(command, params = {}) {
+    const method = V6800CommandBuilder.commands[command];
+    if (!method) {
+      throw new CommandValidationError(`V6800CommandBuilder: Unsupported command: ${command}`, {
+        field: 'command',
+        value: command
+      });
+    }
+
+    switch (command) {
+      case 'setColor':
+        return this.setColor(params.deviceId, params.modAddr, params.colors);
+      case 'clearAlarm':
+        return this.clearAlarm(params.deviceId, params.modAddr, params.uPos);
+      case 'queryDeviceInfo':
+        return this.queryDeviceInfo(params.deviceId);
+      default:
+        return this[method](params.deviceId, params.modAddr);
+    }
+  }
+
+  /**
+   * Set U-level light colors of a module
+   * @param {string} deviceId - Gateway device ID
+   * @param {number} modAddr - Module port index
+   * @param {Array<{uPos: number, color: (number|string)}>} colors - Colors to set
+   * @returns {Object} JSON request body
+   */
+  setColor(deviceId, modAddr, colors) {
+    const portIndex = this._validateModAddr(modAddr);
+
+    if (!Array.isArray(colors) || colors.length === 0) {
+      throw new CommandValidationError('V6800CommandBuilder: colors must be a non-empty array', {
+        field: 'colors',
+        value: colors
+      });
+    }
+
+    const seen = new Set();
+    const colorData = colors.map(entry => {
+      const uPos = this._validateUPos(entry?.uPos);
+      if (seen.has(uPos)) {
+        throw new CommandValidationError(`V6800CommandBuilder: Duplicate uPos in colors: ${uPos}`, {
+          field: 'uPos',
+          value: uPos
+        });
+      }
+      seen.add(uPos);
+
+      return {
+        u_index: uPos,
+        color_code: this._validateColor(entry.color)
+      };
+    });
+
+    return {
+      msg_type: 'set_module_property_req',
+      gateway_sn: this._validateDeviceId(deviceId),
+      uuid_number: this._nextMessageId(),
+      data: [{
+        host_gateway_port_index: portIndex,
+        extend_module_sn: null,
+        module_type: 'mt_ul',
+        u_color_data: colorData
+      }]
+    };
+  }
+
+  /**
+   * Query U-level light colors of a module
+   * @param {string} deviceId - Gateway device ID
+   * @param {number} modAddr - Module port index
+   * @returns {Object} JSON request body
+   */
+  queryColor(deviceId, modAddr) {
+    return {
+      msg_type: 'get_u_color',
+      gateway_id: this._validateDeviceId(deviceId),
+      uuid_number: this._nextMessageId(),
+      data: [this._validateModAddr(modAddr)]
+    };
+  }
+
+  /**
+   * Clear a U-level tamper alarm
+   * @param {string} deviceId - Gateway device ID
+   * @param {number} modAddr - Module port index
+   * @param {number} uPos - U position (1-54)
+   * @returns {Object} JSON request body
+   */
+  clearAlarm(deviceId, modAddr, uPos) {
+    return {
+      msg_type: 'clear_u_warning',
+      gateway_id: this._validateDeviceId(deviceId),
+      uuid_number: this._nextMessageId(),
+      data: [{
+        index: this._validateModAddr(modAddr),
+        warning_data: [this._validateUPos(uPos)]
+      }]
+    };
+  }
+
+  /**
+   * Query RFID tags of a module (answered with a full u_state_resp snapshot)
+   * @param {string} deviceId - Gateway device ID
+   * @param {number} modAddr - Module port index
+   * @returns {Object} JSON request body
+   */
+  queryRfid(deviceId, modAddr) {
+    return {
+      msg_type: 'u_state_req',
+      gateway_sn: this._validateDeviceId(deviceId),
+      uuid_number: this._nextMessageId(),
+      data: [{
+        host_gateway_port_index: this._validateModAddr(modAddr),
+        extend_module_sn: null,
+        u_index_list: null
+      }]
+    };
+  }
+
+  /**
+   * Query device init information (gateway IP/MAC and module list)
+   * @param {string} deviceId - Gateway device ID
+   * @returns {Object} JSON request body
+   */
+  queryDeviceInfo(deviceId) {
+    return {
+      msg_type: 'get_devies_init_req',
+      gateway_sn: this._validateDeviceId(deviceId),
+      uuid_number: this._nextMessageId()
+    };
+  }
+
+  /**
+   * Generate a uuid_number for a request
+   * @returns {number} Random 9-digit message ID
+   * @private
+   */
+  _nextMessageId() {
+    return 100000000 + Math.floor(Math.random() * 900000000);
+  }
+
+  /**
+   * Validate a gateway device ID
+   * @param {*} deviceId - Value to validate
+   * @returns {string} Device ID as string
+   * @private
+   */
+  _validateDeviceId(deviceId) {
+    if (deviceId === undefined || deviceId === null || deviceId === '') {
+      throw new CommandValidationError('V6800CommandBuilder: deviceId is required', { field: 'deviceId' });
+    }
+    return deviceId.toString();
+  }
+
+  /**
+   * Validate a module port index
+   * @param {*} modAddr - Value to validate
+   * @returns {number} Valid module port index
+   * @private
+   */
+  _validateModAddr(modAddr) {
+    if (!Number.isInteger(modAddr) || modAddr < 1 || modAddr > 255) {
+      throw new CommandValidationError(`V6800CommandBuilder: modAddr must be an integer 1-255, got ${modAddr}`, {
+        field: 'modAddr',
+        value: modAddr
+      });
+    }
+    return modAddr;
+  }
+
+  /**
+   * Validate a U position
+   * @param {*} uPos - Value to validate
+   * @returns {number} Valid U position
+   * @private
+   */
+  _validateUPos(uPos) {
+    if (!Number.isInteger(uPos) || uPos < 1 || uPos > 54) {
+      throw new CommandValidationError(`V6800CommandBuilder: uPos must be an integer 1-54, got ${uPos}`, {
+        field: 'uPos',
+        value: uPos
+      });
+    }
+    return uPos;
+  }
+
+  /**
+   * Validate a color given as a code (0-14) or a name ("red", "red_f")
+   * @param {*} color - Value to validate
+   * @returns {number} Valid color code
+   * @private
+   */
+  _validateColor(color) {
+    const code = resolveColorCode(color);
+    if (code === null) {
+      throw new CommandValidationError(`V6800CommandBuilder: color must be a code 0-14 or a color name, got ${color}`, {
+        field: 'color',
+        value: color
+      });
+    }
+    return code;
+  }
+}
+
+module.exports = V6800CommandBuilder;
@@ -0,0 +1,380 @@
+const Logger = require('../../core/Logger');
+const EventBus = require('../../core/EventBus');
+const { openStore } = require('../../utils/StoreUtils');
+const FileIncidentStore = require('./stores/FileIncidentStore');
+const MySqlIncidentStore = require('./stores/MySqlIncidentStore');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * CorrelationEngine - Detects incidents from door and RFID changes of a module
+ * Listens to 'data.normalized' for SYS_STATE_CHANGE 'door_state' and
+ * SYS_RFID_EVENT objects (a 'moved' event counts as a detach at its from position):
+ * - detached_while_door_closed:      a tag was detached while the module's door was
+ *                                    closed for at least doorGraceMs (possible reader
+ *                                    fault or tampering); needs a known door state
+ * - door_opened_without_change:      no RFID change on the module within noChangeMs
+ *                                    of the door opening (checked by a sweep; 0 disables)
+ * - detached_outside_working_hours:  a tag was detached outside workingHours
+ *                                    ({ timeZone, days (0 = Sunday), start, end }; null disables)
+ *
+ * Incidents are stored and published as 'correlation.incident' on the EventBus.
+ */
+class CorrelationEngine {
+  static stores = {
+    file: FileIncidentStore,
+    mysql: MySqlIncidentStore
+  };
+
+  static INCIDENTS = Object.freeze({
+    DETACHED_WHILE_CLOSED: 'detached_while_door_closed',
+    OPENED_WITHOUT_CHANGE: 'door_opened_without_change',
+    DETACHED_OUTSIDE_HOURS: 'detached_outside_working_hours'
+  });
+
+  static SEVERITIES = Object.freeze({
+    detached_while_door_closed: 'critical',
+    door_opened_without_change: 'info',
+    detached_outside_working_hours: 'warning'
+  });
+
+  constructor() {
+    this.logger = Logger;
+    this.eventBus = EventBus;
+    this.store = null;
+    this.type = null;
+    this.doors = new Map(); // Key: `${deviceId}:${modAddr}`, Value: { open, since }
+    this.watches = new Map(); // Key: `${deviceId}:${modAddr}`, Value: door opening waiting for an RFID change
+    this.doorGraceMs = 30000;
+    this.noChangeMs = 600000;
+    this.checkIntervalMs = 10000;
+    this.workingHours = null;
+    this.timeFormat = null;
+    this.timer = null;
+    this.queue = Promise.resolve();
+    this.isStarted = false;
+    this.stats = {
+      incidents: 0,
+      errors: 0,
+      byType: {}
+    };
+  }
+
+  /**
+   * Open the incident store and start correlating
+   * @param {Object} config - Correlation configuration ({ type, filePath, maxEntries, doorGraceMs, noChangeMs, checkIntervalMs, workingHours })
+   * @returns {Promise<void>}
+   * @throws {Error} If the working hours or the store type are invalid, or the store cannot be opened
+   */
+  async start(config = {}) {
+    this.doorGraceMs = config.doorGraceMs ?? this.doorGraceMs;
+    this.noChangeMs = config.noChangeMs ?? this.noChangeMs;
+    this.checkIntervalMs = config.checkIntervalMs ?? this.checkIntervalMs;
+    this._setWorkingHours(config.workingHours ?? null);
+
+    const { type, store } = await openStore('CorrelationEngine', CorrelationEngine.stores, config);
+    this.store = store;
+    this.type = type;
+
+    this.eventBus.on('data.normalized', this.handleNormalizedData.bind(this));
+    this.timer = setInterval(() => this.sweep(), this.checkIntervalMs);
+    this.timer.unref?.();
+    this.isStarted = true;
+
+    this.logger.info('CorrelationEngine: Started successfully', {
+      type: this.type,
+      doorGraceMs: this.doorGraceMs,
+      noChangeMs: this.noChangeMs,
+      workingHours: this.workingHours
+    });
+  }
+
+  /**
+   * Correlate door state changes and RFID events, one batch at a time
+   * @param {Array} normalizedDataArray - Array of SUOs
+   * @returns {Promise<void>}
+   */
+  handleNormalizedData(normalizedDataArray) {
+    if (!this.isStarted || !Array.isArray(normalizedDataArray)) return this.queue;
+
+    const relevant = normalizedDataArray.filter(item => item.type === 'SYS_RFID_EVENT' ||
+      (item.type === 'SYS_STATE_CHANGE' && item.payload?.key === 'door_state'));
+    if (relevant.length === 0) return this.queue;
+
+    return this._enqueue(async () => {
+      for (const item of relevant) {
+        if (item.type === 'SYS_STATE_CHANGE') {
+          this._applyDoorState(item);
+        } else {
+          await this._applyRfidEvent(item);
+        }
+      }
+    });
+  }
+
+  /**
+   * Report door openings that saw no RFID change within noChangeMs
+   * @param {number} now - Current time (default: now)
+   * @returns {Promise<Array<Object>>} Incidents created
+   */
+  sweep(now = Date.now()) {
+    return this._enqueue(async () => {
+      const incidents = [];
+      if (this.noChangeMs <= 0) return incidents;
+
+      for (const [key, watch] of this.watches) {
+        if (now - Date.parse(watch.openedAt) < this.noChangeMs) continue;
+
+        this.watches.delete(key);
+        incidents.push(await this._record(CorrelationEngine.INCIDENTS.OPENED_WITHOUT_CHANGE, watch, {
+          uPos: null,
+          tagId: null,
+          detectedAt: new Date(now).toISOString(),
+          details: { openedAt: watch.openedAt, noChangeMs: this.noChangeMs }
+        }));
+      }
+
+      return incidents;
+    });
+  }
+
+  /**
+   * List stored incidents
+   * @param {Object} filter - Filter ({ type, deviceId, modAddr, from, to, limit, offset })
+   * @returns {Promise<Object>} Matching count and page of incidents, most recent first
+   */
+  async listIncidents(filter = {}) {
+    return this.store.list(filter);
+  }
+
+  /**
+   * Get one stored incident
+   * @param {number} id - Incident id
+   * @returns {Promise<Object|null>} Incident or null if not found
+   */
+  async getIncident(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Get correlation statistics
+   * @returns {Object} Counters plus known doors and pending door openings
+   */
+  getStats() {
+    return {
+      type: this.type,
+      started: this.isStarted,
+      doors: this.doors.size,
+      watching: this.watches.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Stop the sweep, finish pending incidents and close the store
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.isStarted) return;
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.isStarted = false;
+    await this.queue;
+    await this.store.close();
+    this.logger.info('CorrelationEngine: Stopped successfully');
+  }
+
+  /**
+   * Record a door transition and watch openings for RFID changes
+   * Repeated reports of the same state keep the time of the first one.
+   * @param {Object} item - door_state SUO
+   * @private
+   */
+  _applyDoorState(item) {
+    const { identity, ts } = item;
+    const key = this._key(identity.deviceId, identity.modAddr);
+    const open = item.payload.value === 1;
+    const door = this.doors.get(key);
+
+    if (door && door.open === open) return;
+    this.doors.set(key, { open, since: ts });
+
+    if (open && this.noChangeMs > 0 && !this.watches.has(key)) {
+      this.watches.set(key, {
+        deviceId: identity.deviceId,
+        deviceType: identity.deviceType,
+        modAddr: identity.modAddr,
+        openedAt: ts
+      });
+    }
+  }
+
+  /**
+   * Check an RFID event against the door state and working hours
+   * @param {Object} item - SYS_RFID_EVENT SUO
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _applyRfidEvent(item) {
+    const { identity, payload, ts } = item;
+    const value = payload?.value || {};
+
+    // Any change on a module ends the wait of its door opening
+    this.watches.delete(this._key(identity.deviceId, identity.modAddr));
+    if (value.action === 'moved') {
+      this.watches.delete(this._key(identity.deviceId, value.fromModAddr));
+    }
+
+    let detach = null;
+    if (value.action === 'detached') {
+      detach = { modAddr: identity.modAddr, uPos: value.uPos, detachedAt: ts };
+    } else if (value.action === 'moved') {
+      detach = { modAddr: value.fromModAddr, uPos: value.fromUPos, detachedAt: value.detachedAt || ts };
+    }
+    if (!detach) return;
+
+    const source = { deviceId: identity.deviceId, deviceType: identity.deviceType, modAddr: detach.modAddr };
+    const incident = {
+      uPos: detach.uPos,
+      tagId: value.tagId,
+      detectedAt: detach.detachedAt
+    };
+
+    const door = this.doors.get(this._key(identity.deviceId, detach.modAddr));
+    if (door && !door.open && Date.parse(detach.detachedAt) - Date.parse(door.since) >= this.doorGraceMs) {
+      await this._record(CorrelationEngine.INCIDENTS.DETACHED_WHILE_CLOSED, source, {
+        ...incident,
+        details: { action: value.action, doorClosedAt: door.since }
+      });
+    }
+
+    if (this.workingHours && !this._isWorkingTime(detach.detachedAt)) {
+      await this._record(CorrelationEngine.INCIDENTS.DETACHED_OUTSIDE_HOURS, source, {
+        ...incident,
+        details: { action: value.action, workingHours: this.workingHours }
+      });
+    }
+  }
+
+  /**
+   * Store and publish an incident
+   * @param {string} type - Incident type
+   * @param {Object} source - Module ({ deviceId, deviceType, modAddr })
+   * @param {Object} fields - Incident fields ({ uPos, tagId, detectedAt, details })
+   * @returns {Promise<Object>} Stored incident
+   * @private
+   */
+  async _record(type, source, fields) {
+    const incident = {
+      type,
+      severity: CorrelationEngine.SEVERITIES[type],
+      deviceId: source.deviceId,
+      deviceType: source.deviceType,
+      modAddr: source.modAddr,
+      uPos: fields.uPos ?? null,
+      tagId: fields.tagId ?? null,
+      detectedAt: fields.detectedAt,
+      details: fields.details
+    };
+    incident.id = await this.store.add(incident);
+
+    this.stats.incidents++;
+    this.stats.byType[type] = (this.stats.byType[type] || 0) + 1;
+    this.logger.warn('CorrelationEngine: Incident detected', {
+      id: incident.id,
+      type,
+      deviceId: incident.deviceId,
+      modAddr: incident.modAddr,
+      tagId: incident.tagId
+    });
+    this.eventBus.emit('correlation.incident', incident);
+
+    return incident;
+  }
+
+  /**
+   * Validate the working hours and prepare their time zone formatter
+   * @param {Object|null} workingHours - { timeZone, days, start, end } or null
+   * @throws {Error} If a field is invalid
+   * @private
+   */
+  _setWorkingHours(workingHours) {
+    this.workingHours = null;
+    this.timeFormat = null;
+    if (!workingHours) return;
+
+    const { timeZone = 'UTC', days = [1, 2, 3, 4, 5], start, end } = workingHours;
+    const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if (!time.test(start || '') || !time.test(end || '') || start >= end) {
+      throw new Error('CorrelationEngine: workingHours start and end must be HH:MM with start before end');
+    }
+    if (!Array.isArray(days) || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      throw new Error('CorrelationEngine: workingHours days must be weekday numbers (0 = Sunday)');
+    }
+
+    try {
+      this.timeFormat = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      });
+    } catch (error) {
+      throw new Error(`CorrelationEngine: Unknown workingHours timeZone: ${timeZone}`);
+    }
+
+    this.workingHours = { timeZone, days, start, end };
+  }
+
+  /**
+   * Check whether a timestamp lies within the working hours
+   * @param {string} ts - ISO timestamp
+   * @returns {boolean} True during working hours
+   * @private
+   */
+  _isWorkingTime(ts) {
+    const parts = {};
+    for (const { type, value } of this.timeFormat.formatToParts(new Date(ts))) {
+      parts[type] = value;
+    }
+
+    const time = `${parts.hour}:${parts.minute}`;
+    return this.workingHours.days.includes(WEEKDAYS.indexOf(parts.weekday)) &&
+      time >= this.workingHours.start &&
+      time < this.workingHours.end;
+  }
+
+  /**
+   * Run a task after all queued tasks, logging its failure
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result (undefined on failure)
+   * @private
+   */
+  _enqueue(task) {
+    const run = this.queue.then(task).catch(error => {
+      this.stats.errors++;
+      this.logger.error('CorrelationEngine: Failed to record incident', {
+        error: error.message
+      });
+    });
+    this.queue = run;
+    return run;
+  }
+
+  /**
+   * Build the module key
+   * @param {string} deviceId - Device ID
+   * @param {number} modAddr - Module address
+   * @returns {string} Module key
+   * @private
+   */
+  _key(deviceId, modAddr) {
+    return `${deviceId}:${modAddr}`;
+  }
+}
+
+module.exports = CorrelationEngine;
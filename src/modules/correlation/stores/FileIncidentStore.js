@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../../../core/Logger');
+
+/**
+ * FileIncidentStore - Keeps correlated incidents in a JSON file
+ * All incidents are held in memory and the file is rewritten (write to temp
+ * file, then rename) shortly after each change. Beyond maxEntries the oldest
+ * incidents are dropped.
+ *
+ * Store interface (shared with MySqlIncidentStore):
+ *   init(), add(incident) → id, get(id), list(filter) → { total, incidents }, close()
+ * An incident is { id, type, severity, deviceId, deviceType, modAddr, uPos, tagId,
+ *   detectedAt, details }
+ */
+class FileIncidentStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - Path of the JSON file
+   * @param {number} options.maxEntries - Maximum number of incidents kept
+   * @param {number} options.flushDelayMs - Delay before changes are written (ms)
+   */
+  constructor(options = {}) {
+    this.logger = Logger;
+    this.filePath = path.resolve(options.filePath || './data/incidents.json');
+    this.maxEntries = options.maxEntries ?? 10000;
+    this.flushDelayMs = options.flushDelayMs ?? 500;
+    this.incidents = new Map(); // Key: id, Value: incident (insertion order = age)
+    this.nextId = 1;
+    this.flushTimer = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load the incident file (a missing file starts an empty store)
+   * @returns {Promise<void>}
+   */
+  async init() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+
+      for (const incident of data.incidents || []) {
+        this.incidents.set(incident.id, incident);
+        this.nextId = Math.max(this.nextId, incident.id + 1);
+      }
+
+      this.logger.info('FileIncidentStore: Loaded incident file', {
+        filePath: this.filePath,
+        incidents: this.incidents.size
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn('FileIncidentStore: Unable to read incident file, starting empty', {
+          filePath: this.filePath,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Add an incident
+   * @param {Object} incident - Incident without id
+   * @returns {Promise<number>} Incident id
+   */
+  async add(incident) {
+    const id = this.nextId++;
+    this.incidents.set(id, { ...incident, id });
+
+    for (const oldestId of this.incidents.keys()) {
+      if (this.incidents.size <= this.maxEntries) break;
+      this.incidents.delete(oldestId);
+    }
+
+    this._scheduleFlush();
+    return id;
+  }
+
+  /**
+   * Get an incident
+   * @param {number} id - Incident id
+   * @returns {Promise<Object|null>} Incident or null if not found
+   */
+  async get(id) {
+    const incident = this.incidents.get(id);
+    return incident ? { ...incident } : null;
+  }
+
+  /**
+   * List incidents, most recent first
+   * @param {Object} filter - Filter ({ type, deviceId, modAddr, from, to, limit, offset })
+   * @returns {Promise<Object>} Matching count and page of incidents
+   */
+  async list(filter = {}) {
+    const matching = Array.from(this.incidents.values())
+      .filter(incident => this._matches(incident, filter))
+      .reverse();
+    const offset = filter.offset || 0;
+
+    return {
+      total: matching.length,
+      incidents: matching.slice(offset, offset + (filter.limit || matching.length)).map(incident => ({ ...incident }))
+    };
+  }
+
+  /**
+   * Write pending changes and stop the flush timer
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+      await this._flush();
+    }
+    await this.writing;
+  }
+
+  /**
+   * Check an incident against a filter
+   * @param {Object} incident - Incident
+   * @param {Object} filter - Filter ({ type, deviceId, modAddr, from, to })
+   * @returns {boolean} True if the incident matches
+   * @private
+   */
+  _matches(incident, filter) {
+    return (!filter.type || incident.type === filter.type) &&
+      (!filter.deviceId || incident.deviceId === filter.deviceId) &&
+      (filter.modAddr === undefined || incident.modAddr === filter.modAddr) &&
+      (!filter.from || incident.detectedAt >= filter.from) &&
+      (!filter.to || incident.detectedAt < filter.to);
+  }
+
+  /**
+   * Schedule a write of the incident file
+   * @private
+   */
+  _scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this._flush();
+    }, this.flushDelayMs);
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Write the incident file atomically, one write at a time
+   * @returns {Promise<void>}
+   * @private
+   */
+  _flush() {
+    const content = JSON.stringify({
+      savedAt: new Date().toISOString(),
+      incidents: Array.from(this.incidents.values())
+    });
+
+    this.writing = this.writing.then(async () => {
+      try {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, content, 'utf8');
+        await fs.promises.rename(tmpPath, this.filePath);
+      } catch (error) {
+        this.logger.error('FileIncidentStore: Failed to write incident file', {
+          filePath: this.filePath,
+          error: error.message
+        });
+      }
+    });
+
+    return this.writing;
+  }
+}
+
+module.exports = FileIncidentStore;
@@ -0,0 +1,128 @@
+const Logger = require('../../../core/Logger');
+const Database = require('../../../core/Database');
+
+/**
+ * MySqlIncidentStore - Keeps correlated incidents in the iot_incidents table
+ * Implements the same store interface as FileIncidentStore.
+ */
+class MySqlIncidentStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.tableName - Table name (default: iot_incidents)
+   */
+  constructor(options = {}) {
+    this.logger = Logger;
+    this.database = Database;
+    this.tableName = options.tableName || 'iot_incidents';
+  }
+
+  /**
+   * Verify the database connection
+   * @returns {Promise<void>}
+   * @throws {Error} If the database is not connected
+   */
+  async init() {
+    if (!this.database.isConnectionActive()) {
+      throw new Error('MySqlIncidentStore: Database is not connected');
+    }
+  }
+
+  /**
+   * Add an incident
+   * @param {Object} incident - Incident without id
+   * @returns {Promise<number>} Incident id
+   */
+  async add(incident) {
+    const knex = this.database.getKnex();
+    const [id] = await knex(this.tableName).insert({
+      incident_type: incident.type,
+      severity: incident.severity,
+      device_id: incident.deviceId,
+      device_type: incident.deviceType,
+      mod_addr: incident.modAddr,
+      u_pos: incident.uPos,
+      tag_id: incident.tagId,
+      detected_at: incident.detectedAt,
+      details: JSON.stringify(incident.details),
+      created_at: new Date()
+    });
+    return id;
+  }
+
+  /**
+   * Get an incident
+   * @param {number} id - Incident id
+   * @returns {Promise<Object|null>} Incident or null if not found
+   */
+  async get(id) {
+    const knex = this.database.getKnex();
+    const row = await knex(this.tableName).where({ id }).first();
+    return row ? this._toIncident(row) : null;
+  }
+
+  /**
+   * List incidents, most recent first
+   * @param {Object} filter - Filter ({ type, deviceId, modAddr, from, to, limit, offset })
+   * @returns {Promise<Object>} Matching count and page of incidents
+   */
+  async list(filter = {}) {
+    const knex = this.database.getKnex();
+
+    const [{ total }] = await this._applyFilter(knex(this.tableName), filter).count({ total: '*' });
+
+    let query = this._applyFilter(knex(this.tableName).select('*'), filter)
+      .orderBy('id', 'desc')
+      .offset(filter.offset || 0);
+    if (filter.limit) {
+      query = query.limit(filter.limit);
+    }
+
+    const rows = await query;
+    return { total: Number(total), incidents: rows.map(row => this._toIncident(row)) };
+  }
+
+  /**
+   * Nothing to flush, writes are immediate
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Apply a filter to a query
+   * @param {Object} query - Knex query builder
+   * @param {Object} filter - Filter ({ type, deviceId, modAddr, from, to })
+   * @returns {Object} Filtered query builder
+   * @private
+   */
+  _applyFilter(query, filter) {
+    if (filter.type) query = query.where('incident_type', filter.type);
+    if (filter.deviceId) query = query.where('device_id', filter.deviceId);
+    if (filter.modAddr !== undefined) query = query.where('mod_addr', filter.modAddr);
+    if (filter.from) query = query.where('detected_at', '>=', filter.from);
+    if (filter.to) query = query.where('detected_at', '<', filter.to);
+    return query;
+  }
+
+  /**
+   * Map a table row to an incident
+   * @param {Object} row - Row
+   * @returns {Object} Incident
+   * @private
+   */
+  _toIncident(row) {
+    return {
+      id: row.id,
+      type: row.incident_type,
+      severity: row.severity,
+      deviceId: row.device_id,
+      deviceType: row.device_type,
+      modAddr: row.mod_addr,
+      uPos: row.u_pos,
+      tagId: row.tag_id,
+      detectedAt: row.detected_at,
+      details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details
+    };
+  }
+}
+
+module.exports = MySqlIncidentStore;
@@ -0,0 +1,223 @@
+const Logger = require('../../core/Logger');
+const EventBus = require('../../core/EventBus');
+const { openStore } = require('../../utils/StoreUtils');
+const FileDeadLetterStore = require('./stores/FileDeadLetterStore');
+const MySqlDeadLetterStore = require('./stores/MySqlDeadLetterStore');
+
+/**
+ * DeadLetterService - Keeps raw messages the pipeline could not turn into data
+ * Listens to 'message.failed' (emitted by MessagePipeline) and stores the raw
+ * payload with its topic, failure stage and error. Entries can be listed,
+ * inspected, retried through the pipeline (e.g. after a parser fix) and purged.
+ *
+ * Entry status:
+ * - pending:  not processed successfully yet
+ * - resolved: a retry produced normalized data
+ */
+class DeadLetterService {
+  static stores = {
+    file: FileDeadLetterStore,
+    mysql: MySqlDeadLetterStore
+  };
+
+  constructor() {
+    this.logger = Logger;
+    this.eventBus = EventBus;
+    this.pipeline = null;
+    this.store = null;
+    this.type = null;
+    this.isStarted = false;
+    this.stats = {
+      captured: 0,
+      retried: 0,
+      resolved: 0,
+      purged: 0,
+      errors: 0,
+      byStage: {}
+    };
+  }
+
+  /**
+   * Set the pipeline used to retry dead letters
+   * @param {MessagePipeline} pipeline - Message pipeline instance
+   */
+  setPipeline(pipeline) {
+    this.pipeline = pipeline;
+    this.logger.info('DeadLetterService: Pipeline reference set');
+  }
+
+  /**
+   * Open the store and start capturing failed messages
+   * @param {Object} config - Dead letter configuration ({ type, filePath, maxEntries })
+   * @returns {Promise<void>}
+   * @throws {Error} If the store type is unknown or the store cannot be opened
+   */
+  async start(config = {}) {
+    const { type, store } = await openStore('DeadLetterService', DeadLetterService.stores, config);
+    this.store = store;
+    this.type = type;
+
+    this.eventBus.on('message.failed', this.handleFailedMessage.bind(this));
+    this.isStarted = true;
+    this.logger.info('DeadLetterService: Started successfully', { type: this.type });
+  }
+
+  /**
+   * Store a message lost by the pipeline
+   * @param {Object} failure - Failed message ({ topic, message, deviceType, stage, error })
+   * @returns {Promise<void>}
+   */
+  async handleFailedMessage(failure) {
+    if (!this.isStarted || !failure?.topic) return;
+
+    try {
+      const id = await this.store.add({
+        topic: failure.topic,
+        deviceId: failure.topic.split('/')[1] || null,
+        deviceType: failure.deviceType || null,
+        stage: failure.stage,
+        error: failure.error,
+        payload: Buffer.from(failure.message ?? ''),
+        status: 'pending',
+        attempts: 0,
+        receivedAt: new Date().toISOString(),
+        lastAttemptAt: null,
+        resolvedAt: null
+      });
+
+      this.stats.captured++;
+      this.stats.byStage[failure.stage] = (this.stats.byStage[failure.stage] || 0) + 1;
+      this.logger.warn('DeadLetterService: Message stored as dead letter', {
+        id,
+        topic: failure.topic,
+        stage: failure.stage,
+        error: failure.error
+      });
+    } catch (error) {
+      this.stats.errors++;
+      this.logger.error('DeadLetterService: Failed to store dead letter', {
+        topic: failure.topic,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List dead letters without their payloads, most recent first
+   * @param {Object} filter - Filter ({ stage, status, deviceId, limit, offset })
+   * @returns {Promise<Object>} Matching count and page of entries
+   */
+  async list(filter = {}) {
+    const { total, entries } = await this.store.list(filter);
+    return {
+      total,
+      entries: entries.map(({ payload, ...entry }) => ({ ...entry, payloadSize: payload.length }))
+    };
+  }
+
+  /**
+   * Get a dead letter with its payload as hex and text
+   * @param {number} id - Entry id
+   * @returns {Promise<Object|null>} Entry or null if not found
+   */
+  async get(id) {
+    const entry = await this.store.get(id);
+    if (!entry) return null;
+
+    const { payload, ...details } = entry;
+    return {
+      ...details,
+      payloadSize: payload.length,
+      payloadHex: payload.toString('hex').toUpperCase(),
+      payloadText: payload.toString('utf8')
+    };
+  }
+
+  /**
+   * Run a dead letter through the pipeline again
+   * @param {number} id - Entry id
+   * @returns {Promise<Object|null>} Retry result ({ id, status, stage, error, normalized }) or null if not found
+   * @throws {Error} If the pipeline has not been set
+   */
+  async retry(id) {
+    if (!this.pipeline) {
+      throw new Error('DeadLetterService: Pipeline has not been set');
+    }
+
+    const entry = await this.store.get(id);
+    if (!entry) return null;
+
+    const { normalizedData, failure } = await this.pipeline.run(entry.topic, entry.payload);
+    const now = new Date().toISOString();
+    const changes = failure ?
+      { stage: failure.stage, error: failure.error, attempts: entry.attempts + 1, lastAttemptAt: now } :
+      { status: 'resolved', attempts: entry.attempts + 1, lastAttemptAt: now, resolvedAt: now };
+
+    await this.store.update(id, changes);
+
+    this.stats.retried++;
+    if (!failure) this.stats.resolved++;
+    this.logger.info('DeadLetterService: Dead letter retried', {
+      id,
+      resolved: !failure,
+      normalized: normalizedData.length
+    });
+
+    return {
+      id,
+      status: failure ? entry.status : 'resolved',
+      stage: failure ? failure.stage : entry.stage,
+      error: failure ? failure.error : null,
+      normalized: normalizedData.length
+    };
+  }
+
+  /**
+   * Remove a dead letter
+   * @param {number} id - Entry id
+   * @returns {Promise<boolean>} True if the entry existed
+   */
+  async delete(id) {
+    const deleted = await this.store.delete(id);
+    if (deleted) this.stats.purged++;
+    return deleted;
+  }
+
+  /**
+   * Remove all dead letters matching a filter
+   * @param {Object} filter - Filter ({ stage, status, deviceId, before })
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async purge(filter = {}) {
+    const count = await this.store.purge(filter);
+    this.stats.purged += count;
+    this.logger.info('DeadLetterService: Dead letters purged', { count, filter });
+    return count;
+  }
+
+  /**
+   * Get dead letter statistics
+   * @returns {Object} Store type and counters
+   */
+  getStats() {
+    return {
+      type: this.type,
+      started: this.isStarted,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Stop capturing and close the store
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.isStarted) return;
+
+    this.isStarted = false;
+    await this.store.close();
+    this.logger.info('DeadLetterService: Stopped successfully');
+  }
+}
+
+module.exports = DeadLetterService;
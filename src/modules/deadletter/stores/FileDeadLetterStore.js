@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../../../core/Logger');
+
+/**
+ * FileDeadLetterStore - Keeps dead letters in a JSON file
+ * All entries are held in memory and the file is rewritten (write to temp file,
+ * then rename) shortly after each change. Beyond maxEntries the oldest entries
+ * are dropped.
+ *
+ * Store interface (shared with MySqlDeadLetterStore):
+ *   init(), add(entry) → id, list(filter) → { total, entries }, get(id),
+ *   update(id, changes), delete(id), purge(filter) → count, close()
+ * An entry is { id, topic, deviceId, deviceType, stage, error, payload (Buffer),
+ *   status, attempts, receivedAt, lastAttemptAt, resolvedAt }
+ */
+class FileDeadLetterStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - Path of the JSON file
+   * @param {number} options.maxEntries - Maximum number of entries kept
+   * @param {number} options.flushDelayMs - Delay before changes are written (ms)
+   */
+  constructor(options = {}) {
+    this.logger = Logger;
+    this.filePath = path.resolve(options.filePath || './data/dead-letters.json');
+    this.maxEntries = options.maxEntries ?? 10000;
+    this.flushDelayMs = options.flushDelayMs ?? 500;
+    this.entries = new Map(); // Key: id, Value: entry (insertion order = age)
+    this.nextId = 1;
+    this.flushTimer = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load the dead letter file (a missing file starts an empty store)
+   * @returns {Promise<void>}
+   */
+  async init() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+
+      for (const entry of data.entries || []) {
+        this.entries.set(entry.id, { ...entry, payload: Buffer.from(entry.payload, 'base64') });
+        this.nextId = Math.max(this.nextId, entry.id + 1);
+      }
+
+      this.logger.info('FileDeadLetterStore: Loaded dead letter file', {
+        filePath: this.filePath,
+        entries: this.entries.size
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn('FileDeadLetterStore: Unable to read dead letter file, starting empty', {
+          filePath: this.filePath,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Add a dead letter
+   * @param {Object} entry - Entry without id
+   * @returns {Promise<number>} Entry id
+   */
+  async add(entry) {
+    const id = this.nextId++;
+    this.entries.set(id, { ...entry, id });
+
+    for (const oldestId of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) break;
+      this.entries.delete(oldestId);
+    }
+
+    this._scheduleFlush();
+    return id;
+  }
+
+  /**
+   * List dead letters, most recent first
+   * @param {Object} filter - Filter ({ stage, status, deviceId, limit, offset })
+   * @returns {Promise<Object>} Matching count and page of entries
+   */
+  async list(filter = {}) {
+    const matching = Array.from(this.entries.values())
+      .filter(entry => this._matches(entry, filter))
+      .reverse();
+    const offset = filter.offset || 0;
+
+    return {
+      total: matching.length,
+      entries: matching.slice(offset, offset + (filter.limit || matching.length))
+    };
+  }
+
+  /**
+   * Get a dead letter
+   * @param {number} id - Entry id
+   * @returns {Promise<Object|null>} Entry or null if not found
+   */
+  async get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * Update a dead letter
+   * @param {number} id - Entry id
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<void>}
+   */
+  async update(id, changes) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+
+    Object.assign(entry, changes);
+    this._scheduleFlush();
+  }
+
+  /**
+   * Remove a dead letter
+   * @param {number} id - Entry id
+   * @returns {Promise<boolean>} True if the entry existed
+   */
+  async delete(id) {
+    const deleted = this.entries.delete(id);
+    if (deleted) this._scheduleFlush();
+    return deleted;
+  }
+
+  /**
+   * Remove all dead letters matching a filter
+   * @param {Object} filter - Filter ({ stage, status, deviceId, before })
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async purge(filter = {}) {
+    let count = 0;
+
+    for (const [id, entry] of this.entries) {
+      if (this._matches(entry, filter)) {
+        this.entries.delete(id);
+        count++;
+      }
+    }
+
+    if (count > 0) this._scheduleFlush();
+    return count;
+  }
+
+  /**
+   * Write pending changes and stop the flush timer
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+      await this._flush();
+    }
+    await this.writing;
+  }
+
+  /**
+   * Check an entry against a filter
+   * @param {Object} entry - Entry
+   * @param {Object} filter - Filter ({ stage, status, deviceId, before })
+   * @returns {boolean} True if the entry matches
+   * @private
+   */
+  _matches(entry, filter) {
+    return (!filter.stage || entry.stage === filter.stage) &&
+      (!filter.status || entry.status === filter.status) &&
+      (!filter.deviceId || entry.deviceId === filter.deviceId) &&
+      (!filter.before || entry.receivedAt < filter.before);
+  }
+
+  /**
+   * Schedule a write of the dead letter file
+   * @private
+   */
+  _scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this._flush();
+    }, this.flushDelayMs);
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Write the dead letter file atomically, one write at a time
+   * @returns {Promise<void>}
+   * @private
+   */
+  _flush() {
+    const content = JSON.stringify({
+      savedAt: new Date().toISOString(),
+      entries: Array.from(this.entries.values(), entry => ({
+        ...entry,
+        payload: entry.payload.toString('base64')
+      }))
+    });
+
+    this.writing = this.writing.then(async () => {
+      try {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, content, 'utf8');
+        await fs.promises.rename(tmpPath, this.filePath);
+      } catch (error) {
+        this.logger.error('FileDeadLetterStore: Failed to write dead letter file', {
+          filePath: this.filePath,
+          error: error.message
+        });
+      }
+    });
+
+    return this.writing;
+  }
+}
+
+module.exports = FileDeadLetterStore;
@@ -0,0 +1,181 @@
+const Logger = require('../../../core/Logger');
+const Database = require('../../../core/Database');
+
+/**
+ * MySqlDeadLetterStore - Keeps dead letters in the iot_dead_letters table
+ * Implements the same store interface as FileDeadLetterStore.
+ */
+class MySqlDeadLetterStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.tableName - Table name (default: iot_dead_letters)
+   */
+  constructor(options = {}) {
+    this.logger = Logger;
+    this.database = Database;
+    this.tableName = options.tableName || 'iot_dead_letters';
+  }
+
+  /**
+   * Verify the database connection
+   * @returns {Promise<void>}
+   * @throws {Error} If the database is not connected
+   */
+  async init() {
+    if (!this.database.isConnectionActive()) {
+      throw new Error('MySqlDeadLetterStore: Database is not connected');
+    }
+  }
+
+  /**
+   * Add a dead letter
+   * @param {Object} entry - Entry without id
+   * @returns {Promise<number>} Entry id
+   */
+  async add(entry) {
+    const knex = this.database.getKnex();
+    const [id] = await knex(this.tableName).insert(this._toRow(entry));
+    return id;
+  }
+
+  /**
+   * List dead letters, most recent first
+   * @param {Object} filter - Filter ({ stage, status, deviceId, limit, offset })
+   * @returns {Promise<Object>} Matching count and page of entries
+   */
+  async list(filter = {}) {
+    const knex = this.database.getKnex();
+
+    const [{ total }] = await this._applyFilter(knex(this.tableName), filter).count({ total: '*' });
+
+    let query = this._applyFilter(knex(this.tableName).select('*'), filter)
+      .orderBy('id', 'desc')
+      .offset(filter.offset || 0);
+    if (filter.limit) {
+      query = query.limit(filter.limit);
+    }
+
+    const rows = await query;
+    return { total: Number(total), entries: rows.map(row => this._toEntry(row)) };
+  }
+
+  /**
+   * Get a dead letter
+   * @param {number} id - Entry id
+   * @returns {Promise<Object|null>} Entry or null if not found
+   */
+  async get(id) {
+    const knex = this.database.getKnex();
+    const row = await knex(this.tableName).where({ id }).first();
+    return row ? this._toEntry(row) : null;
+  }
+
+  /**
+   * Update a dead letter
+   * @param {number} id - Entry id
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<void>}
+   */
+  async update(id, changes) {
+    const knex = this.database.getKnex();
+    await knex(this.tableName).where({ id }).update({
+      ...this._toRow(changes),
+      updated_at: new Date()
+    });
+  }
+
+  /**
+   * Remove a dead letter
+   * @param {number} id - Entry id
+   * @returns {Promise<boolean>} True if the entry existed
+   */
+  async delete(id) {
+    const knex = this.database.getKnex();
+    return (await knex(this.tableName).where({ id }).del()) > 0;
+  }
+
+  /**
+   * Remove all dead letters matching a filter
+   * @param {Object} filter - Filter ({ stage, status, deviceId, before })
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async purge(filter = {}) {
+    const knex = this.database.getKnex();
+    return this._applyFilter(knex(this.tableName), filter).del();
+  }
+
+  /**
+   * Nothing to flush, writes are immediate
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Apply a filter to a query
+   * @param {Object} query - Knex query builder
+   * @param {Object} filter - Filter ({ stage, status, deviceId, before })
+   * @returns {Object} Filtered query builder
+   * @private
+   */
+  _applyFilter(query, filter) {
+    if (filter.stage) query = query.where('stage', filter.stage);
+    if (filter.status) query = query.where('status', filter.status);
+    if (filter.deviceId) query = query.where('device_id', filter.deviceId);
+    if (filter.before) query = query.where('received_at', '<', filter.before);
+    return query;
+  }
+
+  /**
+   * Map entry fields to table columns (only the fields present)
+   * @param {Object} entry - Entry or partial entry
+   * @returns {Object} Row
+   * @private
+   */
+  _toRow(entry) {
+    const columns = {
+      topic: 'topic',
+      deviceId: 'device_id',
+      deviceType: 'device_type',
+      stage: 'stage',
+      error: 'error',
+      payload: 'payload',
+      status: 'status',
+      attempts: 'attempts',
+      receivedAt: 'received_at',
+      lastAttemptAt: 'last_attempt_at',
+      resolvedAt: 'resolved_at'
+    };
+    const row = {};
+
+    for (const [field, column] of Object.entries(columns)) {
+      if (entry[field] !== undefined) row[column] = entry[field];
+    }
+
+    return row;
+  }
+
+  /**
+   * Map a table row to an entry
+   * @param {Object} row - Row
+   * @returns {Object} Entry
+   * @private
+   */
+  _toEntry(row) {
+    return {
+      id: row.id,
+      topic: row.topic,
+      deviceId: row.device_id,
+      deviceType: row.device_type,
+      stage: row.stage,
+      error: row.error,
+      payload: Buffer.from(row.payload),
+      status: row.status,
+      attempts: row.attempts,
+      receivedAt: row.received_at,
+      lastAttemptAt: row.last_attempt_at,
+      resolvedAt: row.resolved_at
+    };
+  }
+}
+
+module.exports = MySqlDeadLetterStore;
@@ -0,0 +1,401 @@
+const Logger = require('../../core/Logger');
+const EventBus = require('../../core/EventBus');
+const { openStore } = require('../../utils/StoreUtils');
+const FileDoorSessionStore = require('./stores/FileDoorSessionStore');
+const MySqlDoorSessionStore = require('./stores/MySqlDoorSessionStore');
+
+/**
+ * DoorSessionTracker - Pairs door open and close transitions into sessions
+ * Listens to 'data.normalized' for SYS_STATE_CHANGE 'door_state' objects. An open
+ * (1) starts a session of the module, the next close (0) ends it with its
+ * duration. Repeated opens of an open door and closes without a known open (e.g.
+ * the door was opened before the tracker started) are ignored. Open sessions are
+ * stored too and restored at start.
+ *
+ * A sweep raises a SYS_ALERT (key 'door_state', type 'door_open', ruleId null)
+ * once a door has been open for maxOpenMs; closing the door clears it with
+ * reason 'door_closed'. Alerts are published on 'data.normalized' like rule alerts.
+ */
+class DoorSessionTracker {
+  static stores = {
+    file: FileDoorSessionStore,
+    mysql: MySqlDoorSessionStore
+  };
+
+  static INTERVALS = Object.freeze(['hour', 'day']);
+
+  constructor() {
+    this.logger = Logger;
+    this.eventBus = EventBus;
+    this.store = null;
+    this.type = null;
+    this.open = new Map(); // Key: `${deviceId}:${modAddr}`, Value: open session
+    this.maxOpenMs = 300000;
+    this.checkIntervalMs = 10000;
+    this.severity = 'warning';
+    this.timer = null;
+    this.queue = Promise.resolve();
+    this.isStarted = false;
+    this.stats = {
+      opened: 0,
+      closed: 0,
+      ignored: 0,
+      alerts: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Open the session store, restore open sessions and start tracking doors
+   * @param {Object} config - Door configuration ({ type, filePath, maxEntries, maxOpenMs, checkIntervalMs, severity })
+   * @returns {Promise<void>}
+   * @throws {Error} If the store type is unknown or the store cannot be opened
+   */
+  async start(config = {}) {
+    const { type, store } = await openStore('DoorSessionTracker', DoorSessionTracker.stores, config);
+    this.store = store;
+    this.type = type;
+
+    this.maxOpenMs = config.maxOpenMs ?? this.maxOpenMs;
+    this.checkIntervalMs = config.checkIntervalMs ?? this.checkIntervalMs;
+    this.severity = config.severity ?? this.severity;
+
+    for (const session of await this.store.list({ open: true })) {
+      this.open.set(this._key(session.deviceId, session.modAddr), session);
+    }
+
+    this.eventBus.on('data.normalized', this.handleNormalizedData.bind(this));
+    this.timer = setInterval(() => this.sweep(), this.checkIntervalMs);
+    this.timer.unref?.();
+    this.isStarted = true;
+
+    this.logger.info('DoorSessionTracker: Started successfully', {
+      type: this.type,
+      open: this.open.size,
+      maxOpenMs: this.maxOpenMs
+    });
+  }
+
+  /**
+   * Apply door state changes, one batch at a time
+   * @param {Array} normalizedDataArray - Array of SUOs
+   * @returns {Promise<void>}
+   */
+  handleNormalizedData(normalizedDataArray) {
+    if (!this.isStarted || !Array.isArray(normalizedDataArray)) return this.queue;
+
+    const doorStates = normalizedDataArray.filter(item =>
+      item.type === 'SYS_STATE_CHANGE' && item.payload?.key === 'door_state');
+    if (doorStates.length === 0) return this.queue;
+
+    return this._enqueue(async () => {
+      for (const item of doorStates) {
+        if (item.payload.value === 1) {
+          await this._openDoor(item);
+        } else {
+          await this._closeDoor(item);
+        }
+      }
+    });
+  }
+
+  /**
+   * Raise alerts for doors open longer than maxOpenMs
+   * @param {number} now - Current time (default: now)
+   * @returns {Promise<Array<Object>>} Sessions that raised an alert
+   */
+  sweep(now = Date.now()) {
+    return this._enqueue(async () => {
+      const alerted = [];
+
+      for (const session of this.open.values()) {
+        if (session.alertedAt) continue;
+
+        const openMs = now - Date.parse(session.openedAt);
+        if (openMs < this.maxOpenMs) continue;
+
+        session.alertedAt = new Date(now).toISOString();
+        await this.store.update(session.id, { alertedAt: session.alertedAt });
+
+        this.stats.alerts++;
+        this.logger.warn('DoorSessionTracker: Door open too long', {
+          deviceId: session.deviceId,
+          modAddr: session.modAddr,
+          openedAt: session.openedAt
+        });
+        this.eventBus.emit('data.normalized', [
+          this._createAlert(session, 'alert_raised', openMs, session.alertedAt, { openedAt: session.openedAt })
+        ]);
+        alerted.push({ ...session });
+      }
+
+      return alerted;
+    });
+  }
+
+  /**
+   * Get the doors that are open now
+   * @param {number} now - Current time (default: now)
+   * @returns {Array<Object>} Open sessions with openMs, longest open first
+   */
+  getOpenDoors(now = Date.now()) {
+    return Array.from(this.open.values())
+      .map(session => ({ ...session, openMs: now - Date.parse(session.openedAt) }))
+      .sort((a, b) => b.openMs - a.openMs);
+  }
+
+  /**
+   * List stored sessions
+   * @param {Object} filter - Filter ({ deviceId, modAddr, open, from, to, limit })
+   * @returns {Promise<Array<Object>>} Sessions, most recently opened first
+   */
+  async listSessions(filter = {}) {
+    return this.store.list(filter);
+  }
+
+  /**
+   * Aggregate door-open statistics per rack module and time bucket
+   * Sessions are assigned to the bucket they were opened in; durations count
+   * closed sessions only.
+   * @param {Object} filter - Filter ({ deviceId, modAddr, from, to, interval: hour|day })
+   * @returns {Promise<Array<Object>>} Per module totals and buckets, sorted by deviceId and modAddr
+   * @throws {Error} If the interval is unknown
+   */
+  async getStatistics(filter = {}) {
+    const interval = filter.interval || 'day';
+    if (!DoorSessionTracker.INTERVALS.includes(interval)) {
+      throw new Error(`DoorSessionTracker: Unknown interval: ${interval}`);
+    }
+
+    const { deviceId, modAddr, from, to } = filter;
+    const sessions = await this.store.list({ deviceId, modAddr, from, to });
+    const racks = new Map(); // Key: `${deviceId}:${modAddr}`, Value: { totals, buckets }
+
+    for (const session of sessions.reverse()) {
+      const key = this._key(session.deviceId, session.modAddr);
+      if (!racks.has(key)) {
+        racks.set(key, {
+          deviceId: session.deviceId,
+          modAddr: session.modAddr,
+          ...this._emptyCounters(),
+          buckets: new Map()
+        });
+      }
+
+      const rack = racks.get(key);
+      const start = this._bucketStart(session.openedAt, interval);
+      if (!rack.buckets.has(start)) {
+        rack.buckets.set(start, { start, ...this._emptyCounters() });
+      }
+
+      this._count(rack, session);
+      this._count(rack.buckets.get(start), session);
+    }
+
+    return Array.from(racks.values())
+      .sort((a, b) => a.deviceId.localeCompare(b.deviceId) || a.modAddr - b.modAddr)
+      .map(rack => ({ ...rack, interval, buckets: Array.from(rack.buckets.values()) }));
+  }
+
+  /**
+   * Get door session statistics
+   * @returns {Object} Counters plus number of open doors
+   */
+  getStats() {
+    let alerting = 0;
+    for (const session of this.open.values()) {
+      if (session.alertedAt) alerting++;
+    }
+
+    return {
+      type: this.type,
+      started: this.isStarted,
+      maxOpenMs: this.maxOpenMs,
+      open: this.open.size,
+      alerting,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Stop the sweep, finish pending changes and close the store
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.isStarted) return;
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.isStarted = false;
+    await this.queue;
+    await this.store.close();
+    this.logger.info('DoorSessionTracker: Stopped successfully');
+  }
+
+  /**
+   * Start a session unless the door is already open
+   * @param {Object} item - door_state SUO with value 1
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _openDoor(item) {
+    const { identity, payload, ts } = item;
+    const key = this._key(identity.deviceId, identity.modAddr);
+    if (this.open.has(key)) {
+      this.stats.ignored++;
+      return;
+    }
+
+    const session = {
+      deviceId: identity.deviceId,
+      deviceType: identity.deviceType,
+      modAddr: identity.modAddr,
+      modId: payload.raw?.modId ?? null,
+      openedAt: ts,
+      closedAt: null,
+      durationMs: null,
+      alertedAt: null
+    };
+    session.id = await this.store.add(session);
+
+    this.open.set(key, session);
+    this.stats.opened++;
+    this.logger.debug('DoorSessionTracker: Door opened', { deviceId: identity.deviceId, modAddr: identity.modAddr });
+  }
+
+  /**
+   * End the open session of the module and clear its alert
+   * @param {Object} item - door_state SUO with value 0
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _closeDoor(item) {
+    const { identity, ts } = item;
+    const key = this._key(identity.deviceId, identity.modAddr);
+    const session = this.open.get(key);
+    if (!session) {
+      this.stats.ignored++;
+      return;
+    }
+
+    const durationMs = Math.max(0, Date.parse(ts) - Date.parse(session.openedAt));
+    await this.store.update(session.id, { closedAt: ts, durationMs });
+
+    this.open.delete(key);
+    this.stats.closed++;
+    this.logger.debug('DoorSessionTracker: Door closed', {
+      deviceId: identity.deviceId,
+      modAddr: identity.modAddr,
+      durationMs
+    });
+
+    if (session.alertedAt) {
+      this.eventBus.emit('data.normalized', [
+        this._createAlert(session, 'alert_cleared', durationMs, ts, { raisedAt: session.alertedAt, reason: 'door_closed' })
+      ]);
+    }
+  }
+
+  /**
+   * Create a SYS_ALERT object for a door session
+   * @param {Object} session - Door session
+   * @param {string} action - 'alert_raised' or 'alert_cleared'
+   * @param {number} openMs - Time the door has been (or was) open
+   * @param {string} ts - Alert timestamp
+   * @param {Object} raw - Details ({ openedAt } or { raisedAt, reason })
+   * @returns {Object} SYS_ALERT SUO
+   * @private
+   */
+  _createAlert(session, action, openMs, ts, raw) {
+    return {
+      identity: { deviceId: session.deviceId, deviceType: session.deviceType, modAddr: session.modAddr, sensorAddr: 0 },
+      type: 'SYS_ALERT',
+      ts,
+      payload: {
+        key: 'alert',
+        value: {
+          action,
+          ruleId: null,
+          name: 'Door open too long',
+          severity: this.severity,
+          key: 'door_state',
+          type: 'door_open',
+          threshold: this.maxOpenMs,
+          value: openMs
+        },
+        raw
+      }
+    };
+  }
+
+  /**
+   * Run a task after all queued tasks, logging its failure
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result (undefined on failure)
+   * @private
+   */
+  _enqueue(task) {
+    const run = this.queue.then(task).catch(error => {
+      this.stats.errors++;
+      this.logger.error('DoorSessionTracker: Failed to update door sessions', {
+        error: error.message
+      });
+    });
+    this.queue = run;
+    return run;
+  }
+
+  /**
+   * Create zeroed statistics counters
+   * @returns {Object} Counters
+   * @private
+   */
+  _emptyCounters() {
+    return { opens: 0, closed: 0, totalOpenMs: 0, maxOpenMs: 0, longOpens: 0 };
+  }
+
+  /**
+   * Add a session to statistics counters
+   * @param {Object} counters - Counters to update
+   * @param {Object} session - Door session
+   * @private
+   */
+  _count(counters, session) {
+    counters.opens++;
+    if (session.alertedAt) counters.longOpens++;
+    if (session.closedAt === null) return;
+
+    counters.closed++;
+    counters.totalOpenMs += session.durationMs;
+    counters.maxOpenMs = Math.max(counters.maxOpenMs, session.durationMs);
+  }
+
+  /**
+   * Truncate a timestamp to the start of its UTC hour or day
+   * @param {string} ts - ISO timestamp
+   * @param {string} interval - 'hour' or 'day'
+   * @returns {string} Bucket start as ISO timestamp
+   * @private
+   */
+  _bucketStart(ts, interval) {
+    const date = new Date(ts);
+    if (interval === 'day') date.setUTCHours(0);
+    date.setUTCMinutes(0, 0, 0);
+    return date.toISOString();
+  }
+
+  /**
+   * Build the module key
+   * @param {string} deviceId - Device ID
+   * @param {number} modAddr - Module address
+   * @returns {string} Module key
+   * @private
+   */
+  _key(deviceId, modAddr) {
+    return `${deviceId}:${modAddr}`;
+  }
+}
+
+module.exports = DoorSessionTracker;
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../../../core/Logger');
+
+/**
+ * FileDoorSessionStore - Keeps door sessions in a JSON file
+ * All sessions are held in memory and the file is rewritten (write to temp file,
+ * then rename) shortly after each change. Beyond maxEntries the oldest sessions
+ * are dropped.
+ *
+ * Store interface (shared with MySqlDoorSessionStore):
+ *   init(), add(session) → id, update(id, changes), list(filter) → sessions, close()
+ * A session is { id, deviceId, deviceType, modAddr, modId, openedAt, closedAt,
+ *   durationMs, alertedAt }
+ */
+class FileDoorSessionStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - Path of the JSON file
+   * @param {number} options.maxEntries - Maximum number of sessions kept
+   * @param {number} options.flushDelayMs - Delay before changes are written (ms)
+   */
+  constructor(options = {}) {
+    this.logger = Logger;
+    this.filePath = path.resolve(options.filePath || './data/door-sessions.json');
+    this.maxEntries = options.maxEntries ?? 100000;
+    this.flushDelayMs = options.flushDelayMs ?? 500;
+    this.sessions = new Map(); // Key: id, Value: session (insertion order = age)
+    this.nextId = 1;
+    this.flushTimer = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load the session file (a missing file starts an empty store)
+   * @returns {Promise<void>}
+   */
+  async init() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+
+      for (const session of data.sessions || []) {
+        this.sessions.set(session.id, session);
+        this.nextId = Math.max(this.nextId, session.id + 1);
+      }
+
+      this.logger.info('FileDoorSessionStore: Loaded door session file', {
+        filePath: this.filePath,
+        sessions: this.sessions.size
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn('FileDoorSessionStore: Unable to read door session file, starting empty', {
+          filePath: this.filePath,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Add a session
+   * @param {Object} session - Session without id
+   * @returns {Promise<number>} Session id
+   */
+  async add(session) {
+    const id = this.nextId++;
+    this.sessions.set(id, { ...session, id });
+
+    for (const oldestId of this.sessions.keys()) {
+      if (this.sessions.size <= this.maxEntries) break;
+      this.sessions.delete(oldestId);
+    }
+
+    this._scheduleFlush();
+    return id;
+  }
+
+  /**
+   * Update a session
+   * @param {number} id - Session id
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<void>}
+   */
+  async update(id, changes) {
+    const session = this.sessions.get(id);
+    if (!session) return;
+
+    Object.assign(session, changes);
+    this._scheduleFlush();
+  }
+
+  /**
+   * List sessions, most recently opened first
+   * @param {Object} filter - Filter ({ deviceId, modAddr, open, from, to, limit })
+   * @returns {Promise<Array<Object>>} Matching sessions
+   */
+  async list(filter = {}) {
+    const matching = Array.from(this.sessions.values())
+      .filter(session => this._matches(session, filter))
+      .sort((a, b) => b.openedAt.localeCompare(a.openedAt) || b.id - a.id)
+      .map(session => ({ ...session }));
+
+    return filter.limit ? matching.slice(0, filter.limit) : matching;
+  }
+
+  /**
+   * Write pending changes and stop the flush timer
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+      await this._flush();
+    }
+    await this.writing;
+  }
+
+  /**
+   * Check a session against a filter
+   * @param {Object} session - Session
+   * @param {Object} filter - Filter ({ deviceId, modAddr, open, from, to })
+   * @returns {boolean} True if the session matches
+   * @private
+   */
+  _matches(session, filter) {
+    return (!filter.deviceId || session.deviceId === filter.deviceId) &&
+      (filter.modAddr === undefined || session.modAddr === filter.modAddr) &&
+      (filter.open === undefined || (session.closedAt === null) === filter.open) &&
+      (!filter.from || session.openedAt >= filter.from) &&
+      (!filter.to || session.openedAt < filter.to);
+  }
+
+  /**
+   * Schedule a write of the session file
+   * @private
+   */
+  _scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this._flush();
+    }, this.flushDelayMs);
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Write the session file atomically, one write at a time
+   * @returns {Promise<void>}
+   * @private
+   */
+  _flush() {
+    const content = JSON.stringify({
+      savedAt: new Date().toISOString(),
+      sessions: Array.from(this.sessions.values())
+    });
+
+    this.writing = this.writing.then(async () => {
+      try {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, content, 'utf8');
+        await fs.promises.rename(tmpPath, this.filePath);
+      } catch (error) {
+        this.logger.error('FileDoorSessionStore: Failed to write door session file', {
+          filePath: this.filePath,
+          error: error.message
+        });
+      }
+    });
+
+    return this.writing;
+  }
+}
+
+module.exports = FileDoorSessionStore;
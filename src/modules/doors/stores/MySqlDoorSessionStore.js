@@ -0,0 +1,130 @@
+const Logger = require('../../../core/Logger');
+const Database = require('../../../core/Database');
+
+/**
+ * MySqlDoorSessionStore - Keeps door sessions in the iot_door_sessions table
+ * Implements the same store interface as FileDoorSessionStore.
+ */
+class MySqlDoorSessionStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.tableName - Table name (default: iot_door_sessions)
+   */
+  constructor(options = {}) {
+    this.logger = Logger;
+    this.database = Database;
+    this.tableName = options.tableName || 'iot_door_sessions';
+  }
+
+  /**
+   * Verify the database connection
+   * @returns {Promise<void>}
+   * @throws {Error} If the database is not connected
+   */
+  async init() {
+    if (!this.database.isConnectionActive()) {
+      throw new Error('MySqlDoorSessionStore: Database is not connected');
+    }
+  }
+
+  /**
+   * Add a session
+   * @param {Object} session - Session without id
+   * @returns {Promise<number>} Session id
+   */
+  async add(session) {
+    const knex = this.database.getKnex();
+    const [id] = await knex(this.tableName).insert({ ...this._toRow(session), created_at: new Date() });
+    return id;
+  }
+
+  /**
+   * Update a session
+   * @param {number} id - Session id
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<void>}
+   */
+  async update(id, changes) {
+    const knex = this.database.getKnex();
+    await knex(this.tableName).where({ id }).update(this._toRow(changes));
+  }
+
+  /**
+   * List sessions, most recently opened first
+   * @param {Object} filter - Filter ({ deviceId, modAddr, open, from, to, limit })
+   * @returns {Promise<Array<Object>>} Matching sessions
+   */
+  async list(filter = {}) {
+    const knex = this.database.getKnex();
+
+    let query = knex(this.tableName).select('*');
+    if (filter.deviceId) query = query.where('device_id', filter.deviceId);
+    if (filter.modAddr !== undefined) query = query.where('mod_addr', filter.modAddr);
+    if (filter.open === true) query = query.whereNull('closed_at');
+    if (filter.open === false) query = query.whereNotNull('closed_at');
+    if (filter.from) query = query.where('opened_at', '>=', filter.from);
+    if (filter.to) query = query.where('opened_at', '<', filter.to);
+
+    query = query.orderBy([{ column: 'opened_at', order: 'desc' }, { column: 'id', order: 'desc' }]);
+    if (filter.limit) {
+      query = query.limit(filter.limit);
+    }
+
+    const rows = await query;
+    return rows.map(row => this._toSession(row));
+  }
+
+  /**
+   * Nothing to flush, writes are immediate
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Map session fields to table columns (only the fields present)
+   * @param {Object} session - Session or partial session
+   * @returns {Object} Row
+   * @private
+   */
+  _toRow(session) {
+    const columns = {
+      deviceId: 'device_id',
+      deviceType: 'device_type',
+      modAddr: 'mod_addr',
+      modId: 'mod_id',
+      openedAt: 'opened_at',
+      closedAt: 'closed_at',
+      durationMs: 'duration_ms',
+      alertedAt: 'alerted_at'
+    };
+    const row = {};
+
+    for (const [field, column] of Object.entries(columns)) {
+      if (session[field] !== undefined) row[column] = session[field];
+    }
+
+    return row;
+  }
+
+  /**
+   * Map a table row to a session
+   * @param {Object} row - Row
+   * @returns {Object} Session
+   * @private
+   */
+  _toSession(row) {
+    return {
+      id: row.id,
+      deviceId: row.device_id,
+      deviceType: row.device_type,
+      modAddr: row.mod_addr,
+      modId: row.mod_id,
+      openedAt: row.opened_at,
+      closedAt: row.closed_at,
+      durationMs: row.duration_ms === null ? null : Number(row.duration_ms),
+      alertedAt: row.alerted_at
+    };
+  }
+}
+
+module.exports = MySqlDoorSessionStore;
@@ -0,0 +1,244 @@
+const Logger = require('../../core/Logger');
+const EventBus = require('../../core/EventBus');
+const Database = require('../../core/Database');
+
+/**
+ * DeviceInventory - Firmware and network inventory of V5008 and V6800 devices
+ * Listens to 'data.normalized' and keeps the latest SYS_DEVICE_INFO of every device:
+ * - device_info:     ip, mac (both families), model, fwVer, mask, gatewayIp (V5008)
+ * - module_info:     modId, uTotal, fwVer per module
+ * - topology_change: modId and uTotal of added/replaced/resized modules, removal
+ *
+ * At start the inventory is filled from the device_info / module_info rows stored
+ * in iot_device_state, so it survives restarts while the database is available.
+ */
+class DeviceInventory {
+  static deviceFields = ['ip', 'mac', 'model', 'fwVer', 'mask', 'gatewayIp'];
+
+  static moduleFields = ['modId', 'uTotal', 'fwVer'];
+
+  constructor() {
+    this.logger = Logger;
+    this.eventBus = EventBus;
+    this.database = Database;
+    this.devices = new Map(); // Key: deviceId, Value: { deviceId, deviceType, ...deviceFields, updatedAt, modules: Map<modAddr, module> }
+    this.isStarted = false;
+  }
+
+  /**
+   * Load stored device info and start listening for updates
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const loaded = await this._loadStored();
+
+    this.eventBus.on('data.normalized', this.handleNormalizedData.bind(this));
+    this.isStarted = true;
+
+    this.logger.info('DeviceInventory: Started successfully', { loaded });
+  }
+
+  /**
+   * Apply device info objects to the inventory
+   * @param {Array} normalizedDataArray - Array of SUOs
+   */
+  handleNormalizedData(normalizedDataArray) {
+    if (!this.isStarted || !Array.isArray(normalizedDataArray)) return;
+
+    for (const item of normalizedDataArray) {
+      if (item.type === 'SYS_DEVICE_INFO') {
+        this._apply(item);
+      }
+    }
+  }
+
+  /**
+   * List inventoried devices
+   * @param {Object} filter - Filter ({ deviceType, model, fwVer }); fwVer matches the device or any module
+   * @returns {Array<Object>} Devices with their modules, sorted by deviceId
+   */
+  list(filter = {}) {
+    return Array.from(this.devices.values())
+      .filter(device => !filter.deviceType || device.deviceType === filter.deviceType)
+      .filter(device => !filter.model || device.model === filter.model)
+      .filter(device => !filter.fwVer || device.fwVer === filter.fwVer ||
+        Array.from(device.modules.values()).some(module => module.fwVer === filter.fwVer))
+      .sort((a, b) => a.deviceId.localeCompare(b.deviceId))
+      .map(device => this._toPublic(device));
+  }
+
+  /**
+   * Get one device
+   * @param {string} deviceId - Device ID
+   * @returns {Object|null} Device with its modules or null if unknown
+   */
+  get(deviceId) {
+    const device = this.devices.get(deviceId);
+    return device ? this._toPublic(device) : null;
+  }
+
+  /**
+   * Get inventory statistics
+   * @returns {Object} Device and module counts per device type
+   */
+  getStats() {
+    const byDeviceType = {};
+    let modules = 0;
+
+    for (const device of this.devices.values()) {
+      byDeviceType[device.deviceType] = (byDeviceType[device.deviceType] || 0) + 1;
+      modules += device.modules.size;
+    }
+
+    return {
+      devices: this.devices.size,
+      modules,
+      byDeviceType
+    };
+  }
+
+  /**
+   * Stop listening for updates
+   */
+  stop() {
+    this.isStarted = false;
+    this.logger.info('DeviceInventory: Stopped successfully');
+  }
+
+  /**
+   * Apply one SYS_DEVICE_INFO object
+   * @param {Object} item - SUO
+   * @private
+   */
+  _apply(item) {
+    const { identity, payload, ts } = item;
+    const device = this._getDevice(identity.deviceId, identity.deviceType);
+
+    switch (payload?.key) {
+      case 'device_info':
+        for (const field of DeviceInventory.deviceFields) {
+          if (payload.value?.[field] !== undefined) device[field] = payload.value[field];
+        }
+        device.updatedAt = ts;
+        break;
+
+      case 'module_info': {
+        // V5008 module info has no modId/uTotal before the first heartbeat
+        const { modId, uTotal, fwVer } = payload.value || {};
+        this._updateModule(device, identity.modAddr, {
+          ...(modId !== null && modId !== undefined ? { modId } : {}),
+          ...(uTotal !== null && uTotal !== undefined ? { uTotal } : {}),
+          fwVer: fwVer ?? null
+        }, ts);
+        break;
+      }
+
+      case 'topology_change':
+        if (payload.value === 'module_removed') {
+          device.modules.delete(identity.modAddr);
+        } else {
+          const fields = { modId: payload.raw?.modId, uTotal: payload.raw?.uTotal };
+          // A replaced module's firmware is unknown until its module info is reported again
+          if (payload.value === 'module_replaced') fields.fwVer = null;
+          this._updateModule(device, identity.modAddr, fields, ts);
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Update the fields of one module, keeping fields the update does not carry
+   * @param {Object} device - Inventory record
+   * @param {number} modAddr - Module address
+   * @param {Object} fields - Module fields to set (modId, uTotal, fwVer)
+   * @param {string} ts - Update timestamp
+   * @private
+   */
+  _updateModule(device, modAddr, fields, ts) {
+    const module = device.modules.get(modAddr) || { modAddr, modId: null, uTotal: null, fwVer: null };
+
+    for (const field of DeviceInventory.moduleFields) {
+      if (fields[field] !== undefined) module[field] = fields[field];
+    }
+    module.updatedAt = ts;
+
+    device.modules.set(modAddr, module);
+  }
+
+  /**
+   * Get or create the inventory record of a device
+   * @param {string} deviceId - Device ID
+   * @param {string} deviceType - Device family
+   * @returns {Object} Inventory record
+   * @private
+   */
+  _getDevice(deviceId, deviceType) {
+    let device = this.devices.get(deviceId);
+    if (!device) {
+      device = { deviceId, deviceType, updatedAt: null, modules: new Map() };
+      for (const field of DeviceInventory.deviceFields) {
+        device[field] = null;
+      }
+      this.devices.set(deviceId, device);
+    }
+    return device;
+  }
+
+  /**
+   * Fill the inventory from device_info / module_info rows in iot_device_state
+   * @returns {Promise<number>} Number of rows applied
+   * @private
+   */
+  async _loadStored() {
+    if (!this.database.isConnectionActive()) {
+      this.logger.debug('DeviceInventory: Database not connected, starting empty');
+      return 0;
+    }
+
+    let loaded = 0;
+
+    try {
+      const rows = await this.database.getKnex()('iot_device_state')
+        .select('device_id', 'device_type', 'mod_addr', 'json_value', 'timestamp')
+        .where('state_type', 'SYS_DEVICE_INFO');
+
+      for (const row of rows) {
+        const payload = typeof row.json_value === 'string' ? JSON.parse(row.json_value) : row.json_value;
+        if (payload?.key !== 'device_info' && payload?.key !== 'module_info') continue;
+
+        this._apply({
+          identity: { deviceId: row.device_id, deviceType: row.device_type, modAddr: row.mod_addr, sensorAddr: 0 },
+          type: 'SYS_DEVICE_INFO',
+          ts: row.timestamp instanceof Date ? row.timestamp.toISOString() : row.timestamp,
+          payload
+        });
+        loaded++;
+      }
+    } catch (error) {
+      this.logger.error('DeviceInventory: Failed to load stored device info', {
+        error: error.message
+      });
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Convert an inventory record to its public form
+   * @param {Object} device - Inventory record
+   * @returns {Object} Device with modules sorted by address
+   * @private
+   */
+  _toPublic(device) {
+    const { modules, ...fields } = device;
+    return {
+      ...fields,
+      modules: Array.from(modules.values()).sort((a, b) => a.modAddr - b.modAddr).map(module => ({ ...module }))
+    };
+  }
+}
+
+module.exports = DeviceInventory;
@@ -0,0 +1,477 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../../core/Logger');
+const { ArchiveFormats } = require('../archive/ArchiveFormats');
+
+/**
+ * IngressQueue - Bounded queue between MQTT ingress and the MessagePipeline
+ * Messages are queued in one lane per device and processed by a worker pool:
+ * a lane is handled by at most one worker at a time, so messages of the same
+ * device (and therefore of each of its modules) are processed in arrival order
+ * while different devices run in parallel. Lanes are keyed by the device ID of
+ * the topic because the module address is only known after parsing and one
+ * V6800 message can carry several modules.
+ *
+ * Flow control:
+ * - backpressure: at highWaterMark queued messages whenWritable() returns a
+ *   promise resolved once the queue drains to lowWaterMark (or after maxPauseMs);
+ *   MqttService holds back its acknowledgements meanwhile
+ * - full (maxSize): the policy decides what happens to new messages
+ *   - drop-newest: the new message is dropped
+ *   - drop-oldest: the oldest queued message is dropped
+ *   - spill:       new messages are written to NDJSON spill files and reloaded,
+ *                  in order, once the queue has drained to lowWaterMark
+ */
+class IngressQueue {
+  static POLICIES = Object.freeze(['drop-newest', 'drop-oldest', 'spill']);
+
+  constructor() {
+    this.logger = Logger;
+    this.handler = null;
+    this.concurrency = 4;
+    this.maxSize = 10000;
+    this.highWaterMark = 8000;
+    this.lowWaterMark = 5000;
+    this.maxPauseMs = 10000;
+    this.policy = 'spill';
+    this.spillDirectory = path.resolve('./data/ingress-spill');
+    this.drainTimeoutMs = 5000;
+    this.isStarted = false;
+    this.lanes = new Map(); // Key: deviceId, Value: Array of queued items
+    this.ready = new Set(); // Lanes with queued items and no active worker, in arrival order
+    this.active = new Set(); // Lanes being processed
+    this.size = 0;
+    this.running = 0;
+    this.sequence = 0;
+    this.spillSegments = []; // [{ filePath, count }], oldest first
+    this.spilledCount = 0;
+    this.pause = null; // { promise, resolve, timer } while above highWaterMark
+    this.idleWaiters = [];
+    this.stats = {
+      enqueued: 0,
+      processed: 0,
+      failed: 0,
+      dropped: 0,
+      spilled: 0,
+      restored: 0,
+      pauses: 0
+    };
+  }
+
+  /**
+   * Set the function processing a message
+   * @param {Function} handler - Async function receiving { topic, message }
+   */
+  setHandler(handler) {
+    this.handler = handler;
+    this.logger.info('IngressQueue: Handler set');
+  }
+
+  /**
+   * Start accepting messages and reload messages spilled before a restart
+   * @param {Object} config - Ingress configuration
+   *   ({ concurrency, maxSize, highWaterMark, lowWaterMark, maxPauseMs, policy, spillDirectory, drainTimeoutMs })
+   * @throws {Error} If the policy is unknown or no handler has been set
+   */
+  start(config = {}) {
+    const policy = config.policy || this.policy;
+    if (!IngressQueue.POLICIES.includes(policy)) {
+      throw new Error(`IngressQueue: Unknown policy: ${policy}`);
+    }
+    if (!this.handler) {
+      throw new Error('IngressQueue: Handler has not been set');
+    }
+
+    this.policy = policy;
+    this.concurrency = config.concurrency ?? this.concurrency;
+    this.maxSize = config.maxSize ?? this.maxSize;
+    this.highWaterMark = config.highWaterMark ?? Math.floor(this.maxSize * 0.8);
+    this.lowWaterMark = config.lowWaterMark ?? Math.floor(this.maxSize * 0.5);
+    this.maxPauseMs = config.maxPauseMs ?? this.maxPauseMs;
+    this.drainTimeoutMs = config.drainTimeoutMs ?? this.drainTimeoutMs;
+    this.spillDirectory = config.spillDirectory ? path.resolve(config.spillDirectory) : this.spillDirectory;
+
+    if (this.policy === 'spill') {
+      this._loadSpillSegments();
+    }
+
+    this.isStarted = true;
+    this.logger.info('IngressQueue: Started successfully', {
+      concurrency: this.concurrency,
+      maxSize: this.maxSize,
+      highWaterMark: this.highWaterMark,
+      lowWaterMark: this.lowWaterMark,
+      policy: this.policy,
+      spilledPending: this.spilledCount
+    });
+
+    this._restoreSpilled();
+  }
+
+  /**
+   * Queue a message for processing
+   * @param {Object} item - MQTT message ({ topic, message })
+   * @returns {boolean} False if the message was dropped
+   */
+  enqueue(item) {
+    if (!this.isStarted) {
+      this.stats.dropped++;
+      this.logger.warn('IngressQueue: Not started, message dropped', { topic: item?.topic });
+      return false;
+    }
+
+    this.stats.enqueued++;
+
+    // Keep arrival order: once spilling started, later messages follow the spilled ones
+    if (this.spilledCount > 0) {
+      this._spill(item);
+      return true;
+    }
+
+    if (this.size >= this.maxSize) {
+      switch (this.policy) {
+        case 'drop-newest':
+          this._drop(item, 'queue full, newest dropped');
+          return false;
+        case 'drop-oldest':
+          this._drop(this._shiftOldest(), 'queue full, oldest dropped');
+          break;
+        case 'spill':
+          this._spill(item);
+          return true;
+      }
+    }
+
+    this._push(item);
+    return true;
+  }
+
+  /**
+   * Get a promise to wait for before accepting more messages
+   * @returns {Promise<void>|null} Promise resolved once the queue has drained to
+   *   lowWaterMark (or after maxPauseMs), or null if messages can be accepted now
+   */
+  whenWritable() {
+    if (this.size + this.spilledCount < this.highWaterMark && !this.pause) return null;
+
+    if (!this.pause) {
+      let resolve;
+      const promise = new Promise(done => { resolve = done; });
+      const timer = setTimeout(() => this._resume('timeout'), this.maxPauseMs);
+      timer.unref?.();
+
+      this.pause = { promise, resolve, timer };
+      this.stats.pauses++;
+      this.logger.warn('IngressQueue: High water mark reached, pausing intake', {
+        size: this.size,
+        spilled: this.spilledCount,
+        highWaterMark: this.highWaterMark
+      });
+    }
+
+    return this.pause.promise;
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} Counters plus current queue state
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      policy: this.policy,
+      size: this.size,
+      running: this.running,
+      lanes: this.lanes.size + this.active.size,
+      spilledPending: this.spilledCount,
+      paused: this.pause !== null
+    };
+  }
+
+  /**
+   * Stop accepting messages and let queued ones finish (up to drainTimeoutMs)
+   * Messages still queued afterwards are spilled (spill policy) or dropped
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.isStarted) return;
+
+    this.isStarted = false;
+    this._resume('stop');
+
+    const drained = await Promise.race([
+      this._whenIdle().then(() => true),
+      new Promise(resolve => {
+        const timer = setTimeout(() => resolve(false), this.drainTimeoutMs);
+        timer.unref?.();
+      })
+    ]);
+
+    if (!drained) {
+      const remaining = this._takeQueued();
+      if (this.policy === 'spill') {
+        remaining.forEach(item => this._spill(item));
+      } else {
+        this.stats.dropped += remaining.length;
+      }
+      this.logger.warn('IngressQueue: Queue not drained before stop', {
+        remaining: remaining.length,
+        spilled: this.policy === 'spill'
+      });
+    }
+
+    this.logger.info('IngressQueue: Stopped successfully', this.getStats());
+  }
+
+  /**
+   * Add a message to its device lane and start workers
+   * @param {Object} item - MQTT message ({ topic, message })
+   * @private
+   */
+  _push(item) {
+    const key = this._keyOf(item);
+    const lane = this.lanes.get(key) || [];
+
+    lane.push({ seq: this.sequence++, item });
+    this.lanes.set(key, lane);
+    if (!this.active.has(key)) this.ready.add(key);
+    this.size++;
+
+    this._pump();
+  }
+
+  /**
+   * Start workers for ready lanes up to the concurrency limit
+   * @private
+   */
+  _pump() {
+    while (this.running < this.concurrency && this.ready.size > 0) {
+      const [key] = this.ready;
+      this.ready.delete(key);
+
+      const lane = this.lanes.get(key);
+      const { item } = lane.shift();
+      if (lane.length === 0) this.lanes.delete(key);
+      this.size--;
+
+      this.active.add(key);
+      this.running++;
+      this._work(key, item);
+    }
+  }
+
+  /**
+   * Process one message, then continue with the lane's next message
+   * @param {string} key - Lane key
+   * @param {Object} item - MQTT message ({ topic, message })
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _work(key, item) {
+    try {
+      await this.handler(item);
+      this.stats.processed++;
+    } catch (error) {
+      this.stats.failed++;
+      this.logger.error('IngressQueue: Handler failed', {
+        topic: item.topic,
+        error: error.message
+      });
+    } finally {
+      this.running--;
+      this.active.delete(key);
+      if (this.lanes.has(key)) this.ready.add(key);
+
+      this._afterDequeue();
+      this._pump();
+    }
+  }
+
+  /**
+   * Reload spilled messages, resume intake and wake idle waiters as the queue drains
+   * @private
+   */
+  _afterDequeue() {
+    if (this.size <= this.lowWaterMark) {
+      this._restoreSpilled();
+    }
+
+    if (this.pause && this.size + this.spilledCount <= this.lowWaterMark) {
+      this._resume('drained');
+    }
+
+    if (this.size === 0 && this.running === 0) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  /**
+   * Resolve the pending backpressure promise
+   * @param {string} reason - drained, timeout or stop
+   * @private
+   */
+  _resume(reason) {
+    if (!this.pause) return;
+
+    const { resolve, timer } = this.pause;
+    this.pause = null;
+    clearTimeout(timer);
+    resolve();
+
+    this.logger.info('IngressQueue: Resuming intake', { reason, size: this.size });
+  }
+
+  /**
+   * Remove the oldest queued message across all lanes
+   * @returns {Object|null} Removed message
+   * @private
+   */
+  _shiftOldest() {
+    let oldestKey = null;
+    let oldestSeq = Infinity;
+
+    for (const [key, lane] of this.lanes) {
+      if (lane[0].seq < oldestSeq) {
+        oldestSeq = lane[0].seq;
+        oldestKey = key;
+      }
+    }
+
+    if (oldestKey === null) return null;
+
+    const lane = this.lanes.get(oldestKey);
+    const { item } = lane.shift();
+    if (lane.length === 0) {
+      this.lanes.delete(oldestKey);
+      this.ready.delete(oldestKey);
+    }
+    this.size--;
+
+    return item;
+  }
+
+  /**
+   * Remove all queued messages in arrival order
+   * @returns {Array<Object>} Removed messages
+   * @private
+   */
+  _takeQueued() {
+    const queued = Array.from(this.lanes.values()).flat().sort((a, b) => a.seq - b.seq);
+
+    this.lanes.clear();
+    this.ready.clear();
+    this.size = 0;
+
+    return queued.map(({ item }) => item);
+  }
+
+  /**
+   * Count and log a dropped message
+   * @param {Object} item - Dropped message
+   * @param {string} reason - Reason
+   * @private
+   */
+  _drop(item, reason) {
+    if (!item) return;
+
+    this.stats.dropped++;
+    this.logger.warn(`IngressQueue: Message dropped, ${reason}`, { topic: item.topic });
+  }
+
+  /**
+   * Append a message to the current spill segment
+   * A segment holds at most lowWaterMark messages so it always fits back into the queue
+   * @param {Object} item - MQTT message ({ topic, message })
+   * @private
+   */
+  _spill(item) {
+    try {
+      let segment = this.spillSegments[this.spillSegments.length - 1];
+      if (!segment || segment.count >= Math.max(1, this.lowWaterMark)) {
+        fs.mkdirSync(this.spillDirectory, { recursive: true });
+        const name = `spill-${Date.now()}-${String(this.sequence++).padStart(9, '0')}.ndjson`;
+        segment = { filePath: path.join(this.spillDirectory, name), count: 0 };
+        this.spillSegments.push(segment);
+      }
+
+      fs.appendFileSync(segment.filePath, ArchiveFormats.ndjson.encode({
+        receivedAt: Date.now(),
+        topic: item.topic,
+        message: item.message ?? Buffer.alloc(0)
+      }));
+      segment.count++;
+      this.spilledCount++;
+      this.stats.spilled++;
+    } catch (error) {
+      this._drop(item, `spill failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move the oldest spill segment back into the queue
+   * @private
+   */
+  _restoreSpilled() {
+    if (!this.isStarted || this.spillSegments.length === 0) return;
+
+    const segment = this.spillSegments.shift();
+    this.spilledCount -= segment.count;
+
+    try {
+      const records = ArchiveFormats.ndjson.decode(fs.readFileSync(segment.filePath));
+      fs.unlinkSync(segment.filePath);
+
+      for (const { topic, message } of records) {
+        this._push({ topic, message });
+      }
+      this.stats.restored += records.length;
+    } catch (error) {
+      this.stats.dropped += segment.count;
+      this.logger.error('IngressQueue: Failed to restore spill segment', {
+        filePath: segment.filePath,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Register spill segments left over from a previous run
+   * @private
+   */
+  _loadSpillSegments() {
+    if (!fs.existsSync(this.spillDirectory)) return;
+
+    const files = fs.readdirSync(this.spillDirectory)
+      .filter(file => file.startsWith('spill-') && file.endsWith('.ndjson'))
+      .sort();
+
+    for (const file of files) {
+      const filePath = path.join(this.spillDirectory, file);
+      const count = ArchiveFormats.ndjson.decode(fs.readFileSync(filePath)).length;
+      this.spillSegments.push({ filePath, count });
+      this.spilledCount += count;
+    }
+  }
+
+  /**
+   * Wait until no message is queued or being processed
+   * @returns {Promise<void>}
+   * @private
+   */
+  _whenIdle() {
+    if (this.size === 0 && this.running === 0) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Get the lane key of a message (device ID from the topic)
+   * @param {Object} item - MQTT message ({ topic })
+   * @returns {string} Lane key
+   * @private
+   */
+  _keyOf(item) {
+    return String(item.topic).split('/')[1] || item.topic;
+  }
+}
+
+module.exports = IngressQueue;
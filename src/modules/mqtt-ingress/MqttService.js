@@ -16,6 +16,18 @@ class MqttService {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
     this.reconnectInterval = 5000; // 5 seconds
+    this.flowControl = null;
+  }
+
+  /**
+   * Set the function consulted after each received message before the next one is read
+   * It returns a promise to wait for (the acknowledgement is held back meanwhile,
+   * so the broker stops delivering) or null to continue at once
+   * @param {Function} flowControl - Function returning Promise|null (e.g. IngressQueue.whenWritable)
+   */
+  setFlowControl(flowControl) {
+    this.flowControl = flowControl;
+    this.logger.info('MqttService: Flow control set');
   }
 
   /**
@@ -116,6 +128,16 @@ class MqttService {
     this.client.on('message', (topic, message) => {
       this._handleMessage(topic, message);
     });
+
+    // Backpressure: mqtt.js reads the next packet only after this callback
+    this.client.handleMessage = (packet, callback) => {
+      const wait = this.flowControl ? this.flowControl() : null;
+      if (wait) {
+        wait.then(() => callback());
+      } else {
+        callback();
+      }
+    };
   }
 
   /**
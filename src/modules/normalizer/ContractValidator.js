@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Logger = require('../../core/Logger');
+
+/**
+ * ContractValidator - Checks parser output (SIF) against the openspec contracts
+ * Loads every `*-output.yaml` contract and keys it by the `deviceType` const of
+ * its ParserOutput schema, then validates each parsed message before it reaches
+ * the normalizer.
+ *
+ * Modes:
+ * - off:    no validation
+ * - warn:   violations are logged and counted, the message continues
+ * - reject: violations are logged and counted, the message is dropped and kept
+ *           (with its errors) in a bounded list for inspection
+ *
+ * Supported schema keywords: type, required, properties, items, enum, const,
+ * format (date-time) and nullable
+ */
+class ContractValidator {
+  static MODES = Object.freeze(['off', 'warn', 'reject']);
+
+  static defaultDirectory = path.join(__dirname, '../../../openspec/contracts');
+
+  /**
+   * @param {Object} options - Validation configuration (modules.contracts)
+   * @param {string} options.mode - off, warn or reject (default: warn)
+   * @param {string} options.directory - Contract directory (default: openspec/contracts)
+   * @param {number} options.maxRejected - Number of rejected messages kept (default: 100)
+   */
+  constructor(options = {}) {
+    this.logger = Logger;
+    this.mode = options.mode || 'warn';
+    this.directory = options.directory ?
+      path.resolve(options.directory) :
+      ContractValidator.defaultDirectory;
+    this.maxRejected = options.maxRejected ?? 100;
+    this.schemas = new Map(); // Key: deviceType, Value: ParserOutput schema
+    this.rejected = [];
+    this.stats = {
+      validated: 0,
+      passed: 0,
+      failed: 0,
+      rejected: 0,
+      uncovered: 0
+    };
+
+    if (!ContractValidator.MODES.includes(this.mode)) {
+      throw new Error(`ContractValidator: Unknown mode: ${this.mode}`);
+    }
+  }
+
+  /**
+   * Load all output contracts from the contract directory
+   * @returns {Array<string>} Device types with a loaded contract
+   */
+  load() {
+    const files = fs.readdirSync(this.directory).filter(file => file.endsWith('-output.yaml'));
+
+    for (const file of files) {
+      const document = yaml.load(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+      const schema = document?.components?.schemas?.ParserOutput;
+      const deviceType = schema?.properties?.deviceType?.const;
+
+      if (!deviceType) {
+        this.logger.warn(`ContractValidator: Contract ${file} has no ParserOutput deviceType const, skipped`);
+        continue;
+      }
+
+      this.schemas.set(deviceType, schema);
+    }
+
+    this.logger.info('ContractValidator: Loaded contracts', {
+      mode: this.mode,
+      deviceTypes: Array.from(this.schemas.keys())
+    });
+
+    return Array.from(this.schemas.keys());
+  }
+
+  /**
+   * Validate a parsed message against its device family's contract
+   * @param {Object} parsedData - Parser output (SIF)
+   * @returns {Object} Verdict ({ valid, accepted, errors: [{ path, message }] })
+   *   `accepted` is false only when the message must be dropped (reject mode)
+   */
+  check(parsedData) {
+    if (this.mode === 'off') {
+      return { valid: true, accepted: true, errors: [] };
+    }
+
+    const schema = this.schemas.get(parsedData?.deviceType);
+    if (!schema) {
+      this.stats.uncovered++;
+      return { valid: true, accepted: true, errors: [] };
+    }
+
+    this.stats.validated++;
+    const errors = this.validate(schema, parsedData);
+
+    if (errors.length === 0) {
+      this.stats.passed++;
+      return { valid: true, accepted: true, errors };
+    }
+
+    this.stats.failed++;
+    this.logger.warn('ContractValidator: Parser output violates contract', {
+      mode: this.mode,
+      topic: parsedData.topic,
+      deviceType: parsedData.deviceType,
+      messageType: parsedData.messageType,
+      errors
+    });
+
+    if (this.mode === 'reject') {
+      this._keepRejected(parsedData, errors);
+      return { valid: false, accepted: false, errors };
+    }
+
+    return { valid: false, accepted: true, errors };
+  }
+
+  /**
+   * Validate a value against a schema
+   * @param {Object} schema - Schema node
+   * @param {*} value - Value to validate
+   * @param {string} valuePath - Path of the value (for error messages)
+   * @returns {Array<Object>} Validation errors ({ path, message })
+   */
+  validate(schema, value, valuePath = '') {
+    const errors = [];
+    const at = valuePath || '(root)';
+
+    if (value === null || value === undefined) {
+      if (!schema.nullable && value === null) {
+        errors.push({ path: at, message: 'must not be null' });
+      }
+      return errors;
+    }
+
+    if (schema.type && !this._matchesType(schema.type, value)) {
+      errors.push({ path: at, message: `must be of type ${schema.type}` });
+      return errors;
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+      errors.push({ path: at, message: `must equal ${JSON.stringify(schema.const)}` });
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+      errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}` });
+    }
+
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      errors.push({ path: at, message: 'must be an ISO 8601 date-time' });
+    }
+
+    if (schema.type === 'object') {
+      for (const field of schema.required || []) {
+        if (value[field] === undefined) {
+          errors.push({ path: this._join(valuePath, field), message: 'is required' });
+        }
+      }
+
+      for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+        if (value[field] !== undefined) {
+          errors.push(...this.validate(fieldSchema, value[field], this._join(valuePath, field)));
+        }
+      }
+    }
+
+    if (schema.type === 'array' && schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...this.validate(schema.items, item, `${at === '(root)' ? '' : at}[${index}]`));
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get rejected messages, most recent first
+   * @param {number} limit - Maximum number of entries
+   * @returns {Array<Object>} Rejected messages with their validation errors
+   */
+  getRejected(limit = this.maxRejected) {
+    return this.rejected.slice(-limit).reverse();
+  }
+
+  /**
+   * Get validation statistics
+   * @returns {Object} Mode, covered device types and counters
+   */
+  getStats() {
+    return {
+      mode: this.mode,
+      deviceTypes: Array.from(this.schemas.keys()),
+      ...this.stats,
+      retained: this.rejected.length
+    };
+  }
+
+  /**
+   * Keep a rejected message, dropping the oldest beyond maxRejected
+   * @param {Object} parsedData - Rejected parser output
+   * @param {Array<Object>} errors - Validation errors
+   * @private
+   */
+  _keepRejected(parsedData, errors) {
+    this.stats.rejected++;
+    this.rejected.push({
+      rejectedAt: new Date().toISOString(),
+      topic: parsedData.topic,
+      deviceType: parsedData.deviceType,
+      deviceId: parsedData.deviceId,
+      messageType: parsedData.messageType,
+      errors,
+      parsedData
+    });
+
+    while (this.rejected.length > this.maxRejected) {
+      this.rejected.shift();
+    }
+  }
+
+  /**
+   * Check a value against a schema type
+   * @param {string|Array<string>} type - Schema type(s)
+   * @param {*} value - Value to check
+   * @returns {boolean} True if the value matches
+   * @private
+   */
+  _matchesType(type, value) {
+    const types = Array.isArray(type) ? type : [type];
+
+    return types.some(candidate => {
+      switch (candidate) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return typeof value === 'object' && !Array.isArray(value);
+        default: return false;
+      }
+    });
+  }
+
+  /**
+   * Join a parent path and a field name
+   * @param {string} parent - Parent path
+   * @param {string} field - Field name
+   * @returns {string} Joined path
+   * @private
+   */
+  _join(parent, field) {
+    return parent ? `${parent}.${field}` : field;
+  }
+}
+
+module.exports = ContractValidator;
@@ -0,0 +1,81 @@
+/**
+ * Environmental metrics derived from a temperature (°C) and relative humidity (%) reading
+ * Results are rounded to two decimals; null when the humidity is not above 0.
+ */
+const DERIVED_METRICS = Object.freeze([
+  'dew_point',
+  'absolute_humidity',
+  'heat_index',
+  'temperature_delta'
+]);
+
+/**
+ * Round to two decimals
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Dew point (Magnus formula, a = 17.62, b = 243.12 °C)
+ * @param {number} temperature - Temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number|null} Dew point in °C
+ */
+function dewPoint(temperature, humidity) {
+  if (!(humidity > 0)) return null;
+
+  const gamma = Math.log(humidity / 100) + (17.62 * temperature) / (243.12 + temperature);
+  return round2((243.12 * gamma) / (17.62 - gamma));
+}
+
+/**
+ * Absolute humidity from the saturation vapour pressure (Magnus formula)
+ * @param {number} temperature - Temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number|null} Absolute humidity in g/m³
+ */
+function absoluteHumidity(temperature, humidity) {
+  if (!(humidity > 0)) return null;
+
+  const saturation = 6.112 * Math.exp((17.67 * temperature) / (temperature + 243.5));
+  return round2((saturation * humidity * 2.1674) / (273.15 + temperature));
+}
+
+/**
+ * Heat index (NOAA: simple formula, Rothfusz regression with its adjustments from 80 °F)
+ * @param {number} temperature - Temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number|null} Heat index in °C
+ */
+function heatIndex(temperature, humidity) {
+  if (!(humidity > 0)) return null;
+
+  const f = temperature * 9 / 5 + 32;
+  let index = 0.5 * (f + 61 + (f - 68) * 1.2 + humidity * 0.094);
+
+  if ((index + f) / 2 >= 80) {
+    index = -42.379 + 2.04901523 * f + 10.14333127 * humidity -
+      0.22475541 * f * humidity - 0.00683783 * f * f - 0.05481717 * humidity * humidity +
+      0.00122874 * f * f * humidity + 0.00085282 * f * humidity * humidity -
+      0.00000199 * f * f * humidity * humidity;
+
+    if (humidity < 13 && f >= 80 && f <= 112) {
+      index -= ((13 - humidity) / 4) * Math.sqrt((17 - Math.abs(f - 95)) / 17);
+    } else if (humidity > 85 && f >= 80 && f <= 87) {
+      index += ((humidity - 85) / 10) * ((87 - f) / 5);
+    }
+  }
+
+  return round2((index - 32) * 5 / 9);
+}
+
+module.exports = {
+  DERIVED_METRICS,
+  round2,
+  dewPoint,
+  absoluteHumidity,
+  heatIndex
+};
@@ -0,0 +1,101 @@
+const Logger = require('../../core/Logger');
+
+/**
+ * MessageDeduplicator - Suppresses messages redelivered by the broker
+ * QoS 1 delivers at least once, so the same frame can arrive twice. Every parsed
+ * message carries a device-assigned messageId (V5008 frame trailer, V6800
+ * uuid_number); the last windowSize IDs of each device are remembered and a
+ * message whose ID is in its device's window is a duplicate.
+ *
+ * IDs are remembered only once a message has been normalized (see
+ * MessagePipeline), so a message lost at a later stage is not suppressed when
+ * it is delivered or retried again.
+ */
+class MessageDeduplicator {
+  /**
+   * @param {Object} options - Deduplication configuration (modules.deduplication)
+   * @param {boolean} options.enabled - Suppress duplicates (default: true)
+   * @param {number} options.windowSize - Message IDs remembered per device (default: 100)
+   */
+  constructor(options = {}) {
+    this.logger = Logger;
+    this.enabled = options.enabled !== false;
+    this.windowSize = options.windowSize ?? 100;
+    this.windows = new Map(); // Key: deviceId, Value: Set of messageIds (insertion order = age)
+    this.stats = {
+      checked: 0,
+      duplicates: 0,
+      byDeviceType: {}
+    };
+  }
+
+  /**
+   * Check whether a parsed message was already processed
+   * @param {Object} parsedData - Parser output ({ deviceType, deviceId, messageId })
+   * @returns {boolean} True if the message is a duplicate
+   */
+  isDuplicate(parsedData) {
+    if (!this.enabled || !this._hasId(parsedData)) return false;
+
+    this.stats.checked++;
+    const window = this.windows.get(parsedData.deviceId);
+    if (!window || !window.has(String(parsedData.messageId))) return false;
+
+    const { deviceType } = parsedData;
+    this.stats.duplicates++;
+    this.stats.byDeviceType[deviceType] = (this.stats.byDeviceType[deviceType] || 0) + 1;
+    this.logger.debug('MessageDeduplicator: Duplicate message suppressed', {
+      deviceId: parsedData.deviceId,
+      messageId: parsedData.messageId,
+      messageType: parsedData.messageType
+    });
+
+    return true;
+  }
+
+  /**
+   * Remember a processed message, forgetting the device's oldest ID beyond windowSize
+   * @param {Object} parsedData - Parser output ({ deviceId, messageId })
+   */
+  remember(parsedData) {
+    if (!this.enabled || !this._hasId(parsedData)) return;
+
+    const window = this.windows.get(parsedData.deviceId) || new Set();
+    window.add(String(parsedData.messageId));
+    this.windows.set(parsedData.deviceId, window);
+
+    for (const oldest of window) {
+      if (window.size <= this.windowSize) break;
+      window.delete(oldest);
+    }
+  }
+
+  /**
+   * Get deduplication statistics
+   * @returns {Object} Counters plus number of tracked devices
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      windowSize: this.windowSize,
+      devices: this.windows.size,
+      ...this.stats,
+      byDeviceType: { ...this.stats.byDeviceType }
+    };
+  }
+
+  /**
+   * Check whether a parsed message carries a device and message ID
+   * The V6800 parser reports a message without uuid_number or code as messageId ''.
+   * @param {Object} parsedData - Parser output
+   * @returns {boolean} True if both IDs are present and not empty
+   * @private
+   */
+  _hasId(parsedData) {
+    return Boolean(parsedData?.deviceId) &&
+      parsedData.messageId !== null && parsedData.messageId !== undefined &&
+      String(parsedData.messageId).length > 0;
+  }
+}
+
+module.exports = MessageDeduplicator;
@@ -0,0 +1,168 @@
+const Logger = require('../../core/Logger');
+const EventBus = require('../../core/EventBus');
+
+/**
+ * MessagePipeline - Turns one raw MQTT message into normalized data
+ * ParserRegistry → device parser → MessageDeduplicator → ContractValidator → UnifyNormalizer
+ *   → AssetRegistry (enrich) → RfidMoveCorrelator → 'data.normalized'
+ * Shared by the live MQTT ingress and the archive replay so both process
+ * messages exactly the same way.
+ *
+ * A message that yields no normalized data is reported as 'message.failed' with
+ * the stage it was lost at (see STAGES), so it can be kept as a dead letter.
+ * Duplicates (broker redeliveries) are dropped silently.
+ */
+class MessagePipeline {
+  static STAGES = Object.freeze({
+    ROUTING: 'routing', // No parser for the topic
+    PARSING: 'parsing', // Parser returned no data or threw
+    VALIDATION: 'validation', // Rejected by the output contract
+    NORMALIZATION: 'normalization' // Normalizer returned no data or threw
+  });
+
+  /**
+   * @param {Object} components - Pipeline components
+   * @param {ParserRegistry} components.parserRegistry - Topic-based parser lookup
+   * @param {MessageDeduplicator} components.deduplicator - Duplicate suppression (optional)
+   * @param {ContractValidator} components.contractValidator - Parser output validation (optional)
+   * @param {UnifyNormalizer} components.normalizer - Normalizer instance
+   * @param {AssetRegistry} components.assetRegistry - Tag to asset enrichment (optional)
+   * @param {RfidMoveCorrelator} components.moveCorrelator - RFID move pairing (optional)
+   */
+  constructor({
+    parserRegistry,
+    deduplicator = null,
+    contractValidator = null,
+    normalizer,
+    assetRegistry = null,
+    moveCorrelator = null
+  }) {
+    this.logger = Logger;
+    this.eventBus = EventBus;
+    this.parserRegistry = parserRegistry;
+    this.deduplicator = deduplicator;
+    this.contractValidator = contractValidator;
+    this.normalizer = normalizer;
+    this.assetRegistry = assetRegistry;
+    this.moveCorrelator = moveCorrelator;
+  }
+
+  /**
+   * Process a raw message and report it as 'message.failed' if it is lost
+   * @param {string} topic - MQTT topic
+   * @param {Buffer|string} message - Raw message payload
+   * @returns {Promise<Array>} Normalized data (empty if the message was dropped)
+   */
+  async process(topic, message) {
+    const { normalizedData, failure } = await this.run(topic, message);
+
+    if (failure) {
+      this.eventBus.emit('message.failed', {
+        topic,
+        message,
+        deviceType: failure.deviceType,
+        stage: failure.stage,
+        error: failure.error
+      });
+    }
+
+    return normalizedData;
+  }
+
+  /**
+   * Parse, validate and normalize a raw message, then emit the normalized data
+   * @param {string} topic - MQTT topic
+   * @param {Buffer|string} message - Raw message payload
+   * @returns {Promise<Object>} Result ({ normalizedData, duplicate, failure: null | { stage, error, deviceType } })
+   */
+  async run(topic, message) {
+    const { STAGES } = MessagePipeline;
+    this.logger.debug('MessagePipeline: Processing message', { topic });
+
+    // Get appropriate parser from registry
+    const parser = this.parserRegistry.getParser(topic);
+    if (!parser) {
+      this.logger.warn('MessagePipeline: No parser found for topic', { topic });
+      return this._fail(STAGES.ROUTING, 'No parser found for topic');
+    }
+
+    const deviceType = parser.constructor.deviceType || null;
+
+    let parsedData;
+    try {
+      parsedData = parser.parse(topic, message);
+    } catch (error) {
+      return this._fail(STAGES.PARSING, error.message, deviceType);
+    }
+
+    if (!parsedData) {
+      return this._fail(STAGES.PARSING, 'Parser returned no data', deviceType);
+    }
+
+    if (this.deduplicator?.isDuplicate(parsedData)) {
+      return { normalizedData: [], duplicate: true, failure: null };
+    }
+
+    if (this.contractValidator) {
+      const verdict = this.contractValidator.check(parsedData);
+      if (!verdict.accepted) {
+        // Rejected by the output contract, kept by the validator for inspection
+        const errors = verdict.errors.map(error => `${error.path} ${error.message}`).join('; ');
+        return this._fail(STAGES.VALIDATION, errors, deviceType);
+      }
+    }
+
+    let normalizedData;
+    try {
+      normalizedData = await this.normalizer.normalize(parsedData);
+    } catch (error) {
+      return this._fail(STAGES.NORMALIZATION, error.message, deviceType);
+    }
+
+    if (normalizedData.length === 0) {
+      return this._fail(
+        STAGES.NORMALIZATION,
+        `Normalizer returned no data for ${parsedData.messageType}`,
+        deviceType
+      );
+    }
+
+    this.deduplicator?.remember(parsedData);
+
+    // Attach asset metadata to tag IDs (before moves are paired, so held events carry it)
+    if (this.assetRegistry) {
+      normalizedData = this.assetRegistry.enrich(normalizedData);
+    }
+
+    // Detached tags may be held back while waiting for their attach
+    if (this.moveCorrelator) {
+      normalizedData = this.moveCorrelator.correlate(normalizedData);
+    }
+
+    this.logger.debug('MessagePipeline: Normalized data', {
+      count: normalizedData.length,
+      types: normalizedData.map(item => item.type)
+    });
+
+    // Pass normalized data to Storage Service and other consumers (via EventBus)
+    if (normalizedData.length > 0) {
+      this.eventBus.emit('data.normalized', normalizedData);
+    }
+
+    return { normalizedData, duplicate: false, failure: null };
+  }
+
+  /**
+   * Create the result of a lost message
+   * @param {string} stage - Stage the message was lost at
+   * @param {string} error - Reason
+   * @param {string|null} deviceType - Device family, if a parser was found
+   * @returns {Object} Result with empty normalized data
+   * @private
+   */
+  _fail(stage, error, deviceType = null) {
+    return { normalizedData: [], duplicate: false, failure: { stage, error, deviceType } };
+  }
+}
+
+module.exports = MessagePipeline;
@@ -0,0 +1,61 @@
+/**
+ * MessageTypes - Canonical message types shared by parsers and UnifyNormalizer
+ * Parsers set SIF `messageType` to one of these values and the normalizer
+ * registers one handler per value, so both sides agree on a single contract.
+ * Vendor-specific names (topic suffixes like "LabelState", raw msg_type values)
+ * stay in `topic` / `rawMessageType` and never appear in `messageType`.
+ */
+
+// V5008 binary gateway: resolved from the frame header (topic suffix for TemHum/Noise)
+const V5008MessageTypes = Object.freeze({
+  HEARTBEAT: 'HEARTBEAT', // CC / CB
+  LABEL_STATE: 'LABEL_STATE', // BB
+  DOOR_STATE: 'DOOR_STATE', // BA
+  OPE_ACK: 'OPE_ACK', // AA
+  TEM_HUM: 'TEM_HUM', // TemHum topic
+  NOISE: 'NOISE', // Noise topic
+  DEVICE_INFO: 'DEVICE_INFO', // EF01
+  MODULE_INFO: 'MODULE_INFO' // EF02
+});
+
+// V6800 JSON gateway: resolved from the topic suffix
+const V6800MessageTypes = Object.freeze({
+  HEARTBEAT: 'HEARTBEAT', // HeartBeat topic
+  LABEL_STATE: 'LABEL_STATE', // LabelState topic
+  TEM_HUM: 'TEM_HUM', // TemHum topic
+  DOOR_STATE: 'DOOR_STATE', // Door topic
+  INIT: 'INIT', // Init topic
+  OPE_ACK: 'OPE_ACK' // OpeAck topic
+});
+
+const MessageTypes = Object.freeze({
+  V5008: V5008MessageTypes,
+  V6800: V6800MessageTypes
+});
+
+/**
+ * Get the canonical message types of a device family
+ * @param {string} deviceType - Device family ("V5008" or "V6800")
+ * @returns {Array<string>} Message types (empty if the family is unknown)
+ */
+function getMessageTypes(deviceType) {
+  return MessageTypes[deviceType] ? Object.values(MessageTypes[deviceType]) : [];
+}
+
+/**
+ * Check whether a message type is canonical for a device family
+ * @param {string} deviceType - Device family
+ * @param {string} messageType - Message type to check
+ * @returns {boolean} True if the message type belongs to the family
+ */
+function isKnownMessageType(deviceType, messageType) {
+  return getMessageTypes(deviceType).includes(messageType);
+}
+
+module.exports = {
+  MessageTypes,
+  V5008MessageTypes,
+  V6800MessageTypes,
+  getMessageTypes,
+  isKnownMessageType
+};
@@ -99,6 +99,36 @@ class ParserRegistry {
     return this.parsers.includes(ParserClass);
   }
 
+  /**
+   * Check that every message type a parser can emit has a normalizer handler
+   * Parsers declare their output with static `deviceType` and `messageTypes`
+   * @param {UnifyNormalizer} normalizer - Normalizer exposing getHandledMessageTypes(deviceType)
+   * @returns {Object} Coverage report ({ complete, gaps: [{ parser, deviceType, messageType }] })
+   */
+  checkCoverage(normalizer) {
+    const gaps = [];
+
+    for (const ParserClass of this.parsers) {
+      const { deviceType, messageTypes = [] } = ParserClass;
+      if (!deviceType) {
+        gaps.push({ parser: ParserClass.name, deviceType: null, messageType: null });
+        continue;
+      }
+
+      const handled = normalizer.getHandledMessageTypes(deviceType);
+      for (const messageType of messageTypes) {
+        if (!handled.includes(messageType)) {
+          gaps.push({ parser: ParserClass.name, deviceType, messageType });
+        }
+      }
+    }
+
+    return {
+      complete: gaps.length === 0,
+      gaps
+    };
+  }
+
   /**
    * Get the number of registered parsers
    * @returns {number} Number of registered parsers
@@ -0,0 +1,238 @@
+const Logger = require('../../core/Logger');
+const EventBus = require('../../core/EventBus');
+
+/**
+ * RfidMoveCorrelator - Pairs a tag's detach and attach into one 'moved' event
+ * The V5008 diff and the V6800 patch emit 'detached' at the old and 'attached' at
+ * the new position when a tag moves. A detached event is held for windowMs; when
+ * the same tagId attaches anywhere on the same device within the window, both are
+ * replaced by one SYS_RFID_EVENT with action 'moved' (at the new position, with
+ * fromModAddr/fromUPos and toModAddr/toUPos). A tag reattached at the position
+ * it left is not a move: the detached and attached events are emitted unchanged.
+ * Unmatched detached events are emitted on 'data.normalized' when the window ends,
+ * so every detach without a matching attach is reported windowMs late.
+ *
+ * Pairs inside one message are always correlated; windowMs 0 correlates nothing
+ * across messages.
+ */
+class RfidMoveCorrelator {
+  /**
+   * @param {Object} options - Correlation configuration (modules.rfidMoves)
+   * @param {boolean} options.enabled - Correlate moves (default: true)
+   * @param {number} options.windowMs - Time a detached tag waits for its attach, and so the delay of unmatched detaches (default: 5000)
+   */
+  constructor(options = {}) {
+    this.logger = Logger;
+    this.eventBus = EventBus;
+    this.enabled = options.enabled !== false;
+    this.windowMs = options.windowMs ?? 5000;
+    this.held = new Map(); // Key: `${deviceId}:${tagId}`, Value: { event, timer }
+    this.stats = {
+      moved: 0,
+      reattached: 0,
+      released: 0
+    };
+  }
+
+  /**
+   * Replace detach/attach pairs of normalized data by moved events
+   * Detached events without a partner are held back (see class description).
+   * @param {Array} normalizedData - SUOs of one message
+   * @returns {Array} SUOs to emit now
+   */
+  correlate(normalizedData) {
+    if (!this.enabled) return normalizedData;
+
+    const results = [];
+    const detached = new Map(); // Detached in this message, key as in this.held
+
+    for (const item of normalizedData) {
+      const action = this._actionOf(item);
+      if (action === 'detached') {
+        detached.set(this._key(item), item);
+      }
+    }
+
+    for (const item of normalizedData) {
+      const action = this._actionOf(item);
+      const key = action ? this._key(item) : null;
+
+      if (action === 'detached') {
+        // Emitted as part of a move, or held / emitted after the pass below
+        continue;
+      }
+
+      if (action === 'attached') {
+        const source = detached.get(key) || this._take(key);
+        if (source) {
+          detached.delete(key);
+          if (this._isSamePosition(source, item)) {
+            this.stats.reattached++;
+            results.push(source, item);
+          } else {
+            results.push(this._createMove(source, item));
+          }
+          continue;
+        }
+      }
+
+      results.push(item);
+    }
+
+    for (const [key, item] of detached) {
+      if (this.windowMs > 0) {
+        this._hold(key, item);
+      } else {
+        results.push(item);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get correlation statistics
+   * @returns {Object} Counters plus number of held detached events
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      windowMs: this.windowMs,
+      ...this.stats,
+      held: this.held.size
+    };
+  }
+
+  /**
+   * Emit all held detached events and clear their timers
+   */
+  stop() {
+    const pending = [];
+    for (const key of Array.from(this.held.keys())) {
+      pending.push(this._take(key));
+    }
+
+    if (pending.length > 0) {
+      this.stats.released += pending.length;
+      this.eventBus.emit('data.normalized', pending);
+    }
+    this.logger.info('RfidMoveCorrelator: Stopped successfully', { released: pending.length });
+  }
+
+  /**
+   * Hold a detached event until its window ends
+   * @param {string} key - Device and tag key
+   * @param {Object} item - Detached SYS_RFID_EVENT
+   * @private
+   */
+  _hold(key, item) {
+    // A tag detached again before the window ended: the earlier detach is final
+    const previous = this._take(key);
+    if (previous) this._release([previous]);
+
+    const timer = setTimeout(() => {
+      const event = this._take(key);
+      if (event) this._release([event]);
+    }, this.windowMs);
+    timer.unref?.();
+
+    this.held.set(key, { event: item, timer });
+  }
+
+  /**
+   * Remove a held detached event
+   * @param {string} key - Device and tag key
+   * @returns {Object|null} The held event or null
+   * @private
+   */
+  _take(key) {
+    const entry = this.held.get(key);
+    if (!entry) return null;
+
+    clearTimeout(entry.timer);
+    this.held.delete(key);
+    return entry.event;
+  }
+
+  /**
+   * Emit detached events whose window ended without an attach
+   * @param {Array} events - Detached SYS_RFID_EVENT objects
+   * @private
+   */
+  _release(events) {
+    this.stats.released += events.length;
+    this.eventBus.emit('data.normalized', events);
+  }
+
+  /**
+   * Create the moved event of a detach/attach pair
+   * @param {Object} source - Detached SYS_RFID_EVENT
+   * @param {Object} target - Attached SYS_RFID_EVENT
+   * @returns {Object} SYS_RFID_EVENT with action 'moved' at the target position
+   * @private
+   */
+  _createMove(source, target) {
+    this.stats.moved++;
+    const { value } = target.payload;
+
+    this.logger.debug('RfidMoveCorrelator: Tag moved', {
+      deviceId: target.identity.deviceId,
+      tagId: value.tagId,
+      from: `${source.identity.modAddr}:${source.payload.value.uPos}`,
+      to: `${target.identity.modAddr}:${value.uPos}`
+    });
+
+    return {
+      ...target,
+      payload: {
+        ...target.payload,
+        value: {
+          ...value, // Keeps enrichment such as asset metadata
+          action: 'moved',
+          fromModAddr: source.identity.modAddr,
+          fromUPos: source.payload.value.uPos,
+          toModAddr: target.identity.modAddr,
+          toUPos: value.uPos,
+          detachedAt: source.ts
+        }
+      }
+    };
+  }
+
+  /**
+   * Check whether a tag was reattached at the position it was detached from
+   * @param {Object} source - Detached SYS_RFID_EVENT
+   * @param {Object} target - Attached SYS_RFID_EVENT
+   * @returns {boolean} True if module and U position are the same
+   * @private
+   */
+  _isSamePosition(source, target) {
+    return source.identity.modAddr === target.identity.modAddr &&
+      source.payload.value.uPos === target.payload.value.uPos;
+  }
+
+  /**
+   * Get the RFID action of a normalized object
+   * @param {Object} item - SUO
+   * @returns {string|null} 'attached' / 'detached' or null for other objects
+   * @private
+   */
+  _actionOf(item) {
+    if (item.type !== 'SYS_RFID_EVENT' || !item.payload?.value?.tagId) return null;
+
+    const { action } = item.payload.value;
+    return action === 'attached' || action === 'detached' ? action : null;
+  }
+
+  /**
+   * Build the key pairing events of the same tag on the same device
+   * @param {Object} item - SYS_RFID_EVENT
+   * @returns {string} Key
+   * @private
+   */
+  _key(item) {
+    return `${item.identity.deviceId}:${item.payload.value.tagId}`;
+  }
+}
+
+module.exports = RfidMoveCorrelator;
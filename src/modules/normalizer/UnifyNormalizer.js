@@ -1,14 +1,42 @@
 const Logger = require('../../core/Logger');
 const StateCache = require('./cache/StateCache');
+const { V5008MessageTypes, V6800MessageTypes } = require('./MessageTypes');
+const { DERIVED_METRICS, round2, dewPoint, absoluteHumidity, heatIndex } = require('./DerivedMetrics');
 
 /**
  * UnifyNormalizer - Converts parsed device data to Standard Unified Objects (SUO)
  * Implements Device Shadow pattern with diffing for V5008 and patching for V6800
  */
 class UnifyNormalizer {
-  constructor() {
+  /**
+   * @param {Object} options - Normalizer configuration (modules.normalizer)
+   * @param {Object} options.cache - StateCache options ({ type, filePath, warmUp })
+   * @param {Object} options.derivedMetrics - Derived telemetry ({ enabled, metrics, frontSensors, backSensors })
+   */
+  constructor(options = {}) {
     this.logger = Logger;
-    this.stateCache = new StateCache();
+    this.stateCache = new StateCache(options.cache);
+    this.derivedMetrics = this._configureDerivedMetrics(options.derivedMetrics);
+    this.topology = new Map(); // Key: deviceId, Value: Map<modAddr, { modId, uTotal }> from the last heartbeat
+    this.handlers = this._createHandlers();
+  }
+
+  /**
+   * Restore device shadows from the persistent cache
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await this.stateCache.init();
+    this.logger.info('UnifyNormalizer: Started successfully');
+  }
+
+  /**
+   * Flush device shadows to the persistent cache
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    await this.stateCache.close();
+    this.logger.info('UnifyNormalizer: Stopped successfully');
   }
 
   /**
@@ -23,17 +51,28 @@ class UnifyNormalizer {
         return [];
       }
 
-      const { deviceType, messageType } = parsedData;
+      const { deviceType, deviceId, messageType } = parsedData;
 
-      // Route to appropriate processor based on device type and message type
-      if (deviceType === 'V5008') {
-        return this._processV5008(parsedData);
-      } else if (deviceType === 'V6800') {
-        return this._processV6800(parsedData);
-      } else {
+      // Route to the handler registered for device type and message type
+      const deviceHandlers = this.handlers[deviceType];
+      if (!deviceHandlers) {
         this.logger.warn(`UnifyNormalizer: Unknown device type: ${deviceType}`);
         return [];
       }
+
+      const handler = deviceHandlers[messageType];
+      if (!handler) {
+        this.logger.warn(`UnifyNormalizer: No handler for ${deviceType} message type: ${messageType}`);
+        return [];
+      }
+
+      // Create identity object for all results
+      const identity = {
+        deviceId,
+        deviceType
+      };
+
+      return await handler(parsedData, identity);
     } catch (error) {
       this.logger.error('UnifyNormalizer: Error normalizing data', {
         error: error.message,
@@ -45,101 +84,67 @@ class UnifyNormalizer {
   }
 
   /**
-   * Process V5008 parsed data (Snapshot → Events)
-   * @param {Object} parsedData - Parsed V5008 data
-   * @returns {Promise<Array>} Array of unified objects
-   * @private
+   * Get message types that have a registered handler
+   * @param {string} deviceType - Device family ("V5008" or "V6800")
+   * @returns {Array<string>} Handled message types (empty if the family is unknown)
    */
-  async _processV5008(parsedData) {
-    const results = [];
-    const { deviceId, messageType } = parsedData;
-
-    // Create identity object for all results
-    const identity = {
-      deviceId,
-      deviceType: 'V5008'
-    };
-
-    switch (messageType) {
-      case 'OpeAck':
-        // Handle different OpeAck subtypes
-        if (parsedData.result) {
-          // Response messages (Color, Alarm, etc.)
-          return this._createResponseObject(parsedData, identity);
-        } else if (parsedData.doorState !== undefined) {
-          // Door state change
-          return this._createDoorStateObject(parsedData, identity);
-        }
-        break;
-
-      case 'LabelState':
-        // RFID data - implement diffing logic
-        return await this._processV5008Rfid(parsedData, identity);
-
-      case 'TemHum':
-        // Temperature & Humidity - flatten sensors
-        return this._flattenTelemetry(parsedData, identity, 'temperature', 'humidity');
-
-      case 'Noise':
-        // Noise sensors - flatten sensors
-        return this._flattenNoiseTelemetry(parsedData, identity);
-
-      case 'HeartBeat':
-      case 'HEARTBEAT':
-        // Heartbeat - extract meta info
-        return this._processHeartbeat(parsedData, identity);
-    }
-
-    return results;
+  getHandledMessageTypes(deviceType) {
+    return this.handlers[deviceType] ? Object.keys(this.handlers[deviceType]) : [];
   }
 
   /**
-   * Process V6800 parsed data (Events → Snapshot)
-   * @param {Object} parsedData - Parsed V6800 data
-   * @returns {Promise<Array>} Array of unified objects
+   * Build the handler table keyed by device type and canonical message type
+   * V5008 sends snapshots (diffed against the shadow), V6800 sends events
+   * (patched into the shadow)
+   * @returns {Object} Handlers ({ [deviceType]: { [messageType]: (parsedData, identity) => Promise<Array> } })
    * @private
    */
-  async _processV6800(parsedData) {
-    const results = [];
-    const { deviceId, messageType } = parsedData;
-
-    // Create identity object for all results
-    const identity = {
-      deviceId,
-      deviceType: 'V6800'
-    };
-
-    switch (messageType) {
-      case 'LABEL_STATE':
-        // RFID events - implement patching logic
-        return await this._processV6800Rfid(parsedData, identity);
-
-      case 'TEM_HUM':
+  _createHandlers() {
+    return {
+      V5008: {
+        // Response messages (Color, Alarm, etc.)
+        [V5008MessageTypes.OPE_ACK]: (data, identity) =>
+          (data.result ? this._processResponse(data, identity) : []),
+        // Door state change
+        [V5008MessageTypes.DOOR_STATE]: (data, identity) => this._createDoorStateObject(data, identity),
+        // RFID data - diffing logic
+        [V5008MessageTypes.LABEL_STATE]: (data, identity) => this._processV5008Rfid(data, identity),
         // Temperature & Humidity - flatten sensors
-        return this._flattenTelemetry(parsedData, identity, 'temperature', 'humidity');
-
-      case 'DOOR_STATE':
+        [V5008MessageTypes.TEM_HUM]: (data, identity) => this._flattenTelemetry(data, identity),
+        // Noise sensors - flatten sensors
+        [V5008MessageTypes.NOISE]: (data, identity) => this._flattenNoiseTelemetry(data, identity),
+        // Heartbeat - extract meta info
+        [V5008MessageTypes.HEARTBEAT]: (data, identity) => this._processHeartbeat(data, identity),
+        // Device info response (EF01) - network and firmware
+        [V5008MessageTypes.DEVICE_INFO]: (data, identity) => this._createV5008DeviceInfo(data, identity),
+        // Module info response (EF02) - module firmware
+        [V5008MessageTypes.MODULE_INFO]: (data, identity) => this._createV5008ModuleInfo(data, identity)
+      },
+      V6800: {
+        // RFID events (patching) or u_state_resp query response (full snapshot)
+        [V6800MessageTypes.LABEL_STATE]: (data, identity) =>
+          (data.rawMessageType === 'u_state_resp' ?
+            this._processV6800RfidSnapshot(data, identity) :
+            this._processV6800Rfid(data, identity)),
+        // Temperature & Humidity - flatten sensors
+        [V6800MessageTypes.TEM_HUM]: (data, identity) => this._flattenTelemetry(data, identity),
         // Door state change
-        return this._createDoorStateObject(parsedData, identity);
-
-      case 'INIT':
+        [V6800MessageTypes.DOOR_STATE]: (data, identity) => this._createDoorStateObject(data, identity),
         // Device initialization - split into device info and modules
-        return this._splitV6800Init(parsedData, identity);
-
-      case 'OPE_ACK':
+        [V6800MessageTypes.INIT]: (data, identity) => this._splitV6800Init(data, identity),
         // Operation acknowledgment
-        return this._createResponseObject(parsedData, identity);
-
-      case 'HEARTBEAT':
+        [V6800MessageTypes.OPE_ACK]: (data, identity) => this._processResponse(data, identity),
         // Heartbeat - extract meta info
-        return this._processHeartbeat(parsedData, identity);
-    }
-
-    return results;
+        [V6800MessageTypes.HEARTBEAT]: (data, identity) => this._processHeartbeat(data, identity)
+      }
+    };
   }
 
   /**
    * Process V5008 RFID data with diffing logic
+   * V5008 shadows are kept past the cache TTL: a quiet module only resends its
+   * snapshot on change, and diffing that against a missing shadow would report
+   * every tag as attached again.
    * @param {Object} parsedData - Parsed V5008 RFID data
    * @param {Object} identity - Device identity
    * @returns {Promise<Array>} Array of unified objects
@@ -162,50 +167,10 @@ class UnifyNormalizer {
     }
 
     // Diff engine: find changes
-    const events = [];
-
-    // Tags in previous but not in current -> detached
-    for (const [uPos, tagData] of prevTags.entries()) {
-      if (!currTags.has(uPos)) {
-        events.push({
-          identity: { ...identity, modAddr, sensorAddr: uPos },
-          type: 'SYS_RFID_EVENT',
-          ts: parsedData.ts,
-          payload: {
-            key: 'rfid_event',
-            value: {
-              action: 'detached',
-              tagId: tagData.tagId,
-              uPos,
-              alarmStatus: tagData.alarmStatus
-            }
-          }
-        });
-      }
-    }
-
-    // Tags in current but not in previous -> attached
-    for (const [uPos, tagData] of currTags.entries()) {
-      if (!prevTags.has(uPos)) {
-        events.push({
-          identity: { ...identity, modAddr, sensorAddr: uPos },
-          type: 'SYS_RFID_EVENT',
-          ts: parsedData.ts,
-          payload: {
-            key: 'rfid_event',
-            value: {
-              action: 'attached',
-              tagId: tagData.tagId,
-              uPos,
-              alarmStatus: tagData.alarmStatus
-            }
-          }
-        });
-      }
-    }
+    const events = this._diffTags(prevTags, currTags, identity, modAddr, parsedData.ts);
 
     // Update cache with current state
-    await this.stateCache.set(identity.deviceId, modAddr, currTags);
+    await this.stateCache.set(identity.deviceId, modAddr, currTags, this._shadowOptions(identity));
 
     // Add snapshot object
     events.push({
@@ -282,12 +247,42 @@ class UnifyNormalizer {
       const updatedShadow = new Map(currentShadow);
 
       for (const item of items) {
+        if (!item.action) {
+          // Tag stays in place: only its alarm status can have changed
+          const tag = updatedShadow.get(item.uPos);
+          if (tag && tag.tagId === item.tagId && tag.alarmStatus !== item.alarmStatus) {
+            results.push(this._createAlarmEvent(identity, modAddr, item.uPos, item.tagId, {
+              alarmStatus: item.alarmStatus,
+              previousStatus: tag.alarmStatus
+            }, parsedData.ts));
+            updatedShadow.set(item.uPos, { ...tag, alarmStatus: item.alarmStatus });
+          }
+          continue;
+        }
+
         if (item.action === 'attached') {
+          // A tag attached over another one ends the replaced tag's alarm
+          const replaced = updatedShadow.get(item.uPos);
+          if (replaced && replaced.tagId !== item.tagId && replaced.alarmStatus) {
+            results.push(this._createAlarmEvent(identity, modAddr, item.uPos, replaced.tagId, {
+              alarmStatus: 0,
+              previousStatus: replaced.alarmStatus,
+              clearedBy: 'detached'
+            }, parsedData.ts));
+          }
           updatedShadow.set(item.uPos, {
             tagId: item.tagId,
             alarmStatus: item.alarmStatus
           });
         } else if (item.action === 'detached') {
+          const tag = updatedShadow.get(item.uPos);
+          if (tag && tag.alarmStatus) {
+            results.push(this._createAlarmEvent(identity, modAddr, item.uPos, tag.tagId, {
+              alarmStatus: 0,
+              previousStatus: tag.alarmStatus,
+              clearedBy: 'detached'
+            }, parsedData.ts));
+          }
           updatedShadow.delete(item.uPos);
         }
 
@@ -334,56 +329,406 @@ class UnifyNormalizer {
   }
 
   /**
-   * Flatten telemetry data (temperature, humidity, noise)
-   * @param {Object} parsedData - Parsed telemetry data
+   * Process V6800 RFID query response (u_state_resp) as a full snapshot
+   * Overwrites the shadow of each module. When a shadow already existed the
+   * snapshot is diffed against it; after a cache miss only the snapshot is
+   * emitted because the pass-through events were already reported
+   * @param {Object} parsedData - Parsed V6800 RFID query response
    * @param {Object} identity - Device identity
-   * @param {string} tempKey - Key for temperature data
-   * @param {string} humKey - Key for humidity data
-   * @returns {Array} Array of unified objects
+   * @returns {Promise<Array>} Array of unified objects
    * @private
    */
-  _flattenTelemetry(parsedData, identity, tempKey, humKey) {
+  async _processV6800RfidSnapshot(parsedData, identity) {
     const results = [];
-    const { ts, modAddr, modId, sensors } = parsedData;
+    const { data, ts, rawMessageType } = parsedData;
 
-    if (!Array.isArray(sensors)) return results;
+    for (const moduleData of data) {
+      const { modAddr, modId, items } = moduleData;
 
-    for (const sensor of sensors) {
-      // Skip sensors with null values
-      if (sensor[tempKey] === null && sensor[humKey] === null) continue;
+      const prevTags = await this.stateCache.get(identity.deviceId, modAddr);
 
-      // Temperature object
-      if (sensor[tempKey] !== null) {
-        results.push({
-          identity: { ...identity, modAddr, sensorAddr: sensor.sensorAddr },
-          type: 'SYS_TELEMETRY',
+      // Empty positions are reported with a null tag_code
+      const currTags = new Map();
+      for (const item of items) {
+        if (!item.tagId) continue;
+        currTags.set(item.uPos, {
+          tagId: item.tagId,
+          alarmStatus: item.alarmStatus
+        });
+      }
+
+      if (prevTags) {
+        results.push(...this._diffTags(prevTags, currTags, identity, modAddr, ts));
+      }
+
+      await this.stateCache.set(identity.deviceId, modAddr, currTags);
+
+      results.push({
+        identity: { ...identity, modAddr, sensorAddr: 0 },
+        type: 'SYS_RFID_SNAPSHOT',
+        ts,
+        payload: {
+          key: 'rfid_snapshot',
+          value: {
+            modId,
+            items: Array.from(currTags.entries()).map(([uPos, tag]) => ({
+              uPos,
+              tagId: tag.tagId,
+              alarmStatus: tag.alarmStatus
+            }))
+          },
+          raw: { rawMessageType }
+        }
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Diff two tag maps of a module into attached/detached and alarm events
+   * @param {Map} prevTags - Previous shadow (uPos → TagData)
+   * @param {Map} currTags - Current state (uPos → TagData)
+   * @param {Object} identity - Device identity
+   * @param {number} modAddr - Module address
+   * @param {string} ts - Event timestamp
+   * @returns {Array} Array of SYS_RFID_EVENT and SYS_ALARM_EVENT objects
+   * @private
+   */
+  _diffTags(prevTags, currTags, identity, modAddr, ts) {
+    const events = [];
+
+    // Tags in previous but not in current -> detached
+    for (const [uPos, tagData] of prevTags.entries()) {
+      if (!currTags.has(uPos)) {
+        // The alarm of a removed tag ends with it
+        if (tagData.alarmStatus) {
+          events.push(this._createAlarmEvent(identity, modAddr, uPos, tagData.tagId, {
+            alarmStatus: 0,
+            previousStatus: tagData.alarmStatus,
+            clearedBy: 'detached'
+          }, ts));
+        }
+
+        events.push({
+          identity: { ...identity, modAddr, sensorAddr: uPos },
+          type: 'SYS_RFID_EVENT',
           ts,
           payload: {
-            key: 'temperature',
-            value: sensor[tempKey],
-            raw: { modId }
+            key: 'rfid_event',
+            value: {
+              action: 'detached',
+              tagId: tagData.tagId,
+              uPos,
+              alarmStatus: tagData.alarmStatus
+            }
           }
         });
       }
+    }
+
+    // Tags in current but not in previous -> attached
+    for (const [uPos, tagData] of currTags.entries()) {
+      if (!prevTags.has(uPos)) {
+        events.push({
+          identity: { ...identity, modAddr, sensorAddr: uPos },
+          type: 'SYS_RFID_EVENT',
+          ts,
+          payload: {
+            key: 'rfid_event',
+            value: {
+              action: 'attached',
+              tagId: tagData.tagId,
+              uPos,
+              alarmStatus: tagData.alarmStatus
+            }
+          }
+        });
+      }
+    }
+
+    // Position kept with a different alarm status -> alarm raised/updated/cleared.
+    // A tag replaced at the position takes its alarm with it.
+    for (const [uPos, tagData] of currTags.entries()) {
+      const prev = prevTags.get(uPos);
+      if (!prev) continue;
+
+      if (prev.tagId !== tagData.tagId) {
+        if (prev.alarmStatus) {
+          events.push(this._createAlarmEvent(identity, modAddr, uPos, prev.tagId, {
+            alarmStatus: 0,
+            previousStatus: prev.alarmStatus,
+            clearedBy: 'detached'
+          }, ts));
+        }
+        if (tagData.alarmStatus) {
+          events.push(this._createAlarmEvent(identity, modAddr, uPos, tagData.tagId, {
+            alarmStatus: tagData.alarmStatus,
+            previousStatus: 0
+          }, ts));
+        }
+      } else if (prev.alarmStatus !== tagData.alarmStatus) {
+        events.push(this._createAlarmEvent(identity, modAddr, uPos, tagData.tagId, {
+          alarmStatus: tagData.alarmStatus,
+          previousStatus: prev.alarmStatus
+        }, ts));
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Create a U-level alarm event
+   * A change from zero to non-zero raises the alarm, a change to zero clears it and
+   * a change between two non-zero statuses updates the raised alarm.
+   * @param {Object} identity - Device identity
+   * @param {number} modAddr - Module address
+   * @param {number} uPos - U position
+   * @param {string} tagId - Tag at the position
+   * @param {Object} change - Alarm change ({ alarmStatus, previousStatus, clearedBy? })
+   * @param {string} ts - Event timestamp
+   * @returns {Object} SYS_ALARM_EVENT object
+   * @private
+   */
+  _createAlarmEvent(identity, modAddr, uPos, tagId, change, ts) {
+    const { alarmStatus, previousStatus, clearedBy = 'device' } = change;
+    const cleared = !alarmStatus;
+    let action = 'alarm_cleared';
+    if (!cleared) {
+      action = previousStatus ? 'alarm_updated' : 'alarm_raised';
+    }
+
+    return {
+      identity: { ...identity, modAddr, sensorAddr: uPos },
+      type: 'SYS_ALARM_EVENT',
+      ts,
+      payload: {
+        key: 'u_alarm',
+        value: {
+          action,
+          tagId,
+          uPos,
+          alarmStatus,
+          previousStatus
+        },
+        raw: cleared ? { clearedBy } : {}
+      }
+    };
+  }
+
+  /**
+   * Process an operation acknowledgment
+   * A successful clear alarm command (V5008 E2, V6800 clear_u_warning) closes the
+   * alarms it cleared: their shadow alarm status is reset and alarm_cleared is emitted.
+   * @param {Object} parsedData - Parsed response
+   * @param {Object} identity - Device identity
+   * @returns {Promise<Array>} Array of unified objects
+   * @private
+   */
+  async _processResponse(parsedData, identity) {
+    const results = this._createResponseObject(parsedData, identity);
+
+    for (const response of [...results]) {
+      const { value, raw = {} } = response.payload;
+      if (value !== 1) continue;
+
+      const { modAddr } = raw;
+      if (raw.rawMessageType === 'clear_u_warning') {
+        // V6800 acknowledges per module
+        results.push(...await this._clearAlarms(identity, modAddr, null, response.ts));
+      } else if (raw.originalReq && raw.originalReq.startsWith('E2') && raw.originalReq.length >= 6) {
+        // V5008 echoes [E2] + modAddr + uPos
+        const uPos = parseInt(raw.originalReq.substring(4, 6), 16);
+        results.push(...await this._clearAlarms(identity, modAddr, uPos, response.ts));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Clear the alarms of a module's shadow after a clear alarm command
+   * @param {Object} identity - Device identity
+   * @param {number} modAddr - Module address
+   * @param {number|null} uPos - U position, or null for every position of the module
+   * @param {string} ts - Acknowledgment timestamp
+   * @returns {Promise<Array>} alarm_cleared events
+   * @private
+   */
+  async _clearAlarms(identity, modAddr, uPos, ts) {
+    const shadow = await this.stateCache.get(identity.deviceId, modAddr);
+    if (!shadow) return [];
+
+    const events = [];
+    const updatedShadow = new Map(shadow);
+
+    for (const [position, tag] of shadow.entries()) {
+      if (!tag.alarmStatus || (uPos !== null && position !== uPos)) continue;
+
+      events.push(this._createAlarmEvent(identity, modAddr, position, tag.tagId, {
+        alarmStatus: 0,
+        previousStatus: tag.alarmStatus,
+        clearedBy: 'command'
+      }, ts));
+      updatedShadow.set(position, { ...tag, alarmStatus: 0 });
+    }
+
+    if (events.length > 0) {
+      await this.stateCache.set(identity.deviceId, modAddr, updatedShadow, this._shadowOptions(identity));
+    }
+
+    return events;
+  }
+
+  /**
+   * Get the cache options of a module shadow
+   * Only V6800 shadows, which SyncCoordinator can rebuild with a query, expire.
+   * @param {Object} identity - Device identity
+   * @returns {Object} StateCache set options ({ expires })
+   * @private
+   */
+  _shadowOptions(identity) {
+    return { expires: identity.deviceType !== 'V5008' };
+  }
+
+  /**
+   * Flatten temperature & humidity telemetry
+   * V5008 reports one module at root level, V6800 reports a data[] array of modules
+   * @param {Object} parsedData - Parsed telemetry data
+   * @param {Object} identity - Device identity
+   * @returns {Array} Array of unified objects
+   * @private
+   */
+  _flattenTelemetry(parsedData, identity) {
+    const { ts } = parsedData;
+    const modules = Array.isArray(parsedData.data) ? parsedData.data : [parsedData];
+
+    return modules.flatMap(moduleData => this._flattenModuleTelemetry(moduleData, identity, ts));
+  }
+
+  /**
+   * Flatten the temperature & humidity sensors of one module
+   * @param {Object} moduleData - Module data ({ modAddr, modId, sensors: [{ sensorAddr, temp, hum }] })
+   * @param {Object} identity - Device identity
+   * @param {string} ts - Message timestamp
+   * @returns {Array} Array of unified objects
+   * @private
+   */
+  _flattenModuleTelemetry(moduleData, identity, ts) {
+    const results = [];
+    const { modAddr, modId, sensors } = moduleData;
+
+    if (!Array.isArray(sensors)) return results;
+
+    const readings = [['temp', 'temperature'], ['hum', 'humidity']];
+
+    for (const sensor of sensors) {
+      for (const [sensorKey, key] of readings) {
+        // Skip unused sensors (null values)
+        if (sensor[sensorKey] === null || sensor[sensorKey] === undefined) continue;
 
-      // Humidity object
-      if (sensor[humKey] !== null) {
         results.push({
           identity: { ...identity, modAddr, sensorAddr: sensor.sensorAddr },
           type: 'SYS_TELEMETRY',
           ts,
           payload: {
-            key: 'humidity',
-            value: sensor[humKey],
+            key,
+            value: sensor[sensorKey],
             raw: { modId }
           }
         });
       }
     }
 
+    if (this.derivedMetrics) {
+      results.push(...this._deriveModuleTelemetry(moduleData, identity, ts));
+    }
+
     return results;
   }
 
+  /**
+   * Derive environmental metrics from the temperature & humidity sensors of one module
+   * Per sensor: dew_point, absolute_humidity, heat_index. Per module (sensorAddr 0):
+   * temperature_delta = average back minus average front temperature. Only sensors
+   * reporting a temperature and a humidity above 0 are used (V6800 reports unused
+   * sensors as 0/0).
+   * @param {Object} moduleData - Module data ({ modAddr, modId, sensors: [{ sensorAddr, temp, hum }] })
+   * @param {Object} identity - Device identity
+   * @param {string} ts - Message timestamp
+   * @returns {Array} Array of SYS_TELEMETRY objects
+   * @private
+   */
+  _deriveModuleTelemetry(moduleData, identity, ts) {
+    const results = [];
+    const { modAddr, modId, sensors } = moduleData;
+    const { metrics, frontSensors, backSensors } = this.derivedMetrics;
+
+    const push = (sensorAddr, key, value, raw = {}) => {
+      if (value === null) return;
+
+      results.push({
+        identity: { ...identity, modAddr, sensorAddr },
+        type: 'SYS_TELEMETRY',
+        ts,
+        payload: {
+          key,
+          value,
+          raw: { modId, derived: true, ...raw }
+        }
+      });
+    };
+
+    const usable = sensors.filter(sensor => typeof sensor.temp === 'number' && sensor.hum > 0);
+    const formulas = [['dew_point', dewPoint], ['absolute_humidity', absoluteHumidity], ['heat_index', heatIndex]];
+
+    for (const sensor of usable) {
+      for (const [key, formula] of formulas) {
+        if (metrics.has(key)) push(sensor.sensorAddr, key, formula(sensor.temp, sensor.hum));
+      }
+    }
+
+    if (metrics.has('temperature_delta')) {
+      const average = (sensorAddrs) => {
+        const temps = usable.filter(sensor => sensorAddrs.includes(sensor.sensorAddr)).map(sensor => sensor.temp);
+        return temps.length > 0 ? temps.reduce((sum, temp) => sum + temp, 0) / temps.length : null;
+      };
+      const front = average(frontSensors);
+      const back = average(backSensors);
+
+      if (front !== null && back !== null) {
+        push(0, 'temperature_delta', round2(back - front), { front: round2(front), back: round2(back) });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Validate the derived metrics configuration
+   * @param {Object} config - modules.normalizer.derivedMetrics ({ enabled, metrics, frontSensors, backSensors })
+   * @returns {Object|null} { metrics: Set, frontSensors, backSensors } or null when disabled
+   * @throws {Error} If a metric is unknown
+   * @private
+   */
+  _configureDerivedMetrics(config) {
+    if (!config?.enabled) return null;
+
+    const metrics = config.metrics || DERIVED_METRICS;
+    for (const metric of metrics) {
+      if (!DERIVED_METRICS.includes(metric)) {
+        throw new Error(`UnifyNormalizer: Unknown derived metric: ${metric}`);
+      }
+    }
+
+    return {
+      metrics: new Set(metrics),
+      frontSensors: config.frontSensors || [],
+      backSensors: config.backSensors || []
+    };
+  }
+
   /**
    * Flatten noise telemetry data
    * @param {Object} parsedData - Parsed noise data
@@ -418,19 +763,21 @@ class UnifyNormalizer {
 
   /**
    * Process heartbeat data
+   * Online/offline status is owned by the PresenceTracker; a heartbeat reports the
+   * power source and, where the device measures it (V6800), bus voltage and current.
+   * The module list is diffed against the device's topology shadow.
    * @param {Object} parsedData - Parsed heartbeat data
    * @param {Object} identity - Device identity
-   * @returns {Array} Array of unified objects
+   * @returns {Promise<Array>} Array of unified objects
    * @private
    */
-  _processHeartbeat(parsedData, identity) {
-    const results = [];
-    const { ts, meta } = parsedData;
-
-    if (!meta) return results;
+  async _processHeartbeat(parsedData, identity) {
+    const { ts, meta, modules = [] } = parsedData;
+    const results = await this._diffTopology(identity, modules, ts);
+    const powerRaw = meta ? { mainPower: meta.mainPower, backupPower: meta.backupPower } : {};
 
     // Voltage telemetry
-    if (meta.voltage !== undefined) {
+    if (meta?.voltage !== undefined) {
       results.push({
         identity: { ...identity, modAddr: 0, sensorAddr: 0 },
         type: 'SYS_TELEMETRY',
@@ -438,13 +785,13 @@ class UnifyNormalizer {
         payload: {
           key: 'voltage',
           value: meta.voltage,
-          raw: { mainPower: meta.mainPower, backupPower: meta.backupPower }
+          raw: powerRaw
         }
       });
     }
 
     // Current telemetry
-    if (meta.current !== undefined) {
+    if (meta?.current !== undefined) {
       results.push({
         identity: { ...identity, modAddr: 0, sensorAddr: 0 },
         type: 'SYS_TELEMETRY',
@@ -452,37 +799,188 @@ class UnifyNormalizer {
         payload: {
           key: 'current',
           value: meta.current,
-          raw: { mainPower: meta.mainPower, backupPower: meta.backupPower }
+          raw: powerRaw
         }
       });
     }
 
-    // Lifecycle status
+    // Heartbeat with power source (null when the device does not report it, e.g. V5008)
+    let powerSource = null;
+    if (meta) {
+      powerSource = meta.mainPower ? 'main_power' : 'backup_power';
+    }
+
     results.push({
       identity: { ...identity, modAddr: 0, sensorAddr: 0 },
       type: 'SYS_LIFECYCLE',
       ts,
       payload: {
-        key: 'device_status',
-        value: meta.mainPower ? 'online' : 'backup_power',
-        raw: { mainPower: meta.mainPower, backupPower: meta.backupPower }
+        key: 'heartbeat',
+        value: powerSource,
+        raw: { ...powerRaw, moduleCount: modules.length }
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Diff a heartbeat's module list against the device's topology shadow
+   * The first heartbeat of a device only sets the shadow. A removed or replaced
+   * module invalidates the RFID shadow of its address; a replaced module also
+   * requires a resync.
+   * @param {Object} identity - Device identity
+   * @param {Array} modules - Modules reported by the heartbeat ({ modAddr, modId, uTotal })
+   * @param {string} ts - Heartbeat timestamp
+   * @returns {Promise<Array>} SYS_DEVICE_INFO topology_change (and SYS_REQUIRE_SYNC) objects
+   * @private
+   */
+  async _diffTopology(identity, modules, ts) {
+    const results = [];
+    const current = new Map();
+    for (const { modAddr, modId, uTotal } of modules) {
+      current.set(modAddr, { modId, uTotal });
+    }
+
+    const previous = this.topology.get(identity.deviceId);
+    this.topology.set(identity.deviceId, current);
+    if (!previous) return results;
+
+    const change = (modAddr, value, module, prev) => results.push({
+      identity: { ...identity, modAddr, sensorAddr: 0 },
+      type: 'SYS_DEVICE_INFO',
+      ts,
+      payload: {
+        key: 'topology_change',
+        value,
+        raw: {
+          modId: module ? module.modId : null,
+          uTotal: module ? module.uTotal : null,
+          previous: prev || null
+        }
       }
     });
 
+    for (const [modAddr, prev] of previous) {
+      if (current.has(modAddr)) continue;
+
+      change(modAddr, 'module_removed', null, prev);
+      await this.stateCache.clear(identity.deviceId, modAddr);
+    }
+
+    for (const [modAddr, module] of current) {
+      const prev = previous.get(modAddr);
+
+      if (!prev) {
+        change(modAddr, 'module_added', module);
+      } else if (prev.modId !== module.modId) {
+        change(modAddr, 'module_replaced', module, prev);
+        await this.stateCache.clear(identity.deviceId, modAddr);
+        results.push({
+          identity: { ...identity, modAddr, sensorAddr: 0 },
+          type: 'SYS_REQUIRE_SYNC',
+          ts,
+          payload: {
+            key: 'require_sync',
+            value: { reason: 'module_replaced' }
+          }
+        });
+      } else if (prev.uTotal !== module.uTotal) {
+        change(modAddr, 'uTotal_changed', module, prev);
+      }
+    }
+
+    if (results.length > 0) {
+      this.logger.info('UnifyNormalizer: Module topology changed', {
+        deviceId: identity.deviceId,
+        changes: results
+          .filter(item => item.type === 'SYS_DEVICE_INFO')
+          .map(item => `${item.identity.modAddr}:${item.payload.value}`)
+      });
+    }
+
     return results;
   }
 
   /**
-   * Create door state change object
+   * Create V5008 device info object from a device info response (EF01)
+   * Same shape as the V6800 Init device info, extended by the fields only V5008 reports
+   * @param {Object} parsedData - Parsed device info response
+   * @param {Object} identity - Device identity
+   * @returns {Array} Array with one SYS_DEVICE_INFO object
+   * @private
+   */
+  _createV5008DeviceInfo(parsedData, identity) {
+    const { ts, ip, mac, model, fwVer, mask, gatewayIp } = parsedData;
+
+    return [{
+      identity: { ...identity, modAddr: 0, sensorAddr: 0 },
+      type: 'SYS_DEVICE_INFO',
+      ts,
+      payload: {
+        key: 'device_info',
+        value: { ip, mac, model, fwVer, mask, gatewayIp }
+      }
+    }];
+  }
+
+  /**
+   * Create V5008 module info objects from a module info response (EF02)
+   * The response only carries firmware versions; modId and uTotal are taken from
+   * the topology shadow (null before the device's first heartbeat).
+   * @param {Object} parsedData - Parsed module info response
+   * @param {Object} identity - Device identity
+   * @returns {Array} Array of SYS_DEVICE_INFO objects (one per module)
+   * @private
+   */
+  _createV5008ModuleInfo(parsedData, identity) {
+    const { ts, modules = [] } = parsedData;
+    const topology = this.topology.get(identity.deviceId);
+
+    return modules.map(({ modAddr, fwVer }) => {
+      const known = topology ? topology.get(modAddr) : null;
+
+      return {
+        identity: { ...identity, modAddr, sensorAddr: 0 },
+        type: 'SYS_DEVICE_INFO',
+        ts,
+        payload: {
+          key: 'module_info',
+          value: {
+            modId: known ? known.modId : null,
+            uTotal: known ? known.uTotal : null,
+            fwVer
+          }
+        }
+      };
+    });
+  }
+
+  /**
+   * Get the module topology of a device from its last heartbeat
+   * @param {string} deviceId - Device identifier
+   * @returns {Array|null} Modules ({ modAddr, modId, uTotal }) or null if no heartbeat was seen
+   */
+  getTopology(deviceId) {
+    const modules = this.topology.get(deviceId);
+    if (!modules) return null;
+
+    return Array.from(modules.entries()).map(([modAddr, module]) => ({ modAddr, ...module }));
+  }
+
+  /**
+   * Create door state change objects
+   * V5008 reports one module at root level, V6800 reports a data[] array of modules
    * @param {Object} parsedData - Parsed door state data
    * @param {Object} identity - Device identity
-   * @returns {Array} Array with single unified object
+   * @returns {Array} Array of unified objects (one per module)
    * @private
    */
   _createDoorStateObject(parsedData, identity) {
-    const { ts, modAddr, modId, doorState } = parsedData;
+    const { ts } = parsedData;
+    const modules = Array.isArray(parsedData.data) ? parsedData.data : [parsedData];
 
-    return [{
+    return modules.map(({ modAddr, modId, doorState }) => ({
       identity: { ...identity, modAddr, sensorAddr: 0 },
       type: 'SYS_STATE_CHANGE',
       ts,
@@ -491,18 +989,55 @@ class UnifyNormalizer {
         value: doorState === '01' ? 1 : 0, // Convert to boolean/number
         raw: { modId, doorState }
       }
-    }];
+    }));
   }
 
   /**
    * Create response object
+   * Keeps the link between the request and its result (originalReq for V5008,
+   * rawMessageType + module for V6800) so CommandTracker can correlate ACKs.
+   * Results are reported at module 0 with the acknowledged module in raw.modAddr,
+   * so storing them does not overwrite the module's door state.
    * @param {Object} parsedData - Parsed response data
    * @param {Object} identity - Device identity
-   * @returns {Array} Array with single unified object
+   * @returns {Array} Array of unified objects (one per acknowledged module)
    * @private
    */
   _createResponseObject(parsedData, identity) {
-    const { ts, result, originalReq } = parsedData;
+    const { ts, messageId, rawMessageType } = parsedData;
+
+    // V6800 acknowledges per module in a data[] array
+    if (Array.isArray(parsedData.data)) {
+      return parsedData.data.map(moduleData => {
+        // u_color responses carry no result code, receiving the colors means success
+        const result = moduleData.result || (moduleData.colorMap ? 'Success' : 'Failure');
+
+        return {
+          identity: { ...identity, modAddr: 0, sensorAddr: 0 },
+          type: 'SYS_STATE_CHANGE',
+          ts,
+          payload: {
+            key: 'operation_result',
+            value: result === 'Success' ? 1 : 0, // Convert to boolean/number
+            raw: {
+              result,
+              rawMessageType,
+              messageId,
+              modAddr: moduleData.modAddr || 0,
+              modId: moduleData.modId,
+              ...(moduleData.colorMap ? { colorMap: moduleData.colorMap } : {})
+            }
+          }
+        };
+      });
+    }
+
+    const { result, originalReq, colorMap } = parsedData;
+
+    // V5008 echoes the request: [E1|E2|E4] + modAddr + ...
+    const modAddr = originalReq && originalReq.length >= 4 ?
+      parseInt(originalReq.substring(2, 4), 16) :
+      0;
 
     return [{
       identity: { ...identity, modAddr: 0, sensorAddr: 0 },
@@ -511,7 +1046,13 @@ class UnifyNormalizer {
       payload: {
         key: 'operation_result',
         value: result === 'Success' ? 1 : 0, // Convert to boolean/number
-        raw: { result, originalReq }
+        raw: {
+          result,
+          originalReq,
+          messageId,
+          modAddr,
+          ...(colorMap ? { colorMap } : {})
+        }
       }
     }];
   }
@@ -1,13 +1,154 @@
 const Logger = require('../../../core/Logger');
+const Database = require('../../../core/Database');
+const EventBus = require('../../../core/EventBus');
+const { openStore } = require('../../../utils/StoreUtils');
+const FileCacheStore = require('./stores/FileCacheStore');
+const MySqlCacheStore = require('./stores/MySqlCacheStore');
 
 /**
- * StateCache - In-memory cache for maintaining device shadow state
- * Stores RFID tag state per module for diffing operations
+ * StateCache - Cache for maintaining device shadow state
+ * Stores RFID tag state per module for diffing operations.
+ * Reads are served from memory; writes go through to an optional persistent
+ * store selected by `type` so shadows survive restarts:
+ * - memory: no persistence (default)
+ * - file:   JSON file (FileCacheStore)
+ * - mysql:  iot_state_cache table (MySqlCacheStore)
+ * A persistent store that cannot be opened fails init instead of leaving the
+ * shadows in memory only.
+ *
+ * Eviction:
+ * - ttl:     shadows not updated within ttl ms expire (checked on access and by a periodic sweep);
+ *            shadows set with expires: false, and shadows loaded at start until their
+ *            next update, are kept
+ * - maxSize: beyond maxSize modules the least recently used shadow is evicted
+ * Evicted shadows are removed from the store too and announced as 'cache.evicted'
+ * ({ deviceId, modAddr, reason: 'expired' | 'lru' }) so they can be resynchronized
  */
 class StateCache {
-  constructor() {
+  static stores = {
+    file: FileCacheStore,
+    mysql: MySqlCacheStore
+  };
+
+  /**
+   * @param {Object} options - Cache options (modules.normalizer.cache)
+   * @param {string} options.type - Backend type: memory, file or mysql
+   * @param {boolean} options.warmUp - Fill missing shadows from iot_device_state at init (default: true)
+   * @param {number} options.ttl - Shadow lifetime since last update in ms (0 = never expires)
+   * @param {number} options.maxSize - Maximum number of cached modules (0 = unbounded)
+   * @param {number} options.sweepIntervalMs - Interval of the expired shadow sweep (default: 60000)
+   */
+  constructor(options = {}) {
     this.logger = Logger;
+    this.database = Database;
+    this.eventBus = EventBus;
+    this.options = options;
+    this.type = options.type || 'memory';
+    this.store = null; // Opened by init unless type is memory
     this.cache = new Map(); // Key: `${deviceId}:${modAddr}`, Value: Map<uPos, TagData>
+    this.authoritative = new Set(); // Keys whose shadow was rebuilt from a full snapshot
+    this.expiresAt = new Map(); // Key: `${deviceId}:${modAddr}`, Value: expiry timestamp (ms)
+    this.ttl = options.ttl || 0;
+    this.maxSize = options.maxSize || 0;
+    this.sweepIntervalMs = options.sweepIntervalMs || 60000;
+    this.sweepTimer = null;
+    this.counters = {
+      hits: 0,
+      misses: 0,
+      evictions: 0,
+      expired: 0,
+      lru: 0
+    };
+  }
+
+  /**
+   * Open the persistent store, load its shadows and warm up from the latest stored snapshots
+   * @returns {Promise<void>}
+   * @throws {Error} If the cache type is unknown or its store cannot be opened
+   */
+  async init() {
+    let loaded = 0;
+
+    if (this.type !== 'memory') {
+      const { store } = await openStore('StateCache', StateCache.stores, { ...this.options, type: this.type });
+      this.store = store;
+
+      for (const entry of await this.store.loadAll()) {
+        this._put(this._createKey(entry.deviceId, entry.modAddr), this._toTagMap(entry.tags), false);
+        loaded++;
+      }
+    }
+
+    const warmed = this.options.warmUp !== false ? await this.warmUp() : 0;
+
+    await this._enforceMaxSize();
+
+    if (this.ttl > 0) {
+      this.sweepTimer = setInterval(() => this.sweep(), this.sweepIntervalMs);
+      this.sweepTimer.unref?.();
+    }
+
+    this.logger.info('StateCache: Initialized', {
+      type: this.type,
+      loaded,
+      warmed,
+      ttl: this.ttl,
+      maxSize: this.maxSize
+    });
+  }
+
+  /**
+   * Fill shadows missing from the cache with the latest SYS_RFID_SNAPSHOT rows
+   * stored in iot_device_state
+   * @returns {Promise<number>} Number of shadows warmed up
+   */
+  async warmUp() {
+    if (!this.database.isConnectionActive()) {
+      this.logger.debug('StateCache: Database not connected, skipping warm-up');
+      return 0;
+    }
+
+    let warmed = 0;
+
+    try {
+      const knex = this.database.getKnex();
+      const rows = await knex('iot_device_state')
+        .select('device_id', 'mod_addr', 'json_value')
+        .where('state_type', 'SYS_RFID_SNAPSHOT');
+
+      for (const row of rows) {
+        const key = this._createKey(row.device_id, row.mod_addr);
+        if (this.cache.has(key)) continue;
+
+        const payload = typeof row.json_value === 'string' ? JSON.parse(row.json_value) : row.json_value;
+        const items = payload?.value?.items;
+        if (!Array.isArray(items)) continue;
+
+        await this.set(row.device_id, row.mod_addr, this._toTagMap(items), { expires: false });
+        warmed++;
+      }
+    } catch (error) {
+      this.logger.error('StateCache: Failed to warm up from iot_device_state', {
+        error: error.message
+      });
+    }
+
+    return warmed;
+  }
+
+  /**
+   * Flush and release the persistent store
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+
+    if (this.store) {
+      await this.store.close();
+    }
   }
 
   /**
@@ -18,7 +159,21 @@ class StateCache {
    */
   async get(deviceId, modAddr) {
     const key = this._createKey(deviceId, modAddr);
+
+    if (this._isExpired(key)) {
+      await this._evict(key, 'expired');
+    }
+
     const cached = this.cache.get(key);
+
+    if (cached) {
+      this.counters.hits++;
+      // Move to the end of the Map so insertion order tracks recency (LRU)
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+    } else {
+      this.counters.misses++;
+    }
     
     this.logger.debug(`StateCache: Get cache for ${key}`, {
       found: !!cached,
@@ -33,8 +188,10 @@ class StateCache {
    * @param {string} deviceId - Device identifier
    * @param {number} modAddr - Module address
    * @param {Map} tagDataMap - Map of uPos to TagData
+   * @param {Object} options - Set options
+   * @param {boolean} options.expires - Shadow expires after the TTL (default: true)
    */
-  async set(deviceId, modAddr, tagDataMap) {
+  async set(deviceId, modAddr, tagDataMap, options = {}) {
     const key = this._createKey(deviceId, modAddr);
     
     if (!tagDataMap || !(tagDataMap instanceof Map)) {
@@ -42,11 +199,19 @@ class StateCache {
       return;
     }
     
-    this.cache.set(key, new Map(tagDataMap));
+    this._put(key, new Map(tagDataMap), options.expires !== false);
     
     this.logger.debug(`StateCache: Set cache for ${key}`, {
       tagCount: tagDataMap.size
     });
+
+    await this._persist('save', {
+      deviceId,
+      modAddr,
+      tags: this._toTagList(tagDataMap)
+    });
+
+    await this._enforceMaxSize();
   }
 
   /**
@@ -59,10 +224,16 @@ class StateCache {
     const existed = this.cache.has(key);
     
     this.cache.delete(key);
+    this.authoritative.delete(key);
+    this.expiresAt.delete(key);
     
     this.logger.debug(`StateCache: Clear cache for ${key}`, {
       existed
     });
+
+    if (existed) {
+      await this._persist('delete', deviceId, modAddr);
+    }
     
     return existed;
   }
@@ -75,7 +246,30 @@ class StateCache {
    */
   async has(deviceId, modAddr) {
     const key = this._createKey(deviceId, modAddr);
-    return this.cache.has(key);
+    return this.cache.has(key) && !this._isExpired(key);
+  }
+
+  /**
+   * Mark a module's shadow as authoritative (rebuilt from a full device snapshot)
+   * @param {string} deviceId - Device identifier
+   * @param {number} modAddr - Module address
+   */
+  async markAuthoritative(deviceId, modAddr) {
+    const key = this._createKey(deviceId, modAddr);
+    this.authoritative.add(key);
+
+    this.logger.debug(`StateCache: Marked ${key} as authoritative`);
+  }
+
+  /**
+   * Check if a module's shadow is authoritative
+   * @param {string} deviceId - Device identifier
+   * @param {number} modAddr - Module address
+   * @returns {boolean} True if the shadow was rebuilt from a full snapshot
+   */
+  async isAuthoritative(deviceId, modAddr) {
+    const key = this._createKey(deviceId, modAddr);
+    return this.authoritative.has(key) && this.cache.has(key);
   }
 
   /**
@@ -92,10 +286,35 @@ class StateCache {
   async clearAll() {
     const size = this.cache.size;
     this.cache.clear();
+    this.authoritative.clear();
+    this.expiresAt.clear();
     
     this.logger.debug('StateCache: Clear all cache', {
       clearedCount: size
     });
+
+    await this._persist('clear');
+  }
+
+  /**
+   * Evict all expired shadows
+   * @returns {Promise<number>} Number of evicted shadows
+   */
+  async sweep() {
+    let evicted = 0;
+
+    for (const key of Array.from(this.cache.keys())) {
+      if (this._isExpired(key)) {
+        await this._evict(key, 'expired');
+        evicted++;
+      }
+    }
+
+    if (evicted > 0) {
+      this.logger.debug('StateCache: Swept expired shadows', { evicted });
+    }
+
+    return evicted;
   }
 
   /**
@@ -103,9 +322,22 @@ class StateCache {
    * @returns {Object} Statistics about cache usage
    */
   getStats() {
+    const lookups = this.counters.hits + this.counters.misses;
     const stats = {
+      type: this.type,
+      ttl: this.ttl,
+      maxSize: this.maxSize,
+      hits: this.counters.hits,
+      misses: this.counters.misses,
+      hitRate: lookups > 0 ? this.counters.hits / lookups : 0,
+      evictions: this.counters.evictions,
+      evictionsByReason: {
+        expired: this.counters.expired,
+        lru: this.counters.lru
+      },
       totalModules: this.cache.size,
       totalTags: 0,
+      authoritativeModules: this.authoritative.size,
       modules: []
     };
     
@@ -117,13 +349,133 @@ class StateCache {
       stats.modules.push({
         deviceId,
         modAddr,
-        tagCount
+        tagCount,
+        authoritative: this.authoritative.has(key)
       });
     }
     
     return stats;
   }
 
+  /**
+   * Store a shadow in memory as the most recently used entry and reset its expiry
+   * @param {string} key - Cache key
+   * @param {Map} tagDataMap - Map of uPos to TagData
+   * @param {boolean} expires - Shadow expires after the TTL
+   * @private
+   */
+  _put(key, tagDataMap, expires) {
+    this.cache.delete(key);
+    this.cache.set(key, tagDataMap);
+
+    if (this.ttl > 0 && expires) {
+      this.expiresAt.set(key, Date.now() + this.ttl);
+    } else {
+      this.expiresAt.delete(key);
+    }
+  }
+
+  /**
+   * Check whether a shadow has outlived its TTL
+   * @param {string} key - Cache key
+   * @returns {boolean} True if expired
+   * @private
+   */
+  _isExpired(key) {
+    const expiresAt = this.expiresAt.get(key);
+    return expiresAt !== undefined && Date.now() >= expiresAt;
+  }
+
+  /**
+   * Evict least recently used shadows beyond maxSize
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _enforceMaxSize() {
+    if (this.maxSize <= 0) return;
+
+    while (this.cache.size > this.maxSize) {
+      const oldestKey = this.cache.keys().next().value;
+      await this._evict(oldestKey, 'lru');
+    }
+  }
+
+  /**
+   * Remove a shadow from memory and store, and announce the eviction
+   * @param {string} key - Cache key
+   * @param {string} reason - Eviction reason ('expired' or 'lru')
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _evict(key, reason) {
+    const [deviceId, modAddr] = this._parseKey(key);
+
+    this.cache.delete(key);
+    this.authoritative.delete(key);
+    this.expiresAt.delete(key);
+    this.counters.evictions++;
+    this.counters[reason]++;
+
+    this.logger.debug(`StateCache: Evicted ${key}`, { reason });
+
+    await this._persist('delete', deviceId, modAddr);
+
+    this.eventBus.emit('cache.evicted', { deviceId, modAddr, reason });
+  }
+
+  /**
+   * Run a write-through operation on the store
+   * Store failures are logged; the in-memory shadow stays valid
+   * @param {string} operation - Store method (save, delete, clear)
+   * @param {...*} args - Method arguments
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persist(operation, ...args) {
+    if (!this.store) return;
+
+    try {
+      await this.store[operation](...args);
+    } catch (error) {
+      this.logger.error(`StateCache: Store ${operation} failed`, {
+        type: this.type,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Convert a tag map to a serializable list
+   * @param {Map} tagDataMap - Map of uPos to TagData
+   * @returns {Array} Array of { uPos, tagId, alarmStatus }
+   * @private
+   */
+  _toTagList(tagDataMap) {
+    return Array.from(tagDataMap.entries()).map(([uPos, tag]) => ({
+      uPos,
+      tagId: tag.tagId,
+      alarmStatus: tag.alarmStatus
+    }));
+  }
+
+  /**
+   * Convert a serialized tag list back to a tag map
+   * @param {Array} tags - Array of { uPos, tagId, alarmStatus }
+   * @returns {Map} Map of uPos to TagData
+   * @private
+   */
+  _toTagMap(tags) {
+    const tagDataMap = new Map();
+    for (const tag of tags || []) {
+      if (!tag.tagId) continue;
+      tagDataMap.set(tag.uPos, {
+        tagId: tag.tagId,
+        alarmStatus: tag.alarmStatus
+      });
+    }
+    return tagDataMap;
+  }
+
   /**
    * Create cache key from device and module
    * @param {string} deviceId - Device identifier
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../../../../core/Logger');
+
+/**
+ * FileCacheStore - Persists StateCache shadows to a JSON file
+ * The whole cache is kept in one file and rewritten (write to temp file, then
+ * rename) shortly after each change, so bursts of updates cause a single write.
+ *
+ * Store interface (shared with MySqlCacheStore):
+ *   init() → load file, loadAll() → entries, save(entry), delete(deviceId, modAddr),
+ *   clear(), close() → flush pending writes
+ * An entry is { deviceId, modAddr, tags: [{ uPos, tagId, alarmStatus }] }
+ */
+class FileCacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - Path of the JSON file
+   * @param {number} options.flushDelayMs - Delay before changes are written (ms)
+   */
+  constructor(options = {}) {
+    this.logger = Logger;
+    this.filePath = path.resolve(options.filePath || './data/state-cache.json');
+    this.flushDelayMs = options.flushDelayMs ?? 500;
+    this.entries = new Map(); // Key: `${deviceId}:${modAddr}`, Value: entry
+    this.flushTimer = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load the cache file (a missing file starts an empty cache)
+   * @returns {Promise<void>}
+   */
+  async init() {
+    try {
+      const content = await fs.promises.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(content);
+
+      for (const entry of data.entries || []) {
+        this.entries.set(`${entry.deviceId}:${entry.modAddr}`, entry);
+      }
+
+      this.logger.info('FileCacheStore: Loaded cache file', {
+        filePath: this.filePath,
+        modules: this.entries.size
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn('FileCacheStore: Unable to read cache file, starting empty', {
+          filePath: this.filePath,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Get all persisted entries
+   * @returns {Promise<Array>} Array of entries
+   */
+  async loadAll() {
+    return Array.from(this.entries.values());
+  }
+
+  /**
+   * Persist a module's shadow
+   * @param {Object} entry - Entry ({ deviceId, modAddr, tags })
+   * @returns {Promise<void>}
+   */
+  async save(entry) {
+    this.entries.set(`${entry.deviceId}:${entry.modAddr}`, entry);
+    this._scheduleFlush();
+  }
+
+  /**
+   * Remove a module's shadow
+   * @param {string} deviceId - Device identifier
+   * @param {number} modAddr - Module address
+   * @returns {Promise<void>}
+   */
+  async delete(deviceId, modAddr) {
+    if (this.entries.delete(`${deviceId}:${modAddr}`)) {
+      this._scheduleFlush();
+    }
+  }
+
+  /**
+   * Remove all shadows
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries.clear();
+    this._scheduleFlush();
+  }
+
+  /**
+   * Write pending changes and stop the flush timer
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+      await this._flush();
+    }
+    await this.writing;
+  }
+
+  /**
+   * Schedule a write of the cache file
+   * @private
+   */
+  _scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this._flush();
+    }, this.flushDelayMs);
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Write the cache file atomically, one write at a time
+   * @returns {Promise<void>}
+   * @private
+   */
+  _flush() {
+    const content = JSON.stringify({
+      savedAt: new Date().toISOString(),
+      entries: Array.from(this.entries.values())
+    });
+
+    this.writing = this.writing.then(async () => {
+      try {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, content, 'utf8');
+        await fs.promises.rename(tmpPath, this.filePath);
+      } catch (error) {
+        this.logger.error('FileCacheStore: Failed to write cache file', {
+          filePath: this.filePath,
+          error: error.message
+        });
+      }
+    });
+
+    return this.writing;
+  }
+}
+
+module.exports = FileCacheStore;
@@ -0,0 +1,97 @@
+const Logger = require('../../../../core/Logger');
+const Database = require('../../../../core/Database');
+
+/**
+ * MySqlCacheStore - Persists StateCache shadows to the iot_state_cache table
+ * Each module shadow is one row keyed by (device_id, mod_addr); writes are upserts.
+ * Implements the same store interface as FileCacheStore.
+ */
+class MySqlCacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.tableName - Table name (default: iot_state_cache)
+   */
+  constructor(options = {}) {
+    this.logger = Logger;
+    this.database = Database;
+    this.tableName = options.tableName || 'iot_state_cache';
+  }
+
+  /**
+   * Verify the database connection
+   * @returns {Promise<void>}
+   * @throws {Error} If the database is not connected
+   */
+  async init() {
+    if (!this.database.isConnectionActive()) {
+      throw new Error('MySqlCacheStore: Database is not connected');
+    }
+  }
+
+  /**
+   * Get all persisted entries
+   * @returns {Promise<Array>} Array of entries ({ deviceId, modAddr, tags })
+   */
+  async loadAll() {
+    const knex = this.database.getKnex();
+    const rows = await knex(this.tableName).select('device_id', 'mod_addr', 'json_value');
+
+    return rows.map(row => ({
+      deviceId: row.device_id,
+      modAddr: row.mod_addr,
+      tags: typeof row.json_value === 'string' ? JSON.parse(row.json_value) : row.json_value
+    }));
+  }
+
+  /**
+   * Persist a module's shadow
+   * @param {Object} entry - Entry ({ deviceId, modAddr, tags })
+   * @returns {Promise<void>}
+   */
+  async save(entry) {
+    const knex = this.database.getKnex();
+    const now = new Date();
+
+    await knex(this.tableName)
+      .insert({
+        device_id: entry.deviceId,
+        mod_addr: entry.modAddr,
+        json_value: JSON.stringify(entry.tags),
+        created_at: now,
+        updated_at: now
+      })
+      .onConflict(['device_id', 'mod_addr'])
+      .merge({
+        json_value: JSON.stringify(entry.tags),
+        updated_at: now
+      });
+  }
+
+  /**
+   * Remove a module's shadow
+   * @param {string} deviceId - Device identifier
+   * @param {number} modAddr - Module address
+   * @returns {Promise<void>}
+   */
+  async delete(deviceId, modAddr) {
+    const knex = this.database.getKnex();
+    await knex(this.tableName).where({ device_id: deviceId, mod_addr: modAddr }).del();
+  }
+
+  /**
+   * Remove all shadows
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const knex = this.database.getKnex();
+    await knex(this.tableName).del();
+  }
+
+  /**
+   * Nothing to flush, writes are immediate
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = MySqlCacheStore;
@@ -1,4 +1,5 @@
 const Logger = require('../../../core/Logger');
+const { V5008MessageTypes: MessageType } = require('../MessageTypes');
 
 /**
  * V5008 Parser - Converts binary buffers to Standard Intermediate Format (SIF)
@@ -7,6 +8,17 @@ const Logger = require('../../../core/Logger');
 class V5008Parser {
   static topicPattern = /V5008/i;
 
+  static deviceType = 'V5008';
+
+  // Canonical message types this parser can emit
+  static messageTypes = Object.values(MessageType);
+
+  // Topic suffixes of frames without a type header (payload starts with modAddr)
+  static topicMessageTypes = {
+    TemHum: MessageType.TEM_HUM,
+    Noise: MessageType.NOISE
+  };
+
   /**
    * Check if this parser can handle the given topic
    * @param {string} topic - MQTT topic to check
@@ -36,28 +48,8 @@ class V5008Parser {
       // Convert buffer to hex string for logging
       const hexString = messageBuffer.toString('hex').toUpperCase();
       
-      // Determine message type by examining binary header first
-      let messageType = topicSuffix; // fallback to topic suffix
-      const header = messageBuffer.length > 0 ? messageBuffer.readUInt8(0) : null;
-      
-      if (header !== null) {
-        switch (header) {
-          case 0xCC:
-          case 0xCB:
-            messageType = "HEARTBEAT";
-            break;
-          case 0xBB:
-            messageType = "LABEL_STATE";
-            break;
-          case 0xBA:
-            messageType = "DOOR_STATE";
-            break;
-          case 0xAA:
-            messageType = "OPE_ACK";
-            break;
-          // If header is unknown, keep messageType as topicSuffix (fallback)
-        }
-      }
+      // Determine message type by examining binary header first, then the topic suffix
+      const messageType = this.resolveMessageType(messageBuffer, topicSuffix);
       
       // Base result object with required fields
       const result = {
@@ -70,21 +62,17 @@ class V5008Parser {
       };
       
       // Route to appropriate parser based on message type
-      if (messageType === 'HEARTBEAT') {
-        return this.parseOpeAck(messageBuffer, result);
-      } else if (messageType === 'LABEL_STATE') {
-        return this.parseLabelState(messageBuffer, result);
-      } else if (messageType === 'DOOR_STATE') {
-        return this.parseOpeAck(messageBuffer, result);
-      } else if (messageType === 'OPE_ACK') {
-        return this.parseOpeAck(messageBuffer, result);
-      } else if (messageType === 'TemHum') {
-        return this.parseTemHum(messageBuffer, result);
-      } else if (messageType === 'Noise') {
-        return this.parseNoise(messageBuffer, result);
-      } else {
-        this.logger.warn(`V5008Parser: Unknown message type: ${messageType}`);
-        return null;
+      switch (messageType) {
+        case MessageType.TEM_HUM:
+          return this.parseTemHum(messageBuffer, result);
+        case MessageType.NOISE:
+          return this.parseNoise(messageBuffer, result);
+        case null:
+          this.logger.warn(`V5008Parser: Unknown message type: ${topicSuffix}`);
+          return null;
+        default:
+          // Header-typed frames (heartbeat, RFID, door, responses, info)
+          return this.parseOpeAck(messageBuffer, result);
       }
     } catch (error) {
       this.logger.error('V5008Parser: Error parsing message', {
@@ -96,6 +84,37 @@ class V5008Parser {
     }
   }
 
+  /**
+   * Resolve the canonical message type of a frame
+   * @param {Buffer} buffer - Message buffer
+   * @param {string} topicSuffix - Topic suffix (e.g., "OpeAck", "TemHum")
+   * @returns {string|null} Canonical message type or null if unknown
+   */
+  resolveMessageType(buffer, topicSuffix) {
+    const header = buffer.length > 0 ? buffer.readUInt8(0) : null;
+
+    switch (header) {
+      case 0xCC:
+      case 0xCB:
+        return MessageType.HEARTBEAT;
+      case 0xBB:
+        return MessageType.LABEL_STATE;
+      case 0xBA:
+        return MessageType.DOOR_STATE;
+      case 0xAA:
+        return MessageType.OPE_ACK;
+      case 0xEF: {
+        const subHeader = buffer.length >= 2 ? buffer.readUInt8(1) : null;
+        if (subHeader === 0x01) return MessageType.DEVICE_INFO;
+        if (subHeader === 0x02) return MessageType.MODULE_INFO;
+        break;
+      }
+    }
+
+    // Frames without a type header are identified by the topic suffix
+    return V5008Parser.topicMessageTypes[topicSuffix] || null;
+  }
+
   /**
    * Parse OpeAck messages (includes Heartbeat, Door State, and various responses)
    * @param {Buffer} buffer - Message buffer
@@ -166,8 +185,8 @@ class V5008Parser {
       const modId = this.readBigUIntBE(buffer, offset + 1).toString();
       const uTotal = buffer.readUInt8(offset + 5);
 
-      // Only include valid modules (address 1-5)
-      if (modAddr >= 1 && modAddr <= 5) {
+      // Only include valid modules (address 1-5); empty slots report modId 0 and uTotal 0
+      if (modAddr >= 1 && modAddr <= 5 && !(modId === '0' && uTotal === 0)) {
         modules.push({
           modAddr,
           modId, // Ensure modId is string as required
@@ -180,15 +199,7 @@ class V5008Parser {
 
     result.messageId = messageId;
     result.modules = modules;
-    
-    // Add metadata for heartbeat processing
-    // For V5008 heartbeat, we'll simulate power status
-    result.meta = {
-      voltage: 12.5, // Simulated voltage
-      current: 0.8,  // Simulated current
-      mainPower: true,
-      backupPower: false
-    };
+    // V5008 heartbeats carry no power information, so no meta is reported
 
     return result;
   }
@@ -408,16 +419,17 @@ class V5008Parser {
    * @returns {Object} Parsed device info
    */
   parseDeviceInfoResponse(buffer, result, messageId) {
-    const model = buffer.subarray(2, 6).toString('ascii');
-    const fwVer = this.readBigUIntBE(buffer, 6).toString();
+    // [EF01] + model(2B) + fwVer(4B) + ip(4B) + mask(4B) + gatewayIp(4B) + mac(6B) + messageId
+    const model = buffer.subarray(2, 4).toString('hex').toUpperCase();
+    const fwVer = this.readBigUIntBE(buffer, 4).toString();
     
     // Parse IP addresses
-    const ip = this.parseIpAddress(buffer, 10);
-    const mask = this.parseIpAddress(buffer, 14);
-    const gatewayIp = this.parseIpAddress(buffer, 18);
+    const ip = this.parseIpAddress(buffer, 8);
+    const mask = this.parseIpAddress(buffer, 12);
+    const gatewayIp = this.parseIpAddress(buffer, 16);
     
     // Parse MAC address
-    const mac = Array.from(buffer.subarray(22, 28))
+    const mac = Array.from(buffer.subarray(20, 26))
       .map(b => b.toString(16).padStart(2, '0'))
       .join(':')
       .toUpperCase();
@@ -526,9 +538,10 @@ class V5008Parser {
   readBigUIntBE(buffer, offset, bytes = 4) {
     if (offset + bytes > buffer.length) return 0;
     
+    // Multiply instead of shifting: bitwise operators are signed 32-bit
     let value = 0;
     for (let i = 0; i < bytes; i++) {
-      value = (value << 8) | buffer.readUInt8(offset + i);
+      value = value * 256 + buffer.readUInt8(offset + i);
     }
     return value;
   }
@@ -1,4 +1,5 @@
 const Logger = require('../../../core/Logger');
+const { V6800MessageTypes: MessageType } = require('../MessageTypes');
 
 /**
  * V6800 Parser - Converts raw JSON strings to Standard Intermediate Format (SIF)
@@ -7,6 +8,21 @@ const Logger = require('../../../core/Logger');
 class V6800Parser {
   static topicPattern = /V6800/i;
 
+  static deviceType = 'V6800';
+
+  // Canonical message types this parser can emit
+  static messageTypes = Object.values(MessageType);
+
+  // Topic suffix → canonical message type
+  static topicMessageTypes = {
+    HeartBeat: MessageType.HEARTBEAT,
+    LabelState: MessageType.LABEL_STATE,
+    TemHum: MessageType.TEM_HUM,
+    Door: MessageType.DOOR_STATE,
+    Init: MessageType.INIT,
+    OpeAck: MessageType.OPE_ACK
+  };
+
   /**
    * Check if this parser can handle the given topic
    * @param {string} topic - MQTT topic to check
@@ -49,17 +65,17 @@ class V6800Parser {
 
       // Route to appropriate parser based on message type
       switch (result.messageType) {
-        case 'HEARTBEAT':
+        case MessageType.HEARTBEAT:
           return this.parseHeartbeat(rawJson, result);
-        case 'LABEL_STATE':
+        case MessageType.LABEL_STATE:
           return this.parseLabelState(rawJson, result);
-        case 'TEM_HUM':
+        case MessageType.TEM_HUM:
           return this.parseTemHum(rawJson, result);
-        case 'DOOR_STATE':
+        case MessageType.DOOR_STATE:
           return this.parseDoorState(rawJson, result);
-        case 'INIT':
+        case MessageType.INIT:
           return this.parseInit(rawJson, result);
-        case 'OPE_ACK':
+        case MessageType.OPE_ACK:
           return this.parseOpeAck(rawJson, result);
         default:
           this.logger.warn(`V6800Parser: Unknown message type: ${result.messageType}`);
@@ -82,15 +98,7 @@ class V6800Parser {
    * @returns {string} Standardized message type
    */
   mapMessageType(topicSuffix) {
-    const mapping = {
-      'HeartBeat': 'HEARTBEAT',
-      'LabelState': 'LABEL_STATE',
-      'TemHum': 'TEM_HUM',
-      'Door': 'DOOR_STATE',
-      'Init': 'INIT',
-      'OpeAck': 'OPE_ACK'
-    };
-    return mapping[topicSuffix] || topicSuffix.toUpperCase();
+    return V6800Parser.topicMessageTypes[topicSuffix] || topicSuffix.toUpperCase();
   }
 
   /**
@@ -0,0 +1,297 @@
+const Logger = require('../../core/Logger');
+const EventBus = require('../../core/EventBus');
+const Database = require('../../core/Database');
+
+/**
+ * PresenceTracker - Detects devices that stopped reporting
+ * Subscribes to 'mqtt.message' and records when each device was last seen on any
+ * message (before parsing, so a device sending frames we cannot parse is still
+ * present). A sweep marks a device offline once it has been silent for
+ * missedHeartbeats heartbeat intervals.
+ *
+ * Every transition is published as a SYS_LIFECYCLE SUO with key 'device_status'
+ * ('online' / 'offline') on 'data.normalized', so it is stored and broadcast like
+ * device data, and as 'device.presence' on the EventBus. StorageService keeps the
+ * last status of a device as its SYS_DEVICE_STATUS row of iot_device_state.
+ *
+ * At start every device stored in iot_device_state is loaded with its last stored
+ * time and status, so a device that is already down is reported offline once it
+ * has been silent for the timeout since the start.
+ */
+class PresenceTracker {
+  static STATUS = Object.freeze({
+    ONLINE: 'online',
+    OFFLINE: 'offline'
+  });
+
+  constructor() {
+    this.logger = Logger;
+    this.eventBus = EventBus;
+    this.database = Database;
+    this.parserRegistry = null;
+    this.devices = new Map(); // Key: deviceId, Value: { deviceId, deviceType, lastSeen, status, since, loadedAt }
+    this.heartbeatIntervalMs = 60000;
+    this.missedHeartbeats = 3;
+    this.checkIntervalMs = 10000;
+    this.timer = null;
+    this.isStarted = false;
+    this.stats = {
+      seen: 0,
+      wentOffline: 0,
+      cameOnline: 0
+    };
+  }
+
+  /**
+   * Set the parser registry used to resolve the device type of a topic
+   * @param {ParserRegistry} parserRegistry - Parser registry
+   */
+  setParserRegistry(parserRegistry) {
+    this.parserRegistry = parserRegistry;
+  }
+
+  /**
+   * Load stored devices and start tracking device presence
+   * @param {Object} config - Presence configuration ({ heartbeatIntervalMs, missedHeartbeats, checkIntervalMs })
+   * @returns {Promise<void>}
+   */
+  async start(config = {}) {
+    this.heartbeatIntervalMs = config.heartbeatIntervalMs ?? this.heartbeatIntervalMs;
+    this.missedHeartbeats = config.missedHeartbeats ?? this.missedHeartbeats;
+    this.checkIntervalMs = config.checkIntervalMs ?? this.checkIntervalMs;
+    const loaded = await this._loadStored(Date.now());
+
+    this.eventBus.on('mqtt.message', this.handleMessage.bind(this));
+    this.timer = setInterval(() => this.sweep(), this.checkIntervalMs);
+    this.timer.unref?.();
+    this.isStarted = true;
+
+    this.logger.info('PresenceTracker: Started successfully', {
+      loaded,
+      heartbeatIntervalMs: this.heartbeatIntervalMs,
+      missedHeartbeats: this.missedHeartbeats,
+      checkIntervalMs: this.checkIntervalMs
+    });
+  }
+
+  /**
+   * Record that a device was seen
+   * A device seen for the first time, or again after being offline, is reported online.
+   * @param {Object} mqttData - MQTT message ({ topic, message })
+   * @param {number} now - Time the message was seen (default: now)
+   */
+  handleMessage(mqttData, now = Date.now()) {
+    if (!this.isStarted || !mqttData?.topic) return;
+
+    const deviceId = mqttData.topic.split('/')[1];
+    if (!deviceId) return;
+
+    const device = this.devices.get(deviceId);
+
+    if (device) {
+      this.stats.seen++;
+      device.lastSeen = now;
+      if (device.status === PresenceTracker.STATUS.OFFLINE) {
+        this.stats.cameOnline++;
+        this._transition(device, PresenceTracker.STATUS.ONLINE, now);
+      }
+      return;
+    }
+
+    // Topics no parser handles do not belong to a known device
+    const parser = this.parserRegistry ? this.parserRegistry.getParser(mqttData.topic) : null;
+    if (this.parserRegistry && !parser) return;
+
+    const created = {
+      deviceId,
+      deviceType: parser ? parser.constructor.deviceType : null,
+      lastSeen: now,
+      status: null,
+      since: null
+    };
+    this.stats.seen++;
+    this.devices.set(deviceId, created);
+    this._transition(created, PresenceTracker.STATUS.ONLINE, now);
+  }
+
+  /**
+   * Mark devices offline that missed too many heartbeats
+   * A device loaded at start is timed from the start if it was last seen before.
+   * @param {number} now - Current time (default: now)
+   * @returns {Array<string>} IDs of the devices that went offline
+   */
+  sweep(now = Date.now()) {
+    const timeoutMs = this.heartbeatIntervalMs * this.missedHeartbeats;
+    const wentOffline = [];
+
+    for (const device of this.devices.values()) {
+      if (device.status === PresenceTracker.STATUS.OFFLINE) continue;
+      if (now - Math.max(device.lastSeen, device.loadedAt || 0) < timeoutMs) continue;
+
+      this.stats.wentOffline++;
+      this._transition(device, PresenceTracker.STATUS.OFFLINE, now);
+      wentOffline.push(device.deviceId);
+    }
+
+    return wentOffline;
+  }
+
+  /**
+   * Get the presence of one device
+   * @param {string} deviceId - Device ID
+   * @returns {Object|null} Presence record or null if never seen
+   */
+  getDevice(deviceId) {
+    const device = this.devices.get(deviceId);
+    return device ? this._toPublic(device) : null;
+  }
+
+  /**
+   * Get the presence of all devices seen since start
+   * @returns {Array<Object>} Presence records
+   */
+  getDevices() {
+    return Array.from(this.devices.values()).map(device => this._toPublic(device));
+  }
+
+  /**
+   * Get presence statistics
+   * @returns {Object} Counters plus number of online and offline devices
+   */
+  getStats() {
+    let online = 0;
+    for (const device of this.devices.values()) {
+      if (device.status === PresenceTracker.STATUS.ONLINE) online++;
+    }
+
+    return {
+      ...this.stats,
+      devices: this.devices.size,
+      online,
+      offline: this.devices.size - online,
+      offlineAfterMs: this.heartbeatIntervalMs * this.missedHeartbeats
+    };
+  }
+
+  /**
+   * Stop the offline sweep
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.isStarted = false;
+    this.logger.info('PresenceTracker: Stopped successfully');
+  }
+
+  /**
+   * Fill the devices from the rows stored in iot_device_state
+   * lastSeen is the latest stored time of the device, status and since come from
+   * its SYS_DEVICE_STATUS row. Loaded devices are not reported again.
+   * @param {number} now - Start time
+   * @returns {Promise<number>} Number of devices loaded
+   * @private
+   */
+  async _loadStored(now) {
+    if (!this.database.isConnectionActive()) {
+      this.logger.debug('PresenceTracker: Database not connected, starting empty');
+      return 0;
+    }
+
+    try {
+      const rows = await this.database.getKnex()('iot_device_state')
+        .select('device_id', 'device_type', 'state_type', 'json_value', 'timestamp');
+
+      for (const row of rows) {
+        const time = new Date(row.timestamp).getTime();
+        if (Number.isNaN(time)) continue;
+
+        let device = this.devices.get(row.device_id);
+        if (!device) {
+          device = {
+            deviceId: row.device_id,
+            deviceType: row.device_type,
+            lastSeen: null,
+            status: PresenceTracker.STATUS.ONLINE,
+            since: null,
+            loadedAt: now
+          };
+          this.devices.set(row.device_id, device);
+        }
+
+        if (row.state_type === 'SYS_DEVICE_STATUS') {
+          const payload = typeof row.json_value === 'string' ? JSON.parse(row.json_value) : row.json_value;
+          if (payload?.value === PresenceTracker.STATUS.OFFLINE) device.status = PresenceTracker.STATUS.OFFLINE;
+          device.since = time;
+          const lastSeen = new Date(payload?.raw?.lastSeen).getTime();
+          if (!Number.isNaN(lastSeen)) device.lastSeen = Math.max(device.lastSeen ?? lastSeen, lastSeen);
+        } else {
+          device.lastSeen = Math.max(device.lastSeen ?? time, time);
+        }
+      }
+    } catch (error) {
+      this.logger.error('PresenceTracker: Failed to load stored devices', {
+        error: error.message
+      });
+    }
+
+    for (const device of this.devices.values()) {
+      device.lastSeen = device.lastSeen ?? device.since ?? now;
+      device.since = device.since ?? device.lastSeen;
+    }
+
+    return this.devices.size;
+  }
+
+  /**
+   * Change a device's status and publish the transition
+   * @param {Object} device - Presence record
+   * @param {string} status - New status
+   * @param {number} now - Transition time
+   * @private
+   */
+  _transition(device, status, now) {
+    device.status = status;
+    device.since = now;
+
+    const ts = new Date(now).toISOString();
+    const lastSeen = new Date(device.lastSeen).toISOString();
+
+    if (status === PresenceTracker.STATUS.OFFLINE) {
+      this.logger.warn('PresenceTracker: Device offline', { deviceId: device.deviceId, lastSeen });
+    } else {
+      this.logger.info('PresenceTracker: Device online', { deviceId: device.deviceId });
+    }
+
+    this.eventBus.emit('device.presence', this._toPublic(device));
+    this.eventBus.emit('data.normalized', [{
+      identity: { deviceId: device.deviceId, deviceType: device.deviceType, modAddr: 0, sensorAddr: 0 },
+      type: 'SYS_LIFECYCLE',
+      ts,
+      payload: {
+        key: 'device_status',
+        value: status,
+        raw: { lastSeen, missedHeartbeats: this.missedHeartbeats, heartbeatIntervalMs: this.heartbeatIntervalMs }
+      }
+    }]);
+  }
+
+  /**
+   * Convert a presence record to its public form
+   * @param {Object} device - Presence record
+   * @returns {Object} Record with ISO timestamps
+   * @private
+   */
+  _toPublic(device) {
+    return {
+      deviceId: device.deviceId,
+      deviceType: device.deviceType,
+      status: device.status,
+      lastSeen: new Date(device.lastSeen).toISOString(),
+      since: new Date(device.since).toISOString()
+    };
+  }
+}
+
+module.exports = PresenceTracker;
@@ -0,0 +1,352 @@
+const Logger = require('../../core/Logger');
+const EventBus = require('../../core/EventBus');
+const Database = require('../../core/Database');
+
+/**
+ * RackService - Occupied and free U positions of every rack module
+ * Listens to 'data.normalized' and keeps the tags of the latest SYS_RFID_SNAPSHOT
+ * per module (every RFID change emits a full snapshot). The module height
+ * (uTotal) is taken from the normalizer's heartbeat topology when queried.
+ *
+ * An asset occupies heightU positions from its tag's uPos upwards (spanDirection
+ * 'up') or downwards ('down'). heightU is declared per tag in the AssetRegistry;
+ * tags without an asset or height occupy one U. Positions claimed by more than
+ * one tag are reported as conflicts, positions outside 1..uTotal are ignored.
+ *
+ * At start the racks are filled from the SYS_RFID_SNAPSHOT rows stored in
+ * iot_device_state. Modules reported by a heartbeat without a snapshot are listed
+ * with no tags, so empty racks are found by the capacity search. A removed module
+ * is dropped; a replaced module is listed with no tags until its next snapshot.
+ */
+class RackService {
+  static SPAN_DIRECTIONS = Object.freeze(['up', 'down']);
+
+  constructor() {
+    this.logger = Logger;
+    this.eventBus = EventBus;
+    this.database = Database;
+    this.normalizer = null;
+    this.assetRegistry = null;
+    this.spanDirection = 'up';
+    this.racks = new Map(); // Key: `${deviceId}:${modAddr}`, Value: { deviceId, deviceType, modAddr, modId, tags, updatedAt }
+    this.isStarted = false;
+  }
+
+  /**
+   * Set the normalizer whose heartbeat topology provides uTotal
+   * @param {UnifyNormalizer} normalizer - Normalizer instance
+   */
+  setNormalizer(normalizer) {
+    this.normalizer = normalizer;
+  }
+
+  /**
+   * Set the asset registry providing the height of tagged assets
+   * @param {AssetRegistry} assetRegistry - Asset registry instance
+   */
+  setAssetRegistry(assetRegistry) {
+    this.assetRegistry = assetRegistry;
+  }
+
+  /**
+   * Load stored RFID snapshots and start listening for updates
+   * @param {Object} config - Rack configuration (modules.racks)
+   * @param {string} config.spanDirection - Direction an asset extends from its tag: up or down (default: up)
+   * @returns {Promise<void>}
+   */
+  async start(config = {}) {
+    const spanDirection = config.spanDirection || 'up';
+    if (!RackService.SPAN_DIRECTIONS.includes(spanDirection)) {
+      throw new Error(`RackService: Unknown spanDirection: ${spanDirection}`);
+    }
+
+    this.spanDirection = spanDirection;
+    const loaded = await this._loadStored();
+
+    this.eventBus.on('data.normalized', this.handleNormalizedData.bind(this));
+    this.isStarted = true;
+
+    this.logger.info('RackService: Started successfully', { spanDirection, loaded });
+  }
+
+  /**
+   * Apply RFID snapshots, heartbeat module lists and module topology changes
+   * @param {Array} normalizedDataArray - Array of SUOs
+   */
+  handleNormalizedData(normalizedDataArray) {
+    if (!this.isStarted || !Array.isArray(normalizedDataArray)) return;
+
+    for (const item of normalizedDataArray) {
+      if (item.type === 'SYS_RFID_SNAPSHOT') {
+        this._applySnapshot(item);
+      } else if (item.type === 'SYS_DEVICE_INFO' && item.payload?.key === 'topology_change' &&
+        (item.payload.value === 'module_removed' || item.payload.value === 'module_replaced')) {
+        this.racks.delete(this._key(item.identity.deviceId, item.identity.modAddr));
+      } else if (item.type === 'SYS_LIFECYCLE' && item.payload?.key === 'heartbeat') {
+        this._applyTopology(item);
+      }
+    }
+  }
+
+  /**
+   * Get the occupancy of one rack module
+   * free and freeBlocks are null while uTotal is unknown (no heartbeat yet).
+   * @param {string} deviceId - Device ID
+   * @param {number} modAddr - Module address
+   * @returns {Object|null} Occupancy or null if the module is unknown
+   */
+  getOccupancy(deviceId, modAddr) {
+    const rack = this.racks.get(this._key(deviceId, modAddr));
+    return rack ? this._computeOccupancy(rack) : null;
+  }
+
+  /**
+   * Find rack modules with enough contiguous free U-space
+   * Racks are sorted best fit first: smallest fitting block, then deviceId and modAddr.
+   * @param {number} units - Contiguous U positions needed
+   * @param {Object} filter - Filter ({ deviceId, deviceType })
+   * @returns {Array<Object>} Racks with the free blocks that fit
+   */
+  searchCapacity(units, filter = {}) {
+    const results = [];
+
+    for (const rack of this.racks.values()) {
+      if (filter.deviceId && rack.deviceId !== filter.deviceId) continue;
+      if (filter.deviceType && rack.deviceType !== filter.deviceType) continue;
+
+      const occupancy = this._computeOccupancy(rack);
+      const blocks = (occupancy.freeBlocks || []).filter(block => block.units >= units);
+      if (blocks.length === 0) continue;
+
+      results.push({
+        deviceId: occupancy.deviceId,
+        deviceType: occupancy.deviceType,
+        modAddr: occupancy.modAddr,
+        modId: occupancy.modId,
+        uTotal: occupancy.uTotal,
+        freeU: occupancy.freeU,
+        bestFit: Math.min(...blocks.map(block => block.units)),
+        blocks
+      });
+    }
+
+    return results.sort((a, b) => a.bestFit - b.bestFit ||
+      a.deviceId.localeCompare(b.deviceId) ||
+      a.modAddr - b.modAddr);
+  }
+
+  /**
+   * Get rack statistics
+   * @returns {Object} Number of racks, how many have a known uTotal, and the U totals
+   */
+  getStats() {
+    let withTopology = 0;
+    let occupiedU = 0;
+    let freeU = 0;
+
+    for (const rack of this.racks.values()) {
+      const occupancy = this._computeOccupancy(rack);
+      occupiedU += occupancy.occupiedU;
+      if (occupancy.uTotal !== null) {
+        withTopology++;
+        freeU += occupancy.freeU;
+      }
+    }
+
+    return {
+      started: this.isStarted,
+      spanDirection: this.spanDirection,
+      racks: this.racks.size,
+      withTopology,
+      occupiedU,
+      freeU
+    };
+  }
+
+  /**
+   * Stop listening for RFID snapshots
+   */
+  stop() {
+    this.isStarted = false;
+    this.logger.info('RackService: Stopped successfully');
+  }
+
+  /**
+   * Replace the tags of a module by the snapshot's items
+   * @param {Object} item - SYS_RFID_SNAPSHOT SUO
+   * @private
+   */
+  _applySnapshot(item) {
+    const { identity, payload, ts } = item;
+    const tags = new Map(); // Key: uPos, Value: tagId
+
+    for (const tag of payload?.value?.items || []) {
+      if (tag.tagId) tags.set(tag.uPos, tag.tagId);
+    }
+
+    this.racks.set(this._key(identity.deviceId, identity.modAddr), {
+      deviceId: identity.deviceId,
+      deviceType: identity.deviceType,
+      modAddr: identity.modAddr,
+      modId: payload?.value?.modId ?? null,
+      tags,
+      updatedAt: ts
+    });
+  }
+
+  /**
+   * List the modules of a heartbeat that have no snapshot yet with no tags
+   * The normalizer has already applied the heartbeat's module list to its topology.
+   * @param {Object} item - SYS_LIFECYCLE heartbeat SUO
+   * @private
+   */
+  _applyTopology(item) {
+    const { identity, ts } = item;
+
+    for (const module of this.normalizer?.getTopology(identity.deviceId) || []) {
+      const key = this._key(identity.deviceId, module.modAddr);
+      if (this.racks.has(key)) continue;
+
+      this.racks.set(key, {
+        deviceId: identity.deviceId,
+        deviceType: identity.deviceType,
+        modAddr: module.modAddr,
+        modId: module.modId ?? null,
+        tags: new Map(),
+        updatedAt: ts
+      });
+    }
+  }
+
+  /**
+   * Fill the racks from the SYS_RFID_SNAPSHOT rows in iot_device_state
+   * @returns {Promise<number>} Number of rows applied
+   * @private
+   */
+  async _loadStored() {
+    if (!this.database.isConnectionActive()) {
+      this.logger.debug('RackService: Database not connected, starting empty');
+      return 0;
+    }
+
+    let loaded = 0;
+
+    try {
+      const rows = await this.database.getKnex()('iot_device_state')
+        .select('device_id', 'device_type', 'mod_addr', 'json_value', 'timestamp')
+        .where('state_type', 'SYS_RFID_SNAPSHOT');
+
+      for (const row of rows) {
+        const payload = typeof row.json_value === 'string' ? JSON.parse(row.json_value) : row.json_value;
+        if (payload?.key !== 'rfid_snapshot') continue;
+
+        this._applySnapshot({
+          identity: { deviceId: row.device_id, deviceType: row.device_type, modAddr: row.mod_addr, sensorAddr: 0 },
+          type: 'SYS_RFID_SNAPSHOT',
+          ts: row.timestamp instanceof Date ? row.timestamp.toISOString() : row.timestamp,
+          payload
+        });
+        loaded++;
+      }
+    } catch (error) {
+      this.logger.error('RackService: Failed to load stored RFID snapshots', {
+        error: error.message
+      });
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Compute occupied positions, free positions and free blocks of a module
+   * @param {Object} rack - Rack record
+   * @returns {Object} Occupancy
+   * @private
+   */
+  _computeOccupancy(rack) {
+    const uTotal = this._getUTotal(rack.deviceId, rack.modAddr);
+    const claims = new Map(); // Key: U position, Value: tagIds claiming it
+    const assets = [];
+
+    for (const [uPos, tagId] of Array.from(rack.tags.entries()).sort((a, b) => a[0] - b[0])) {
+      const asset = this.assetRegistry?.get(tagId) || null;
+      const heightU = asset?.heightU || 1;
+      const from = this.spanDirection === 'up' ? uPos : uPos - heightU + 1;
+      const to = from + heightU - 1;
+
+      for (let u = from; u <= to; u++) {
+        if (u < 1 || (uTotal !== null && u > uTotal)) continue;
+        if (!claims.has(u)) claims.set(u, []);
+        claims.get(u).push(tagId);
+      }
+
+      assets.push({ tagId, uPos, heightU, from, to, name: asset?.name ?? null });
+    }
+
+    const occupied = Array.from(claims.keys()).sort((a, b) => a - b);
+    const conflicts = occupied
+      .filter(u => claims.get(u).length > 1)
+      .map(u => ({ uPos: u, tagIds: claims.get(u) }));
+
+    let free = null;
+    let freeBlocks = null;
+    if (uTotal !== null) {
+      free = [];
+      freeBlocks = [];
+      for (let u = 1; u <= uTotal; u++) {
+        if (claims.has(u)) continue;
+
+        free.push(u);
+        const last = freeBlocks[freeBlocks.length - 1];
+        if (last && last.to === u - 1) {
+          last.to = u;
+          last.units++;
+        } else {
+          freeBlocks.push({ from: u, to: u, units: 1 });
+        }
+      }
+    }
+
+    return {
+      deviceId: rack.deviceId,
+      deviceType: rack.deviceType,
+      modAddr: rack.modAddr,
+      modId: rack.modId,
+      uTotal,
+      updatedAt: rack.updatedAt,
+      occupiedU: occupied.length,
+      freeU: free ? free.length : null,
+      largestFreeBlock: freeBlocks ? Math.max(0, ...freeBlocks.map(block => block.units)) : null,
+      assets,
+      occupied,
+      free,
+      freeBlocks,
+      conflicts
+    };
+  }
+
+  /**
+   * Look up the module height from the last heartbeat
+   * @param {string} deviceId - Device ID
+   * @param {number} modAddr - Module address
+   * @returns {number|null} uTotal or null if unknown
+   * @private
+   */
+  _getUTotal(deviceId, modAddr) {
+    const module = this.normalizer?.getTopology(deviceId)?.find(entry => entry.modAddr === modAddr);
+    return Number.isInteger(module?.uTotal) && module.uTotal > 0 ? module.uTotal : null;
+  }
+
+  /**
+   * Build the rack key
+   * @param {string} deviceId - Device ID
+   * @param {number} modAddr - Module address
+   * @returns {string} Rack key
+   * @private
+   */
+  _key(deviceId, modAddr) {
+    return `${deviceId}:${modAddr}`;
+  }
+}
+
+module.exports = RackService;
@@ -0,0 +1,582 @@
+const Logger = require('../../core/Logger');
+const EventBus = require('../../core/EventBus');
+const Database = require('../../core/Database');
+const { openStore } = require('../../utils/StoreUtils');
+const RuleValidationError = require('./RuleValidationError');
+const FileRuleStore = require('./stores/FileRuleStore');
+const MySqlRuleStore = require('./stores/MySqlRuleStore');
+
+/**
+ * RuleEngine - Raises alerts from telemetry threshold rules
+ * Listens to 'data.normalized' and evaluates every SYS_TELEMETRY object against
+ * the enabled rules whose scope matches: the telemetry key, and optionally the
+ * deviceId, modAddr and sensorAddr (null matches any).
+ *
+ * Rule types (value = telemetry value, or change per minute for 'rate'):
+ * - max:  violated when value > threshold, recovered when value <= threshold - hysteresis
+ * - min:  violated when value < threshold, recovered when value >= threshold + hysteresis
+ * - rate: violated when |change/min| > threshold, recovered when |change/min| <= threshold - hysteresis
+ *
+ * Each rule keeps a state per sensor series. A violation must last durationMs
+ * (by message timestamps) before the alert is raised. Raising and recovering are
+ * published as SYS_ALERT objects ('alert_raised' / 'alert_cleared') on
+ * 'data.normalized'. Changing or deleting a rule clears its active alerts.
+ *
+ * Alerts left open in iot_alerts by the previous run are restored at start, so
+ * they are listed and cleared like alerts raised since.
+ */
+class RuleEngine {
+  static stores = {
+    file: FileRuleStore,
+    mysql: MySqlRuleStore
+  };
+
+  static TYPES = Object.freeze(['min', 'max', 'rate']);
+
+  static SEVERITIES = Object.freeze(['info', 'warning', 'critical']);
+
+  constructor() {
+    this.logger = Logger;
+    this.eventBus = EventBus;
+    this.database = Database;
+    this.store = null;
+    this.type = null;
+    this.rules = new Map(); // Key: rule id, Value: rule
+    this.series = new Map(); // Key: `${ruleId}:${deviceId}:${modAddr}:${sensorAddr}`, Value: series state
+    this.isStarted = false;
+    this.stats = {
+      evaluated: 0,
+      raised: 0,
+      cleared: 0
+    };
+  }
+
+  /**
+   * Open the rule store, load the rules and open alerts, and start evaluating telemetry
+   * @param {Object} config - Rule configuration ({ type, filePath })
+   * @returns {Promise<void>}
+   * @throws {Error} If the store type is unknown or the store cannot be opened
+   */
+  async start(config = {}) {
+    const { type, store } = await openStore('RuleEngine', RuleEngine.stores, config);
+    this.store = store;
+    this.type = type;
+
+    for (const rule of await this.store.list()) {
+      this.rules.set(rule.id, rule);
+    }
+    const restored = await this._loadOpenAlerts();
+
+    this.eventBus.on('data.normalized', this.handleNormalizedData.bind(this));
+    this.isStarted = true;
+    this.logger.info('RuleEngine: Started successfully', { type: this.type, rules: this.rules.size, restored });
+  }
+
+  /**
+   * Evaluate the telemetry of normalized data and publish resulting alerts
+   * @param {Array} normalizedDataArray - Array of SUOs
+   */
+  handleNormalizedData(normalizedDataArray) {
+    if (!this.isStarted || !Array.isArray(normalizedDataArray)) return;
+
+    const alerts = [];
+    for (const item of normalizedDataArray) {
+      if (item.type === 'SYS_TELEMETRY') {
+        alerts.push(...this.evaluate(item));
+      }
+    }
+
+    if (alerts.length > 0) {
+      this.eventBus.emit('data.normalized', alerts);
+    }
+  }
+
+  /**
+   * Evaluate one telemetry object against all matching rules
+   * @param {Object} item - SYS_TELEMETRY SUO
+   * @returns {Array} SYS_ALERT objects raised or cleared by this value
+   */
+  evaluate(item) {
+    const value = item.payload?.value;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return [];
+
+    const alerts = [];
+    for (const rule of this.rules.values()) {
+      if (!rule.enabled || !this._matches(rule, item)) continue;
+
+      this.stats.evaluated++;
+      const alert = this._evaluateRule(rule, item, value);
+      if (alert) alerts.push(alert);
+    }
+
+    return alerts;
+  }
+
+  /**
+   * List all rules
+   * @returns {Array<Object>} Rules ordered by id
+   */
+  listRules() {
+    return Array.from(this.rules.values())
+      .sort((a, b) => a.id - b.id)
+      .map(rule => ({ ...rule }));
+  }
+
+  /**
+   * Get one rule
+   * @param {number} id - Rule id
+   * @returns {Object|null} Rule or null if not found
+   */
+  getRule(id) {
+    const rule = this.rules.get(id);
+    return rule ? { ...rule } : null;
+  }
+
+  /**
+   * Create a rule
+   * @param {Object} definition - Rule fields (name, key, type and threshold are required)
+   * @returns {Promise<Object>} Created rule
+   * @throws {RuleValidationError} If the definition is invalid
+   */
+  async createRule(definition) {
+    const now = new Date().toISOString();
+    const rule = { ...this._validate(definition || {}), createdAt: now, updatedAt: now };
+
+    rule.id = await this.store.add(rule);
+    this.rules.set(rule.id, rule);
+
+    this.logger.info('RuleEngine: Rule created', { id: rule.id, name: rule.name });
+    return { ...rule };
+  }
+
+  /**
+   * Change a rule; its active alerts are cleared and its series start over
+   * @param {number} id - Rule id
+   * @param {Object} changes - Rule fields to change
+   * @returns {Promise<Object|null>} Updated rule or null if not found
+   * @throws {RuleValidationError} If the resulting rule is invalid
+   */
+  async updateRule(id, changes) {
+    const current = this.rules.get(id);
+    if (!current) return null;
+
+    const rule = {
+      ...this._validate({ ...current, ...(changes || {}) }),
+      id,
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.store.update(id, rule);
+    this._resetRule(current, 'rule_changed');
+    this.rules.set(id, rule);
+
+    this.logger.info('RuleEngine: Rule updated', { id, name: rule.name });
+    return { ...rule };
+  }
+
+  /**
+   * Delete a rule; its active alerts are cleared
+   * @param {number} id - Rule id
+   * @returns {Promise<boolean>} True if the rule existed
+   */
+  async deleteRule(id) {
+    const rule = this.rules.get(id);
+    if (!rule) return false;
+
+    await this.store.delete(id);
+    this._resetRule(rule, 'rule_deleted');
+    this.rules.delete(id);
+
+    this.logger.info('RuleEngine: Rule deleted', { id, name: rule.name });
+    return true;
+  }
+
+  /**
+   * List alerts currently raised
+   * @param {Object} filter - Filter ({ deviceId, ruleId, severity })
+   * @returns {Array<Object>} Active alerts, oldest first
+   */
+  getActiveAlerts(filter = {}) {
+    return Array.from(this.series.values())
+      .filter(state => state.active)
+      .map(state => ({ rule: this.rules.get(state.ruleId), state }))
+      .filter(({ rule, state }) => (!filter.deviceId || state.identity.deviceId === filter.deviceId) &&
+        (!filter.ruleId || rule.id === filter.ruleId) &&
+        (!filter.severity || rule.severity === filter.severity))
+      .sort((a, b) => a.state.raisedAt.localeCompare(b.state.raisedAt))
+      .map(({ rule, state }) => ({
+        ruleId: rule.id,
+        name: rule.name,
+        severity: rule.severity,
+        key: rule.key,
+        type: rule.type,
+        threshold: rule.threshold,
+        ...state.identity,
+        value: state.raisedValue,
+        raisedAt: state.raisedAt
+      }));
+  }
+
+  /**
+   * Get rule engine statistics
+   * @returns {Object} Store type, rule and active alert counts and counters
+   */
+  getStats() {
+    let active = 0;
+    for (const state of this.series.values()) {
+      if (state.active) active++;
+    }
+
+    return {
+      type: this.type,
+      started: this.isStarted,
+      rules: this.rules.size,
+      active,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Stop evaluating and close the store
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.isStarted) return;
+
+    this.isStarted = false;
+    await this.store.close();
+    this.logger.info('RuleEngine: Stopped successfully');
+  }
+
+  /**
+   * Check whether a telemetry object is in the scope of a rule
+   * @param {Object} rule - Rule
+   * @param {Object} item - SYS_TELEMETRY SUO
+   * @returns {boolean} True if the rule applies
+   * @private
+   */
+  _matches(rule, item) {
+    const { identity, payload } = item;
+    return rule.key === payload.key &&
+      (rule.deviceId === null || rule.deviceId === identity.deviceId) &&
+      (rule.modAddr === null || rule.modAddr === identity.modAddr) &&
+      (rule.sensorAddr === null || rule.sensorAddr === identity.sensorAddr);
+  }
+
+  /**
+   * Apply one value to the state of a rule's series
+   * @param {Object} rule - Rule
+   * @param {Object} item - SYS_TELEMETRY SUO
+   * @param {number} value - Telemetry value
+   * @returns {Object|null} SYS_ALERT when the alert was raised or cleared
+   * @private
+   */
+  _evaluateRule(rule, item, value) {
+    const { identity } = item;
+    const seriesKey = this._seriesKey(rule.id, identity);
+    const ts = Date.parse(item.ts) || Date.now();
+    const isoTs = new Date(ts).toISOString();
+
+    let state = this.series.get(seriesKey);
+    if (!state) {
+      state = {
+        ruleId: rule.id,
+        identity: { ...identity },
+        active: false,
+        pendingSince: null,
+        previous: null,
+        raisedAt: null,
+        raisedValue: null
+      };
+      this.series.set(seriesKey, state);
+    }
+
+    const measured = this._measure(rule, state.previous, value, ts);
+    state.previous = { value, ts };
+    if (measured === null) return null;
+
+    if (state.active) {
+      if (!this._recovered(rule, measured)) return null;
+
+      state.active = false;
+      state.pendingSince = null;
+      this.stats.cleared++;
+      this.logger.info('RuleEngine: Alert cleared', { ruleId: rule.id, ...identity, value: measured });
+      return this._createAlert(rule, state, 'alert_cleared', measured, isoTs, { reason: 'recovered' });
+    }
+
+    if (!this._violates(rule, measured)) {
+      state.pendingSince = null;
+      return null;
+    }
+
+    state.pendingSince = state.pendingSince ?? ts;
+    if (ts - state.pendingSince < rule.durationMs) return null;
+
+    state.active = true;
+    state.raisedAt = isoTs;
+    state.raisedValue = measured;
+    this.stats.raised++;
+    this.logger.warn('RuleEngine: Alert raised', {
+      ruleId: rule.id,
+      name: rule.name,
+      ...identity,
+      value: measured,
+      threshold: rule.threshold
+    });
+    return this._createAlert(rule, state, 'alert_raised', measured, isoTs, {
+      violatedSince: new Date(state.pendingSince).toISOString()
+    });
+  }
+
+  /**
+   * Get the value a rule compares with its threshold
+   * @param {Object} rule - Rule
+   * @param {Object|null} previous - Previous value of the series ({ value, ts })
+   * @param {number} value - Telemetry value
+   * @param {number} ts - Telemetry time (ms)
+   * @returns {number|null} Value, change per minute for rate rules, or null without a previous value
+   * @private
+   */
+  _measure(rule, previous, value, ts) {
+    if (rule.type !== 'rate') return value;
+    if (!previous || ts <= previous.ts) return null;
+
+    return (value - previous.value) / ((ts - previous.ts) / 60000);
+  }
+
+  /**
+   * Check whether a measured value violates a rule
+   * @param {Object} rule - Rule
+   * @param {number} measured - Measured value
+   * @returns {boolean} True if the threshold is crossed
+   * @private
+   */
+  _violates(rule, measured) {
+    switch (rule.type) {
+      case 'max':
+        return measured > rule.threshold;
+      case 'min':
+        return measured < rule.threshold;
+      default:
+        return Math.abs(measured) > rule.threshold;
+    }
+  }
+
+  /**
+   * Check whether a measured value is back inside the hysteresis band
+   * @param {Object} rule - Rule
+   * @param {number} measured - Measured value
+   * @returns {boolean} True if the alert can be cleared
+   * @private
+   */
+  _recovered(rule, measured) {
+    switch (rule.type) {
+      case 'max':
+        return measured <= rule.threshold - rule.hysteresis;
+      case 'min':
+        return measured >= rule.threshold + rule.hysteresis;
+      default:
+        return Math.abs(measured) <= rule.threshold - rule.hysteresis;
+    }
+  }
+
+  /**
+   * Restore the rule alerts left open in iot_alerts by the previous run
+   * Alerts of a known rule become active series again; alerts of a rule that no
+   * longer exists are cleared with reason 'rule_deleted'.
+   * @returns {Promise<number>} Number of alerts restored
+   * @private
+   */
+  async _loadOpenAlerts() {
+    if (!this.database.isConnectionActive()) {
+      this.logger.debug('RuleEngine: Database not connected, no open alerts to restore');
+      return 0;
+    }
+
+    let restored = 0;
+    const cleared = [];
+
+    try {
+      const rows = await this.database.getKnex()('iot_alerts')
+        .select('rule_id', 'rule_name', 'severity', 'device_id', 'device_type', 'mod_addr', 'sensor_addr',
+          'telemetry_key', 'raised_value', 'raised_at')
+        .whereNotNull('rule_id') // Door-open alerts belong to the DoorSessionTracker
+        .whereNull('cleared_at');
+
+      for (const row of rows) {
+        const identity = {
+          deviceId: row.device_id,
+          deviceType: row.device_type,
+          modAddr: row.mod_addr,
+          sensorAddr: row.sensor_addr
+        };
+        const state = {
+          ruleId: row.rule_id,
+          identity,
+          active: true,
+          pendingSince: null,
+          previous: null,
+          raisedAt: row.raised_at instanceof Date ? row.raised_at.toISOString() : row.raised_at,
+          raisedValue: row.raised_value
+        };
+
+        const rule = this.rules.get(row.rule_id);
+        if (rule) {
+          this.series.set(this._seriesKey(rule.id, identity), state);
+          restored++;
+          continue;
+        }
+
+        const removed = {
+          id: row.rule_id,
+          name: row.rule_name,
+          severity: row.severity,
+          key: row.telemetry_key,
+          type: null,
+          threshold: null
+        };
+        cleared.push(this._createAlert(removed, state, 'alert_cleared', null, new Date().toISOString(), { reason: 'rule_deleted' }));
+      }
+    } catch (error) {
+      this.logger.error('RuleEngine: Failed to load open alerts', {
+        error: error.message
+      });
+    }
+
+    if (cleared.length > 0) {
+      this.stats.cleared += cleared.length;
+      this.eventBus.emit('data.normalized', cleared);
+    }
+
+    return restored;
+  }
+
+  /**
+   * Build the key of a rule's sensor series
+   * @param {number} ruleId - Rule id
+   * @param {Object} identity - Sensor identity
+   * @returns {string} Series key
+   * @private
+   */
+  _seriesKey(ruleId, identity) {
+    return `${ruleId}:${identity.deviceId}:${identity.modAddr}:${identity.sensorAddr}`;
+  }
+
+  /**
+   * Clear the active alerts of a rule and forget its series
+   * @param {Object} rule - Rule as it was before the change
+   * @param {string} reason - Clear reason ('rule_changed' / 'rule_deleted')
+   * @private
+   */
+  _resetRule(rule, reason) {
+    const alerts = [];
+    const ts = new Date().toISOString();
+
+    for (const [seriesKey, state] of this.series) {
+      if (state.ruleId !== rule.id) continue;
+
+      if (state.active) {
+        this.stats.cleared++;
+        alerts.push(this._createAlert(rule, state, 'alert_cleared', null, ts, { reason }));
+      }
+      this.series.delete(seriesKey);
+    }
+
+    if (alerts.length > 0) {
+      this.eventBus.emit('data.normalized', alerts);
+    }
+  }
+
+  /**
+   * Create an alert object
+   * @param {Object} rule - Rule
+   * @param {Object} state - Series state
+   * @param {string} action - 'alert_raised' or 'alert_cleared'
+   * @param {number|null} measured - Measured value (null when cleared by a rule change)
+   * @param {string} ts - Alert timestamp
+   * @param {Object} details - Extra raw fields
+   * @returns {Object} SYS_ALERT object
+   * @private
+   */
+  _createAlert(rule, state, action, measured, ts, details) {
+    return {
+      identity: { ...state.identity },
+      type: 'SYS_ALERT',
+      ts,
+      payload: {
+        key: 'alert',
+        value: {
+          action,
+          ruleId: rule.id,
+          name: rule.name,
+          severity: rule.severity,
+          key: rule.key,
+          type: rule.type,
+          threshold: rule.threshold,
+          value: measured
+        },
+        raw: action === 'alert_cleared' ? { raisedAt: state.raisedAt, ...details } : details
+      }
+    };
+  }
+
+  /**
+   * Validate a rule definition and apply defaults
+   * @param {Object} definition - Rule fields
+   * @returns {Object} Rule fields without id and timestamps
+   * @throws {RuleValidationError} If a field is invalid
+   * @private
+   */
+  _validate(definition) {
+    const rule = {
+      name: definition.name,
+      enabled: definition.enabled ?? true,
+      deviceId: definition.deviceId ?? null,
+      modAddr: definition.modAddr ?? null,
+      sensorAddr: definition.sensorAddr ?? null,
+      key: definition.key,
+      type: definition.type,
+      threshold: definition.threshold,
+      hysteresis: definition.hysteresis ?? 0,
+      durationMs: definition.durationMs ?? 0,
+      severity: definition.severity ?? 'warning'
+    };
+
+    const fail = (field, expected) => {
+      throw new RuleValidationError(`RuleEngine: ${field} must be ${expected}`, {
+        field,
+        value: rule[field]
+      });
+    };
+    const isAddress = value => value === null || (Number.isInteger(value) && value >= 0 && value <= 255);
+
+    if (typeof rule.name !== 'string' || rule.name.trim() === '') fail('name', 'a non-empty string');
+    if (typeof rule.enabled !== 'boolean') fail('enabled', 'a boolean');
+    if (rule.deviceId !== null && (typeof rule.deviceId !== 'string' || rule.deviceId === '')) {
+      fail('deviceId', 'a non-empty string or null');
+    }
+    if (!isAddress(rule.modAddr)) fail('modAddr', 'an integer 0-255 or null');
+    if (!isAddress(rule.sensorAddr)) fail('sensorAddr', 'an integer 0-255 or null');
+    if (typeof rule.key !== 'string' || rule.key === '') fail('key', 'a telemetry key');
+    if (!RuleEngine.TYPES.includes(rule.type)) fail('type', `one of: ${RuleEngine.TYPES.join(', ')}`);
+    if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) fail('threshold', 'a number');
+    if (rule.type === 'rate' && rule.threshold <= 0) fail('threshold', 'positive for rate rules');
+    if (typeof rule.hysteresis !== 'number' || !Number.isFinite(rule.hysteresis) || rule.hysteresis < 0) {
+      fail('hysteresis', 'a non-negative number');
+    }
+    // |change/min| <= threshold - hysteresis could never be met, so the alert would never clear
+    if (rule.type === 'rate' && rule.hysteresis >= rule.threshold) {
+      fail('hysteresis', 'smaller than the threshold for rate rules');
+    }
+    if (!Number.isInteger(rule.durationMs) || rule.durationMs < 0) fail('durationMs', 'a non-negative integer');
+    if (!RuleEngine.SEVERITIES.includes(rule.severity)) {
+      fail('severity', `one of: ${RuleEngine.SEVERITIES.join(', ')}`);
+    }
+
+    return rule;
+  }
+}
+
+module.exports = RuleEngine;
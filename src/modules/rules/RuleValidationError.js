@@ -0,0 +1,18 @@
+/**
+ * RuleValidationError - Raised when an alert rule definition is invalid
+ * (unknown rule type, missing threshold, negative duration...)
+ * Lets the rule routes answer 400 instead of 500
+ */
+class RuleValidationError extends Error {
+  /**
+   * @param {string} message - Human readable description of the problem
+   * @param {Object} details - Offending field and value
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'RuleValidationError';
+    this.details = details;
+  }
+}
+
+module.exports = RuleValidationError;
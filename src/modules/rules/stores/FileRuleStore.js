@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../../../core/Logger');
+
+/**
+ * FileRuleStore - Keeps alert rules in a JSON file
+ * All rules are held in memory and the file is rewritten (write to temp file,
+ * then rename) shortly after each change.
+ *
+ * Store interface (shared with MySqlRuleStore):
+ *   init(), list() → rules, get(id), add(rule) → id, update(id, changes),
+ *   delete(id) → boolean, close()
+ * A rule is { id, name, enabled, deviceId, modAddr, sensorAddr, key, type,
+ *   threshold, hysteresis, durationMs, severity, createdAt, updatedAt }
+ */
+class FileRuleStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - Path of the JSON file
+   * @param {number} options.flushDelayMs - Delay before changes are written (ms)
+   */
+  constructor(options = {}) {
+    this.logger = Logger;
+    this.filePath = path.resolve(options.filePath || './data/alert-rules.json');
+    this.flushDelayMs = options.flushDelayMs ?? 500;
+    this.rules = new Map(); // Key: id, Value: rule
+    this.nextId = 1;
+    this.flushTimer = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load the rule file (a missing file starts an empty store)
+   * @returns {Promise<void>}
+   */
+  async init() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+
+      for (const rule of data.rules || []) {
+        this.rules.set(rule.id, rule);
+        this.nextId = Math.max(this.nextId, rule.id + 1);
+      }
+
+      this.logger.info('FileRuleStore: Loaded rule file', {
+        filePath: this.filePath,
+        rules: this.rules.size
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn('FileRuleStore: Unable to read rule file, starting empty', {
+          filePath: this.filePath,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * List all rules
+   * @returns {Promise<Array<Object>>} Rules ordered by id
+   */
+  async list() {
+    return Array.from(this.rules.values(), rule => ({ ...rule }));
+  }
+
+  /**
+   * Get a rule
+   * @param {number} id - Rule id
+   * @returns {Promise<Object|null>} Rule or null if not found
+   */
+  async get(id) {
+    const rule = this.rules.get(id);
+    return rule ? { ...rule } : null;
+  }
+
+  /**
+   * Add a rule
+   * @param {Object} rule - Rule without id
+   * @returns {Promise<number>} Rule id
+   */
+  async add(rule) {
+    const id = this.nextId++;
+    this.rules.set(id, { ...rule, id });
+    this._scheduleFlush();
+    return id;
+  }
+
+  /**
+   * Update a rule
+   * @param {number} id - Rule id
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<void>}
+   */
+  async update(id, changes) {
+    const rule = this.rules.get(id);
+    if (!rule) return;
+
+    Object.assign(rule, changes);
+    this._scheduleFlush();
+  }
+
+  /**
+   * Remove a rule
+   * @param {number} id - Rule id
+   * @returns {Promise<boolean>} True if the rule existed
+   */
+  async delete(id) {
+    const deleted = this.rules.delete(id);
+    if (deleted) this._scheduleFlush();
+    return deleted;
+  }
+
+  /**
+   * Write pending changes and stop the flush timer
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+      await this._flush();
+    }
+    await this.writing;
+  }
+
+  /**
+   * Schedule a write of the rule file
+   * @private
+   */
+  _scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this._flush();
+    }, this.flushDelayMs);
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Write the rule file atomically, one write at a time
+   * @returns {Promise<void>}
+   * @private
+   */
+  _flush() {
+    const content = JSON.stringify({
+      savedAt: new Date().toISOString(),
+      rules: Array.from(this.rules.values())
+    });
+
+    this.writing = this.writing.then(async () => {
+      try {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, content, 'utf8');
+        await fs.promises.rename(tmpPath, this.filePath);
+      } catch (error) {
+        this.logger.error('FileRuleStore: Failed to write rule file', {
+          filePath: this.filePath,
+          error: error.message
+        });
+      }
+    });
+
+    return this.writing;
+  }
+}
+
+module.exports = FileRuleStore;
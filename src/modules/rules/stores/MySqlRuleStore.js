@@ -0,0 +1,146 @@
+const Logger = require('../../../core/Logger');
+const Database = require('../../../core/Database');
+
+/**
+ * MySqlRuleStore - Keeps alert rules in the iot_alert_rules table
+ * Implements the same store interface as FileRuleStore.
+ */
+class MySqlRuleStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.tableName - Table name (default: iot_alert_rules)
+   */
+  constructor(options = {}) {
+    this.logger = Logger;
+    this.database = Database;
+    this.tableName = options.tableName || 'iot_alert_rules';
+  }
+
+  /**
+   * Verify the database connection
+   * @returns {Promise<void>}
+   * @throws {Error} If the database is not connected
+   */
+  async init() {
+    if (!this.database.isConnectionActive()) {
+      throw new Error('MySqlRuleStore: Database is not connected');
+    }
+  }
+
+  /**
+   * List all rules
+   * @returns {Promise<Array<Object>>} Rules ordered by id
+   */
+  async list() {
+    const knex = this.database.getKnex();
+    const rows = await knex(this.tableName).select('*').orderBy('id', 'asc');
+    return rows.map(row => this._toRule(row));
+  }
+
+  /**
+   * Get a rule
+   * @param {number} id - Rule id
+   * @returns {Promise<Object|null>} Rule or null if not found
+   */
+  async get(id) {
+    const knex = this.database.getKnex();
+    const row = await knex(this.tableName).where({ id }).first();
+    return row ? this._toRule(row) : null;
+  }
+
+  /**
+   * Add a rule
+   * @param {Object} rule - Rule without id
+   * @returns {Promise<number>} Rule id
+   */
+  async add(rule) {
+    const knex = this.database.getKnex();
+    const [id] = await knex(this.tableName).insert(this._toRow(rule));
+    return id;
+  }
+
+  /**
+   * Update a rule
+   * @param {number} id - Rule id
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<void>}
+   */
+  async update(id, changes) {
+    const knex = this.database.getKnex();
+    await knex(this.tableName).where({ id }).update(this._toRow(changes));
+  }
+
+  /**
+   * Remove a rule
+   * @param {number} id - Rule id
+   * @returns {Promise<boolean>} True if the rule existed
+   */
+  async delete(id) {
+    const knex = this.database.getKnex();
+    return (await knex(this.tableName).where({ id }).del()) > 0;
+  }
+
+  /**
+   * Nothing to flush, writes are immediate
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Map rule fields to table columns (only the fields present)
+   * @param {Object} rule - Rule or partial rule
+   * @returns {Object} Row
+   * @private
+   */
+  _toRow(rule) {
+    const columns = {
+      name: 'name',
+      enabled: 'enabled',
+      deviceId: 'device_id',
+      modAddr: 'mod_addr',
+      sensorAddr: 'sensor_addr',
+      key: 'telemetry_key',
+      type: 'rule_type',
+      threshold: 'threshold',
+      hysteresis: 'hysteresis',
+      durationMs: 'duration_ms',
+      severity: 'severity',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+    const row = {};
+
+    for (const [field, column] of Object.entries(columns)) {
+      if (rule[field] !== undefined) row[column] = rule[field];
+    }
+
+    return row;
+  }
+
+  /**
+   * Map a table row to a rule
+   * @param {Object} row - Row
+   * @returns {Object} Rule
+   * @private
+   */
+  _toRule(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      enabled: Boolean(row.enabled),
+      deviceId: row.device_id,
+      modAddr: row.mod_addr,
+      sensorAddr: row.sensor_addr,
+      key: row.telemetry_key,
+      type: row.rule_type,
+      threshold: Number(row.threshold),
+      hysteresis: Number(row.hysteresis),
+      durationMs: row.duration_ms,
+      severity: row.severity,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = MySqlRuleStore;
@@ -12,6 +12,7 @@ class StorageService {
     this.eventBus = EventBus;
     this.database = Database;
     this.isStarted = false;
+    this.pendingWrites = new Set(); // Batches being written, awaited on stop
   }
 
   /**
@@ -51,7 +52,13 @@ class StorageService {
         return;
       }
 
-      await this.saveBatch(normalizedDataArray);
+      const write = this.saveBatch(normalizedDataArray);
+      this.pendingWrites.add(write);
+      try {
+        await write;
+      } finally {
+        this.pendingWrites.delete(write);
+      }
     } catch (error) {
       this.logger.error('StorageService: Error handling normalized data', {
         error: error.message,
@@ -85,12 +92,30 @@ class StorageService {
           case 'SYS_RFID_EVENT':
             await this._saveRfidEvents(data);
             break;
-          case 'SYS_RFID_SNAPSHOT':
-          case 'SYS_STATE_CHANGE':
+          case 'SYS_ALARM_EVENT':
+            await this._saveAlarmEvents(data);
+            break;
+          case 'SYS_ALERT':
+            await this._saveAlerts(data);
+            break;
           case 'SYS_DEVICE_INFO':
+            // Topology changes are history; they must not replace the module_info row
+            await this._saveTopologyChanges(data.filter(item => item.payload?.key === 'topology_change'));
+            await this._upsertDeviceState(type, data.filter(item => item.payload?.key !== 'topology_change'));
+            break;
           case 'SYS_LIFECYCLE':
+            // Presence status gets its own row; it must not replace the device's heartbeat row
+            await this._upsertDeviceState('SYS_DEVICE_STATUS', data.filter(item => item.payload?.key === 'device_status'));
+            await this._upsertDeviceState(type, data.filter(item => item.payload?.key !== 'device_status'));
+            break;
+          case 'SYS_RFID_SNAPSHOT':
+          case 'SYS_STATE_CHANGE':
             await this._upsertDeviceState(type, data);
             break;
+          case 'SYS_REQUIRE_SYNC':
+            // Control signal handled by SyncCoordinator, nothing to persist
+            this.logger.debug('StorageService: Skipping sync requests', { count: data.length });
+            break;
           default:
             this.logger.warn(`StorageService: Unknown data type: ${type}`);
         }
@@ -195,6 +220,9 @@ class StorageService {
         sensor_addr: item.identity.sensorAddr || 0,
         tag_id: item.payload.value.tagId,
         action: item.payload.value.action,
+        // Previous position of a moved tag
+        from_mod_addr: item.payload.value.action === 'moved' ? item.payload.value.fromModAddr : null,
+        from_sensor_addr: item.payload.value.action === 'moved' ? item.payload.value.fromUPos : null,
         timestamp: item.ts,
         created_at: new Date()
       }));
@@ -213,9 +241,166 @@ class StorageService {
     }
   }
 
+  /**
+   * Save U-level alarm changes to iot_alarm_history table
+   * alarm_raised opens a row; alarm_updated sets the status of the open row of the
+   * position and alarm_cleared closes it.
+   * Events are applied in order so a raise and clear in one batch both land.
+   * @param {Array} alarmEventData - Array of alarm event data objects
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveAlarmEvents(alarmEventData) {
+    if (!alarmEventData || alarmEventData.length === 0) return;
+
+    try {
+      const knex = this.database.getKnex();
+
+      for (const item of alarmEventData) {
+        const position = {
+          device_id: item.identity.deviceId,
+          device_type: item.identity.deviceType,
+          mod_addr: item.identity.modAddr || 0,
+          sensor_addr: item.identity.sensorAddr || 0
+        };
+        const { action, tagId, alarmStatus } = item.payload.value;
+
+        if (action === 'alarm_raised') {
+          await knex('iot_alarm_history').insert({
+            ...position,
+            tag_id: tagId,
+            alarm_status: alarmStatus,
+            raised_at: item.ts,
+            created_at: new Date()
+          });
+        } else if (action === 'alarm_updated') {
+          await knex('iot_alarm_history')
+            .where(position)
+            .whereNull('cleared_at')
+            .update({ alarm_status: alarmStatus });
+        } else {
+          await knex('iot_alarm_history')
+            .where(position)
+            .whereNull('cleared_at')
+            .update({
+              cleared_at: item.ts,
+              cleared_by: item.payload.raw?.clearedBy || 'device'
+            });
+        }
+      }
+
+      this.logger.debug(`StorageService: Applied ${alarmEventData.length} alarm events`);
+    } catch (error) {
+      this.logger.error('StorageService: Error saving alarm events', {
+        error: error.message,
+        stack: error.stack,
+        recordCount: alarmEventData.length
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Save telemetry rule and door-open alerts to iot_alerts table
+   * alert_raised opens a row; alert_cleared closes the open row of the rule (NULL
+   * for door-open alerts) and sensor.
+   * @param {Array} alertData - Array of alert data objects
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveAlerts(alertData) {
+    if (!alertData || alertData.length === 0) return;
+
+    try {
+      const knex = this.database.getKnex();
+
+      for (const item of alertData) {
+        const { action, ruleId, name, severity, key, value } = item.payload.value;
+        const series = {
+          rule_id: ruleId,
+          device_id: item.identity.deviceId,
+          mod_addr: item.identity.modAddr || 0,
+          sensor_addr: item.identity.sensorAddr || 0
+        };
+
+        if (action === 'alert_raised') {
+          await knex('iot_alerts').insert({
+            ...series,
+            device_type: item.identity.deviceType,
+            rule_name: name,
+            severity,
+            telemetry_key: key,
+            raised_value: value,
+            raised_at: item.ts,
+            created_at: new Date()
+          });
+        } else {
+          await knex('iot_alerts')
+            .where(series)
+            .whereNull('cleared_at')
+            .update({
+              cleared_value: value,
+              cleared_at: item.ts,
+              cleared_reason: item.payload.raw?.reason || 'recovered'
+            });
+        }
+      }
+
+      this.logger.debug(`StorageService: Applied ${alertData.length} alerts`);
+    } catch (error) {
+      this.logger.error('StorageService: Error saving alerts', {
+        error: error.message,
+        stack: error.stack,
+        recordCount: alertData.length
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Save module topology changes to iot_topology_changes table
+   * @param {Array} topologyData - Array of topology_change objects
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveTopologyChanges(topologyData) {
+    if (!topologyData || topologyData.length === 0) return;
+
+    try {
+      const knex = this.database.getKnex();
+
+      const insertData = topologyData.map(item => {
+        const { modId, uTotal, previous } = item.payload.raw || {};
+        return {
+          device_id: item.identity.deviceId,
+          device_type: item.identity.deviceType,
+          mod_addr: item.identity.modAddr || 0,
+          change_type: item.payload.value,
+          mod_id: modId ?? null,
+          u_total: uTotal ?? null,
+          previous_mod_id: previous ? previous.modId : null,
+          previous_u_total: previous ? previous.uTotal : null,
+          changed_at: item.ts,
+          created_at: new Date()
+        };
+      });
+
+      await knex('iot_topology_changes').insert(insertData);
+
+      this.logger.debug(`StorageService: Inserted ${insertData.length} topology change records`);
+    } catch (error) {
+      this.logger.error('StorageService: Error saving topology changes', {
+        error: error.message,
+        stack: error.stack,
+        recordCount: topologyData.length
+      });
+      throw error;
+    }
+  }
+
   /**
    * Upsert device state data to iot_device_state table
-   * @param {string} type - Type of state data
+   * @param {string} type - Type of state data (state_type column)
    * @param {Array} stateData - Array of state data objects
    * @returns {Promise<void>}
    * @private
@@ -267,13 +452,14 @@ class StorageService {
   }
 
   /**
-   * Stop the storage service
+   * Stop the storage service once batches being written are done
    * @returns {Promise<void>}
    */
   async stop() {
     try {
       if (this.isStarted) {
         this.eventBus.removeAllListeners('data.normalized');
+        await Promise.allSettled(this.pendingWrites);
         this.isStarted = false;
         this.logger.info('StorageService: Stopped successfully');
       }
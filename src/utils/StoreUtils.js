@@ -0,0 +1,32 @@
+/**
+ * Open the store selected by a module's `type` configuration
+ * The configured store is the only one used: a store that cannot be opened (e.g.
+ * MySQL without a database connection) fails the module's start instead of being
+ * replaced by another backend, so the module's data never ends up split between
+ * two stores. A file store is chosen explicitly with type 'file'.
+ * @param {string} owner - Module name used in error messages
+ * @param {Object} stores - Store classes by type (the module's static stores)
+ * @param {Object} config - Module configuration ({ type, ...store options })
+ * @returns {Promise<Object>} Opened store and its type ({ type, store })
+ * @throws {Error} If the store type is unknown or the store cannot be opened
+ */
+async function openStore(owner, stores, config = {}) {
+  const type = config.type || 'mysql';
+  const Store = stores[type];
+  if (!Store) {
+    throw new Error(`${owner}: Unknown store type: ${type}`);
+  }
+
+  const store = new Store(config);
+  try {
+    await store.init();
+  } catch (error) {
+    throw new Error(`${owner}: Cannot open ${type} store: ${error.message}`);
+  }
+
+  return { type, store };
+}
+
+module.exports = {
+  openStore
+};
@@ -0,0 +1,186 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventBus = require('../src/core/EventBus');
+const ApiServer = require('../src/modules/api/ApiServer');
+const AssetRegistry = require('../src/modules/assets/AssetRegistry');
+const AssetValidationError = require('../src/modules/assets/AssetValidationError');
+const MessagePipeline = require('../src/modules/normalizer/MessagePipeline');
+const ParserRegistry = require('../src/modules/normalizer/ParserRegistry');
+const UnifyNormalizer = require('../src/modules/normalizer/UnifyNormalizer');
+
+describe('AssetRegistry', () => {
+  let tmpDir;
+  let registry;
+
+  const identity = { deviceId: '2437871205', deviceType: 'V5008', modAddr: 1, sensorAddr: 10 };
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-'));
+    registry = new AssetRegistry();
+    await registry.start({ type: 'file', filePath: path.join(tmpDir, 'assets.json') });
+  });
+
+  afterEach(async () => {
+    await registry.stop();
+    EventBus.removeAllListeners('data.normalized');
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should attach asset metadata to RFID events and snapshots and flag unknown tags', async () => {
+    await registry.create({ tagId: 'dd344a44', name: 'web-01', owner: 'Ops', model: 'R640', serialNumber: 'SN1', heightU: 1 });
+
+    const [event, snapshot, telemetry] = registry.enrich([
+      {
+        identity,
+        type: 'SYS_RFID_EVENT',
+        ts: '2025-01-01T10:00:00.000Z',
+        payload: { key: 'rfid_event', value: { action: 'attached', tagId: 'DD344A44', uPos: 10, alarmStatus: 0 } }
+      },
+      {
+        identity: { ...identity, sensorAddr: 0 },
+        type: 'SYS_RFID_SNAPSHOT',
+        ts: '2025-01-01T10:00:00.000Z',
+        payload: {
+          key: 'rfid_snapshot',
+          value: {
+            modId: '3963041727',
+            items: [
+              { uPos: 10, tagId: 'DD344A44', alarmStatus: 0 },
+              { uPos: 11, tagId: 'DD2862B4', alarmStatus: 0 }
+            ]
+          }
+        }
+      },
+      { identity, type: 'SYS_TELEMETRY', ts: '2025-01-01T10:00:00.000Z', payload: { key: 'temperature', value: 24 } }
+    ]);
+
+    assert.deepStrictEqual(event.payload.value.asset, {
+      name: 'web-01', owner: 'Ops', model: 'R640', serialNumber: 'SN1', heightU: 1
+    });
+    assert.strictEqual(event.payload.value.unknownTag, false);
+    assert.deepStrictEqual(snapshot.payload.value.items.map(item => item.unknownTag), [false, true]);
+    assert.strictEqual(snapshot.payload.value.items[1].asset, null);
+    assert.strictEqual(telemetry.payload.value, 24);
+
+    assert.deepStrictEqual(registry.getUnknownTags().map(tag => `${tag.tagId}@${tag.uPos}`), ['DD2862B4@11']);
+    await registry.create({ tagId: 'DD2862B4', name: 'db-01' });
+    assert.deepStrictEqual(registry.getUnknownTags(), []);
+  });
+
+  it('should enrich RFID data in the pipeline', async () => {
+    await registry.create({ tagId: 'DD23B0B4', name: 'storage-01', heightU: 2 });
+    const pipeline = new MessagePipeline({
+      parserRegistry: new ParserRegistry(),
+      normalizer: new UnifyNormalizer(),
+      assetRegistry: registry
+    });
+
+    const normalizedData = await pipeline.run('V6800Upload/2123456789/LabelState', Buffer.from(JSON.stringify({
+      msg_type: 'u_state_changed_notify_req',
+      gateway_sn: '2123456789',
+      uuid_number: 727046823,
+      data: [{
+        host_gateway_port_index: 2,
+        extend_module_sn: '3963041727',
+        u_data: [{ u_index: 3, new_state: 1, old_state: 0, tag_code: 'DD23B0B4', warning: 0 }]
+      }]
+    }))).then(result => result.normalizedData);
+
+    const event = normalizedData.find(item => item.type === 'SYS_RFID_EVENT');
+    assert.strictEqual(event.payload.value.asset.name, 'storage-01');
+  });
+
+  it('should validate assets and reject duplicates', async () => {
+    await assert.rejects(registry.create({ tagId: 'XYZ', name: 'bad' }), AssetValidationError);
+    await assert.rejects(registry.create({ tagId: 'DD344A44' }), /name/);
+    await assert.rejects(registry.create({ tagId: 'DD344A44', name: 'web-01', heightU: 0 }), /heightU/);
+
+    assert.ok(await registry.create({ tagId: 'DD344A44', name: 'web-01' }));
+    assert.strictEqual(await registry.create({ tagId: 'DD344A44', name: 'web-02' }), null);
+    assert.strictEqual((await registry.update('dd344a44', { owner: 'Ops' })).owner, 'Ops');
+    assert.strictEqual(await registry.update('DD000000', { owner: 'Ops' }), null);
+  });
+
+  it('should import assets from CSV and report invalid lines', async () => {
+    await registry.create({ tagId: 'DD344A44', name: 'old-name' });
+
+    const result = await registry.importCsv([
+      'Tag ID,Name,Owner,Model,Serial Number,Height U',
+      'DD344A44,web-01,Ops,R640,SN1,1',
+      '"DD2862B4","db-01, primary",DBA,,SN2,2',
+      'not-a-tag,broken,,,,',
+      'DD3CE9C4,nas-01,,,,abc',
+      ''
+    ].join('\r\n'));
+
+    assert.strictEqual(result.created, 1);
+    assert.strictEqual(result.updated, 1);
+    assert.deepStrictEqual(result.errors.map(error => error.line), [4, 5]);
+    assert.strictEqual(registry.get('DD344A44').name, 'web-01');
+    assert.strictEqual(registry.get('DD2862B4').name, 'db-01, primary');
+    assert.strictEqual(registry.get('DD2862B4').model, null);
+
+    await assert.rejects(registry.importCsv('owner,model\nOps,R640'), /header/);
+  });
+
+  it('should load stored assets at start', async () => {
+    await registry.create({ tagId: 'DD344A44', name: 'web-01' });
+    await registry.stop();
+
+    const restarted = new AssetRegistry();
+    await restarted.start({ type: 'file', filePath: path.join(tmpDir, 'assets.json') });
+    try {
+      assert.strictEqual(restarted.get('DD344A44').name, 'web-01');
+    } finally {
+      await restarted.stop();
+    }
+  });
+
+  it('should not start without its MySQL store', async () => {
+    await assert.rejects(new AssetRegistry().start({ type: 'mysql' }), /AssetRegistry: Cannot open mysql store/);
+  });
+
+  describe('API', () => {
+    it('should register, import, update and remove assets', async () => {
+      const apiServer = new ApiServer();
+      apiServer.setAssetRegistry(registry);
+      const server = await new Promise(resolve => {
+        const listening = apiServer.app.listen(0, '127.0.0.1', () => resolve(listening));
+      });
+      const base = `http://127.0.0.1:${server.address().port}`;
+      const send = (method, url, body) => fetch(`${base}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      });
+
+      try {
+        assert.strictEqual((await send('POST', '/assets', { tagId: 'DD344A44', name: 'web-01' })).status, 201);
+        assert.strictEqual((await send('POST', '/assets', { tagId: 'DD344A44', name: 'web-01' })).status, 409);
+        assert.strictEqual((await send('POST', '/assets', { tagId: 'DD344A44' })).status, 400);
+
+        const imported = await fetch(`${base}/assets/import`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'text/csv' },
+          body: 'tagId,name,owner\nDD2862B4,db-01,DBA\n'
+        });
+        const result = await imported.json();
+        assert.strictEqual(result.created, 1);
+        assert.strictEqual(result.errors.length, 0);
+
+        const listed = await (await fetch(`${base}/assets?owner=DBA`)).json();
+        assert.strictEqual(listed.count, 1);
+        assert.strictEqual(listed.assets[0].tagId, 'DD2862B4');
+
+        assert.strictEqual((await (await send('PUT', '/assets/DD344A44', { heightU: 2 })).json()).heightU, 2);
+        assert.strictEqual((await send('DELETE', '/assets/DD344A44')).status, 204);
+        assert.strictEqual((await fetch(`${base}/assets/DD344A44`)).status, 404);
+        assert.strictEqual((await (await fetch(`${base}/assets/unknown`)).json()).count, 0);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const assert = require('assert');
+const ApiServer = require('../src/modules/api/ApiServer');
+const Database = require('../src/core/Database');
+const CommandService = require('../src/modules/commands/CommandService');
+const CommandTracker = require('../src/modules/commands/CommandTracker');
+
+describe('Command Routes', () => {
+  const originalGetKnex = Database.getKnex;
+  let apiServer;
+  let server;
+  let baseUrl;
+  let published;
+  let tracker;
+
+  beforeAll(async () => {
+    // Minimal knex stand-in answering the device type lookup
+    const deviceTypes = { '2437871205': 'V5008', '2123456789': 'V6800' };
+    Database.getKnex = () => () => {
+      let deviceId;
+      const query = {
+        select: () => query,
+        where: (column, value) => { deviceId = value; return query; },
+        orderBy: () => query,
+        first: async () => (deviceTypes[deviceId] ? { device_type: deviceTypes[deviceId] } : undefined)
+      };
+      return query;
+    };
+
+    published = [];
+    tracker = new CommandTracker();
+    const commandService = new CommandService();
+    commandService.setMqttService({
+      publish: async (topic, message) => {
+        published.push({ topic, message });
+      }
+    });
+    commandService.setCommandTracker(tracker);
+
+    apiServer = new ApiServer();
+    apiServer.setCommandService(commandService);
+    apiServer.setCommandTracker(tracker);
+
+    await new Promise(resolve => {
+      server = apiServer.app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    Database.getKnex = originalGetKnex;
+    tracker.stop();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const post = (path, body) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  it('should send a V5008 command and expose its status', async () => {
+    const response = await post('/devices/2437871205/commands', {
+      command: 'setColor',
+      modAddr: 1,
+      colors: [{ uPos: 3, color: 'red' }]
+    });
+    const body = await response.json();
+
+    assert.strictEqual(response.status, 202);
+    assert.strictEqual(body.deviceType, 'V5008');
+    assert.strictEqual(body.status, 'pending');
+    assert.strictEqual(published[published.length - 1].topic, 'V5008Download/2437871205');
+
+    const statusResponse = await fetch(`${baseUrl}/commands/${body.commandId}`);
+    const status = await statusResponse.json();
+    assert.strictEqual(statusResponse.status, 200);
+    assert.strictEqual(status.command, 'setColor');
+    assert.strictEqual(status.status, 'pending');
+  });
+
+  it('should route V6800 devices to the JSON builder', async () => {
+    const response = await post('/devices/2123456789/commands', { command: 'queryRfid', modAddr: 2 });
+    assert.strictEqual(response.status, 202);
+    assert.strictEqual(published[published.length - 1].topic, 'V6800Download/2123456789');
+  });
+
+  it('should reject invalid parameters with 400', async () => {
+    const response = await post('/devices/2437871205/commands', { command: 'queryRfid', modAddr: 9 });
+    const body = await response.json();
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(body.details.field, 'modAddr');
+  });
+
+  it('should reject commands the device family does not support', async () => {
+    const response = await post('/devices/2123456789/commands', { command: 'queryNoise', modAddr: 1 });
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('should reject unknown commands and devices', async () => {
+    assert.strictEqual((await post('/devices/2437871205/commands', { command: 'reboot' })).status, 400);
+    assert.strictEqual((await post('/devices/999/commands', { command: 'queryRfid', modAddr: 1 })).status, 404);
+    assert.strictEqual((await fetch(`${baseUrl}/commands/unknown`)).status, 404);
+  });
+});
@@ -0,0 +1,145 @@
+const assert = require('assert');
+const CommandTracker = require('../src/modules/commands/CommandTracker');
+const UnifyNormalizer = require('../src/modules/normalizer/UnifyNormalizer');
+const EventBus = require('../src/core/EventBus');
+
+describe('CommandTracker', () => {
+  let tracker;
+  let normalizer;
+  let statusEvents;
+  const onStatus = (record) => statusEvents.push(record);
+
+  beforeEach(() => {
+    statusEvents = [];
+    tracker = new CommandTracker();
+    tracker.isStarted = true; // Feed handleNormalizedData directly instead of via EventBus
+    normalizer = new UnifyNormalizer();
+    EventBus.on('command.status', onStatus);
+  });
+
+  afterEach(() => {
+    tracker.stop();
+    EventBus.removeAllListeners('command.status');
+  });
+
+  describe('V5008 correlation', () => {
+    it('should ack a set color command from the echoed originalReq', async () => {
+      const tracked = tracker.track({
+        deviceType: 'V5008',
+        deviceId: '2437871205',
+        command: 'setColor',
+        params: { modAddr: 1, colors: [{ uPos: 3, color: 1 }] },
+        payload: Buffer.from('E1010301', 'hex')
+      });
+
+      const normalized = await normalizer.normalize({
+        deviceType: 'V5008',
+        deviceId: '2437871205',
+        messageType: 'OPE_ACK',
+        messageId: '1',
+        ts: '2025-01-01T10:00:00.000Z',
+        result: 'Success',
+        originalReq: 'E1010301'
+      });
+
+      // Reported at module 0 so it does not share the module's door state row
+      assert.strictEqual(normalized[0].identity.modAddr, 0);
+      assert.strictEqual(normalized[0].payload.raw.modAddr, 1);
+      assert.strictEqual(normalized[0].payload.raw.originalReq, 'E1010301');
+
+      tracker.handleNormalizedData(normalized);
+
+      const record = tracker.getCommand(tracked.commandId);
+      assert.strictEqual(record.status, 'acked');
+      assert.deepStrictEqual(record.history.map(h => h.status), ['pending', 'acked']);
+    });
+
+    it('should mark failed results and match color queries by prefix', () => {
+      const tracked = tracker.track({
+        deviceType: 'V5008',
+        deviceId: '2437871205',
+        command: 'queryColor',
+        params: { modAddr: 1 },
+        payload: Buffer.from('E401', 'hex')
+      });
+
+      tracker.handleNormalizedData([{
+        identity: { deviceId: '2437871205', deviceType: 'V5008', modAddr: 1, sensorAddr: 0 },
+        type: 'SYS_STATE_CHANGE',
+        ts: '2025-01-01T10:00:00.000Z',
+        payload: { key: 'operation_result', value: 0, raw: { result: 'Failure', originalReq: 'E401000000' } }
+      }]);
+
+      assert.strictEqual(tracker.getCommand(tracked.commandId).status, 'failed');
+    });
+
+    it('should ignore responses for other requests', () => {
+      const tracked = tracker.track({
+        deviceType: 'V5008',
+        deviceId: '2437871205',
+        command: 'clearAlarm',
+        params: { modAddr: 1, uPos: 3 },
+        payload: Buffer.from('E20103', 'hex')
+      });
+
+      tracker.handleNormalizedData([{
+        identity: { deviceId: '2437871205', deviceType: 'V5008', modAddr: 1, sensorAddr: 0 },
+        type: 'SYS_STATE_CHANGE',
+        ts: '2025-01-01T10:00:00.000Z',
+        payload: { key: 'operation_result', value: 1, raw: { result: 'Success', originalReq: 'E20104' } }
+      }]);
+
+      assert.strictEqual(tracker.getCommand(tracked.commandId).status, 'pending');
+    });
+  });
+
+  describe('V6800 correlation', () => {
+    it('should ack per module using msg_type', async () => {
+      const tracked = tracker.track({
+        deviceType: 'V6800',
+        deviceId: '2123456789',
+        command: 'setColor',
+        params: { modAddr: 4, colors: [{ uPos: 1, color: 1 }] },
+        payload: { msg_type: 'set_module_property_req' }
+      });
+
+      const normalized = await normalizer.normalize({
+        deviceType: 'V6800',
+        deviceId: '2123456789',
+        messageType: 'OPE_ACK',
+        rawMessageType: 'set_module_property_result_req',
+        messageId: '245761302',
+        ts: '2025-01-01T10:00:00.000Z',
+        data: [
+          { modAddr: 2, modId: '3963041727', result: 'Success' },
+          { modAddr: 4, modId: '2349402517', result: 'Success' }
+        ]
+      });
+
+      assert.strictEqual(normalized.length, 2);
+      assert.deepStrictEqual(normalized.map(r => [r.identity.modAddr, r.payload.raw.modAddr]), [[0, 2], [0, 4]]);
+      tracker.handleNormalizedData(normalized);
+
+      const record = tracker.getCommand(tracked.commandId);
+      assert.strictEqual(record.status, 'acked');
+      assert.strictEqual(record.result.raw.modId, '2349402517');
+    });
+  });
+
+  it('should time out commands that are never answered', async () => {
+    tracker.timeoutMs = 10;
+    const tracked = tracker.track({
+      deviceType: 'V5008',
+      deviceId: '2437871205',
+      command: 'queryDeviceInfo',
+      params: {},
+      payload: Buffer.from('EF0100', 'hex')
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assert.strictEqual(tracker.getCommand(tracked.commandId).status, 'timed_out');
+    assert.strictEqual(tracker.getStats().timedOut, 1);
+    assert.deepStrictEqual(statusEvents.map(e => e.status), ['pending', 'timed_out']);
+  });
+});
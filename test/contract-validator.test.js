@@ -0,0 +1,92 @@
+const assert = require('assert');
+const ContractValidator = require('../src/modules/normalizer/ContractValidator');
+const V5008Parser = require('../src/modules/normalizer/parsers/V5008Parser');
+const V6800Parser = require('../src/modules/normalizer/parsers/V6800Parser');
+
+describe('ContractValidator', () => {
+  it('should load the V5008 and V6800 contracts', () => {
+    const validator = new ContractValidator();
+    assert.deepStrictEqual(validator.load().sort(), ['V5008', 'V6800']);
+  });
+
+  it('should accept real parser output', () => {
+    const validator = new ContractValidator({ mode: 'reject' });
+    validator.load();
+
+    const v5008 = new V5008Parser().parse(
+      'V5008Upload/2437871205/LabelState',
+      Buffer.from('BB028C090995000C030A00DD344A440B00DD2862B40C00DD3CE9C4050007AD', 'hex')
+    );
+    const v6800 = new V6800Parser().parse('V6800Upload/2123456789/HeartBeat', JSON.stringify({
+      msg_type: 'heart_beat_req',
+      uuid_number: 1534195387,
+      bus_V: '23.89',
+      bus_I: '5.70',
+      main_power: 1,
+      backup_power: 0,
+      data: [{ module_index: 2, module_sn: '3963041727', module_u_num: 6 }]
+    }));
+
+    assert.deepStrictEqual(validator.check(v5008).errors, []);
+    assert.deepStrictEqual(validator.check(v6800).errors, []);
+    assert.strictEqual(validator.getStats().passed, 2);
+  });
+
+  it('should report missing and mistyped fields', () => {
+    const validator = new ContractValidator({ mode: 'warn' });
+    validator.load();
+
+    const verdict = validator.check({
+      topic: 'V6800Upload/2123456789/LabelState',
+      deviceType: 'V6800',
+      deviceId: '2123456789',
+      messageType: 'LabelState',
+      messageId: 727046823,
+      ts: 'yesterday'
+    });
+
+    assert.strictEqual(verdict.valid, false);
+    assert.strictEqual(verdict.accepted, true);
+    assert.deepStrictEqual(verdict.errors.map(error => error.path).sort(), [
+      'messageId',
+      'messageType',
+      'rawMessageType',
+      'ts'
+    ]);
+    assert.strictEqual(validator.getRejected().length, 0);
+  });
+
+  it('should keep a bounded list of rejected messages in reject mode', () => {
+    const validator = new ContractValidator({ mode: 'reject', maxRejected: 2 });
+    validator.load();
+
+    for (const deviceId of ['1', '2', '3']) {
+      const verdict = validator.check({
+        topic: `V5008Upload/${deviceId}/OpeAck`,
+        message: 'AA',
+        deviceType: 'V5008',
+        deviceId,
+        messageType: 'OPE_ACK',
+        messageId: '1',
+        ts: '2025-01-01T10:00:00.000Z',
+        items: [{ uPos: '3', alarmStatus: 0, tagId: 'DD344A44' }]
+      });
+      assert.strictEqual(verdict.accepted, false);
+    }
+
+    const rejected = validator.getRejected();
+    assert.deepStrictEqual(rejected.map(entry => entry.deviceId), ['3', '2']);
+    assert.deepStrictEqual(rejected[0].errors, [{ path: 'items[0].uPos', message: 'must be of type integer' }]);
+    assert.strictEqual(validator.getStats().rejected, 3);
+  });
+
+  it('should skip validation when off', () => {
+    const validator = new ContractValidator({ mode: 'off' });
+    assert.strictEqual(validator.check({ deviceType: 'V5008' }).accepted, true);
+    assert.strictEqual(validator.getStats().validated, 0);
+  });
+
+  it('should reject unknown modes', () => {
+    assert.throws(() => new ContractValidator({ mode: 'strict' }), /Unknown mode/);
+  });
+});
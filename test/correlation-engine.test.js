@@ -0,0 +1,157 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventBus = require('../src/core/EventBus');
+const ApiServer = require('../src/modules/api/ApiServer');
+const CorrelationEngine = require('../src/modules/correlation/CorrelationEngine');
+
+describe('CorrelationEngine', () => {
+  let tmpDir;
+  let engine;
+  let published;
+
+  const identity = (modAddr) => ({ deviceId: '2437871205', deviceType: 'V5008', modAddr, sensorAddr: 0 });
+
+  const door = (modAddr, value, ts) => ({
+    identity: identity(modAddr),
+    type: 'SYS_STATE_CHANGE',
+    ts,
+    payload: { key: 'door_state', value, raw: { modId: '3963041727', doorState: value ? '01' : '00' } }
+  });
+
+  const rfid = (modAddr, action, uPos, ts, extra = {}) => ({
+    identity: { ...identity(modAddr), sensorAddr: uPos },
+    type: 'SYS_RFID_EVENT',
+    ts,
+    payload: { key: 'rfid_event', value: { action, tagId: 'DD344A44', uPos, alarmStatus: 0, ...extra } }
+  });
+
+  const start = async (overrides = {}) => {
+    engine = new CorrelationEngine();
+    await engine.start({
+      type: 'file',
+      filePath: path.join(tmpDir, 'incidents.json'),
+      doorGraceMs: 30000,
+      noChangeMs: 600000,
+      checkIntervalMs: 60000,
+      workingHours: null,
+      ...overrides
+    });
+  };
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'incidents-'));
+    published = [];
+    EventBus.on('correlation.incident', incident => published.push(incident));
+    await start();
+  });
+
+  afterEach(async () => {
+    await engine.stop();
+    EventBus.removeAllListeners('data.normalized');
+    EventBus.removeAllListeners('correlation.incident');
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should flag tags detached while the door was closed', async () => {
+    // Door state unknown: nothing to correlate
+    await engine.handleNormalizedData([rfid(1, 'detached', 10, '2025-01-06T10:00:00.000Z')]);
+
+    await engine.handleNormalizedData([
+      door(1, 1, '2025-01-06T10:01:00.000Z'),
+      door(1, 0, '2025-01-06T10:02:00.000Z'),
+      rfid(1, 'detached', 11, '2025-01-06T10:02:10.000Z'),
+      rfid(1, 'detached', 12, '2025-01-06T10:05:00.000Z'),
+      rfid(2, 'moved', 3, '2025-01-06T10:06:00.000Z', { fromModAddr: 1, fromUPos: 13, toModAddr: 2, toUPos: 3, detachedAt: '2025-01-06T10:05:58.000Z' })
+    ]);
+
+    const { total, incidents } = await engine.listIncidents({ type: 'detached_while_door_closed' });
+    assert.strictEqual(total, 2);
+    assert.deepStrictEqual(incidents.map(incident => `${incident.modAddr}:${incident.uPos}`), ['1:13', '1:12']);
+    assert.strictEqual(incidents[0].severity, 'critical');
+    assert.strictEqual(incidents[0].detectedAt, '2025-01-06T10:05:58.000Z');
+    assert.strictEqual(incidents[1].details.doorClosedAt, '2025-01-06T10:02:00.000Z');
+    assert.strictEqual(published.length, 2);
+  });
+
+  it('should flag door openings without RFID change', async () => {
+    await engine.handleNormalizedData([
+      door(1, 1, '2025-01-06T10:00:00.000Z'),
+      door(2, 1, '2025-01-06T10:00:00.000Z'),
+      door(2, 0, '2025-01-06T10:01:00.000Z'),
+      rfid(1, 'attached', 5, '2025-01-06T10:03:00.000Z')
+    ]);
+
+    assert.deepStrictEqual(await engine.sweep(Date.parse('2025-01-06T10:09:59.000Z')), []);
+    const incidents = await engine.sweep(Date.parse('2025-01-06T10:10:00.000Z'));
+    assert.strictEqual(incidents.length, 1);
+    assert.strictEqual(incidents[0].type, 'door_opened_without_change');
+    assert.strictEqual(incidents[0].modAddr, 2);
+    assert.strictEqual(incidents[0].details.openedAt, '2025-01-06T10:00:00.000Z');
+    assert.deepStrictEqual(await engine.sweep(Date.parse('2025-01-06T11:00:00.000Z')), []);
+  });
+
+  it('should flag tags detached outside working hours', async () => {
+    await engine.stop();
+    await start({
+      noChangeMs: 0,
+      workingHours: { timeZone: 'Europe/Berlin', days: [1, 2, 3, 4, 5], start: '08:00', end: '18:00' }
+    });
+
+    await engine.handleNormalizedData([
+      rfid(1, 'detached', 1, '2025-01-06T07:30:00.000Z'), // Monday 08:30 in Berlin
+      rfid(1, 'detached', 2, '2025-01-06T17:00:00.000Z'), // Monday 18:00 in Berlin
+      rfid(1, 'detached', 3, '2025-01-05T12:00:00.000Z'), // Sunday
+      rfid(1, 'attached', 4, '2025-01-05T12:00:00.000Z')
+    ]);
+
+    const { incidents } = await engine.listIncidents();
+    assert.deepStrictEqual(incidents.map(incident => `${incident.type}:${incident.uPos}`), [
+      'detached_outside_working_hours:3',
+      'detached_outside_working_hours:2'
+    ]);
+    assert.strictEqual(incidents[0].details.workingHours.timeZone, 'Europe/Berlin');
+  });
+
+  it('should reject invalid working hours', async () => {
+    const invalid = new CorrelationEngine();
+    await assert.rejects(invalid.start({ type: 'file', workingHours: { start: '18:00', end: '08:00' } }), /start before end/);
+    await assert.rejects(invalid.start({ type: 'file', workingHours: { start: '08:00', end: '18:00', days: [7] } }), /days/);
+    await assert.rejects(invalid.start({ type: 'file', workingHours: { timeZone: 'Mars/Base', start: '08:00', end: '18:00' } }), /timeZone/);
+  });
+
+  it('should not start without its MySQL store', async () => {
+    await assert.rejects(new CorrelationEngine().start({ type: 'mysql' }), /CorrelationEngine: Cannot open mysql store/);
+  });
+
+  describe('API', () => {
+    it('should list and show incidents', async () => {
+      await engine.handleNormalizedData([
+        door(1, 0, '2025-01-06T10:00:00.000Z'),
+        rfid(1, 'detached', 11, '2025-01-06T10:05:00.000Z')
+      ]);
+
+      const apiServer = new ApiServer();
+      apiServer.setCorrelationEngine(engine);
+      const server = await new Promise(resolve => {
+        const listening = apiServer.app.listen(0, '127.0.0.1', () => resolve(listening));
+      });
+      const base = `http://127.0.0.1:${server.address().port}`;
+
+      try {
+        const listed = await (await fetch(`${base}/incidents?type=detached_while_door_closed&modAddr=1`)).json();
+        assert.strictEqual(listed.total, 1);
+        assert.strictEqual(listed.incidents[0].tagId, 'DD344A44');
+
+        const incident = await (await fetch(`${base}/incidents/${listed.incidents[0].id}`)).json();
+        assert.strictEqual(incident.uPos, 11);
+        assert.strictEqual((await fetch(`${base}/incidents/999`)).status, 404);
+        assert.strictEqual((await fetch(`${base}/incidents?type=unknown`)).status, 400);
+        assert.strictEqual((await fetch(`${base}/incidents?from=never`)).status, 400);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
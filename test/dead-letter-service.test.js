@@ -0,0 +1,172 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventBus = require('../src/core/EventBus');
+const ApiServer = require('../src/modules/api/ApiServer');
+const DeadLetterService = require('../src/modules/deadletter/DeadLetterService');
+const MessagePipeline = require('../src/modules/normalizer/MessagePipeline');
+const ParserRegistry = require('../src/modules/normalizer/ParserRegistry');
+const UnifyNormalizer = require('../src/modules/normalizer/UnifyNormalizer');
+
+const doorTopic = 'V6800Upload/2123456789/Door';
+const doorMessage = Buffer.from(JSON.stringify({
+  msg_type: 'door_state_changed_notify_req',
+  gateway_sn: '2123456789',
+  uuid_number: 333321551,
+  data: [{ extend_module_sn: '3963041727', host_gateway_port_index: 2, new_state: 1 }]
+}));
+
+describe('DeadLetterService', () => {
+  let tmpDir;
+  let pipeline;
+  let service;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-letters-'));
+    pipeline = new MessagePipeline({
+      parserRegistry: new ParserRegistry(),
+      normalizer: new UnifyNormalizer()
+    });
+    service = new DeadLetterService();
+    service.setPipeline(pipeline);
+    await service.start({ type: 'file', filePath: path.join(tmpDir, 'dead-letters.json') });
+  });
+
+  afterEach(async () => {
+    await service.stop();
+    EventBus.removeAllListeners('message.failed');
+    EventBus.removeAllListeners('data.normalized');
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Wait for asynchronous 'message.failed' listeners
+   * @returns {Promise<void>}
+   */
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  it('should capture messages lost at routing and parsing with their raw payload', async () => {
+    await pipeline.process('UnknownUpload/1/Foo', Buffer.from('AABB', 'hex'));
+    await pipeline.process('V6800Upload/2123456789/Door', Buffer.from('{not json'));
+    await settle();
+
+    const { total, entries } = await service.list();
+    assert.strictEqual(total, 2);
+    assert.deepStrictEqual(entries.map(entry => entry.stage), ['parsing', 'routing']);
+    assert.strictEqual(entries[0].deviceType, 'V6800');
+    assert.strictEqual(entries[0].deviceId, '2123456789');
+
+    const routing = await service.get(entries[1].id);
+    assert.strictEqual(routing.payloadHex, 'AABB');
+    assert.strictEqual(routing.status, 'pending');
+  });
+
+  it('should resolve a dead letter whose retry produces data', async () => {
+    await service.handleFailedMessage({
+      topic: doorTopic,
+      message: doorMessage,
+      deviceType: 'V6800',
+      stage: 'parsing',
+      error: 'Parser returned no data'
+    });
+    const [{ id }] = (await service.list()).entries;
+
+    const result = await service.retry(id);
+
+    assert.strictEqual(result.status, 'resolved');
+    assert.strictEqual(result.normalized, 1);
+    const entry = await service.get(id);
+    assert.strictEqual(entry.attempts, 1);
+    assert(entry.resolvedAt);
+  });
+
+  it('should keep a dead letter pending when the retry fails again', async () => {
+    await pipeline.process('UnknownUpload/1/Foo', Buffer.from('00', 'hex'));
+    await settle();
+    const [{ id }] = (await service.list()).entries;
+
+    const result = await service.retry(id);
+
+    assert.strictEqual(result.status, 'pending');
+    assert.strictEqual(result.stage, 'routing');
+    assert.strictEqual((await service.list()).total, 1); // The retry is not stored again
+  });
+
+  it('should purge entries by stage and persist across restarts', async () => {
+    await pipeline.process('UnknownUpload/1/Foo', Buffer.from('00', 'hex'));
+    await pipeline.process('V6800Upload/2123456789/Door', Buffer.from('{not json'));
+    await settle();
+
+    assert.strictEqual(await service.purge({ stage: 'routing' }), 1);
+    await service.stop();
+
+    const restarted = new DeadLetterService();
+    await restarted.start({ type: 'file', filePath: path.join(tmpDir, 'dead-letters.json') });
+    const { entries } = await restarted.list();
+    assert.deepStrictEqual(entries.map(entry => entry.stage), ['parsing']);
+    assert.strictEqual((await restarted.get(entries[0].id)).payloadText, '{not json');
+    await restarted.stop();
+  });
+
+  it('should fail to start when the configured store cannot be opened', async () => {
+    const unavailable = new DeadLetterService();
+
+    // No database connection: no silent switch to the file store
+    await assert.rejects(unavailable.start({ type: 'mysql' }), /Cannot open mysql store/);
+    await assert.rejects(unavailable.start({ type: 'redis' }), /Unknown store type/);
+    assert.strictEqual(unavailable.isStarted, false);
+  });
+
+  describe('Routes', () => {
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+      const apiServer = new ApiServer();
+      apiServer.setDeadLetterService(service);
+      await new Promise(resolve => {
+        server = apiServer.app.listen(0, '127.0.0.1', resolve);
+      });
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      await service.handleFailedMessage({
+        topic: doorTopic,
+        message: doorMessage,
+        deviceType: 'V6800',
+        stage: 'normalization',
+        error: 'Normalizer returned no data for DOOR_STATE'
+      });
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should list, inspect, retry and delete entries', async () => {
+      const list = await (await fetch(`${baseUrl}/dead-letters?stage=normalization`)).json();
+      assert.strictEqual(list.total, 1);
+      const { id } = list.entries[0];
+      assert.strictEqual(list.entries[0].payload, undefined);
+
+      const entry = await (await fetch(`${baseUrl}/dead-letters/${id}`)).json();
+      assert.strictEqual(entry.payloadText, doorMessage.toString());
+
+      const retry = await (await fetch(`${baseUrl}/dead-letters/${id}/retry`, { method: 'POST' })).json();
+      assert.strictEqual(retry.status, 'resolved');
+
+      const deleted = await fetch(`${baseUrl}/dead-letters/${id}`, { method: 'DELETE' });
+      assert.strictEqual(deleted.status, 204);
+      assert.strictEqual((await fetch(`${baseUrl}/dead-letters/${id}`)).status, 404);
+    });
+
+    it('should purge entries and validate query parameters', async () => {
+      assert.strictEqual((await fetch(`${baseUrl}/dead-letters?limit=0`)).status, 400);
+      assert.strictEqual((await fetch(`${baseUrl}/dead-letters/abc`)).status, 400);
+      assert.strictEqual((await fetch(`${baseUrl}/dead-letters?before=yesterday`, { method: 'DELETE' })).status, 400);
+
+      const purge = await (await fetch(`${baseUrl}/dead-letters?status=pending`, { method: 'DELETE' })).json();
+      assert.strictEqual(purge.purged, 1);
+    });
+  });
+});
@@ -0,0 +1,23 @@
+const assert = require('assert');
+const { dewPoint, absoluteHumidity, heatIndex } = require('../src/modules/normalizer/DerivedMetrics');
+
+describe('DerivedMetrics', () => {
+  it('should compute the dew point', () => {
+    assert.strictEqual(dewPoint(25, 50), 13.85);
+    assert.strictEqual(dewPoint(20, 100), 20);
+    assert.strictEqual(dewPoint(25, 0), null);
+  });
+
+  it('should compute the absolute humidity', () => {
+    assert.strictEqual(absoluteHumidity(25, 50), 11.51);
+    assert.strictEqual(absoluteHumidity(25, null), null);
+  });
+
+  it('should compute the heat index', () => {
+    // NOAA table: 90 °F at 70 % feels like 106 °F
+    assert.strictEqual(heatIndex(32.22, 70), 41.06);
+    // Below 80 °F the simple formula applies
+    assert.strictEqual(heatIndex(20, 40), 19.1);
+    assert.strictEqual(heatIndex(20, 0), null);
+  });
+});
@@ -0,0 +1,131 @@
+const assert = require('assert');
+const EventBus = require('../src/core/EventBus');
+const ApiServer = require('../src/modules/api/ApiServer');
+const DeviceInventory = require('../src/modules/inventory/DeviceInventory');
+const UnifyNormalizer = require('../src/modules/normalizer/UnifyNormalizer');
+const V5008Parser = require('../src/modules/normalizer/parsers/V5008Parser');
+const V6800Parser = require('../src/modules/normalizer/parsers/V6800Parser');
+
+describe('DeviceInventory', () => {
+  let normalizer;
+  let inventory;
+
+  /**
+   * Parse and normalize a V5008 frame, then apply it to the inventory
+   * @param {string} hex - Frame as hex
+   * @returns {Promise<Array>} Normalized data
+   */
+  const v5008 = async (hex) => {
+    const parsed = new V5008Parser().parse('V5008Upload/2437871205/OpeAck', Buffer.from(hex, 'hex'));
+    const normalized = await normalizer.normalize(parsed);
+    inventory.handleNormalizedData(normalized);
+    return normalized;
+  };
+
+  beforeEach(async () => {
+    normalizer = new UnifyNormalizer();
+    inventory = new DeviceInventory();
+    await inventory.start();
+  });
+
+  afterEach(() => {
+    inventory.stop();
+    EventBus.removeAllListeners('data.normalized');
+  });
+
+  it('should normalize V5008 device info like the V6800 Init device info', async () => {
+    const result = await v5008('EF011390958DD85FC0A800D3FFFF0000C0A800018082914EF665F2011CCB');
+
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0].type, 'SYS_DEVICE_INFO');
+    assert.strictEqual(result[0].payload.key, 'device_info');
+    assert.deepStrictEqual(result[0].payload.value, {
+      ip: '192.168.0.211',
+      mac: '80:82:91:4E:F6:65',
+      model: '1390',
+      fwVer: '2509101151',
+      mask: '255.255.0.0',
+      gatewayIp: '192.168.0.1'
+    });
+  });
+
+  it('should complete V5008 module info with modId and uTotal from the heartbeat', async () => {
+    await v5008('CC01EC3737BF06028C0909950C0300000000000400000000000500000000000600000000000700000000000800000000000900000000000A0000000000F200168F');
+    const result = await v5008('EF0201898393CC02898393CCF4010166');
+
+    assert.deepStrictEqual(result.map(r => r.payload.key), ['module_info', 'module_info']);
+    assert.deepStrictEqual(result[0].payload.value, { modId: '3963041727', uTotal: 6, fwVer: '2307101644' });
+
+    const device = inventory.get('2437871205');
+    assert.deepStrictEqual(device.modules.map(m => [m.modAddr, m.modId, m.fwVer]), [
+      [1, '3963041727', '2307101644'],
+      [2, '2349402517', '2307101644']
+    ]);
+  });
+
+  it('should cover both device families', async () => {
+    await v5008('EF011390958DD85FC0A800D3FFFF0000C0A800018082914EF665F2011CCB');
+
+    const init = new V6800Parser().parse('V6800Upload/2123456789/Init', Buffer.from(JSON.stringify({
+      msg_type: 'devies_init_req',
+      gateway_sn: '2123456789',
+      gateway_ip: '192.168.0.212',
+      gateway_mac: '08:80:7E:91:61:15',
+      uuid_number: 797991388,
+      data: [{ module_type: 'mt_ul', module_index: 2, module_sn: '3963041727', module_m_num: 1, module_u_num: 6, module_sw_version: '2307101644', module_supplier: 'Digitalor', module_brand: 'Digitalor', module_model: 'Zi05' }]
+    })));
+    inventory.handleNormalizedData(await normalizer.normalize(init));
+
+    assert.deepStrictEqual(inventory.list().map(d => [d.deviceId, d.deviceType, d.ip]), [
+      ['2123456789', 'V6800', '192.168.0.212'],
+      ['2437871205', 'V5008', '192.168.0.211']
+    ]);
+    assert.deepStrictEqual(inventory.list({ fwVer: '2307101644' }).map(d => d.deviceId), ['2123456789']);
+    assert.deepStrictEqual(inventory.getStats().byDeviceType, { V5008: 1, V6800: 1 });
+  });
+
+  it('should follow module topology changes', async () => {
+    inventory.handleNormalizedData([{
+      identity: { deviceId: '2437871205', deviceType: 'V5008', modAddr: 1, sensorAddr: 0 },
+      type: 'SYS_DEVICE_INFO',
+      ts: '2025-01-01T10:00:00.000Z',
+      payload: { key: 'module_info', value: { modId: '3963041727', uTotal: 6, fwVer: '2307101644' } }
+    }, {
+      identity: { deviceId: '2437871205', deviceType: 'V5008', modAddr: 1, sensorAddr: 0 },
+      type: 'SYS_DEVICE_INFO',
+      ts: '2025-01-01T11:00:00.000Z',
+      payload: {
+        key: 'topology_change',
+        value: 'module_replaced',
+        raw: { modId: '2222222222', uTotal: 12, previous: { modId: '3963041727', uTotal: 6 } }
+      }
+    }]);
+
+    const [module] = inventory.get('2437871205').modules;
+    assert.deepStrictEqual([module.modId, module.uTotal, module.fwVer], ['2222222222', 12, null]);
+  });
+
+  describe('API', () => {
+    it('should serve the inventory', async () => {
+      await v5008('EF011390958DD85FC0A800D3FFFF0000C0A800018082914EF665F2011CCB');
+
+      const apiServer = new ApiServer();
+      apiServer.setDeviceInventory(inventory);
+      const server = await new Promise(resolve => {
+        const listening = apiServer.app.listen(0, '127.0.0.1', () => resolve(listening));
+      });
+      const base = `http://127.0.0.1:${server.address().port}`;
+
+      try {
+        const list = await (await fetch(`${base}/inventory?deviceType=V5008`)).json();
+        assert.strictEqual(list.count, 1);
+        assert.strictEqual(list.devices[0].fwVer, '2509101151');
+
+        assert.strictEqual((await fetch(`${base}/inventory/2437871205`)).status, 200);
+        assert.strictEqual((await fetch(`${base}/inventory/999`)).status, 404);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventBus = require('../src/core/EventBus');
+const ApiServer = require('../src/modules/api/ApiServer');
+const DoorSessionTracker = require('../src/modules/doors/DoorSessionTracker');
+
+describe('DoorSessionTracker', () => {
+  let tmpDir;
+  let tracker;
+  let alerts;
+
+  const config = () => ({
+    type: 'file',
+    filePath: path.join(tmpDir, 'door-sessions.json'),
+    maxOpenMs: 60000,
+    checkIntervalMs: 60000
+  });
+
+  const door = (modAddr, value, ts, deviceId = '2437871205') => ({
+    identity: { deviceId, deviceType: 'V5008', modAddr, sensorAddr: 0 },
+    type: 'SYS_STATE_CHANGE',
+    ts,
+    payload: { key: 'door_state', value, raw: { modId: '3963041727', doorState: value ? '01' : '00' } }
+  });
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'doors-'));
+    tracker = new DoorSessionTracker();
+    await tracker.start(config());
+
+    alerts = [];
+    EventBus.on('data.normalized', items => alerts.push(...items.filter(item => item.type === 'SYS_ALERT')));
+  });
+
+  afterEach(async () => {
+    await tracker.stop();
+    EventBus.removeAllListeners('data.normalized');
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should pair open and close into a session with its duration', async () => {
+    await tracker.handleNormalizedData([
+      door(1, 0, '2025-01-01T09:59:00.000Z'),
+      door(1, 1, '2025-01-01T10:00:00.000Z'),
+      door(1, 1, '2025-01-01T10:00:10.000Z')
+    ]);
+    assert.strictEqual(tracker.getOpenDoors(Date.parse('2025-01-01T10:00:30.000Z'))[0].openMs, 30000);
+
+    await tracker.handleNormalizedData([door(1, 0, '2025-01-01T10:00:45.000Z')]);
+
+    const [session] = await tracker.listSessions();
+    assert.strictEqual(session.openedAt, '2025-01-01T10:00:00.000Z');
+    assert.strictEqual(session.closedAt, '2025-01-01T10:00:45.000Z');
+    assert.strictEqual(session.durationMs, 45000);
+    assert.strictEqual(session.modId, '3963041727');
+    assert.deepStrictEqual(tracker.getOpenDoors(), []);
+    assert.strictEqual(tracker.getStats().ignored, 2);
+  });
+
+  it('should raise an alert for a door open too long and clear it on close', async () => {
+    await tracker.handleNormalizedData([door(2, 1, '2025-01-01T10:00:00.000Z')]);
+
+    assert.deepStrictEqual(await tracker.sweep(Date.parse('2025-01-01T10:00:59.000Z')), []);
+    const alerted = await tracker.sweep(Date.parse('2025-01-01T10:01:30.000Z'));
+    assert.strictEqual(alerted.length, 1);
+    assert.deepStrictEqual(await tracker.sweep(Date.parse('2025-01-01T10:02:00.000Z')), []);
+
+    await tracker.handleNormalizedData([door(2, 0, '2025-01-01T10:03:00.000Z')]);
+
+    assert.deepStrictEqual(alerts.map(alert => alert.payload.value.action), ['alert_raised', 'alert_cleared']);
+    const [raised, cleared] = alerts;
+    assert.strictEqual(raised.identity.modAddr, 2);
+    assert.strictEqual(raised.payload.value.ruleId, null);
+    assert.strictEqual(raised.payload.value.type, 'door_open');
+    assert.strictEqual(raised.payload.value.value, 90000);
+    assert.strictEqual(cleared.payload.value.value, 180000);
+    assert.strictEqual(cleared.payload.raw.reason, 'door_closed');
+    assert.strictEqual((await tracker.listSessions())[0].alertedAt, '2025-01-01T10:01:30.000Z');
+  });
+
+  it('should restore open sessions after a restart', async () => {
+    await tracker.handleNormalizedData([door(1, 1, '2025-01-01T10:00:00.000Z')]);
+    await tracker.stop();
+
+    tracker = new DoorSessionTracker();
+    await tracker.start(config());
+    await tracker.handleNormalizedData([door(1, 0, '2025-01-01T10:02:00.000Z')]);
+
+    const sessions = await tracker.listSessions();
+    assert.strictEqual(sessions.length, 1);
+    assert.strictEqual(sessions[0].durationMs, 120000);
+  });
+
+  it('should not start without its MySQL store', async () => {
+    await assert.rejects(new DoorSessionTracker().start({ type: 'mysql' }), /DoorSessionTracker: Cannot open mysql store/);
+  });
+
+  it('should aggregate statistics per rack module and interval', async () => {
+    await tracker.handleNormalizedData([
+      door(1, 1, '2025-01-01T10:00:00.000Z'),
+      door(1, 0, '2025-01-01T10:01:00.000Z'),
+      door(1, 1, '2025-01-01T10:30:00.000Z'),
+      door(1, 0, '2025-01-01T10:33:00.000Z'),
+      door(1, 1, '2025-01-01T11:00:00.000Z'),
+      door(2, 1, '2025-01-01T12:00:00.000Z')
+    ]);
+
+    const [rack1, rack2] = await tracker.getStatistics({ deviceId: '2437871205', interval: 'hour' });
+    assert.strictEqual(rack1.opens, 3);
+    assert.strictEqual(rack1.closed, 2);
+    assert.strictEqual(rack1.totalOpenMs, 240000);
+    assert.strictEqual(rack1.maxOpenMs, 180000);
+    assert.deepStrictEqual(rack1.buckets.map(bucket => `${bucket.start}:${bucket.opens}`), [
+      '2025-01-01T10:00:00.000Z:2',
+      '2025-01-01T11:00:00.000Z:1'
+    ]);
+    assert.strictEqual(rack2.modAddr, 2);
+
+    const daily = await tracker.getStatistics({ modAddr: 1, from: '2025-01-01T10:15:00.000Z' });
+    assert.strictEqual(daily.length, 1);
+    assert.strictEqual(daily[0].buckets[0].start, '2025-01-01T00:00:00.000Z');
+    assert.strictEqual(daily[0].opens, 2);
+
+    await assert.rejects(tracker.getStatistics({ interval: 'week' }), /interval/);
+  });
+
+  describe('API', () => {
+    it('should serve open doors, sessions and statistics', async () => {
+      await tracker.handleNormalizedData([
+        door(1, 1, '2025-01-01T10:00:00.000Z'),
+        door(1, 0, '2025-01-01T10:01:00.000Z'),
+        door(2, 1, new Date().toISOString())
+      ]);
+
+      const apiServer = new ApiServer();
+      apiServer.setDoorSessionTracker(tracker);
+      const server = await new Promise(resolve => {
+        const listening = apiServer.app.listen(0, '127.0.0.1', () => resolve(listening));
+      });
+      const base = `http://127.0.0.1:${server.address().port}`;
+
+      try {
+        const open = await (await fetch(`${base}/doors/open`)).json();
+        assert.strictEqual(open.count, 1);
+        assert.strictEqual(open.doors[0].modAddr, 2);
+
+        const sessions = await (await fetch(`${base}/doors/sessions?modAddr=1`)).json();
+        assert.strictEqual(sessions.count, 1);
+        assert.strictEqual(sessions.sessions[0].durationMs, 60000);
+
+        const stats = await (await fetch(`${base}/doors/stats?to=2025-01-02T00:00:00Z`)).json();
+        assert.strictEqual(stats.count, 1);
+        assert.strictEqual(stats.racks[0].totalOpenMs, 60000);
+
+        assert.strictEqual((await fetch(`${base}/doors/stats?interval=week`)).status, 400);
+        assert.strictEqual((await fetch(`${base}/doors/sessions?from=yesterday`)).status, 400);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
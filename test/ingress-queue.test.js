@@ -0,0 +1,164 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IngressQueue = require('../src/modules/mqtt-ingress/IngressQueue');
+
+describe('IngressQueue', () => {
+  let tmpDir;
+  let queue;
+
+  /**
+   * Create a message for a device
+   * @param {string} deviceId - Device ID
+   * @param {number} n - Message number
+   * @returns {Object} MQTT message
+   */
+  const message = (deviceId, n) => ({
+    topic: `V6800Upload/${deviceId}/LabelState`,
+    message: Buffer.from(String(n))
+  });
+
+  /**
+   * Create a handler whose calls stay open until released
+   * @returns {Object} Handler plus received messages and release function
+   */
+  const gatedHandler = () => {
+    const received = [];
+    const gates = [];
+    return {
+      received,
+      handler: (item) => {
+        received.push(`${item.topic.split('/')[1]}:${item.message}`);
+        return new Promise(resolve => gates.push(resolve));
+      },
+      releaseAll: async () => {
+        while (gates.length > 0) {
+          gates.shift()();
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+    };
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingress-'));
+    queue = new IngressQueue();
+  });
+
+  afterEach(async () => {
+    await queue.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should process messages of one device in order and devices in parallel', async () => {
+    const running = new Set();
+    const order = [];
+    let maxParallel = 0;
+
+    queue.setHandler(async (item) => {
+      const deviceId = item.topic.split('/')[1];
+      assert(!running.has(deviceId), `${deviceId} processed concurrently`);
+      running.add(deviceId);
+      maxParallel = Math.max(maxParallel, running.size);
+
+      await new Promise(resolve => setTimeout(resolve, Math.random() * 5));
+      order.push(`${deviceId}:${item.message}`);
+      running.delete(deviceId);
+    });
+    queue.start({ concurrency: 3, maxSize: 100 });
+
+    for (let n = 0; n < 10; n++) {
+      ['A', 'B', 'C'].forEach(deviceId => queue.enqueue(message(deviceId, n)));
+    }
+    await queue.stop();
+
+    for (const deviceId of ['A', 'B', 'C']) {
+      const sequence = order.filter(entry => entry.startsWith(deviceId)).map(entry => Number(entry.split(':')[1]));
+      assert.deepStrictEqual(sequence, [...Array(10).keys()]);
+    }
+    assert(maxParallel > 1);
+    assert.strictEqual(queue.getStats().processed, 30);
+  });
+
+  it('should drop the newest message when full with drop-newest', async () => {
+    const gated = gatedHandler();
+    queue.setHandler(gated.handler);
+    queue.start({ concurrency: 1, maxSize: 2, policy: 'drop-newest' });
+
+    [1, 2, 3, 4].forEach(n => queue.enqueue(message('A', n))); // 1 running, 2-3 queued
+    await gated.releaseAll();
+
+    assert.deepStrictEqual(gated.received, ['A:1', 'A:2', 'A:3']);
+    assert.strictEqual(queue.getStats().dropped, 1);
+  });
+
+  it('should drop the oldest queued message when full with drop-oldest', async () => {
+    const gated = gatedHandler();
+    queue.setHandler(gated.handler);
+    queue.start({ concurrency: 1, maxSize: 2, policy: 'drop-oldest' });
+
+    queue.enqueue(message('A', 1));
+    queue.enqueue(message('B', 2));
+    queue.enqueue(message('A', 3));
+    queue.enqueue(message('B', 4));
+    await gated.releaseAll();
+
+    // B:2 was the oldest queued message
+    assert.deepStrictEqual(gated.received.sort(), ['A:1', 'A:3', 'B:4']);
+  });
+
+  it('should spill overflow to disk and process it in arrival order', async () => {
+    const gated = gatedHandler();
+    queue.setHandler(gated.handler);
+    queue.start({ concurrency: 1, maxSize: 2, lowWaterMark: 1, policy: 'spill', spillDirectory: tmpDir });
+
+    [1, 2, 3, 4, 5, 6].forEach(n => queue.enqueue(message('A', n)));
+    assert.strictEqual(queue.getStats().spilledPending, 3);
+
+    await gated.releaseAll();
+
+    assert.deepStrictEqual(gated.received, ['A:1', 'A:2', 'A:3', 'A:4', 'A:5', 'A:6']);
+    assert.strictEqual(queue.getStats().restored, 3);
+    assert.strictEqual(fs.readdirSync(tmpDir).length, 0);
+  });
+
+  it('should keep unprocessed messages on disk across a restart', async () => {
+    queue.setHandler(() => new Promise(() => {}));
+    queue.start({ concurrency: 1, maxSize: 10, policy: 'spill', spillDirectory: tmpDir, drainTimeoutMs: 10 });
+    [1, 2, 3].forEach(n => queue.enqueue(message('A', n)));
+    await queue.stop();
+
+    const received = [];
+    queue = new IngressQueue();
+    queue.setHandler(async (item) => received.push(String(item.message)));
+    queue.start({ concurrency: 1, maxSize: 10, policy: 'spill', spillDirectory: tmpDir });
+    await queue.stop();
+
+    // Message 1 was being processed when the first queue stopped
+    assert.deepStrictEqual(received, ['2', '3']);
+  });
+
+  it('should pause intake above the high water mark until drained', async () => {
+    const gated = gatedHandler();
+    queue.setHandler(gated.handler);
+    queue.start({ concurrency: 1, maxSize: 10, highWaterMark: 3, lowWaterMark: 1 });
+
+    [1, 2, 3].forEach(n => queue.enqueue(message('A', n)));
+    assert.strictEqual(queue.whenWritable(), null);
+    queue.enqueue(message('A', 4));
+
+    let resumed = false;
+    queue.whenWritable().then(() => { resumed = true; });
+    assert.strictEqual(queue.getStats().paused, true);
+
+    await gated.releaseAll();
+    assert.strictEqual(resumed, true);
+    assert.strictEqual(queue.getStats().pauses, 1);
+  });
+
+  it('should reject unknown policies', () => {
+    queue.setHandler(async () => {});
+    assert.throws(() => queue.start({ policy: 'block' }), /Unknown policy/);
+  });
+});
@@ -0,0 +1,123 @@
+const assert = require('assert');
+const EventBus = require('../src/core/EventBus');
+const ApiServer = require('../src/modules/api/ApiServer');
+const MessageDeduplicator = require('../src/modules/normalizer/MessageDeduplicator');
+const MessagePipeline = require('../src/modules/normalizer/MessagePipeline');
+const ParserRegistry = require('../src/modules/normalizer/ParserRegistry');
+const UnifyNormalizer = require('../src/modules/normalizer/UnifyNormalizer');
+
+/**
+ * Create a V6800 door message
+ * @param {number} uuid - uuid_number (messageId)
+ * @param {string} gatewaySn - Device ID
+ * @returns {Buffer} Raw message
+ */
+const doorMessage = (uuid, gatewaySn = '2123456789') => Buffer.from(JSON.stringify({
+  msg_type: 'door_state_changed_notify_req',
+  gateway_sn: gatewaySn,
+  uuid_number: uuid,
+  data: [{ extend_module_sn: '3963041727', host_gateway_port_index: 2, new_state: 1 }]
+}));
+
+describe('MessageDeduplicator', () => {
+  const parsed = (deviceId, messageId) => ({ deviceType: 'V5008', deviceId, messageId, messageType: 'HEARTBEAT' });
+
+  it('should flag a remembered messageId of the same device only', () => {
+    const deduplicator = new MessageDeduplicator();
+    deduplicator.remember(parsed('2437871205', '16846659'));
+
+    assert.strictEqual(deduplicator.isDuplicate(parsed('2437871205', '16846659')), true);
+    assert.strictEqual(deduplicator.isDuplicate(parsed('2437871206', '16846659')), false);
+    assert.strictEqual(deduplicator.isDuplicate(parsed('2437871205', '16846660')), false);
+    assert.deepStrictEqual(deduplicator.getStats().byDeviceType, { V5008: 1 });
+  });
+
+  it('should forget the oldest messageIds beyond the window size', () => {
+    const deduplicator = new MessageDeduplicator({ windowSize: 2 });
+    ['1', '2', '3'].forEach(id => deduplicator.remember(parsed('2437871205', id)));
+
+    assert.strictEqual(deduplicator.isDuplicate(parsed('2437871205', '1')), false);
+    assert.strictEqual(deduplicator.isDuplicate(parsed('2437871205', '3')), true);
+  });
+
+  it('should pass everything through when disabled or without messageId', () => {
+    const disabled = new MessageDeduplicator({ enabled: false });
+    disabled.remember(parsed('2437871205', '1'));
+    assert.strictEqual(disabled.isDuplicate(parsed('2437871205', '1')), false);
+
+    const deduplicator = new MessageDeduplicator();
+    deduplicator.remember(parsed('2437871205', null));
+    assert.strictEqual(deduplicator.isDuplicate(parsed('2437871205', null)), false);
+  });
+
+  describe('Pipeline', () => {
+    let pipeline;
+    let deduplicator;
+    let failed;
+
+    beforeEach(() => {
+      deduplicator = new MessageDeduplicator();
+      pipeline = new MessagePipeline({
+        parserRegistry: new ParserRegistry(),
+        deduplicator,
+        normalizer: new UnifyNormalizer()
+      });
+      failed = [];
+      EventBus.on('message.failed', failure => failed.push(failure));
+      EventBus.on('data.normalized', () => {});
+    });
+
+    afterEach(() => {
+      EventBus.removeAllListeners('message.failed');
+      EventBus.removeAllListeners('data.normalized');
+    });
+
+    it('should drop a redelivered message without reporting a failure', async () => {
+      const topic = 'V6800Upload/2123456789/Door';
+
+      assert.strictEqual((await pipeline.process(topic, doorMessage(333321551))).length, 1);
+      const redelivery = await pipeline.run(topic, doorMessage(333321551));
+      assert.strictEqual((await pipeline.process(topic, doorMessage(333321552))).length, 1);
+
+      assert.strictEqual(redelivery.duplicate, true);
+      assert.strictEqual(redelivery.normalizedData.length, 0);
+      assert.strictEqual(failed.length, 0);
+      assert.strictEqual(deduplicator.getStats().duplicates, 1);
+    });
+
+    it('should pass V6800 messages without uuid_number through', async () => {
+      const topic = 'V6800Upload/2123456789/Door';
+
+      const first = await pipeline.run(topic, doorMessage());
+      const second = await pipeline.run(topic, doorMessage());
+
+      assert.strictEqual(first.normalizedData.length, 1);
+      assert.strictEqual(second.duplicate, false);
+      assert.strictEqual(second.normalizedData.length, 1);
+      assert.strictEqual(deduplicator.getStats().duplicates, 0);
+    });
+  });
+
+  describe('Health output', () => {
+    it('should expose duplicate counts in /health', async () => {
+      const deduplicator = new MessageDeduplicator();
+      deduplicator.remember(parsed('2437871205', '1'));
+      deduplicator.isDuplicate(parsed('2437871205', '1'));
+
+      const apiServer = new ApiServer();
+      apiServer.setDeduplicator(deduplicator);
+      const server = await new Promise(resolve => {
+        const listening = apiServer.app.listen(0, '127.0.0.1', () => resolve(listening));
+      });
+
+      try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/health`);
+        const body = await response.json();
+        assert.strictEqual(body.deduplication.duplicates, 1);
+        assert.strictEqual(body.deduplication.windowSize, 100);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
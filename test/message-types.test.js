@@ -0,0 +1,71 @@
+const assert = require('assert');
+const ParserRegistry = require('../src/modules/normalizer/ParserRegistry');
+const UnifyNormalizer = require('../src/modules/normalizer/UnifyNormalizer');
+const V5008Parser = require('../src/modules/normalizer/parsers/V5008Parser');
+const { MessageTypes, getMessageTypes, isKnownMessageType } = require('../src/modules/normalizer/MessageTypes');
+
+describe('MessageTypes contract', () => {
+  let normalizer;
+
+  beforeEach(() => {
+    normalizer = new UnifyNormalizer();
+  });
+
+  it('should expose canonical types per device family', () => {
+    assert.strictEqual(MessageTypes.V5008.LABEL_STATE, 'LABEL_STATE');
+    assert(getMessageTypes('V6800').includes('INIT'));
+    assert.deepStrictEqual(getMessageTypes('V9999'), []);
+    assert.strictEqual(isKnownMessageType('V5008', 'LabelState'), false);
+  });
+
+  it('should resolve V5008 frames to canonical types', () => {
+    const parser = new V5008Parser();
+    const resolve = (hex, suffix = 'OpeAck') => parser.resolveMessageType(Buffer.from(hex, 'hex'), suffix);
+
+    assert.strictEqual(resolve('CC01'), 'HEARTBEAT');
+    assert.strictEqual(resolve('BB02', 'LabelState'), 'LABEL_STATE');
+    assert.strictEqual(resolve('BA01'), 'DOOR_STATE');
+    assert.strictEqual(resolve('AA91'), 'OPE_ACK');
+    assert.strictEqual(resolve('EF01'), 'DEVICE_INFO');
+    assert.strictEqual(resolve('EF02'), 'MODULE_INFO');
+    assert.strictEqual(resolve('01EC', 'TemHum'), 'TEM_HUM');
+    assert.strictEqual(resolve('01EC', 'Noise'), 'NOISE');
+    assert.strictEqual(resolve('0102', 'Unknown'), null);
+  });
+
+  it('should report parser message types without a normalizer handler', () => {
+    const registry = new ParserRegistry();
+    const report = registry.checkCoverage(normalizer);
+
+    const missing = report.gaps.map(gap => `${gap.deviceType}:${gap.messageType}`);
+    assert.deepStrictEqual(missing, []);
+    assert.strictEqual(report.complete, true);
+  });
+
+  it('should diff V5008 RFID frames end to end', async () => {
+    const parser = new V5008Parser();
+    const parsed = parser.parse(
+      'V5008Upload/2437871205/LabelState',
+      Buffer.from('BB028C090995000C030A00DD344A440B00DD2862B40C00DD3CE9C4050007AD', 'hex')
+    );
+
+    const result = await normalizer.normalize(parsed);
+
+    const attached = result.filter(r => r.type === 'SYS_RFID_EVENT');
+    assert.strictEqual(attached.length, 3);
+    assert(attached.every(r => r.identity.modAddr === 2));
+    assert(result.some(r => r.type === 'SYS_RFID_SNAPSHOT'));
+  });
+
+  it('should normalize V5008 door frames end to end', async () => {
+    const parser = new V5008Parser();
+    const parsed = parser.parse('V5008Upload/2437871205/OpeAck', Buffer.from('BA01EC3737BF010B01C7F8', 'hex'));
+
+    const result = await normalizer.normalize(parsed);
+
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0].type, 'SYS_STATE_CHANGE');
+    assert.strictEqual(result[0].payload.key, 'door_state');
+    assert.strictEqual(result[0].payload.value, 1);
+  });
+});
@@ -22,7 +22,7 @@ describe('UnifyNormalizer', () => {
         message: "BB028C090995000C030A00DD344A440B00DD2862B40C00DD3CE9C4050007AD",
         deviceType: "V5008",
         deviceId: "2437871205",
-        messageType: "LabelState",
+        messageType: "LABEL_STATE",
         messageId: "83891437",
         ts: "2025-01-01T10:00:00.000Z",
         modAddr: 2,
@@ -193,7 +193,7 @@ describe('UnifyNormalizer', () => {
         topic: "V5008Upload/2437871205/TemHum",
         deviceType: "V5008",
         deviceId: "2437871205",
-        messageType: "TemHum",
+        messageType: "TEM_HUM",
         messageId: "16846659",
         ts: "2025-01-01T10:00:00.000Z",
         modAddr: 1,
@@ -252,9 +252,9 @@ describe('UnifyNormalizer', () => {
 
       const result = await normalizer.normalize(tempHumMessage);
       
-      // Should generate 3 telemetry objects (1 temp + 1 hum + 1 temp=0)
+      // Should generate 4 telemetry objects (2 temp + 2 hum, zero readings are kept)
       const telemetryEvents = result.filter(r => r.type === 'SYS_TELEMETRY');
-      assert.strictEqual(telemetryEvents.length, 3);
+      assert.strictEqual(telemetryEvents.length, 4);
       
       // Check temperature events
       const tempEvents = telemetryEvents.filter(r => r.payload.key === 'temperature');
@@ -268,42 +268,90 @@ describe('UnifyNormalizer', () => {
       assert.strictEqual(humEvents[0].payload.value, 53.79);
       assert.strictEqual(humEvents[0].identity.sensorAddr, 10);
     });
+
+    describe('Derived Metrics', () => {
+      const tempHumMessage = {
+        topic: "V5008Upload/2437871205/TemHum",
+        deviceType: "V5008",
+        deviceId: "2437871205",
+        messageType: "TEM_HUM",
+        messageId: "16846659",
+        ts: "2025-01-01T10:00:00.000Z",
+        modAddr: 1,
+        modId: "3963041727",
+        sensors: [
+          { sensorAddr: 10, temp: 22, hum: 45 },
+          { sensorAddr: 11, temp: 24, hum: 45 },
+          { sensorAddr: 12, temp: null, hum: null },
+          { sensorAddr: 13, temp: 31.5, hum: 30 },
+          { sensorAddr: 14, temp: 0, hum: 0 },
+          { sensorAddr: 15, temp: null, hum: null }
+        ]
+      };
+
+      it('should emit no derived metrics unless enabled', async () => {
+        const result = await normalizer.normalize(tempHumMessage);
+        assert.ok(result.every(r => r.payload.key === 'temperature' || r.payload.key === 'humidity'));
+      });
+
+      it('should emit dew point, absolute humidity, heat index and the front-to-back delta', async () => {
+        normalizer = new UnifyNormalizer({
+          derivedMetrics: { enabled: true, frontSensors: [10, 11, 12], backSensors: [13, 14, 15] }
+        });
+
+        const result = await normalizer.normalize(tempHumMessage);
+        const derived = result.filter(r => r.payload.raw.derived);
+
+        // 3 sensors with humidity x 3 metrics + 1 module delta
+        assert.strictEqual(derived.length, 10);
+        assert.deepStrictEqual(
+          derived.filter(r => r.payload.key === 'dew_point').map(r => r.identity.sensorAddr),
+          [10, 11, 13]
+        );
+
+        const delta = derived.find(r => r.payload.key === 'temperature_delta');
+        assert.strictEqual(delta.identity.sensorAddr, 0);
+        assert.strictEqual(delta.identity.modAddr, 1);
+        assert.strictEqual(delta.payload.value, 8.5);
+        assert.strictEqual(delta.payload.raw.front, 23);
+      });
+
+      it('should emit only the configured metrics', async () => {
+        normalizer = new UnifyNormalizer({ derivedMetrics: { enabled: true, metrics: ['dew_point'] } });
+
+        const result = await normalizer.normalize(tempHumMessage);
+        assert.deepStrictEqual(
+          [...new Set(result.filter(r => r.payload.raw.derived).map(r => r.payload.key))],
+          ['dew_point']
+        );
+        assert.throws(() => new UnifyNormalizer({ derivedMetrics: { enabled: true, metrics: ['wind_chill'] } }), /wind_chill/);
+      });
+    });
   });
 
   describe('Heartbeat Processing', () => {
-    it('should process V5008 heartbeat metadata', async () => {
+    it('should report V5008 heartbeats without power telemetry', async () => {
       const heartbeatMessage = {
         topic: "V5008Upload/2437871205/OpeAck",
         deviceType: "V5008",
         deviceId: "2437871205",
-        messageType: "OpeAck",
+        messageType: "HEARTBEAT",
         messageId: "4060092047",
         ts: "2025-01-01T10:00:00.000Z",
-        meta: {
-          voltage: 23.89,
-          current: 5.70,
-          mainPower: true,
-          backupPower: false
-        }
+        modules: [
+          { modAddr: 1, modId: "3963041727", uTotal: 6 },
+          { modAddr: 2, modId: "2349402517", uTotal: 12 }
+        ]
       };
 
       const result = await normalizer.normalize(heartbeatMessage);
-      
-      // Should generate 3 telemetry + 1 lifecycle events
-      const telemetryEvents = result.filter(r => r.type === 'SYS_TELEMETRY');
-      assert.strictEqual(telemetryEvents.length, 2);
-      
-      // Check voltage event
-      const voltageEvent = telemetryEvents.find(r => r.payload.key === 'voltage');
-      assert.strictEqual(voltageEvent.payload.value, 23.89);
-      
-      // Check current event
-      const currentEvent = telemetryEvents.find(r => r.payload.key === 'current');
-      assert.strictEqual(currentEvent.payload.value, 5.70);
-      
-      // Check lifecycle event
-      const lifecycleEvent = result.find(r => r.type === 'SYS_LIFECYCLE');
-      assert.strictEqual(lifecycleEvent.payload.value, 'online');
+
+      // V5008 does not measure power, so only the heartbeat itself is reported
+      assert.strictEqual(result.length, 1);
+      assert.strictEqual(result[0].type, 'SYS_LIFECYCLE');
+      assert.strictEqual(result[0].payload.key, 'heartbeat');
+      assert.strictEqual(result[0].payload.value, null);
+      assert.strictEqual(result[0].payload.raw.moduleCount, 2);
     });
 
     it('should process V6800 heartbeat metadata', async () => {
@@ -329,9 +377,10 @@ describe('UnifyNormalizer', () => {
       const telemetryEvents = result.filter(r => r.type === 'SYS_TELEMETRY');
       assert.strictEqual(telemetryEvents.length, 2);
       
-      // Check lifecycle event
+      // Check heartbeat (online/offline is reported by the PresenceTracker)
       const lifecycleEvent = result.find(r => r.type === 'SYS_LIFECYCLE');
-      assert.strictEqual(lifecycleEvent.payload.value, 'online');
+      assert.strictEqual(lifecycleEvent.payload.key, 'heartbeat');
+      assert.strictEqual(lifecycleEvent.payload.value, 'main_power');
     });
   });
 
@@ -367,6 +416,56 @@ describe('UnifyNormalizer', () => {
     });
   });
 
+  describe('V6800 Multi-Module Processing', () => {
+    it('should produce telemetry per module from parsed TemHum messages', async () => {
+      const parsed = v6800Parser.parse('V6800Upload/2123456789/TemHum', JSON.stringify({
+        msg_type: 'temper_humidity_exception_nofity_req',
+        gateway_sn: '2123456789',
+        uuid_number: 685205293,
+        data: [
+          {
+            host_gateway_port_index: 1,
+            extend_module_sn: '3963041726',
+            th_data: [{ temper_position: 10, temper_swot: 24.5, hygrometer_swot: 40.1 }]
+          },
+          {
+            host_gateway_port_index: 2,
+            extend_module_sn: '3963041727',
+            th_data: [{ temper_position: 11, temper_swot: 28.79, hygrometer_swot: 53.79 }]
+          }
+        ]
+      }));
+
+      const result = await normalizer.normalize(parsed);
+
+      assert.strictEqual(result.length, 4);
+      const module2Temp = result.find(r => r.identity.modAddr === 2 && r.payload.key === 'temperature');
+      assert.strictEqual(module2Temp.type, 'SYS_TELEMETRY');
+      assert.strictEqual(module2Temp.identity.sensorAddr, 11);
+      assert.strictEqual(module2Temp.payload.value, 28.79);
+      assert.strictEqual(module2Temp.payload.raw.modId, '3963041727');
+    });
+
+    it('should produce a door state change per module from parsed Door messages', async () => {
+      const parsed = v6800Parser.parse('V6800Upload/2123456789/Door', JSON.stringify({
+        msg_type: 'door_state_changed_notify_req',
+        gateway_sn: '2123456789',
+        uuid_number: 333321551,
+        data: [
+          { extend_module_sn: '3963041726', host_gateway_port_index: 1, new_state: 0 },
+          { extend_module_sn: '3963041727', host_gateway_port_index: 2, new_state: 1 }
+        ]
+      }));
+
+      const result = await normalizer.normalize(parsed);
+
+      assert.deepStrictEqual(
+        result.map(r => [r.type, r.identity.modAddr, r.payload.value]),
+        [['SYS_STATE_CHANGE', 1, 0], ['SYS_STATE_CHANGE', 2, 1]]
+      );
+    });
+  });
+
   describe('V6800 Init Processing', () => {
     it('should split init message into device and module info', async () => {
       const initMessage = {
@@ -409,6 +508,257 @@ describe('UnifyNormalizer', () => {
     });
   });
 
+  describe('Topology Change Detection', () => {
+    const heartbeat = (modules) => ({
+      topic: "V5008Upload/2437871205/OpeAck",
+      deviceType: "V5008",
+      deviceId: "2437871205",
+      messageType: "HEARTBEAT",
+      messageId: "4060092047",
+      ts: "2025-01-01T10:00:00.000Z",
+      modules
+    });
+
+    const changes = (result) => result
+      .filter(r => r.type === 'SYS_DEVICE_INFO')
+      .map(r => `${r.identity.modAddr}:${r.payload.value}`)
+      .sort();
+
+    it('should only set the topology shadow on the first heartbeat', async () => {
+      const result = await normalizer.normalize(heartbeat([{ modAddr: 1, modId: "3963041727", uTotal: 6 }]));
+
+      assert.deepStrictEqual(changes(result), []);
+      assert.deepStrictEqual(normalizer.getTopology("2437871205"), [{ modAddr: 1, modId: "3963041727", uTotal: 6 }]);
+    });
+
+    it('should report added, removed, replaced and resized modules', async () => {
+      await normalizer.normalize(heartbeat([
+        { modAddr: 1, modId: "3963041727", uTotal: 6 },
+        { modAddr: 2, modId: "2349402517", uTotal: 12 },
+        { modAddr: 3, modId: "1111111111", uTotal: 6 }
+      ]));
+
+      const result = await normalizer.normalize(heartbeat([
+        { modAddr: 1, modId: "3963041727", uTotal: 12 },
+        { modAddr: 2, modId: "2222222222", uTotal: 12 },
+        { modAddr: 4, modId: "4444444444", uTotal: 6 }
+      ]));
+
+      assert.deepStrictEqual(changes(result), ['1:uTotal_changed', '2:module_replaced', '3:module_removed', '4:module_added']);
+
+      const replaced = result.find(r => r.payload.value === 'module_replaced');
+      assert.strictEqual(replaced.payload.raw.modId, "2222222222");
+      assert.deepStrictEqual(replaced.payload.raw.previous, { modId: "2349402517", uTotal: 12 });
+    });
+
+    describe('from V5008 heartbeat frames', () => {
+      // Spec heartbeat: modules at slots 1 and 2, slots 3-10 empty (modId 0, uTotal 0)
+      const frame = "CC01EC3737BF06028C0909950C0300000000000400000000000500000000000600000000000700000000000800000000000900000000000A0000000000F200168F";
+      const parse = (hex) => v5008Parser.parse("V5008Upload/2437871205/OpeAck", Buffer.from(hex, 'hex'));
+
+      it('should report a module removed from its slot', async () => {
+        await normalizer.normalize(parse(frame));
+        await normalizer.stateCache.set("2437871205", 2, new Map([[1, { tagId: "DD344A44", alarmStatus: 0 }]]));
+
+        const result = await normalizer.normalize(parse(frame.replace("028C0909950C", "020000000000")));
+
+        assert.deepStrictEqual(changes(result), ['2:module_removed']);
+        assert.strictEqual(result.filter(r => r.type === 'SYS_REQUIRE_SYNC').length, 0);
+        assert.strictEqual(await normalizer.stateCache.has("2437871205", 2), false);
+      });
+
+      it('should report a module added to an empty slot', async () => {
+        await normalizer.normalize(parse(frame));
+
+        const result = await normalizer.normalize(parse(frame.replace("030000000000", "034224D7B106")));
+
+        assert.deepStrictEqual(changes(result), ['3:module_added']);
+        assert.strictEqual(result.filter(r => r.type === 'SYS_REQUIRE_SYNC').length, 0);
+        const added = result.find(r => r.payload.value === 'module_added');
+        assert.strictEqual(added.payload.raw.modId, "1109710769");
+        assert.strictEqual(added.payload.raw.uTotal, 6);
+      });
+    });
+
+    it('should invalidate the RFID shadow of a replaced module and require a resync', async () => {
+      await normalizer.normalize(heartbeat([{ modAddr: 1, modId: "3963041727", uTotal: 6 }]));
+      await normalizer.stateCache.set("2437871205", 1, new Map([[1, { tagId: "DD344A44", alarmStatus: 0 }]]));
+
+      const result = await normalizer.normalize(heartbeat([{ modAddr: 1, modId: "2222222222", uTotal: 6 }]));
+
+      assert.strictEqual(await normalizer.stateCache.has("2437871205", 1), false);
+      const sync = result.find(r => r.type === 'SYS_REQUIRE_SYNC');
+      assert.strictEqual(sync.identity.modAddr, 1);
+      assert.strictEqual(sync.payload.value.reason, 'module_replaced');
+    });
+  });
+
+  describe('U-Level Alarms', () => {
+    const labelState = (items, ts) => ({
+      topic: "V5008Upload/2437871205/LabelState",
+      deviceType: "V5008",
+      deviceId: "2437871205",
+      messageType: "LABEL_STATE",
+      messageId: "83891437",
+      ts,
+      modAddr: 2,
+      modId: "2349402517",
+      uTotal: 12,
+      onlineCount: items.length,
+      items
+    });
+
+    const alarms = (result) => result
+      .filter(r => r.type === 'SYS_ALARM_EVENT')
+      .map(r => `${r.identity.sensorAddr}:${r.payload.value.action}:${r.payload.raw.clearedBy || ''}`);
+
+    it('should report an alarm raised and cleared on a tag that stays in place', async () => {
+      await normalizer.stateCache.set("2437871205", 2, new Map([[10, { tagId: "DD344A44", alarmStatus: 0 }]]));
+
+      const raised = await normalizer.normalize(labelState(
+        [{ uPos: 10, alarmStatus: 1, tagId: "DD344A44" }], "2025-01-01T10:00:00.000Z"
+      ));
+      assert.deepStrictEqual(alarms(raised), ['10:alarm_raised:']);
+      assert.strictEqual(raised.filter(r => r.type === 'SYS_RFID_EVENT').length, 0);
+
+      const event = raised.find(r => r.type === 'SYS_ALARM_EVENT');
+      assert.strictEqual(event.payload.key, 'u_alarm');
+      assert.deepStrictEqual(event.payload.value, {
+        action: 'alarm_raised', tagId: "DD344A44", uPos: 10, alarmStatus: 1, previousStatus: 0
+      });
+
+      const cleared = await normalizer.normalize(labelState(
+        [{ uPos: 10, alarmStatus: 0, tagId: "DD344A44" }], "2025-01-01T10:01:00.000Z"
+      ));
+      assert.deepStrictEqual(alarms(cleared), ['10:alarm_cleared:device']);
+    });
+
+    it('should update a raised alarm whose status changes without raising it again', async () => {
+      await normalizer.stateCache.set("2437871205", 2, new Map([[10, { tagId: "DD344A44", alarmStatus: 1 }]]));
+
+      const result = await normalizer.normalize(labelState(
+        [{ uPos: 10, alarmStatus: 2, tagId: "DD344A44" }], "2025-01-01T10:00:00.000Z"
+      ));
+
+      assert.deepStrictEqual(alarms(result), ['10:alarm_updated:']);
+      assert.deepStrictEqual(result.find(r => r.type === 'SYS_ALARM_EVENT').payload.value, {
+        action: 'alarm_updated', tagId: "DD344A44", uPos: 10, alarmStatus: 2, previousStatus: 1
+      });
+    });
+
+    it('should clear the alarm of a tag replaced at its position', async () => {
+      await normalizer.stateCache.set("2437871205", 2, new Map([
+        [10, { tagId: "DD344A44", alarmStatus: 1 }],
+        [11, { tagId: "DD2862B4", alarmStatus: 0 }]
+      ]));
+
+      const result = await normalizer.normalize(labelState([
+        { uPos: 10, alarmStatus: 0, tagId: "DD3CE9C4" },
+        { uPos: 11, alarmStatus: 1, tagId: "DD23B0B4" }
+      ], "2025-01-01T10:00:00.000Z"));
+
+      assert.deepStrictEqual(alarms(result), ['10:alarm_cleared:detached', '11:alarm_raised:']);
+      const [cleared, raised] = result.filter(r => r.type === 'SYS_ALARM_EVENT');
+      assert.strictEqual(cleared.payload.value.tagId, "DD344A44");
+      assert.strictEqual(raised.payload.value.tagId, "DD23B0B4");
+    });
+
+    it('should clear the alarm of a V6800 tag attached over it', async () => {
+      await normalizer.stateCache.set("2123456789", 2, new Map([[3, { tagId: "DD23B0B4", alarmStatus: 1 }]]));
+
+      const result = await normalizer.normalize({
+        topic: "V6800Upload/2123456789/LabelState",
+        deviceType: "V6800",
+        deviceId: "2123456789",
+        messageType: "LABEL_STATE",
+        ts: "2025-01-01T10:00:00.000Z",
+        data: [{
+          modAddr: 2,
+          modId: "3963041727",
+          items: [{ uPos: 3, alarmStatus: 0, tagId: "DD567890", action: "attached" }]
+        }]
+      });
+
+      assert.deepStrictEqual(alarms(result), ['3:alarm_cleared:detached']);
+      assert.strictEqual(result.find(r => r.type === 'SYS_ALARM_EVENT').payload.value.tagId, "DD23B0B4");
+    });
+
+    it('should clear the alarm of a detached tag', async () => {
+      await normalizer.stateCache.set("2437871205", 2, new Map([[10, { tagId: "DD344A44", alarmStatus: 1 }]]));
+
+      const result = await normalizer.normalize(labelState([], "2025-01-01T10:00:00.000Z"));
+
+      assert.deepStrictEqual(alarms(result), ['10:alarm_cleared:detached']);
+    });
+
+    it('should report V6800 alarm changes of unchanged tags and patch the shadow', async () => {
+      await normalizer.stateCache.set("2123456789", 2, new Map([[3, { tagId: "DD23B0B4", alarmStatus: 0 }]]));
+
+      const result = await normalizer.normalize({
+        topic: "V6800Upload/2123456789/LabelState",
+        deviceType: "V6800",
+        deviceId: "2123456789",
+        messageType: "LABEL_STATE",
+        ts: "2025-01-01T10:00:00.000Z",
+        data: [{
+          modAddr: 2,
+          modId: "3963041727",
+          items: [{ uPos: 3, alarmStatus: 1, tagId: "DD23B0B4", action: null }]
+        }]
+      });
+
+      assert.deepStrictEqual(alarms(result), ['3:alarm_raised:']);
+      assert.strictEqual(result.filter(r => r.type === 'SYS_RFID_EVENT').length, 0);
+      const snapshot = result.find(r => r.type === 'SYS_RFID_SNAPSHOT');
+      assert.strictEqual(snapshot.payload.value.items[0].alarmStatus, 1);
+    });
+
+    it('should close alarms cleared by a V5008 E2 command', async () => {
+      await normalizer.stateCache.set("2437871205", 2, new Map([
+        [10, { tagId: "DD344A44", alarmStatus: 1 }],
+        [11, { tagId: "DD2862B4", alarmStatus: 1 }]
+      ]));
+
+      const result = await normalizer.normalize({
+        topic: "V5008Upload/2437871205/OpeAck",
+        deviceType: "V5008",
+        deviceId: "2437871205",
+        messageType: "OPE_ACK",
+        messageId: "1234",
+        ts: "2025-01-01T10:00:00.000Z",
+        result: "Success",
+        originalReq: "E2020A"
+      });
+
+      assert.deepStrictEqual(alarms(result), ['10:alarm_cleared:command']);
+      assert.strictEqual(result.find(r => r.type === 'SYS_STATE_CHANGE').payload.value, 1);
+      const shadow = await normalizer.stateCache.get("2437871205", 2);
+      assert.strictEqual(shadow.get(10).alarmStatus, 0);
+      assert.strictEqual(shadow.get(11).alarmStatus, 1);
+    });
+
+    it('should close the alarms of a module cleared by V6800 clear_u_warning', async () => {
+      await normalizer.stateCache.set("2123456789", 2, new Map([
+        [3, { tagId: "DD23B0B4", alarmStatus: 1 }],
+        [5, { tagId: "DD567890", alarmStatus: 1 }]
+      ]));
+
+      const ack = (result) => ({
+        topic: "V6800Upload/2123456789/OpeAck",
+        deviceType: "V6800",
+        deviceId: "2123456789",
+        messageType: "OPE_ACK",
+        rawMessageType: "clear_u_warning",
+        messageId: "775199553",
+        ts: "2025-01-01T10:00:00.000Z",
+        data: [{ modAddr: 2, modId: "3963041727", result }]
+      });
+
+      assert.deepStrictEqual(alarms(await normalizer.normalize(ack('Failure'))), []);
+      assert.deepStrictEqual(alarms(await normalizer.normalize(ack('Success'))), ['3:alarm_cleared:command', '5:alarm_cleared:command']);
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle invalid parsed data gracefully', async () => {
       const invalidData = { invalid: 'data' };
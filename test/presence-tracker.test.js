@@ -0,0 +1,179 @@
+const assert = require('assert');
+const Database = require('../src/core/Database');
+const EventBus = require('../src/core/EventBus');
+const ApiServer = require('../src/modules/api/ApiServer');
+const ParserRegistry = require('../src/modules/normalizer/ParserRegistry');
+const PresenceTracker = require('../src/modules/presence/PresenceTracker');
+
+describe('PresenceTracker', () => {
+  let tracker;
+  let statuses;
+
+  /**
+   * Create an MQTT message of a device
+   * @param {string} topic - MQTT topic
+   * @returns {Object} MQTT message
+   */
+  const message = (topic) => ({ topic, message: Buffer.alloc(0) });
+
+  beforeEach(async () => {
+    tracker = new PresenceTracker();
+    tracker.setParserRegistry(new ParserRegistry());
+    await tracker.start({ heartbeatIntervalMs: 1000, missedHeartbeats: 3, checkIntervalMs: 60000 });
+
+    statuses = [];
+    EventBus.on('data.normalized', items => items.forEach(item => statuses.push(
+      `${item.identity.deviceId}:${item.payload.value}`
+    )));
+  });
+
+  afterEach(() => {
+    tracker.stop();
+    EventBus.removeAllListeners('mqtt.message');
+    EventBus.removeAllListeners('data.normalized');
+  });
+
+  it('should report a device online when first seen', () => {
+    tracker.handleMessage(message('V5008Upload/2437871205/OpeAck'), 0);
+    tracker.handleMessage(message('V5008Upload/2437871205/LabelState'), 500);
+
+    assert.deepStrictEqual(statuses, ['2437871205:online']);
+    const device = tracker.getDevice('2437871205');
+    assert.strictEqual(device.deviceType, 'V5008');
+    assert.strictEqual(device.lastSeen, new Date(500).toISOString());
+  });
+
+  it('should report a device offline after the missed heartbeats and online when it returns', () => {
+    tracker.handleMessage(message('V6800Upload/2123456789/HeartBeat'), 0);
+
+    assert.deepStrictEqual(tracker.sweep(2999), []);
+    assert.deepStrictEqual(tracker.sweep(3000), ['2123456789']);
+    assert.deepStrictEqual(tracker.sweep(9000), []); // Reported once
+
+    tracker.handleMessage(message('V6800Upload/2123456789/HeartBeat'), 10000);
+
+    assert.deepStrictEqual(statuses, ['2123456789:online', '2123456789:offline', '2123456789:online']);
+    assert.strictEqual(tracker.getStats().wentOffline, 1);
+    assert.strictEqual(tracker.getStats().cameOnline, 1);
+  });
+
+  it('should publish offline transitions as SYS_LIFECYCLE device_status', () => {
+    const published = [];
+    EventBus.on('data.normalized', items => published.push(...items));
+
+    tracker.handleMessage(message('V6800Upload/2123456789/HeartBeat'), 0);
+    tracker.sweep(5000);
+
+    const offline = published[published.length - 1];
+    assert.strictEqual(offline.type, 'SYS_LIFECYCLE');
+    assert.deepStrictEqual(offline.identity, {
+      deviceId: '2123456789', deviceType: 'V6800', modAddr: 0, sensorAddr: 0
+    });
+    assert.strictEqual(offline.payload.key, 'device_status');
+    assert.strictEqual(offline.payload.value, 'offline');
+    assert.strictEqual(offline.payload.raw.lastSeen, new Date(0).toISOString());
+  });
+
+  it('should ignore topics no parser handles', () => {
+    tracker.handleMessage(message('Unknown/123/Status'), 0);
+
+    assert.strictEqual(tracker.getStats().devices, 0);
+    assert.deepStrictEqual(statuses, []);
+  });
+
+  describe('Stored devices', () => {
+    const originalGetKnex = Database.getKnex;
+    const originalIsConnectionActive = Database.isConnectionActive;
+    let restarted;
+
+    beforeEach(async () => {
+      const rows = [
+        {
+          device_id: '2437871205',
+          device_type: 'V5008',
+          state_type: 'SYS_LIFECYCLE',
+          json_value: JSON.stringify({ key: 'heartbeat', value: null, raw: { moduleCount: 2 } }),
+          timestamp: '2025-01-01T10:00:00.000Z'
+        },
+        {
+          device_id: '2437871205',
+          device_type: 'V5008',
+          state_type: 'SYS_RFID_SNAPSHOT',
+          json_value: JSON.stringify({ key: 'rfid_snapshot', value: { modId: '3963041727', items: [] } }),
+          timestamp: new Date('2025-01-01T10:00:30.000Z')
+        },
+        {
+          device_id: '2123456789',
+          device_type: 'V6800',
+          state_type: 'SYS_DEVICE_STATUS',
+          json_value: { key: 'device_status', value: 'offline', raw: { lastSeen: '2025-01-01T09:00:00.000Z' } },
+          timestamp: '2025-01-01T09:03:00.000Z'
+        }
+      ];
+
+      Database.isConnectionActive = () => true;
+      Database.getKnex = () => () => ({ select: async () => rows });
+
+      restarted = new PresenceTracker();
+      try {
+        await restarted.start({ heartbeatIntervalMs: 1000, missedHeartbeats: 3, checkIntervalMs: 60000 });
+      } finally {
+        Database.getKnex = originalGetKnex;
+        Database.isConnectionActive = originalIsConnectionActive;
+      }
+    });
+
+    afterEach(() => {
+      restarted.stop();
+    });
+
+    it('should report a device that is down at start offline after the timeout', () => {
+      assert.strictEqual(restarted.getDevice('2437871205').status, 'online');
+      assert.deepStrictEqual(restarted.sweep(Date.now()), []);
+      assert.deepStrictEqual(restarted.sweep(Date.now() + 3000), ['2437871205']);
+
+      assert.deepStrictEqual(statuses, ['2437871205:offline']);
+      assert.strictEqual(restarted.getDevice('2437871205').lastSeen, '2025-01-01T10:00:30.000Z');
+    });
+
+    it('should keep a stored offline device offline until it is seen', () => {
+      const device = restarted.getDevice('2123456789');
+      assert.strictEqual(device.status, 'offline');
+      assert.strictEqual(device.lastSeen, '2025-01-01T09:00:00.000Z');
+      assert.strictEqual(device.since, '2025-01-01T09:03:00.000Z');
+
+      restarted.sweep(Date.now() + 3000);
+      restarted.handleMessage(message('V6800Upload/2123456789/HeartBeat'));
+
+      assert.deepStrictEqual(statuses, ['2437871205:offline', '2123456789:online']);
+    });
+  });
+
+  describe('API', () => {
+    it('should list devices filtered by status', async () => {
+      tracker.handleMessage(message('V5008Upload/2437871205/OpeAck'), 0);
+      tracker.handleMessage(message('V6800Upload/2123456789/HeartBeat'), 2500);
+      tracker.sweep(3000);
+
+      const apiServer = new ApiServer();
+      apiServer.setPresenceTracker(tracker);
+      const server = await new Promise(resolve => {
+        const listening = apiServer.app.listen(0, '127.0.0.1', () => resolve(listening));
+      });
+      const base = `http://127.0.0.1:${server.address().port}`;
+
+      try {
+        const offline = await (await fetch(`${base}/presence?status=offline`)).json();
+        assert.strictEqual(offline.count, 1);
+        assert.strictEqual(offline.devices[0].deviceId, '2437871205');
+        assert.strictEqual(offline.online, 1);
+
+        assert.strictEqual((await fetch(`${base}/presence?status=gone`)).status, 400);
+        assert.strictEqual((await fetch(`${base}/presence/2123456789`)).status, 200);
+        assert.strictEqual((await fetch(`${base}/presence/999`)).status, 404);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
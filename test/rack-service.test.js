@@ -0,0 +1,228 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../src/core/Database');
+const EventBus = require('../src/core/EventBus');
+const ApiServer = require('../src/modules/api/ApiServer');
+const AssetRegistry = require('../src/modules/assets/AssetRegistry');
+const RackService = require('../src/modules/racks/RackService');
+
+describe('RackService', () => {
+  let tmpDir;
+  let assetRegistry;
+  let rackService;
+  let topology;
+
+  const snapshot = (deviceId, modAddr, tags) => ({
+    identity: { deviceId, deviceType: 'V5008', modAddr, sensorAddr: 0 },
+    type: 'SYS_RFID_SNAPSHOT',
+    ts: '2025-01-01T10:00:00.000Z',
+    payload: {
+      key: 'rfid_snapshot',
+      value: {
+        modId: `mod-${modAddr}`,
+        items: tags.map(([uPos, tagId]) => ({ uPos, tagId, alarmStatus: 0 }))
+      }
+    }
+  });
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'racks-'));
+    assetRegistry = new AssetRegistry();
+    await assetRegistry.start({ type: 'file', filePath: path.join(tmpDir, 'assets.json') });
+
+    topology = new Map([
+      ['2437871205', [{ modAddr: 1, modId: 'mod-1', uTotal: 12 }, { modAddr: 2, modId: 'mod-2', uTotal: 6 }]]
+    ]);
+    rackService = new RackService();
+    rackService.setNormalizer({ getTopology: deviceId => topology.get(deviceId) || null });
+    rackService.setAssetRegistry(assetRegistry);
+    await rackService.start();
+  });
+
+  afterEach(async () => {
+    rackService.stop();
+    await assetRegistry.stop();
+    EventBus.removeAllListeners('data.normalized');
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should count multi-U assets as occupying several positions', async () => {
+    await assetRegistry.create({ tagId: 'DD344A44', name: 'storage-01', heightU: 3 });
+    rackService.handleNormalizedData([snapshot('2437871205', 1, [[2, 'DD344A44'], [8, 'DD2862B4']])]);
+
+    const occupancy = rackService.getOccupancy('2437871205', 1);
+    assert.strictEqual(occupancy.uTotal, 12);
+    assert.deepStrictEqual(occupancy.occupied, [2, 3, 4, 8]);
+    assert.strictEqual(occupancy.freeU, 8);
+    assert.deepStrictEqual(occupancy.freeBlocks, [
+      { from: 1, to: 1, units: 1 },
+      { from: 5, to: 7, units: 3 },
+      { from: 9, to: 12, units: 4 }
+    ]);
+    assert.strictEqual(occupancy.largestFreeBlock, 4);
+    assert.deepStrictEqual(occupancy.assets.map(asset => `${asset.tagId}:${asset.from}-${asset.to}`), [
+      'DD344A44:2-4',
+      'DD2862B4:8-8'
+    ]);
+    assert.deepStrictEqual(occupancy.conflicts, []);
+    assert.strictEqual(rackService.getOccupancy('2437871205', 3), null);
+  });
+
+  it('should report overlapping assets and ignore positions outside the rack', async () => {
+    await assetRegistry.create({ tagId: 'DD344A44', name: 'storage-01', heightU: 2 });
+    await assetRegistry.create({ tagId: 'DD2862B4', name: 'storage-02', heightU: 4 });
+    rackService.handleNormalizedData([snapshot('2437871205', 2, [[1, 'DD344A44'], [2, 'DD23B0B4'], [5, 'DD2862B4']])]);
+
+    const occupancy = rackService.getOccupancy('2437871205', 2);
+    assert.deepStrictEqual(occupancy.occupied, [1, 2, 5, 6]);
+    assert.deepStrictEqual(occupancy.conflicts, [{ uPos: 2, tagIds: ['DD344A44', 'DD23B0B4'] }]);
+    assert.deepStrictEqual(occupancy.free, [3, 4]);
+  });
+
+  it('should extend assets downwards when configured', async () => {
+    rackService.stop();
+    EventBus.removeAllListeners('data.normalized');
+    await rackService.start({ spanDirection: 'down' });
+
+    await assetRegistry.create({ tagId: 'DD344A44', name: 'storage-01', heightU: 2 });
+    rackService.handleNormalizedData([snapshot('2437871205', 2, [[4, 'DD344A44']])]);
+
+    assert.deepStrictEqual(rackService.getOccupancy('2437871205', 2).occupied, [3, 4]);
+    await assert.rejects(new RackService().start({ spanDirection: 'sideways' }), /spanDirection/);
+  });
+
+  it('should leave free space unknown without a heartbeat and drop removed modules', () => {
+    rackService.handleNormalizedData([
+      snapshot('2437871205', 1, []),
+      snapshot('2123456789', 1, [[1, 'DD344A44']])
+    ]);
+
+    const unknown = rackService.getOccupancy('2123456789', 1);
+    assert.strictEqual(unknown.uTotal, null);
+    assert.strictEqual(unknown.free, null);
+    assert.strictEqual(unknown.occupiedU, 1);
+
+    rackService.handleNormalizedData([{
+      identity: { deviceId: '2437871205', deviceType: 'V5008', modAddr: 1, sensorAddr: 0 },
+      type: 'SYS_DEVICE_INFO',
+      ts: '2025-01-01T10:05:00.000Z',
+      payload: { key: 'topology_change', value: 'module_removed', raw: { modId: null, uTotal: null } }
+    }]);
+    assert.strictEqual(rackService.getOccupancy('2437871205', 1), null);
+  });
+
+  it('should find racks with enough contiguous free space, best fit first', () => {
+    rackService.handleNormalizedData([
+      snapshot('2437871205', 1, [[5, 'DD344A44']]),
+      snapshot('2437871205', 2, [[1, 'DD2862B4']]),
+      snapshot('2123456789', 1, [])
+    ]);
+
+    assert.deepStrictEqual(rackService.searchCapacity(5).map(rack => `${rack.deviceId}:${rack.modAddr}:${rack.bestFit}`), [
+      '2437871205:2:5',
+      '2437871205:1:7'
+    ]);
+    assert.deepStrictEqual(rackService.searchCapacity(6).map(rack => rack.blocks), [[{ from: 6, to: 12, units: 7 }]]);
+    assert.deepStrictEqual(rackService.searchCapacity(8), []);
+  });
+
+  it('should list heartbeat modules without a snapshot as empty racks', () => {
+    rackService.handleNormalizedData([
+      snapshot('2437871205', 1, [[5, 'DD344A44']]),
+      {
+        identity: { deviceId: '2437871205', deviceType: 'V5008', modAddr: 0, sensorAddr: 0 },
+        type: 'SYS_LIFECYCLE',
+        ts: '2025-01-01T10:05:00.000Z',
+        payload: { key: 'heartbeat', value: 'main_power', raw: { moduleCount: 2 } }
+      }
+    ]);
+
+    assert.strictEqual(rackService.getOccupancy('2437871205', 1).occupiedU, 1);
+    const empty = rackService.getOccupancy('2437871205', 2);
+    assert.strictEqual(empty.modId, 'mod-2');
+    assert.strictEqual(empty.deviceType, 'V5008');
+    assert.strictEqual(empty.freeU, 6);
+    assert.deepStrictEqual(rackService.searchCapacity(6).map(rack => `${rack.modAddr}:${rack.bestFit}`), ['2:6', '1:7']);
+  });
+
+  it('should fill the racks from stored snapshots at start', async () => {
+    const originalGetKnex = Database.getKnex;
+    const originalIsConnectionActive = Database.isConnectionActive;
+    const rows = [
+      {
+        device_id: '2437871205',
+        device_type: 'V5008',
+        mod_addr: 1,
+        json_value: JSON.stringify(snapshot('2437871205', 1, [[2, 'DD344A44'], [8, 'DD2862B4']]).payload),
+        timestamp: '2025-01-01T09:00:00.000Z'
+      },
+      {
+        device_id: '2123456789',
+        device_type: 'V6800',
+        mod_addr: 3,
+        json_value: { key: 'rfid_snapshot', value: { modId: 'mod-3', items: [] } },
+        timestamp: new Date('2025-01-01T09:30:00.000Z')
+      }
+    ];
+
+    Database.isConnectionActive = () => true;
+    Database.getKnex = () => () => {
+      const query = {
+        select: () => query,
+        where: async () => rows
+      };
+      return query;
+    };
+
+    const restarted = new RackService();
+    restarted.setNormalizer({ getTopology: deviceId => topology.get(deviceId) || null });
+    try {
+      await restarted.start();
+    } finally {
+      Database.getKnex = originalGetKnex;
+      Database.isConnectionActive = originalIsConnectionActive;
+    }
+
+    const occupancy = restarted.getOccupancy('2437871205', 1);
+    assert.deepStrictEqual(occupancy.occupied, [2, 8]);
+    assert.strictEqual(occupancy.updatedAt, '2025-01-01T09:00:00.000Z');
+    const stored = restarted.getOccupancy('2123456789', 3);
+    assert.strictEqual(stored.deviceType, 'V6800');
+    assert.strictEqual(stored.updatedAt, '2025-01-01T09:30:00.000Z');
+    assert.strictEqual(restarted.getStats().racks, 2);
+    restarted.stop();
+  });
+
+  describe('API', () => {
+    it('should serve occupancy and capacity search', async () => {
+      rackService.handleNormalizedData([snapshot('2437871205', 1, [[1, 'DD344A44']])]);
+
+      const apiServer = new ApiServer();
+      apiServer.setRackService(rackService);
+      const server = await new Promise(resolve => {
+        const listening = apiServer.app.listen(0, '127.0.0.1', () => resolve(listening));
+      });
+      const base = `http://127.0.0.1:${server.address().port}`;
+
+      try {
+        const occupancy = await (await fetch(`${base}/racks/2437871205/1/occupancy`)).json();
+        assert.strictEqual(occupancy.occupiedU, 1);
+        assert.strictEqual(occupancy.freeU, 11);
+        assert.strictEqual((await fetch(`${base}/racks/2437871205/2/occupancy`)).status, 404);
+        assert.strictEqual((await fetch(`${base}/racks/2437871205/x/occupancy`)).status, 400);
+
+        const search = await (await fetch(`${base}/capacity/search?units=10`)).json();
+        assert.strictEqual(search.count, 1);
+        assert.strictEqual(search.racks[0].modAddr, 1);
+        assert.strictEqual((await fetch(`${base}/capacity/search`)).status, 400);
+
+        rackService.stop();
+        assert.strictEqual((await fetch(`${base}/capacity/search?units=1`)).status, 503);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
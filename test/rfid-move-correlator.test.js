@@ -0,0 +1,113 @@
+const assert = require('assert');
+const EventBus = require('../src/core/EventBus');
+const MessagePipeline = require('../src/modules/normalizer/MessagePipeline');
+const ParserRegistry = require('../src/modules/normalizer/ParserRegistry');
+const RfidMoveCorrelator = require('../src/modules/normalizer/RfidMoveCorrelator');
+const UnifyNormalizer = require('../src/modules/normalizer/UnifyNormalizer');
+
+describe('RfidMoveCorrelator', () => {
+  let correlator;
+  let emitted;
+
+  /**
+   * Create an RFID event
+   * @param {string} action - attached / detached
+   * @param {number} modAddr - Module address
+   * @param {number} uPos - U position
+   * @param {string} tagId - Tag ID
+   * @returns {Object} SYS_RFID_EVENT
+   */
+  const rfidEvent = (action, modAddr, uPos, tagId = 'DD344A44') => ({
+    identity: { deviceId: '2437871205', deviceType: 'V5008', modAddr, sensorAddr: uPos },
+    type: 'SYS_RFID_EVENT',
+    ts: '2025-01-01T10:00:00.000Z',
+    payload: { key: 'rfid_event', value: { action, tagId, uPos, alarmStatus: 0 } }
+  });
+
+  const actions = items => items.map(item => `${item.payload.value.action}:${item.identity.modAddr}:${item.payload.value.uPos}`);
+
+  beforeEach(() => {
+    emitted = [];
+    EventBus.on('data.normalized', items => emitted.push(...items));
+  });
+
+  afterEach(() => {
+    correlator.stop();
+    EventBus.removeAllListeners('data.normalized');
+  });
+
+  it('should pair a detach and attach within one message', () => {
+    correlator = new RfidMoveCorrelator();
+
+    const result = correlator.correlate([rfidEvent('attached', 1, 5), rfidEvent('detached', 1, 3)]);
+
+    assert.deepStrictEqual(actions(result), ['moved:1:5']);
+    const { value } = result[0].payload;
+    assert.deepStrictEqual([value.fromModAddr, value.fromUPos, value.toModAddr, value.toUPos], [1, 3, 1, 5]);
+    assert.strictEqual(correlator.getStats().held, 0);
+  });
+
+  it('should pair a detach and a later attach on another module', () => {
+    correlator = new RfidMoveCorrelator({ windowMs: 1000 });
+
+    assert.deepStrictEqual(correlator.correlate([rfidEvent('detached', 1, 3)]), []);
+    const result = correlator.correlate([rfidEvent('attached', 2, 7)]);
+
+    assert.deepStrictEqual(actions(result), ['moved:2:7']);
+    assert.strictEqual(result[0].payload.value.fromModAddr, 1);
+    assert.strictEqual(emitted.length, 0);
+  });
+
+  it('should emit an unmatched detach when the window ends', async () => {
+    correlator = new RfidMoveCorrelator({ windowMs: 20 });
+
+    correlator.correlate([rfidEvent('detached', 1, 3)]);
+    await new Promise(resolve => setTimeout(resolve, 40));
+
+    assert.deepStrictEqual(actions(emitted), ['detached:1:3']);
+    assert.deepStrictEqual(actions(correlator.correlate([rfidEvent('attached', 2, 7)])), ['attached:2:7']);
+  });
+
+  it('should pass a tag reattached at the same position through as detach and attach', () => {
+    correlator = new RfidMoveCorrelator({ windowMs: 1000 });
+
+    assert.deepStrictEqual(correlator.correlate([rfidEvent('detached', 1, 3)]), []);
+    const result = correlator.correlate([rfidEvent('attached', 1, 3)]);
+
+    assert.deepStrictEqual(actions(result), ['detached:1:3', 'attached:1:3']);
+    assert.strictEqual(correlator.getStats().moved, 0);
+    assert.strictEqual(correlator.getStats().reattached, 1);
+    assert.strictEqual(correlator.getStats().held, 0);
+  });
+
+  it('should keep other tags and objects untouched', () => {
+    correlator = new RfidMoveCorrelator({ windowMs: 0 });
+    const snapshot = { identity: { deviceId: '2437871205', modAddr: 1 }, type: 'SYS_RFID_SNAPSHOT', payload: {} };
+
+    const result = correlator.correlate([
+      rfidEvent('detached', 1, 3, 'AAAAAAAA'),
+      rfidEvent('attached', 1, 4, 'BBBBBBBB'),
+      snapshot
+    ]);
+
+    assert.deepStrictEqual(result.map(item => item.payload.value?.action || item.type), ['attached', 'SYS_RFID_SNAPSHOT', 'detached']);
+  });
+
+  it('should report V5008 moves end to end', async () => {
+    correlator = new RfidMoveCorrelator();
+    const pipeline = new MessagePipeline({
+      parserRegistry: new ParserRegistry(),
+      normalizer: new UnifyNormalizer(),
+      moveCorrelator: correlator
+    });
+    const topic = 'V5008Upload/2437871205/LabelState';
+
+    // Tag DD344A44 at uPos 10 of module 2, then at uPos 11
+    await pipeline.process(topic, Buffer.from('BB028C090995000C010A00DD344A44050007AD', 'hex'));
+    const result = await pipeline.process(topic, Buffer.from('BB028C090995000C010B00DD344A44050007AE', 'hex'));
+
+    const events = result.filter(item => item.type === 'SYS_RFID_EVENT');
+    assert.deepStrictEqual(actions(events), ['moved:2:11']);
+    assert.strictEqual(events[0].payload.value.fromUPos, 10);
+  });
+});
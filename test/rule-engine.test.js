@@ -0,0 +1,226 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../src/core/Database');
+const EventBus = require('../src/core/EventBus');
+const ApiServer = require('../src/modules/api/ApiServer');
+const RuleEngine = require('../src/modules/rules/RuleEngine');
+const RuleValidationError = require('../src/modules/rules/RuleValidationError');
+
+describe('RuleEngine', () => {
+  let tmpDir;
+  let engine;
+  let alerts;
+
+  /**
+   * Create a temperature telemetry object
+   * @param {number} value - Temperature
+   * @param {number} seconds - Seconds after 10:00
+   * @param {Object} identity - Identity overrides
+   * @returns {Object} SYS_TELEMETRY SUO
+   */
+  const temperature = (value, seconds, identity = {}) => ({
+    identity: { deviceId: '2437871205', deviceType: 'V5008', modAddr: 1, sensorAddr: 10, ...identity },
+    type: 'SYS_TELEMETRY',
+    ts: new Date(Date.UTC(2025, 0, 1, 10, 0, seconds)).toISOString(),
+    payload: { key: 'temperature', value }
+  });
+
+  /**
+   * Run telemetry through the engine
+   * @param {Array} items - SYS_TELEMETRY SUOs
+   * @returns {Array<string>} Alert actions with their values
+   */
+  const feed = (...items) => {
+    const before = alerts.length;
+    EventBus.emit('data.normalized', items);
+    return alerts.slice(before).map(alert => `${alert.payload.value.action}:${alert.payload.value.value}`);
+  };
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-rules-'));
+    engine = new RuleEngine();
+    await engine.start({ type: 'file', filePath: path.join(tmpDir, 'alert-rules.json') });
+
+    alerts = [];
+    EventBus.on('data.normalized', items => alerts.push(...items.filter(item => item.type === 'SYS_ALERT')));
+  });
+
+  afterEach(async () => {
+    await engine.stop();
+    EventBus.removeAllListeners('data.normalized');
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should raise and clear a max rule with hysteresis', async () => {
+    await engine.createRule({ name: 'Hot', key: 'temperature', type: 'max', threshold: 30, hysteresis: 2 });
+
+    assert.deepStrictEqual(feed(temperature(29, 0), temperature(31, 10)), ['alert_raised:31']);
+    assert.deepStrictEqual(feed(temperature(29, 20)), []); // Inside the hysteresis band
+    assert.deepStrictEqual(feed(temperature(28, 30)), ['alert_cleared:28']);
+
+    const [raised, cleared] = alerts;
+    assert.strictEqual(raised.type, 'SYS_ALERT');
+    assert.strictEqual(raised.identity.sensorAddr, 10);
+    assert.strictEqual(raised.payload.value.severity, 'warning');
+    assert.strictEqual(cleared.payload.raw.raisedAt, raised.ts);
+    assert.strictEqual(cleared.payload.raw.reason, 'recovered');
+  });
+
+  it('should only raise after the violation lasted durationMs', async () => {
+    await engine.createRule({ name: 'Cold', key: 'temperature', type: 'min', threshold: 18, durationMs: 20000 });
+
+    assert.deepStrictEqual(feed(temperature(17, 0), temperature(17, 10)), []);
+    assert.deepStrictEqual(feed(temperature(19, 15), temperature(17, 20), temperature(17, 30)), []);
+    assert.deepStrictEqual(feed(temperature(16, 40)), ['alert_raised:16']);
+    assert.strictEqual(alerts[0].payload.raw.violatedSince, temperature(0, 20).ts);
+  });
+
+  it('should raise rate rules on the change per minute', async () => {
+    await engine.createRule({ name: 'Spike', key: 'temperature', type: 'rate', threshold: 5 });
+
+    assert.deepStrictEqual(feed(temperature(20, 0), temperature(21, 30)), []); // 2 per minute
+    assert.deepStrictEqual(feed(temperature(25, 60)), ['alert_raised:8']);
+    assert.deepStrictEqual(feed(temperature(25, 120)), ['alert_cleared:0']);
+  });
+
+  it('should keep a state per sensor and respect the rule scope', async () => {
+    await engine.createRule({ name: 'Rack A', deviceId: '2437871205', modAddr: 1, key: 'temperature', type: 'max', threshold: 30 });
+
+    assert.deepStrictEqual(feed(
+      temperature(35, 0),
+      temperature(35, 0, { sensorAddr: 11 }),
+      temperature(35, 0, { modAddr: 2 }),
+      temperature(35, 0, { deviceId: '2123456789' })
+    ), ['alert_raised:35', 'alert_raised:35']);
+    assert.deepStrictEqual(engine.getActiveAlerts().map(alert => alert.sensorAddr), [10, 11]);
+  });
+
+  it('should clear active alerts when a rule changes or is deleted', async () => {
+    const rule = await engine.createRule({ name: 'Hot', key: 'temperature', type: 'max', threshold: 30 });
+    feed(temperature(35, 0));
+
+    const updated = await engine.updateRule(rule.id, { threshold: 40 });
+    assert.strictEqual(updated.threshold, 40);
+    assert.deepStrictEqual(alerts.slice(1).map(alert => alert.payload.raw.reason), ['rule_changed']);
+    assert.deepStrictEqual(feed(temperature(35, 10)), []);
+
+    feed(temperature(45, 20));
+    assert.strictEqual(await engine.deleteRule(rule.id), true);
+    assert.strictEqual(alerts[alerts.length - 1].payload.raw.reason, 'rule_deleted');
+    assert.deepStrictEqual(engine.getActiveAlerts(), []);
+  });
+
+  it('should reject invalid rules', async () => {
+    await assert.rejects(engine.createRule({ name: 'Bad', key: 'temperature', type: 'above', threshold: 1 }), RuleValidationError);
+    await assert.rejects(engine.createRule({ name: 'Bad', key: 'temperature', type: 'max' }), /threshold/);
+    await assert.rejects(engine.createRule({ name: 'Bad', key: 'temperature', type: 'rate', threshold: 0 }), /positive/);
+    await assert.rejects(engine.createRule({ name: 'Bad', key: 'temperature', type: 'rate', threshold: 2, hysteresis: 2 }), /hysteresis must be smaller/);
+    await assert.rejects(engine.createRule({ name: 'Bad', key: 'temperature', type: 'max', threshold: 1, durationMs: -1 }), /durationMs/);
+  });
+
+  it('should load stored rules at start', async () => {
+    await engine.createRule({ name: 'Hot', key: 'temperature', type: 'max', threshold: 30 });
+    await engine.stop();
+
+    const restarted = new RuleEngine();
+    await restarted.start({ type: 'file', filePath: path.join(tmpDir, 'alert-rules.json') });
+    try {
+      assert.deepStrictEqual(restarted.listRules().map(rule => rule.name), ['Hot']);
+    } finally {
+      await restarted.stop();
+    }
+  });
+
+  it('should restore alerts left open by the previous run', async () => {
+    const rule = await engine.createRule({ name: 'Hot', key: 'temperature', type: 'max', threshold: 30, hysteresis: 2 });
+    await engine.stop();
+
+    const originalGetKnex = Database.getKnex;
+    const originalIsConnectionActive = Database.isConnectionActive;
+    const row = (ruleId, ruleName) => ({
+      rule_id: ruleId,
+      rule_name: ruleName,
+      severity: 'warning',
+      device_id: '2437871205',
+      device_type: 'V5008',
+      mod_addr: 1,
+      sensor_addr: 10,
+      telemetry_key: 'temperature',
+      raised_value: 35,
+      raised_at: '2025-01-01T09:00:00.000Z'
+    });
+    const rows = [row(rule.id, 'Hot'), row(rule.id + 1, 'Removed')];
+
+    Database.isConnectionActive = () => true;
+    Database.getKnex = () => () => {
+      const query = {
+        select: () => query,
+        whereNotNull: () => query,
+        whereNull: async () => rows
+      };
+      return query;
+    };
+
+    engine = new RuleEngine();
+    try {
+      await engine.start({ type: 'file', filePath: path.join(tmpDir, 'alert-rules.json') });
+    } finally {
+      Database.getKnex = originalGetKnex;
+      Database.isConnectionActive = originalIsConnectionActive;
+    }
+
+    assert.deepStrictEqual(alerts.map(alert => `${alert.payload.value.name}:${alert.payload.raw.reason}`), ['Removed:rule_deleted']);
+    assert.deepStrictEqual(engine.getActiveAlerts().map(alert => `${alert.name}:${alert.value}:${alert.raisedAt}`), [
+      'Hot:35:2025-01-01T09:00:00.000Z'
+    ]);
+    assert.deepStrictEqual(feed(temperature(31, 0)), []);
+    assert.deepStrictEqual(feed(temperature(28, 10)), ['alert_cleared:28']);
+    assert.strictEqual(alerts[alerts.length - 1].payload.raw.raisedAt, '2025-01-01T09:00:00.000Z');
+  });
+
+  it('should not start without its MySQL store', async () => {
+    await assert.rejects(new RuleEngine().start({ type: 'mysql' }), /RuleEngine: Cannot open mysql store/);
+  });
+
+  describe('API', () => {
+    it('should create, list, update and delete rules and list active alerts', async () => {
+      const apiServer = new ApiServer();
+      apiServer.setRuleEngine(engine);
+      const server = await new Promise(resolve => {
+        const listening = apiServer.app.listen(0, '127.0.0.1', () => resolve(listening));
+      });
+      const base = `http://127.0.0.1:${server.address().port}`;
+      const send = (method, url, body) => fetch(`${base}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      });
+
+      try {
+        const created = await send('POST', '/rules', { name: 'Hot', key: 'temperature', type: 'max', threshold: 30 });
+        assert.strictEqual(created.status, 201);
+        const { id } = await created.json();
+
+        const invalid = await send('POST', '/rules', { name: 'Hot', key: 'temperature', type: 'max' });
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual((await invalid.json()).details.field, 'threshold');
+
+        assert.strictEqual((await (await fetch(`${base}/rules`)).json()).count, 1);
+        assert.strictEqual((await (await send('PUT', `/rules/${id}`, { severity: 'critical' })).json()).severity, 'critical');
+        assert.strictEqual((await send('PUT', '/rules/99', { severity: 'critical' })).status, 404);
+
+        feed(temperature(35, 0));
+        const active = await (await fetch(`${base}/alerts?severity=critical`)).json();
+        assert.strictEqual(active.count, 1);
+        assert.strictEqual(active.alerts[0].deviceId, '2437871205');
+
+        assert.strictEqual((await send('DELETE', `/rules/${id}`)).status, 204);
+        assert.strictEqual((await fetch(`${base}/rules/${id}`)).status, 404);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const assert = require('assert');
+const StateCache = require('../src/modules/normalizer/cache/StateCache');
+const SyncCoordinator = require('../src/modules/commands/SyncCoordinator');
+const UnifyNormalizer = require('../src/modules/normalizer/UnifyNormalizer');
+const EventBus = require('../src/core/EventBus');
+
+describe('StateCache eviction', () => {
+  let evictions;
+  const onEvicted = (eviction) => evictions.push(eviction);
+  const tags = (tagId) => new Map([[1, { tagId, alarmStatus: 0 }]]);
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  beforeEach(() => {
+    evictions = [];
+    EventBus.on('cache.evicted', onEvicted);
+  });
+
+  afterEach(() => {
+    EventBus.removeAllListeners('cache.evicted');
+  });
+
+  it('should expire shadows after the TTL', async () => {
+    const cache = new StateCache({ ttl: 20 });
+    await cache.set('2123456789', 1, tags('DD344A44'));
+
+    assert(await cache.get('2123456789', 1));
+    await wait(30);
+
+    assert.strictEqual(await cache.get('2123456789', 1), null);
+    assert.deepStrictEqual(evictions, [{ deviceId: '2123456789', modAddr: 1, reason: 'expired' }]);
+
+    const stats = cache.getStats();
+    assert.strictEqual(stats.hits, 1);
+    assert.strictEqual(stats.misses, 1);
+    assert.strictEqual(stats.evictions, 1);
+    assert.strictEqual(stats.evictionsByReason.expired, 1);
+  });
+
+  it('should sweep expired shadows without access', async () => {
+    const cache = new StateCache({ ttl: 20 });
+    await cache.set('2123456789', 1, tags('DD344A44'));
+    await cache.set('2123456789', 2, tags('DD2862B4'));
+    await wait(30);
+
+    assert.strictEqual(await cache.sweep(), 2);
+    assert.strictEqual(cache.getStats().totalModules, 0);
+    assert.strictEqual(evictions.length, 2);
+  });
+
+  it('should evict the least recently used shadow beyond maxSize', async () => {
+    const cache = new StateCache({ maxSize: 2 });
+    await cache.set('2437871205', 1, tags('DD000001'));
+    await cache.set('2437871205', 2, tags('DD000002'));
+
+    // Touch module 1 so module 2 becomes least recently used
+    await cache.get('2437871205', 1);
+    await cache.set('2437871205', 3, tags('DD000003'));
+
+    assert.deepStrictEqual(await cache.keys(), ['2437871205:1', '2437871205:3']);
+    assert.deepStrictEqual(evictions, [{ deviceId: '2437871205', modAddr: 2, reason: 'lru' }]);
+    assert.strictEqual(cache.getStats().evictionsByReason.lru, 1);
+  });
+
+  it('should resync expired V6800 shadows only', async () => {
+    const sent = [];
+    const coordinator = new SyncCoordinator();
+    coordinator.debounceMs = 5;
+    coordinator.isStarted = true;
+    coordinator.setCommandService({
+      send: async (deviceType, deviceId, command, params) => {
+        sent.push({ deviceType, deviceId, command, params });
+      }
+    });
+    coordinator.deviceTypes.set('2123456789', 'V6800');
+    coordinator.deviceTypes.set('2437871205', 'V5008');
+
+    coordinator.handleCacheEviction({ deviceId: '2123456789', modAddr: 1, reason: 'expired' });
+    coordinator.handleCacheEviction({ deviceId: '2123456789', modAddr: 2, reason: 'lru' });
+    coordinator.handleCacheEviction({ deviceId: '2437871205', modAddr: 1, reason: 'expired' });
+    await wait(20);
+    coordinator.stop();
+
+    assert.deepStrictEqual(sent, [{
+      deviceType: 'V6800',
+      deviceId: '2123456789',
+      command: 'queryRfid',
+      params: { modAddr: 1 }
+    }]);
+    assert.strictEqual(coordinator.getStats().evictionResyncs, 1);
+  });
+
+  it('should keep quiet V5008 shadows past the TTL instead of reporting every tag attached again', async () => {
+    const normalizer = new UnifyNormalizer();
+    normalizer.stateCache = new StateCache({ ttl: 20 });
+    const labelState = (ts) => ({
+      topic: 'V5008Upload/2437871205/LabelState',
+      deviceType: 'V5008',
+      deviceId: '2437871205',
+      messageType: 'LABEL_STATE',
+      messageId: '83891437',
+      ts,
+      modAddr: 2,
+      modId: '2349402517',
+      uTotal: 12,
+      onlineCount: 1,
+      items: [{ uPos: 10, alarmStatus: 0, tagId: 'DD344A44' }]
+    });
+
+    const first = await normalizer.normalize(labelState('2025-01-01T10:00:00.000Z'));
+    assert.strictEqual(first.filter(r => r.type === 'SYS_RFID_EVENT').length, 1);
+    await wait(30);
+
+    assert.strictEqual(await normalizer.stateCache.sweep(), 0);
+    const next = await normalizer.normalize(labelState('2025-01-01T11:30:00.000Z'));
+    assert.deepStrictEqual(next.filter(r => r.type === 'SYS_RFID_EVENT'), []);
+    assert.deepStrictEqual(evictions, []);
+  });
+});
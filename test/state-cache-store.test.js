@@ -0,0 +1,110 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StateCache = require('../src/modules/normalizer/cache/StateCache');
+const Database = require('../src/core/Database');
+
+describe('StateCache persistence', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-cache-'));
+    filePath = path.join(tmpDir, 'state-cache.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('File store', () => {
+    it('should restore shadows after a restart', async () => {
+      const first = new StateCache({ type: 'file', filePath, warmUp: false });
+      await first.init();
+      await first.set('2437871205', 1, new Map([
+        [3, { tagId: 'DD344A44', alarmStatus: 0 }],
+        [5, { tagId: 'DD2862B4', alarmStatus: 1 }]
+      ]));
+      await first.set('2437871205', 2, new Map([[1, { tagId: 'DD3CE9C4', alarmStatus: 0 }]]));
+      await first.clear('2437871205', 2);
+      await first.close();
+
+      const second = new StateCache({ type: 'file', filePath, warmUp: false });
+      await second.init();
+
+      const restored = await second.get('2437871205', 1);
+      assert.deepStrictEqual(Array.from(restored.entries()), [
+        [3, { tagId: 'DD344A44', alarmStatus: 0 }],
+        [5, { tagId: 'DD2862B4', alarmStatus: 1 }]
+      ]);
+      assert.strictEqual(await second.get('2437871205', 2), null);
+    });
+
+    it('should start empty when the cache file is missing', async () => {
+      const cache = new StateCache({ type: 'file', filePath, warmUp: false });
+      await cache.init();
+      assert.strictEqual(cache.getStats().totalModules, 0);
+    });
+
+    it('should not start without its store', async () => {
+      await assert.rejects(new StateCache({ type: 'mysql', warmUp: false }).init(), /StateCache: Cannot open mysql store/);
+      await assert.rejects(new StateCache({ type: 'redis', warmUp: false }).init(), /StateCache: Unknown store type: redis/);
+    });
+  });
+
+  describe('Warm-up', () => {
+    const originalGetKnex = Database.getKnex;
+    const originalIsConnectionActive = Database.isConnectionActive;
+
+    beforeEach(() => {
+      const rows = [
+        {
+          device_id: '2123456789',
+          mod_addr: 1,
+          json_value: JSON.stringify({
+            key: 'rfid_snapshot',
+            value: { modId: '3963041727', items: [{ uPos: 3, tagId: 'DD344A44', alarmStatus: 0 }] }
+          })
+        },
+        {
+          device_id: '2123456789',
+          mod_addr: 2,
+          json_value: { key: 'rfid_snapshot', value: { modId: '3963041728', items: [] } }
+        }
+      ];
+
+      Database.isConnectionActive = () => true;
+      Database.getKnex = () => () => {
+        const query = {
+          select: () => query,
+          where: async () => rows
+        };
+        return query;
+      };
+    });
+
+    afterEach(() => {
+      Database.getKnex = originalGetKnex;
+      Database.isConnectionActive = originalIsConnectionActive;
+    });
+
+    it('should fill only missing shadows from stored snapshots', async () => {
+      const first = new StateCache({ type: 'file', filePath, warmUp: false });
+      await first.init();
+      await first.set('2123456789', 2, new Map([[7, { tagId: 'DD000001', alarmStatus: 0 }]]));
+      await first.close();
+
+      const cache = new StateCache({ type: 'file', filePath });
+      await cache.init();
+
+      const warmed = await cache.get('2123456789', 1);
+      assert.strictEqual(warmed.get(3).tagId, 'DD344A44');
+
+      // Persisted shadow wins over the stored snapshot
+      const persisted = await cache.get('2123456789', 2);
+      assert.strictEqual(persisted.get(7).tagId, 'DD000001');
+      await cache.close();
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const assert = require('assert');
+const StorageService = require('../src/modules/storage/StorageService');
+
+describe('StorageService', () => {
+  let storage;
+  let writes;
+
+  beforeEach(() => {
+    writes = [];
+    storage = new StorageService();
+    storage.database = {
+      getKnex: () => (table) => {
+        const query = {
+          insert: (rows) => {
+            writes.push({ table, rows: [].concat(rows) });
+            return query;
+          },
+          onConflict: () => query,
+          merge: async () => {}
+        };
+        return query;
+      }
+    };
+    storage.isStarted = true;
+  });
+
+  /**
+   * Build a SYS_DEVICE_INFO object of module 2
+   * @param {string} key - Payload key
+   * @param {*} value - Payload value
+   * @param {Object} raw - Payload raw data
+   * @returns {Object} SUO
+   */
+  const deviceInfo = (key, value, raw = {}) => ({
+    identity: { deviceId: '2437871205', deviceType: 'V5008', modAddr: 2, sensorAddr: 0 },
+    type: 'SYS_DEVICE_INFO',
+    ts: '2026-10-19T08:00:00.000Z',
+    payload: { key, value, raw }
+  });
+
+  it('should store topology changes as history and keep the module_info row', async () => {
+    await storage.saveBatch([
+      deviceInfo('module_info', { modId: '2349533548', uTotal: 12, fwVer: '2307101644' }),
+      deviceInfo('topology_change', 'module_replaced', {
+        modId: '1109710769',
+        uTotal: 6,
+        previous: { modId: '2349533548', uTotal: 12 }
+      })
+    ]);
+
+    const history = writes.filter(write => write.table === 'iot_topology_changes');
+    assert.strictEqual(history.length, 1);
+    assert.deepStrictEqual({ ...history[0].rows[0], created_at: undefined }, {
+      device_id: '2437871205',
+      device_type: 'V5008',
+      mod_addr: 2,
+      change_type: 'module_replaced',
+      mod_id: '1109710769',
+      u_total: 6,
+      previous_mod_id: '2349533548',
+      previous_u_total: 12,
+      changed_at: '2026-10-19T08:00:00.000Z',
+      created_at: undefined
+    });
+
+    const states = writes.filter(write => write.table === 'iot_device_state');
+    assert.strictEqual(states.length, 1);
+    assert.strictEqual(JSON.parse(states[0].rows[0].json_value).key, 'module_info');
+  });
+
+  it('should store the presence status apart from the heartbeat row', async () => {
+    const identity = { deviceId: '2437871205', deviceType: 'V5008', modAddr: 0, sensorAddr: 0 };
+    await storage.saveBatch([
+      { identity, type: 'SYS_LIFECYCLE', ts: '2026-10-19T08:00:00.000Z', payload: { key: 'heartbeat', value: null, raw: {} } },
+      { identity, type: 'SYS_LIFECYCLE', ts: '2026-10-19T08:00:00.000Z', payload: { key: 'device_status', value: 'online', raw: {} } }
+    ]);
+
+    const rows = writes.map(write => write.rows[0]);
+    assert.deepStrictEqual(rows.map(row => `${row.state_type}:${JSON.parse(row.json_value).key}`), [
+      'SYS_DEVICE_STATUS:device_status',
+      'SYS_LIFECYCLE:heartbeat'
+    ]);
+  });
+
+  it('should update the open alarm row instead of opening another one', async () => {
+    const updates = [];
+    storage.database = {
+      getKnex: () => (table) => {
+        const query = {
+          insert: async (row) => writes.push({ table, rows: [row] }),
+          where: () => query,
+          whereNull: () => query,
+          update: async (values) => updates.push(values)
+        };
+        return query;
+      }
+    };
+    const alarm = (action, alarmStatus, previousStatus) => ({
+      identity: { deviceId: '2437871205', deviceType: 'V5008', modAddr: 2, sensorAddr: 10 },
+      type: 'SYS_ALARM_EVENT',
+      ts: '2026-10-19T08:00:00.000Z',
+      payload: { key: 'u_alarm', value: { action, tagId: 'DD344A44', uPos: 10, alarmStatus, previousStatus }, raw: {} }
+    });
+
+    await storage.saveBatch([alarm('alarm_raised', 1, 0), alarm('alarm_updated', 2, 1)]);
+
+    assert.strictEqual(writes.length, 1);
+    assert.deepStrictEqual(updates, [{ alarm_status: 2 }]);
+  });
+
+  it('should store a removed module without module values', async () => {
+    await storage.saveBatch([
+      deviceInfo('topology_change', 'module_removed', {
+        modId: null,
+        uTotal: null,
+        previous: { modId: '2349533548', uTotal: 12 }
+      })
+    ]);
+
+    assert.strictEqual(writes.length, 1);
+    const [row] = writes[0].rows;
+    assert.strictEqual(row.change_type, 'module_removed');
+    assert.strictEqual(row.mod_id, null);
+    assert.strictEqual(row.u_total, null);
+    assert.strictEqual(row.previous_mod_id, '2349533548');
+  });
+});
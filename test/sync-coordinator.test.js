@@ -0,0 +1,132 @@
+const assert = require('assert');
+const SyncCoordinator = require('../src/modules/commands/SyncCoordinator');
+const UnifyNormalizer = require('../src/modules/normalizer/UnifyNormalizer');
+
+const DEVICE_ID = '2123456789';
+
+/**
+ * Build a parsed V6800 LabelState message
+ * @param {string} rawMessageType - Raw msg_type
+ * @param {Array} items - RFID items of module 1
+ * @returns {Object} Parsed SIF
+ */
+function labelState(rawMessageType, items) {
+  return {
+    deviceType: 'V6800',
+    deviceId: DEVICE_ID,
+    messageType: 'LABEL_STATE',
+    rawMessageType,
+    messageId: '1',
+    ts: '2025-01-01T10:00:00.000Z',
+    data: [{ modAddr: 1, modId: '3963041727', items }]
+  };
+}
+
+describe('SyncCoordinator', () => {
+  let coordinator;
+  let normalizer;
+  let sent;
+
+  beforeEach(() => {
+    sent = [];
+    normalizer = new UnifyNormalizer();
+    coordinator = new SyncCoordinator();
+    coordinator.debounceMs = 10;
+    coordinator.isStarted = true; // Feed handleNormalizedData directly instead of via EventBus
+    coordinator.setStateCache(normalizer.stateCache);
+    coordinator.setCommandService({
+      send: async (deviceType, deviceId, command, params) => {
+        sent.push({ deviceType, deviceId, command, params });
+        return { deviceType, deviceId, command, params };
+      }
+    });
+  });
+
+  afterEach(() => {
+    coordinator.stop();
+  });
+
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  it('should debounce repeated sync requests into one RFID query', async () => {
+    const event = labelState('u_state_changed_notify_req', [
+      { uPos: 3, tagId: 'DD344A44', alarmStatus: 0, action: 'attached' }
+    ]);
+
+    await coordinator.handleNormalizedData(await normalizer.normalize(event));
+    await coordinator.handleNormalizedData(await normalizer.normalize(event));
+    await wait(30);
+
+    assert.strictEqual(sent.length, 1);
+    assert.deepStrictEqual(sent[0], {
+      deviceType: 'V6800',
+      deviceId: DEVICE_ID,
+      command: 'queryRfid',
+      params: { modAddr: 1 }
+    });
+    assert.strictEqual(coordinator.getStats().debounced, 1);
+    assert.strictEqual(coordinator.getStats().inFlight, 1);
+  });
+
+  it('should mark the shadow authoritative when the u_state_resp snapshot arrives', async () => {
+    await coordinator.handleNormalizedData(await normalizer.normalize(labelState('u_state_changed_notify_req', [
+      { uPos: 3, tagId: 'DD344A44', alarmStatus: 0, action: 'attached' }
+    ])));
+    await wait(30);
+
+    const snapshot = await normalizer.normalize(labelState('u_state_resp', [
+      { uPos: 3, tagId: 'DD344A44', alarmStatus: 0, action: null },
+      { uPos: 4, tagId: null, alarmStatus: 0, action: null },
+      { uPos: 5, tagId: 'DD2862B4', alarmStatus: 0, action: null }
+    ]));
+
+    // Cache was empty, so only the snapshot is emitted
+    assert.strictEqual(snapshot.length, 1);
+    assert.strictEqual(snapshot[0].type, 'SYS_RFID_SNAPSHOT');
+    assert.strictEqual(snapshot[0].payload.value.items.length, 2);
+
+    await coordinator.handleNormalizedData(snapshot);
+
+    assert.strictEqual(await normalizer.stateCache.isAuthoritative(DEVICE_ID, 1), true);
+    assert.strictEqual(coordinator.getStats().completed, 1);
+    assert.strictEqual(coordinator.getStats().inFlight, 0);
+
+    // Following events patch the rebuilt shadow instead of requiring sync again
+    const patched = await normalizer.normalize(labelState('u_state_changed_notify_req', [
+      { uPos: 5, tagId: 'DD2862B4', alarmStatus: 0, action: 'detached' }
+    ]));
+    assert(!patched.some(item => item.type === 'SYS_REQUIRE_SYNC'));
+  });
+
+  it('should cap queries per device within the window', async () => {
+    coordinator.maxPerDevice = 2;
+
+    for (const modAddr of [1, 2, 3]) {
+      await coordinator.handleNormalizedData([{
+        identity: { deviceId: DEVICE_ID, deviceType: 'V6800', modAddr, sensorAddr: 0 },
+        type: 'SYS_REQUIRE_SYNC',
+        ts: '2025-01-01T10:00:00.000Z',
+        payload: { key: 'require_sync', value: { reason: 'cache_miss' } }
+      }]);
+    }
+    await wait(30);
+
+    assert.strictEqual(sent.length, 2);
+    assert.strictEqual(coordinator.getStats().capped, 1);
+  });
+
+  it('should diff a snapshot against an existing shadow', async () => {
+    await normalizer.stateCache.set(DEVICE_ID, 1, new Map([
+      [3, { tagId: 'DD344A44', alarmStatus: 0 }]
+    ]));
+
+    const results = await normalizer.normalize(labelState('u_state_resp', [
+      { uPos: 5, tagId: 'DD2862B4', alarmStatus: 0, action: null }
+    ]));
+
+    const actions = results
+      .filter(item => item.type === 'SYS_RFID_EVENT')
+      .map(item => `${item.payload.value.action}:${item.payload.value.uPos}`);
+    assert.deepStrictEqual(actions, ['detached:3', 'attached:5']);
+  });
+});
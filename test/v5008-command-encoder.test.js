@@ -0,0 +1,141 @@
+const assert = require('assert');
+const V5008CommandEncoder = require('../src/modules/commands/V5008CommandEncoder');
+const CommandService = require('../src/modules/commands/CommandService');
+const CommandValidationError = require('../src/modules/commands/CommandValidationError');
+
+describe('V5008CommandEncoder', () => {
+  let encoder;
+
+  beforeEach(() => {
+    encoder = new V5008CommandEncoder();
+  });
+
+  describe('Query Commands', () => {
+    it('should encode E9 sensor queries with the module address', () => {
+      assert.strictEqual(encoder.queryRfid(2).toString('hex').toUpperCase(), 'E90102');
+      assert.strictEqual(encoder.queryTemHum(1).toString('hex').toUpperCase(), 'E90201');
+      assert.strictEqual(encoder.queryDoor(3).toString('hex').toUpperCase(), 'E90303');
+      assert.strictEqual(encoder.queryNoise(5).toString('hex').toUpperCase(), 'E90405');
+    });
+
+    it('should encode device and module info queries', () => {
+      assert.strictEqual(encoder.queryDeviceInfo().toString('hex').toUpperCase(), 'EF0100');
+      assert.strictEqual(encoder.queryModuleInfo().toString('hex').toUpperCase(), 'EF0200');
+    });
+
+    it('should encode color query', () => {
+      assert.strictEqual(encoder.queryColor(1).toString('hex').toUpperCase(), 'E401');
+    });
+  });
+
+  describe('Set Color', () => {
+    it('should encode (uPos + colorCode) pairs from codes and names', () => {
+      const frame = encoder.setColor(1, [
+        { uPos: 3, color: 0x01 },
+        { uPos: 4, color: 'blue_f' }
+      ]);
+
+      assert.strictEqual(frame.toString('hex').toUpperCase(), 'E1010301040D');
+    });
+
+    it('should reject invalid color codes', () => {
+      assert.throws(() => encoder.setColor(1, [{ uPos: 3, color: 0x0F }]), CommandValidationError);
+      assert.throws(() => encoder.setColor(1, [{ uPos: 3, color: 'pink' }]), CommandValidationError);
+      assert.throws(() => encoder.setColor(1, [{ uPos: 3, color: 'constructor' }]), CommandValidationError);
+      assert.throws(() => encoder.setColor(1, [{ uPos: 3, color: '__proto__' }]), CommandValidationError);
+    });
+
+    it('should reject empty and duplicate color lists', () => {
+      assert.throws(() => encoder.setColor(1, []), CommandValidationError);
+      assert.throws(() => encoder.setColor(1, [
+        { uPos: 3, color: 1 },
+        { uPos: 3, color: 2 }
+      ]), CommandValidationError);
+    });
+  });
+
+  describe('Clear Alarm', () => {
+    it('should encode module address and U position', () => {
+      assert.strictEqual(encoder.clearAlarm(2, 10).toString('hex').toUpperCase(), 'E2020A');
+    });
+
+    it('should reject out of range U positions', () => {
+      assert.throws(() => encoder.clearAlarm(2, 0), CommandValidationError);
+      assert.throws(() => encoder.clearAlarm(2, 55), CommandValidationError);
+    });
+  });
+
+  describe('Validation', () => {
+    it('should reject module addresses outside 1-5', () => {
+      assert.throws(() => encoder.queryRfid(0), CommandValidationError);
+      assert.throws(() => encoder.queryRfid(6), CommandValidationError);
+      assert.throws(() => encoder.queryRfid('1'), CommandValidationError);
+    });
+
+    it('should reject unknown commands', () => {
+      assert.throws(() => encoder.encode('reboot', {}), CommandValidationError);
+    });
+
+    it('should dispatch named commands with params', () => {
+      const frame = encoder.encode('clearAlarm', { modAddr: 1, uPos: 6 });
+      assert.strictEqual(frame.toString('hex').toUpperCase(), 'E20106');
+    });
+  });
+
+  it('should build the download topic', () => {
+    assert.strictEqual(V5008CommandEncoder.topicFor('2437871205'), 'V5008Download/2437871205');
+  });
+});
+
+describe('CommandService', () => {
+  let commandService;
+  let published;
+
+  beforeEach(() => {
+    published = [];
+    commandService = new CommandService();
+    commandService.setMqttService({
+      publish: async (topic, message) => {
+        published.push({ topic, message });
+      }
+    });
+  });
+
+  it('should publish V5008 frames to the download topic', async () => {
+    const sent = await commandService.send('V5008', '2437871205', 'queryRfid', { modAddr: 2 });
+
+    assert.strictEqual(published.length, 1);
+    assert.strictEqual(published[0].topic, 'V5008Download/2437871205');
+    assert(Buffer.isBuffer(published[0].message));
+    assert.strictEqual(published[0].message.toString('hex').toUpperCase(), 'E90102');
+    assert.strictEqual(sent.command, 'queryRfid');
+    assert(sent.sentAt);
+    assert.strictEqual(commandService.getStats().sent, 1);
+  });
+
+  it('should not publish invalid commands', async () => {
+    await assert.rejects(
+      commandService.send('V5008', '2437871205', 'queryRfid', { modAddr: 9 }),
+      CommandValidationError
+    );
+    assert.strictEqual(published.length, 0);
+  });
+
+  it('should reject unsupported device types', async () => {
+    await assert.rejects(
+      commandService.send('V9999', '1', 'queryRfid', { modAddr: 1 }),
+      CommandValidationError
+    );
+  });
+
+  it('should count failed publishes', async () => {
+    commandService.setMqttService({
+      publish: async () => {
+        throw new Error('MqttService: Not connected to broker');
+      }
+    });
+
+    await assert.rejects(commandService.send('V5008', '2437871205', 'queryDeviceInfo'));
+    assert.strictEqual(commandService.getStats().failed, 1);
+  });
+});
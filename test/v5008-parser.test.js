@@ -24,7 +24,7 @@ describe('V5008Parser', () => {
       assert.strictEqual(result.message, hexMessage);
       assert.strictEqual(result.deviceType, 'V5008');
       assert.strictEqual(result.deviceId, '2437871205');
-      assert.strictEqual(result.messageType, 'OpeAck');
+      assert.strictEqual(result.messageType, 'HEARTBEAT');
       assert.strictEqual(result.messageId, '4060092047');
       assert(result.ts); // Verify timestamp is injected
 
@@ -43,6 +43,9 @@ describe('V5008Parser', () => {
       assert.strictEqual(module2.modAddr, 2);
       assert.strictEqual(module2.modId, '2349402517'); // modId should be string
       assert.strictEqual(module2.uTotal, 12);
+
+      // V5008 heartbeats carry no power information
+      assert.strictEqual(result.meta, undefined);
     });
   });
 
@@ -62,7 +65,7 @@ describe('V5008Parser', () => {
       assert.strictEqual(result.message, hexMessage);
       assert.strictEqual(result.deviceType, 'V5008');
       assert.strictEqual(result.deviceId, '2437871205');
-      assert.strictEqual(result.messageType, 'TemHum');
+      assert.strictEqual(result.messageType, 'TEM_HUM');
       assert.strictEqual(result.messageId, '16846659');
       assert(result.ts); // Verify timestamp is injected
 
@@ -110,7 +113,7 @@ describe('V5008Parser', () => {
       assert.strictEqual(result.message, hexMessage);
       assert.strictEqual(result.deviceType, 'V5008');
       assert.strictEqual(result.deviceId, '2437871205');
-      assert.strictEqual(result.messageType, 'LabelState');
+      assert.strictEqual(result.messageType, 'LABEL_STATE');
       assert.strictEqual(result.messageId, '83891437');
       assert(result.ts); // Verify timestamp is injected
 
@@ -160,7 +163,7 @@ describe('V5008Parser', () => {
       assert.strictEqual(result.message, hexMessage);
       assert.strictEqual(result.deviceType, 'V5008');
       assert.strictEqual(result.deviceId, '2437871205');
-      assert.strictEqual(result.messageType, 'OpeAck');
+      assert.strictEqual(result.messageType, 'DOOR_STATE');
       assert.strictEqual(result.messageId, '184666104');
       assert(result.ts); // Verify timestamp is injected
 
@@ -187,7 +190,7 @@ describe('V5008Parser', () => {
       assert.strictEqual(result.message, hexMessage);
       assert.strictEqual(result.deviceType, 'V5008');
       assert.strictEqual(result.deviceId, '2437871205');
-      assert.strictEqual(result.messageType, 'OpeAck');
+      assert.strictEqual(result.messageType, 'OPE_ACK');
       assert.strictEqual(result.messageId, '721420310');
       assert(result.ts); // Verify timestamp is injected
 
@@ -211,7 +214,7 @@ describe('V5008Parser', () => {
       assert.strictEqual(result.message, hexMessage);
       assert.strictEqual(result.deviceType, 'V5008');
       assert.strictEqual(result.deviceId, '2437871205');
-      assert.strictEqual(result.messageType, 'OpeAck');
+      assert.strictEqual(result.messageType, 'OPE_ACK');
       assert.strictEqual(result.messageId, '620846412');
       assert(result.ts); // Verify timestamp is injected
 
@@ -225,6 +228,44 @@ describe('V5008Parser', () => {
     });
   });
 
+  describe('Device and Module Info Responses', () => {
+    it('should parse device info response correctly', () => {
+      // Example from spec:
+      // topic: "V5008Upload/2437871205/OpeAck"
+      // message: "EF011390958DD85FC0A800D3FFFF0000C0A800018082914EF665F2011CCB"
+      const topic = "V5008Upload/2437871205/OpeAck";
+      const hexMessage = "EF011390958DD85FC0A800D3FFFF0000C0A800018082914EF665F2011CCB";
+
+      const result = parser.parse(topic, Buffer.from(hexMessage, 'hex'));
+
+      assert.strictEqual(result.messageType, 'DEVICE_INFO');
+      assert.strictEqual(result.messageId, '4060159179');
+      assert.strictEqual(result.model, '1390');
+      assert.strictEqual(result.fwVer, '2509101151');
+      assert.strictEqual(result.ip, '192.168.0.211');
+      assert.strictEqual(result.mask, '255.255.0.0');
+      assert.strictEqual(result.gatewayIp, '192.168.0.1');
+      assert.strictEqual(result.mac, '80:82:91:4E:F6:65');
+    });
+
+    it('should parse module info response correctly', () => {
+      // Example from spec:
+      // topic: "V5008Upload/2437871205/OpeAck"
+      // message: "EF0201898393CC02898393CCF4010166"
+      const topic = "V5008Upload/2437871205/OpeAck";
+      const hexMessage = "EF0201898393CC02898393CCF4010166";
+
+      const result = parser.parse(topic, Buffer.from(hexMessage, 'hex'));
+
+      assert.strictEqual(result.messageType, 'MODULE_INFO');
+      assert.strictEqual(result.messageId, '4093706598');
+      assert.deepStrictEqual(result.modules, [
+        { modAddr: 1, fwVer: '2307101644' },
+        { modAddr: 2, fwVer: '2307101644' }
+      ]);
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle unknown message type gracefully', () => {
       const topic = "V5008Upload/2437871205/UnknownType";
@@ -0,0 +1,101 @@
+const assert = require('assert');
+const V6800CommandBuilder = require('../src/modules/commands/V6800CommandBuilder');
+const CommandService = require('../src/modules/commands/CommandService');
+const CommandValidationError = require('../src/modules/commands/CommandValidationError');
+
+describe('V6800CommandBuilder', () => {
+  let builder;
+
+  beforeEach(() => {
+    builder = new V6800CommandBuilder();
+  });
+
+  describe('Set Color', () => {
+    it('should build set_module_property_req with u_color_data', () => {
+      const body = builder.setColor('2123456789', 2, [
+        { uPos: 1, color: 'red' },
+        { uPos: 2, color: 13 }
+      ]);
+
+      assert.strictEqual(body.msg_type, 'set_module_property_req');
+      assert.strictEqual(body.gateway_sn, '2123456789');
+      assert(Number.isInteger(body.uuid_number));
+      assert.strictEqual(body.data.length, 1);
+      assert.strictEqual(body.data[0].host_gateway_port_index, 2);
+      assert.deepStrictEqual(body.data[0].u_color_data, [
+        { u_index: 1, color_code: 1 },
+        { u_index: 2, color_code: 13 }
+      ]);
+    });
+
+    it('should reject invalid colors and positions', () => {
+      assert.throws(() => builder.setColor('2123456789', 2, [{ uPos: 1, color: 15 }]), CommandValidationError);
+      assert.throws(() => builder.setColor('2123456789', 2, [{ uPos: 60, color: 1 }]), CommandValidationError);
+      assert.throws(() => builder.setColor('2123456789', 2, []), CommandValidationError);
+    });
+  });
+
+  describe('Queries', () => {
+    it('should build get_u_color with module list', () => {
+      const body = builder.queryColor('2123456789', 2);
+      assert.strictEqual(body.msg_type, 'get_u_color');
+      assert.strictEqual(body.gateway_id, '2123456789');
+      assert.deepStrictEqual(body.data, [2]);
+    });
+
+    it('should build u_state_req for a module', () => {
+      const body = builder.queryRfid('2123456789', 4);
+      assert.strictEqual(body.msg_type, 'u_state_req');
+      assert.strictEqual(body.data[0].host_gateway_port_index, 4);
+    });
+
+    it('should build get_devies_init_req', () => {
+      const body = builder.queryDeviceInfo('2123456789');
+      assert.strictEqual(body.msg_type, 'get_devies_init_req');
+      assert.strictEqual(body.gateway_sn, '2123456789');
+    });
+  });
+
+  describe('Clear Alarm', () => {
+    it('should build clear_u_warning with the U position', () => {
+      const body = builder.clearAlarm('2123456789', 2, 5);
+      assert.strictEqual(body.msg_type, 'clear_u_warning');
+      assert.deepStrictEqual(body.data, [{ index: 2, warning_data: [5] }]);
+    });
+  });
+
+  it('should reject commands the V6800 does not support', () => {
+    assert.throws(() => builder.encode('queryNoise', { deviceId: '1', modAddr: 1 }), CommandValidationError);
+  });
+
+  it('should require a device ID', () => {
+    assert.throws(() => builder.queryColor(undefined, 1), CommandValidationError);
+  });
+
+  it('should build the download topic', () => {
+    assert.strictEqual(V6800CommandBuilder.topicFor('2123456789'), 'V6800Download/2123456789');
+  });
+});
+
+describe('CommandService (V6800)', () => {
+  it('should publish JSON bodies to the V6800 download topic', async () => {
+    const published = [];
+    const commandService = new CommandService();
+    commandService.setMqttService({
+      publish: async (topic, message) => {
+        published.push({ topic, message });
+      }
+    });
+
+    const sent = await commandService.send('V6800', '2123456789', 'clearAlarm', { modAddr: 2, uPos: 5 });
+
+    assert.strictEqual(published.length, 1);
+    assert.strictEqual(published[0].topic, 'V6800Download/2123456789');
+    assert.strictEqual(typeof published[0].message, 'string');
+
+    const body = JSON.parse(published[0].message);
+    assert.strictEqual(body.msg_type, 'clear_u_warning');
+    assert.strictEqual(body.gateway_id, '2123456789');
+    assert.strictEqual(body.uuid_number, sent.payload.uuid_number);
+  });
+});